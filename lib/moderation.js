@@ -0,0 +1,290 @@
+/**
+ * @file Moderation of the rooms, shared by both rtcBackends (see server.js).
+ * The first user to join a room moderates it, and so does anybody joining
+ * with the moderator passcode of the room (moderatorPasscodes in settings.json).
+ * Once the last moderator left, the user who has been in the room the longest
+ * takes over.
+ *
+ * Moderators control the room with peer messages, which the server checks before
+ * relaying them. Their contents are in the envelope of public/js/messages.js:
+ *   'mic-control' { enabled : false }   to a user or the room, mutes them (relayed)
+ *   'spotlight'   { peerId }            to the room (relayed)
+ *   'kick'        {}                    to a user, removes them from the room
+ *   'room-lock'   { locked : Boolean }  to the room, keeps new users out (see RoomModeration.isLocked)
+ * Messages of these types sent by other users are rejected with MSG_REJECT_NOT_MODERATOR.
+ *
+ * The server tells the users of a room about moderation with messages of its own:
+ *   'moderation' { moderators : Array<peerId>, locked : Boolean } (whenever it changes)
+ *   'kicked'     { by : peerId } (right before disconnecting the user)
+ *
+ * Room names come from the users, so the rooms are kept in maps without a
+ * prototype (see lib/rooms.js).
+ */
+
+'use strict';
+
+// Relayed as usual, but only if the sender moderates the room
+var kModeratorMessageTypes = ['mic-control', 'spotlight'];
+
+/**
+ * Creates an error for an acknowledgement.
+ *
+ * @param {String} errorCode - The error code.
+ * @param {String} errorText - Description of the error.
+ * @returns {Object} An object of the form { errorCode: String, errorText: String }.
+ * @private
+ */
+var makeError = function(errorCode, errorText) {
+    return {
+        errorCode: errorCode,
+        errorText: errorText
+    };
+};
+
+/**
+ * Takes the contents of a peer message out of its envelope.
+ *
+ * @param {*} msgData - The envelope (see public/js/messages.js).
+ * @returns {Object|null} The contents, null if the envelope is invalid.
+ * @private
+ */
+var unwrap = function(msgData) {
+    if (msgData === null || typeof msgData !== 'object' ||
+        msgData.data === null || typeof msgData.data !== 'object') {
+        return null;
+    }
+
+    return msgData.data;
+};
+
+/**
+ * Creates the moderation of the rooms.
+ *
+ * @param {Object} options - Object of the form:
+ *   {
+ *     // Sends a message of the server to a user
+ *     sendToPeer : function(peerId : String, msgType : String, msgData : Object),
+ *
+ *     // Disconnects a user, who then leaves their room (see RoomModeration.leave)
+ *     removePeer : function(peerId : String),
+ *
+ *     // Logs a message
+ *     log        : function(message : String)
+ *   }
+ * @class
+ */
+var RoomModeration = function(options) {
+    // Stores the rooms as roomName : String => room : Object, where room is of the form:
+    //   {
+    //     members    : Array<String> (peer IDs, in the order they joined),
+    //     moderators : { peerId : String => true },
+    //     locked     : Boolean
+    //   }
+    this.rooms = Object.create(null);
+
+    // Stores the room of every user as peerId : String => roomName : String
+    this.peerRooms = Object.create(null);
+
+    this.options = options;
+
+    return this;
+};
+
+/**
+ * Adds a user to a room, telling everybody in it who moderates the room.
+ *
+ * @param {String} roomName - The RTC room name.
+ * @param {String} peerId - The peer ID of the user.
+ * @param {Boolean} hasModeratorPasscode - True if the user provided the moderator passcode of the room.
+ * @returns {undefined} undefined
+ * @public
+ */
+RoomModeration.prototype.join = function(roomName, peerId, hasModeratorPasscode) {
+    if (!(roomName in this.rooms)) {
+        this.rooms[roomName] = {
+            members: [],
+            moderators: Object.create(null),
+            locked: false
+        };
+    }
+
+    var room = this.rooms[roomName];
+    if (room.members.length === 0 || hasModeratorPasscode) {
+        room.moderators[peerId] = true;
+        this.options.log('[' + peerId + '] Moderates room ' + roomName);
+    }
+
+    room.members.push(peerId);
+    this.peerRooms[peerId] = roomName;
+
+    this.broadcast(roomName);
+};
+
+/**
+ * Removes a user from their room. The room is forgotten (and unlocked) once empty.
+ *
+ * @param {String} peerId - The peer ID of the user.
+ * @returns {undefined} undefined
+ * @public
+ */
+RoomModeration.prototype.leave = function(peerId) {
+    if (!(peerId in this.peerRooms)) {
+        return;
+    }
+
+    var roomName = this.peerRooms[peerId];
+    var room = this.rooms[roomName];
+    delete this.peerRooms[peerId];
+
+    room.members.splice(room.members.indexOf(peerId), 1);
+    delete room.moderators[peerId];
+
+    if (room.members.length === 0) {
+        delete this.rooms[roomName];
+        return;
+    }
+
+    // The room should not be left without a moderator
+    if (Object.keys(room.moderators).length === 0) {
+        room.moderators[room.members[0]] = true;
+        this.options.log('[' + room.members[0] + '] Took over moderating room ' + roomName);
+    }
+
+    this.broadcast(roomName);
+};
+
+/**
+ * Tells whether a room is locked.
+ *
+ * @param {String} roomName - The RTC room name.
+ * @returns {Boolean} True if the room is locked, false otherwise.
+ * @public
+ */
+RoomModeration.prototype.isLocked = function(roomName) {
+    return (roomName in this.rooms && this.rooms[roomName].locked);
+};
+
+/**
+ * Tells whether a user moderates their room.
+ *
+ * @param {String} peerId - The peer ID of the user.
+ * @returns {Boolean} True if they do, false otherwise (or if they are not in a room).
+ * @public
+ */
+RoomModeration.prototype.isModerator = function(peerId) {
+    if (!(peerId in this.peerRooms)) {
+        return false;
+    }
+
+    return (peerId in this.rooms[this.peerRooms[peerId]].moderators);
+};
+
+/**
+ * Tells everybody in a room who moderates it and whether it is locked.
+ *
+ * @param {String} roomName - The RTC room name.
+ * @returns {undefined} undefined
+ * @private
+ */
+RoomModeration.prototype.broadcast = function(roomName) {
+    var room = this.rooms[roomName];
+    var state = {
+        moderators: room.members.filter(function(peerId) {
+            return (peerId in room.moderators);
+        }),
+        locked: room.locked
+    };
+
+    for (var i = 0; i < room.members.length; i++) {
+        this.options.sendToPeer(room.members[i], 'moderation', state);
+    }
+};
+
+/**
+ * Removes a user from the room of a moderator.
+ *
+ * @param {String} peerId - The peer ID of the moderator.
+ * @param {String|undefined} targetPeerId - The peer ID of the user.
+ * @returns {Object|null} The error (see RoomModeration.checkMessage), null on success.
+ * @private
+ */
+RoomModeration.prototype.kick = function(peerId, targetPeerId) {
+    var roomName = this.peerRooms[peerId];
+    if (typeof targetPeerId !== 'string' || targetPeerId === peerId || this.peerRooms[targetPeerId] !== roomName) {
+        return makeError('MSG_REJECT_TARGET_EASYRTCID', 'Nobody to remove');
+    }
+
+    this.options.log('[' + peerId + '] Removed ' + targetPeerId + ' from room ' + roomName);
+    this.options.sendToPeer(targetPeerId, 'kicked', { by: peerId });
+    this.options.removePeer(targetPeerId);
+
+    return null;
+};
+
+/**
+ * Locks or unlocks the room of a moderator.
+ *
+ * @param {String} peerId - The peer ID of the moderator.
+ * @param {*} msgData - The 'room-lock' message, in its envelope.
+ * @returns {Object|null} The error (see RoomModeration.checkMessage), null on success.
+ * @private
+ */
+RoomModeration.prototype.lock = function(peerId, msgData) {
+    var roomName = this.peerRooms[peerId];
+    var room = this.rooms[roomName];
+    var content = unwrap(msgData);
+    if (content === null || typeof content.locked !== 'boolean') {
+        return makeError('MSG_REJECT_BAD_STRUCTURE', 'Invalid "room-lock" message');
+    }
+
+    if (room.locked !== content.locked) {
+        room.locked = content.locked;
+        this.options.log('[' + peerId + '] ' + (content.locked ? 'Locked' : 'Unlocked') + ' room ' + roomName);
+        this.broadcast(roomName);
+    }
+
+    return null;
+};
+
+/**
+ * Checks a peer message before it is relayed, carrying out the ones meant
+ * for the server (see the top of this file).
+ *
+ * @param {String} peerId - The peer ID of the sender.
+ * @param {String} msgType - The type of message.
+ * @param {*} msgData - The contents of the message, in their envelope.
+ * @param {String|undefined} targetPeerId - The recipient, undefined if sent to the room.
+ * @returns {Object} Object of the form:
+ *   {
+ *     error : Object|null (of the form { errorCode : String, errorText : String }, the message is rejected),
+ *     relay : Boolean (false if the server took care of the message)
+ *   }
+ * @public
+ */
+RoomModeration.prototype.checkMessage = function(peerId, msgType, msgData, targetPeerId) {
+    var isControl = (msgType === 'kick' || msgType === 'room-lock');
+    if (!isControl && kModeratorMessageTypes.indexOf(msgType) === -1) {
+        return { error: null, relay: true };
+    }
+
+    if (!this.isModerator(peerId)) {
+        this.options.log('[' + peerId + '] Rejected "' + msgType + '" from a user who does not moderate the room');
+        return {
+            error: makeError('MSG_REJECT_NOT_MODERATOR', 'Only moderators may send "' + msgType + '" messages'),
+            relay: false
+        };
+    }
+
+    if (!isControl) {
+        return { error: null, relay: true };
+    }
+
+    return {
+        error: (msgType === 'kick') ? this.kick(peerId, targetPeerId) : this.lock(peerId, msgData),
+        relay: false
+    };
+};
+
+module.exports = {
+    RoomModeration: RoomModeration
+};
@@ -0,0 +1,208 @@
+/**
+ * @file Who may join which room, shared by both rtcBackends (see server.js).
+ * A room holds at most maxParticipantsPerRoom users unless roomParticipantLimits
+ * names another limit for it. It is protected by a passcode if protectedRooms
+ * names one, or else if the first user to join it provided one. That passcode is
+ * forgotten once the room empties. Users joining with the moderator passcode of a
+ * room (see lib/moderation.js) get in even if it is protected or locked.
+ *
+ * Room names come from the users, so the rooms are kept in maps without a
+ * prototype: a room named "hasOwnProperty" or "__proto__" is just another room.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+/**
+ * Tells whether an object of the settings has a property of its own.
+ *
+ * @param {Object} object - The object.
+ * @param {String} name - The name of the property.
+ * @returns {Boolean} True if it does, false otherwise.
+ * @private
+ */
+var hasOwn = function(object, name) {
+    return Object.prototype.hasOwnProperty.call(object, name);
+};
+
+/**
+ * Compares two passcodes. The comparison is done on digests so that it takes constant time.
+ *
+ * @param {String} expected - The right passcode.
+ * @param {String|null} passcode - The passcode provided by the user.
+ * @returns {Boolean} True if they are the same, false otherwise.
+ * @public
+ */
+var passcodesMatch = function(expected, passcode) {
+    if (passcode === null) {
+        return false;
+    }
+
+    var digest = function(value) {
+        return crypto.createHash('sha256').update(value, 'utf8').digest();
+    };
+
+    return crypto.timingSafeEqual(digest(expected), digest(passcode));
+};
+
+/**
+ * Creates the checks of the room joins.
+ *
+ * @param {Object} options - Object of the form (see settings.json for the maps):
+ *   {
+ *     maxParticipantsPerRoom : Number,
+ *     roomParticipantLimits  : { roomName : String => limit : Number },
+ *     protectedRooms         : { roomName : String => passcode : String },
+ *     moderatorPasscodes     : { roomName : String => passcode : String },
+ *
+ *     // Tells whether the moderators of a room locked it (see RoomModeration.isLocked)
+ *     isLocked               : function(roomName : String) : Boolean
+ *   }
+ * @class
+ */
+var RoomAccess = function(options) {
+    // Stores the passcodes set by the first user to join a room as roomName : String => passcode : String
+    this.claimedPasscodes = Object.create(null);
+
+    this.options = options;
+
+    return this;
+};
+
+/**
+ * Gets the maximum amount of participants allowed in a room.
+ *
+ * @param {String} roomName - The RTC room name.
+ * @returns {Number} The participant limit for the room.
+ * @public
+ */
+RoomAccess.prototype.getParticipantLimit = function(roomName) {
+    var limits = this.options.roomParticipantLimits;
+    if (hasOwn(limits, roomName) && typeof limits[roomName] === 'number') {
+        return limits[roomName];
+    }
+
+    return this.options.maxParticipantsPerRoom;
+};
+
+/**
+ * Gets the passcode protecting a room.
+ *
+ * @param {String} roomName - The RTC room name.
+ * @returns {String|null} The passcode, or null if the room is not protected.
+ * @public
+ */
+RoomAccess.prototype.getPasscode = function(roomName) {
+    var protectedRooms = this.options.protectedRooms;
+    if (hasOwn(protectedRooms, roomName) && typeof protectedRooms[roomName] === 'string') {
+        return protectedRooms[roomName];
+    }
+
+    if (roomName in this.claimedPasscodes) {
+        return this.claimedPasscodes[roomName];
+    }
+
+    return null;
+};
+
+/**
+ * Checks whether a passcode is the moderator passcode of a room.
+ *
+ * @param {String} roomName - The RTC room name.
+ * @param {String|null} passcode - The passcode provided by the user.
+ * @returns {Boolean} True if it is, false otherwise (or if the room has no moderator passcode).
+ * @public
+ */
+RoomAccess.prototype.isModeratorPasscode = function(roomName, passcode) {
+    var moderatorPasscodes = this.options.moderatorPasscodes;
+    return (hasOwn(moderatorPasscodes, roomName) && typeof moderatorPasscodes[roomName] === 'string' &&
+            passcodesMatch(moderatorPasscodes[roomName], passcode));
+};
+
+/**
+ * Checks a passcode against the one protecting a room.
+ *
+ * @param {String} roomName - The RTC room name.
+ * @param {String|null} passcode - The passcode provided by the user.
+ * @returns {Boolean} True if the room is not protected or the passcode
+ * is correct (or is the moderator passcode), false otherwise.
+ * @public
+ */
+RoomAccess.prototype.isPasscodeValid = function(roomName, passcode) {
+    var expected = this.getPasscode(roomName);
+    if (expected === null) {
+        return true;
+    }
+
+    return passcodesMatch(expected, passcode) || this.isModeratorPasscode(roomName, passcode);
+};
+
+/**
+ * Determines whether a user may join a room.
+ *
+ * @param {String} roomName - The RTC room name.
+ * @param {String|null} passcode - The passcode provided by the user.
+ * @param {Number} occupantCount - The amount of participants already in the room.
+ * @returns {Object|null} An object of the form { errorCode: String, errorText: String }
+ * describing why the user cannot join, or null if they can.
+ * @public
+ */
+RoomAccess.prototype.getJoinError = function(roomName, passcode, occupantCount) {
+    if (!this.isPasscodeValid(roomName, passcode)) {
+        return {
+            errorCode: 'ROOM_BAD_PASSCODE',
+            errorText: 'Room "' + roomName + '" requires a passcode and the one provided is incorrect.'
+        };
+    }
+
+    if (this.options.isLocked(roomName) && !this.isModeratorPasscode(roomName, passcode)) {
+        return {
+            errorCode: 'ROOM_LOCKED',
+            errorText: 'Room "' + roomName + '" was locked by its moderators.'
+        };
+    }
+
+    var limit = this.getParticipantLimit(roomName);
+    if (occupantCount >= limit) {
+        return {
+            errorCode: 'ROOM_FULL',
+            errorText: 'Room "' + roomName + '" has reached its limit of ' + limit + ' participants.'
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Lets the first person to join an unprotected room protect it with their passcode
+ * (unless it is the moderator passcode of the room, which must stay secret).
+ *
+ * @param {String} roomName - The RTC room name.
+ * @param {String|null} passcode - The passcode provided by the user.
+ * @param {Number} occupantCount - The amount of participants in the room before the user joined.
+ * @returns {undefined} undefined
+ * @public
+ */
+RoomAccess.prototype.claimPasscode = function(roomName, passcode, occupantCount) {
+    if (this.getPasscode(roomName) === null && occupantCount === 0 && passcode !== null &&
+        !this.isModeratorPasscode(roomName, passcode)) {
+        this.claimedPasscodes[roomName] = passcode;
+    }
+};
+
+/**
+ * Forgets the passcode the first person to join a room set, once the room empties.
+ *
+ * @param {String} roomName - The RTC room name.
+ * @returns {undefined} undefined
+ * @public
+ */
+RoomAccess.prototype.forgetPasscode = function(roomName) {
+    delete this.claimedPasscodes[roomName];
+};
+
+module.exports = {
+    RoomAccess: RoomAccess,
+    passcodesMatch: passcodesMatch
+};
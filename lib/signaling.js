@@ -0,0 +1,398 @@
+/**
+ * @file Signaling server of the native backend (see public/js/backend-native.js),
+ * used instead of easyrtc when rtcBackend is "native" in settings.json. It
+ * keeps track of who is in which room, relays the WebRTC signals between
+ * two users of a room and the application messages (chat, media presence...)
+ * to a user or to a whole room. Media never goes through the server.
+ *
+ * Protocol (socket.io events, in the /signaling namespace):
+ *   client -> server
+ *     'join'    { userName, roomName, passcode }, ack(error, { peerId, peers, iceServers })
+ *     'signal'  { to : peerId, data : Object }
+ *     'message' { to : peerId | room : roomName, msgType : String, msgData : * }, ack(error)
+ *   server -> client
+ *     'peer-joined'    { peerId, userName }
+ *     'peer-left'      { peerId }
+ *     'signal'         { from : peerId, data : Object }
+ *     'message'        { from : peerId, msgType : String, msgData : * }
+ *     'server-message' { msgType : String, msgData : * } (sent by the server itself, see lib/moderation.js)
+ * where error is null or of the form { errorCode : String, errorText : String }.
+ *
+ * Room names are those easyrtc accepts (see kRoomNameRegExp), so that both
+ * rtcBackends serve the same rooms. They come from the users, so the rooms are
+ * kept in maps without a prototype: a room named "__proto__" is just another room.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var kNamespace = '/signaling';
+
+// Limits on what a client may send
+var kMaxUserNameLength = 64;
+var kMaxMsgTypeLength = 64;
+
+// The default roomNameRegExp of easyrtc
+var kRoomNameRegExp = /^[a-z0-9_.-]{1,32}$/i;
+
+/**
+ * Creates an error for an acknowledgement.
+ *
+ * @param {String} errorCode - The error code.
+ * @param {String} errorText - Description of the error.
+ * @returns {Object} An object of the form { errorCode: String, errorText: String }.
+ * @private
+ */
+var makeError = function(errorCode, errorText) {
+    return {
+        errorCode: errorCode,
+        errorText: errorText
+    };
+};
+
+/**
+ * Checks that a value is a non-empty string of bounded length.
+ *
+ * @param {*} value - The value to check.
+ * @param {Number} maxLength - Maximum length of the string.
+ * @returns {Boolean} True if it is, false otherwise.
+ * @private
+ */
+var isBoundedString = function(value, maxLength) {
+    return (typeof value === 'string' && value.length > 0 && value.length <= maxLength);
+};
+
+/**
+ * Checks the structure of a join request.
+ *
+ * @param {*} request - The request sent by the client.
+ * @returns {Boolean} True if it is of the form { userName, roomName, passcode }, false otherwise.
+ * @private
+ */
+var isValidJoinRequest = function(request) {
+    return (request !== null && typeof request === 'object' &&
+            isBoundedString(request.userName, kMaxUserNameLength) &&
+            typeof request.roomName === 'string' && kRoomNameRegExp.test(request.roomName));
+};
+
+/**
+ * Checks the structure of an application message.
+ *
+ * @param {*} msg - The message sent by the client.
+ * @returns {Boolean} True if it is of the form { msgType, msgData, to | room }, false otherwise.
+ * @private
+ */
+var isValidMessage = function(msg) {
+    return (msg !== null && typeof msg === 'object' && isBoundedString(msg.msgType, kMaxMsgTypeLength));
+};
+
+/**
+ * Calls a socket.io acknowledgement if the client asked for one.
+ *
+ * @param {*} ack - The acknowledgement callback passed by socket.io.
+ * @param {Array} args - Its arguments.
+ * @returns {undefined} undefined
+ * @private
+ */
+var acknowledge = function(ack, args) {
+    if (typeof ack === 'function') {
+        ack.apply(null, args);
+    }
+};
+
+/**
+ * Creates the signaling server.
+ *
+ * @param {Object} socketServer - The socket.io server.
+ * @param {Object} options - Object of the form:
+ *   {
+ *     // Returns the RTCIceServer entries handed out to a user
+ *     getIceServers : function(peerId : String) : Array<Object>,
+ *
+ *     // Returns why a user can't join a room (see RoomAccess.getJoinError in lib/rooms.js), null if they can
+ *     getJoinError  : function(roomName : String, passcode : String|null, occupantCount : Number) : Object|null,
+ *
+ *     // Called when a user joined a room, occupantCount not counting them
+ *     onJoin        : function(roomName : String, passcode : String|null, occupantCount : Number, peerId : String),
+ *
+ *     // Called when a user left a room
+ *     onLeave       : function(roomName : String, peerId : String),
+ *
+ *     // Called when the last user left a room
+ *     onRoomEmpty   : function(roomName : String),
+ *
+ *     // Checks a message before it is relayed (see RoomModeration.checkMessage in lib/moderation.js)
+ *     checkMessage  : function(peerId : String, msgType : String, msgData : *, to : String|undefined) : Object,
+ *
+ *     // Logs a message
+ *     log           : function(message : String)
+ *   }
+ * @class
+ */
+var SignalingServer = function(socketServer, options) {
+    var _this = this;
+
+    // Stores the rooms as roomName : String => { peerId : String => socket }
+    this.rooms = Object.create(null);
+
+    // Stores the sockets of the users in a room as peerId : String => socket
+    this.peers = Object.create(null);
+
+    this.options = options;
+
+    socketServer.of(kNamespace).on('connection', function(socket) {
+        _this.handleConnection(socket);
+    });
+
+    return this;
+};
+
+/**
+ * Sets up a client connection.
+ *
+ * @param {Object} socket - The socket.io socket of the client.
+ * @returns {undefined} undefined
+ * @private
+ */
+SignalingServer.prototype.handleConnection = function(socket) {
+    var _this = this;
+
+    // Set once the client joined a room
+    socket.peerId = null;
+    socket.roomName = null;
+
+    socket.on('join', function(request, ack) {
+        acknowledge(ack, _this.join(socket, request));
+    });
+
+    socket.on('signal', function(msg) {
+        if (msg !== null && typeof msg === 'object') {
+            _this.relaySignal(socket, msg.to, msg.data);
+        }
+    });
+
+    socket.on('message', function(msg, ack) {
+        acknowledge(ack, [_this.relayMessage(socket, msg)]);
+    });
+
+    socket.on('disconnect', function() {
+        _this.leave(socket);
+    });
+};
+
+/**
+ * Adds a client to a room.
+ *
+ * @param {Object} socket - The socket.io socket of the client.
+ * @param {*} request - The join request, of the form { userName, roomName, passcode }.
+ * @returns {Array} The arguments of the acknowledgement (see the top of this file).
+ * @private
+ */
+SignalingServer.prototype.join = function(socket, request) {
+    if (socket.roomName !== null) {
+        return [makeError('ALREADY_JOINED', 'Already in room ' + socket.roomName)];
+    }
+
+    if (!isValidJoinRequest(request)) {
+        return [makeError('MSG_REJECT_BAD_STRUCTURE', 'Invalid join request')];
+    }
+
+    var roomName = request.roomName;
+    var passcode = (typeof request.passcode === 'string' && request.passcode.length > 0) ? request.passcode : null;
+    var room = (roomName in this.rooms) ? this.rooms[roomName] : Object.create(null);
+    var occupantCount = Object.keys(room).length;
+
+    var joinError = this.options.getJoinError(roomName, passcode, occupantCount);
+    if (joinError !== null) {
+        this.options.log('Rejected join of room ' + roomName + ': ' + joinError.errorCode);
+        return [joinError];
+    }
+
+    var peerId = crypto.randomBytes(8).toString('hex');
+    var peers = {};
+    var otherIds = Object.keys(room);
+    for (var i = 0; i < otherIds.length; i++) {
+        var otherId = otherIds[i];
+        peers[otherId] = room[otherId].userName;
+        room[otherId].emit('peer-joined', {
+            peerId: peerId,
+            userName: request.userName
+        });
+    }
+
+    socket.peerId = peerId;
+    socket.roomName = roomName;
+    socket.userName = request.userName;
+    room[peerId] = socket;
+    this.rooms[roomName] = room;
+    this.peers[peerId] = socket;
+
+    this.options.onJoin(roomName, passcode, occupantCount, peerId);
+    this.options.log('[' + peerId + '] Joined room ' + roomName);
+
+    return [null, {
+        peerId: peerId,
+        peers: peers,
+        iceServers: this.options.getIceServers(peerId)
+    }];
+};
+
+/**
+ * Finds a user in the room of a client.
+ *
+ * @param {Object} socket - The socket.io socket of the client.
+ * @param {*} peerId - The peer ID of the user.
+ * @returns {Object|null} The socket of the user, null if they are not in the room of the client.
+ * @private
+ */
+SignalingServer.prototype.findPeer = function(socket, peerId) {
+    if (socket.roomName === null || typeof peerId !== 'string' || peerId === socket.peerId) {
+        return null;
+    }
+
+    var room = this.rooms[socket.roomName];
+    return (peerId in room) ? room[peerId] : null;
+};
+
+/**
+ * Relays a WebRTC signal to another user of the room.
+ *
+ * @param {Object} socket - The socket.io socket of the sender.
+ * @param {*} to - The peer ID of the recipient.
+ * @param {*} data - The signal.
+ * @returns {undefined} undefined
+ * @private
+ */
+SignalingServer.prototype.relaySignal = function(socket, to, data) {
+    var peer = this.findPeer(socket, to);
+    if (peer !== null && data !== null && typeof data === 'object') {
+        peer.emit('signal', {
+            from: socket.peerId,
+            data: data
+        });
+    }
+};
+
+/**
+ * Relays an application message to another user or to the whole room.
+ *
+ * @param {Object} socket - The socket.io socket of the sender.
+ * @param {*} msg - The message (see the top of this file).
+ * @returns {Object|null} The error (see the top of this file), null if relayed.
+ * @private
+ */
+SignalingServer.prototype.relayMessage = function(socket, msg) {
+    if (socket.roomName === null) {
+        return makeError('NOT_IN_ROOM', 'Join a room first');
+    }
+
+    if (!isValidMessage(msg)) {
+        return makeError('MSG_REJECT_BAD_STRUCTURE', 'Invalid message');
+    }
+
+    var to = (typeof msg.to === 'string') ? msg.to : undefined;
+    var check = this.options.checkMessage(socket.peerId, msg.msgType, msg.msgData, to);
+    if (!check.relay) {
+        return check.error;
+    }
+
+    var relayed = {
+        from: socket.peerId,
+        msgType: msg.msgType,
+        msgData: msg.msgData
+    };
+
+    if (typeof msg.to === 'string') {
+        var peer = this.findPeer(socket, msg.to);
+        if (peer === null) {
+            return makeError('MSG_REJECT_TARGET_EASYRTCID', msg.to + ' is not in the room');
+        }
+
+        peer.emit('message', relayed);
+        return null;
+    }
+
+    if (msg.room !== socket.roomName) {
+        return makeError('MSG_REJECT_TARGET_ROOM', 'Not in room ' + msg.room);
+    }
+
+    var room = this.rooms[socket.roomName];
+    for (var peerId in room) {
+        if (peerId !== socket.peerId) {
+            room[peerId].emit('message', relayed);
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Removes a client from its room (once it disconnected).
+ *
+ * @param {Object} socket - The socket.io socket of the client.
+ * @returns {undefined} undefined
+ * @private
+ */
+SignalingServer.prototype.leave = function(socket) {
+    if (socket.roomName === null) {
+        return;
+    }
+
+    var roomName = socket.roomName;
+    var room = this.rooms[roomName];
+    delete room[socket.peerId];
+    delete this.peers[socket.peerId];
+
+    var peerIds = Object.keys(room);
+    for (var i = 0; i < peerIds.length; i++) {
+        room[peerIds[i]].emit('peer-left', {
+            peerId: socket.peerId
+        });
+    }
+
+    this.options.log('[' + socket.peerId + '] Left room ' + roomName);
+    socket.roomName = null;
+    this.options.onLeave(roomName, socket.peerId);
+
+    if (peerIds.length === 0) {
+        delete this.rooms[roomName];
+        this.options.onRoomEmpty(roomName);
+    }
+};
+
+/**
+ * Sends a message of the server to a user.
+ *
+ * @param {String} peerId - The peer ID of the user.
+ * @param {String} msgType - The type of message.
+ * @param {*} msgData - The contents of the message.
+ * @returns {undefined} undefined
+ * @public
+ */
+SignalingServer.prototype.sendToPeer = function(peerId, msgType, msgData) {
+    if (peerId in this.peers) {
+        this.peers[peerId].emit('server-message', {
+            msgType: msgType,
+            msgData: msgData
+        });
+    }
+};
+
+/**
+ * Disconnects a user, who then leaves their room.
+ *
+ * @param {String} peerId - The peer ID of the user.
+ * @returns {undefined} undefined
+ * @public
+ */
+SignalingServer.prototype.removePeer = function(peerId) {
+    if (peerId in this.peers) {
+        // NOTE: Messages emitted before still reach the client, the disconnection comes after them
+        this.peers[peerId].disconnect();
+    }
+};
+
+module.exports = {
+    SignalingServer: SignalingServer
+};
@@ -0,0 +1,349 @@
+/**
+ * @file Stores client telemetry (see ErrorMetric in public/js/error.js)
+ * as newline-delimited JSON. The log file is rotated once it grows past
+ * a configured size: telemetry.log becomes telemetry.log.1, telemetry.log.1
+ * becomes telemetry.log.2 and so on, up to a configured amount of files.
+ *
+ * Anybody can upload telemetry, so the server limits how many entries a client
+ * (an IP address) may upload per minute (see RateLimiter), and the log is written
+ * asynchronously, off the request path.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+// Severity levels the client is allowed to send
+var kSeverities = ['debug', 'info', 'warning', 'error'];
+
+// Limits on what a single batch may contain
+var kMaxEntriesPerBatch = 50;
+var kMaxMessageLength = 4096;
+var kMaxIdLength = 64;
+
+// Times further than this from the epoch (in milliseconds) are out of the range of Date
+var kMaxTime = 8.64e15;
+
+// Length (in milliseconds) of a rate limiting window
+var kRateLimitWindow = 60 * 1000;
+
+/**
+ * Truncates a value to a string of bounded length.
+ *
+ * @param {*} value - The value to clean up.
+ * @param {Number} maxLength - Maximum length of the result.
+ * @returns {String|null} The truncated string, or null if
+ * value is not a string.
+ * @private
+ */
+var boundedString = function(value, maxLength) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    return value.substring(0, maxLength);
+};
+
+/**
+ * Checks the structure of a single uploaded entry.
+ *
+ * @param {*} entry - The entry to check.
+ * @returns {Boolean} True if the entry is of the form
+ * { time : Number, severity : String, message : String }
+ * with a valid time and a known severity, false otherwise.
+ * @private
+ */
+var isValidEntry = function(entry) {
+    return (entry !== null && typeof entry === 'object' &&
+            typeof entry.time === 'number' && Math.abs(entry.time) <= kMaxTime &&
+            typeof entry.message === 'string' &&
+            kSeverities.indexOf(entry.severity) !== -1);
+};
+
+/**
+ * Creates a log record.
+ *
+ * @param {Object} context - Fields shared by all records of a batch.
+ * @param {String} time - ISO 8601 time of the event.
+ * @param {String} severity - Severity level.
+ * @param {String} message - The logged message.
+ * @returns {Object} The log record.
+ * @private
+ */
+var makeRecord = function(context, time, severity, message) {
+    return {
+        receivedAt: context.receivedAt,
+        ip: context.ip,
+        userAgent: context.userAgent,
+        sessionId: context.sessionId,
+        peerId: context.peerId,
+        roomName: context.roomName,
+        time: time,
+        severity: severity,
+        message: message
+    };
+};
+
+/**
+ * Converts a batch uploaded by a client into log records, keeping only the
+ * fields we know about.
+ *
+ * @param {Object} batch - The uploaded batch of the form:
+ *   {
+ *     sessionId : String,
+ *     peerId    : String | null,
+ *     roomName  : String | null,
+ *     dropped   : Number,
+ *     entries   : Array({ time : Number, severity : String, message : String })
+ *   }
+ * @param {Object} source - Details about the uploader of the form:
+ *   {
+ *     ip        : String,
+ *     userAgent : String
+ *   }
+ * @returns {Array<Object>|null} The records to write, or null if the
+ * batch is malformed.
+ * @public
+ */
+var parseBatch = function(batch, source) {
+    if (batch === null || typeof batch !== 'object' ||
+        typeof batch.sessionId !== 'string' || !Array.isArray(batch.entries) ||
+        batch.entries.length > kMaxEntriesPerBatch) {
+        return null;
+    }
+
+    var context = {
+        receivedAt: new Date().toISOString(),
+        ip: source.ip,
+        userAgent: boundedString(source.userAgent, kMaxMessageLength),
+        sessionId: boundedString(batch.sessionId, kMaxIdLength),
+        peerId: boundedString(batch.peerId, kMaxIdLength),
+        roomName: boundedString(batch.roomName, kMaxIdLength)
+    };
+
+    var records = [];
+    for (var i = 0; i < batch.entries.length; i++) {
+        var entry = batch.entries[i];
+        if (!isValidEntry(entry)) {
+            return null;
+        }
+
+        records.push(makeRecord(context, new Date(entry.time).toISOString(), entry.severity,
+                                boundedString(entry.message, kMaxMessageLength)));
+    }
+
+    // Let us know that the client had to throw away entries because of its rate limit
+    if (typeof batch.dropped === 'number' && batch.dropped > 0) {
+        records.push(makeRecord(context, context.receivedAt, 'warning',
+                                'Client dropped ' + Math.floor(batch.dropped) + ' entries because of rate limiting'));
+    }
+
+    return records;
+};
+
+/**
+ * Creates a limit on the amount of entries each client may upload per minute.
+ * Like the client (see ErrorMetric._takeRateLimitToken), it counts entries in
+ * fixed windows of a minute.
+ *
+ * @param {Object} options - Configuration object of the form:
+ *   {
+ *     maxEntriesPerMinute : Number
+ *   }
+ * @class
+ */
+var RateLimiter = function(options) {
+    // Start of the current window (null until the first upload) and the amount of entries each client
+    // uploaded in it as key : String => count : Number (the keys are IP addresses, hence no prototype)
+    this.windowStart = null;
+    this.counts = Object.create(null);
+
+    this.options = options;
+
+    return this;
+};
+
+/**
+ * Starts a new window if the current one is over, forgetting every client.
+ *
+ * @param {Number} now - The current time (in milliseconds since the epoch).
+ * @returns {undefined} undefined
+ * @private
+ */
+RateLimiter.prototype.updateWindow = function(now) {
+    if (this.windowStart === null || now - this.windowStart >= kRateLimitWindow) {
+        this.windowStart = now;
+        this.counts = Object.create(null);
+    }
+};
+
+/**
+ * Tells whether a client used up its entries for the current window.
+ *
+ * @param {String} key - Identifies the client.
+ * @param {Number} now - The current time (in milliseconds since the epoch).
+ * @returns {Boolean} True if it did, false otherwise.
+ * @public
+ */
+RateLimiter.prototype.isLimited = function(key, now) {
+    this.updateWindow(now);
+    return (key in this.counts && this.counts[key] >= this.options.maxEntriesPerMinute);
+};
+
+/**
+ * Counts entries uploaded by a client, unless they would take it over the limit.
+ *
+ * @param {String} key - Identifies the client.
+ * @param {Number} count - The amount of entries.
+ * @param {Number} now - The current time (in milliseconds since the epoch).
+ * @returns {Boolean} True if the entries may be stored, false if they are
+ * over the limit (in which case the client is turned away until the next window).
+ * @public
+ */
+RateLimiter.prototype.take = function(key, count, now) {
+    this.updateWindow(now);
+
+    var used = (key in this.counts) ? this.counts[key] : 0;
+    if (used + count > this.options.maxEntriesPerMinute) {
+        this.counts[key] = this.options.maxEntriesPerMinute;
+        return false;
+    }
+
+    this.counts[key] = used + count;
+    return true;
+};
+
+/**
+ * Creates a rotating newline-delimited JSON log.
+ *
+ * @param {Object} options - Configuration object of the form:
+ *   {
+ *     logFile     : String,
+ *     maxFileSize : Number (in bytes),
+ *     maxFiles    : Number (amount of rotated files to keep)
+ *   }
+ * @class
+ */
+var TelemetryLog = function(options) {
+    var _logFile = path.resolve(options.logFile);
+    var _size = 0;
+
+    // Data waiting to be appended as { data : String, doneFn : function(err : Error|null) },
+    // and whether an append is in progress
+    var _queue = [];
+    var _writing = false;
+
+    fs.mkdirSync(path.dirname(_logFile), { recursive: true });
+    if (fs.existsSync(_logFile)) {
+        _size = fs.statSync(_logFile).size;
+    }
+
+    /**
+     * Rotates the log files, discarding the oldest one.
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    var _rotate = function() {
+        for (var i = options.maxFiles - 1; i >= 1; i--) {
+            var older = _logFile + '.' + i;
+            if (fs.existsSync(older)) {
+                fs.renameSync(older, _logFile + '.' + (i + 1));
+            }
+        }
+
+        // Renaming on top of the oldest file discards it
+        if (options.maxFiles > 0) {
+            fs.renameSync(_logFile, _logFile + '.1');
+        } else {
+            fs.unlinkSync(_logFile);
+        }
+
+        _size = 0;
+    };
+
+    /**
+     * Appends the queued data to the log in a single write, rotating it first if needed,
+     * then does the same with whatever was queued in the meantime.
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    var _flush = function() {
+        if (_writing || _queue.length === 0) {
+            return;
+        }
+
+        var pending = _queue;
+        var data = pending.map(function(item) {
+            return item.data;
+        }).join('');
+
+        _queue = [];
+        _writing = true;
+
+        var done = function(err) {
+            _writing = false;
+            pending.forEach(function(item) {
+                item.doneFn(err);
+            });
+
+            _flush();
+        };
+
+        if (_size > 0 && _size + Buffer.byteLength(data) > options.maxFileSize) {
+            try {
+                _rotate();
+            } catch (e) {
+                done(e);
+                return;
+            }
+        }
+
+        fs.appendFile(_logFile, data, function(err) {
+            if (!err) {
+                _size += Buffer.byteLength(data);
+            }
+
+            done(err || null);
+        });
+    };
+
+    /**
+     * Queues records to be appended to the log (asynchronously, in order).
+     *
+     * @param {Array<Object>} records - JSON-able records, one per line.
+     * @param {Function} doneFn - Called once they are written (optional). It's of the
+     * form: function(err : Error|null)
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.write = function(records, doneFn) {
+        if (doneFn === undefined) {
+            doneFn = function() {};
+        }
+
+        if (records.length === 0) {
+            setImmediate(doneFn, null);
+            return;
+        }
+
+        _queue.push({
+            data: records.map(function(record) {
+                return JSON.stringify(record) + '\n';
+            }).join(''),
+            doneFn: doneFn
+        });
+
+        _flush();
+    };
+
+    return this;
+};
+
+module.exports = {
+    parseBatch: parseBatch,
+    RateLimiter: RateLimiter,
+    TelemetryLog: TelemetryLog
+};
@@ -0,0 +1,129 @@
+/**
+ * @file Generates short-lived TURN credentials. This implements the
+ * "TURN REST API" scheme understood by coturn (use-auth-secret): the
+ * user name is the expiry timestamp joined to a user ID and the password
+ * is the base64 HMAC-SHA1 of the user name keyed with a secret shared with
+ * the TURN server. The TURN server can therefore validate the credentials
+ * without ever talking to us.
+ *
+ * @see https://tools.ietf.org/html/draft-uberti-behave-turn-rest-00
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+// By default, credentials are valid for 6 hours. This should outlast any meeting
+// while making leaked credentials useless by the next day.
+var kDefaultTtl = 6 * 60 * 60;
+
+/**
+ * Checks that a list only contains TURN URLs.
+ *
+ * @param {Array<*>} urls - The list to check.
+ * @returns {Boolean} True if the list is non-empty and only
+ * contains turn: and turns: URLs, false otherwise.
+ * @private
+ */
+var isTurnUrlList = function(urls) {
+    if (urls.length === 0) {
+        return false;
+    }
+
+    for (var i = 0; i < urls.length; i++) {
+        if (typeof urls[i] !== 'string' || !/^turns?:/.test(urls[i])) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Validates a TURN configuration object of the form:
+ *   {
+ *     urls   : String | Array(String),
+ *     secret : String,
+ *     ttl    : Number (optional, in seconds)
+ *   }
+ *
+ * @param {Object} config - TURN configuration object.
+ * @returns {String|null} A description of the problem if
+ * the config is invalid, null otherwise.
+ * @public
+ */
+var validateConfig = function(config) {
+    if (config === null || typeof config !== 'object') {
+        return 'expected an object';
+    }
+
+    if (!isTurnUrlList([].concat(config.urls))) {
+        return '"urls" must be a list of turn: or turns: URLs';
+    }
+
+    if (typeof config.secret !== 'string' || config.secret.length === 0) {
+        return '"secret" must be a non-empty string';
+    }
+
+    if (config.ttl !== undefined && (typeof config.ttl !== 'number' || config.ttl <= 0)) {
+        return '"ttl" must be a positive number of seconds';
+    }
+
+    return null;
+};
+
+/**
+ * Creates a user name and password pair for the TURN server.
+ *
+ * @param {String} secret - The secret shared with the TURN server.
+ * @param {String} userId - Identifies who the credentials were issued to.
+ * @param {Number} ttl - Number of seconds the credentials stay valid.
+ * @param {Number} now - Current time in milliseconds since the epoch.
+ * @returns {Object} An object of the form { username: String, credential: String }.
+ * @public
+ */
+var createCredentials = function(secret, userId, ttl, now) {
+    var expiry = Math.floor(now / 1000) + ttl;
+    var username = expiry + ':' + userId;
+
+    return {
+        username: username,
+        credential: crypto.createHmac('sha1', secret).update(username).digest('base64')
+    };
+};
+
+/**
+ * Builds the ICE server entries (in the RTCIceServer format) for the
+ * TURN servers of a configuration validated by `validateConfig()`.
+ *
+ * @param {Object} config - TURN configuration object.
+ * @param {String} userId - Identifies who the credentials are issued to.
+ * @param {Number} now - Current time in milliseconds since the epoch.
+ * Defaults to `Date.now()`.
+ * @returns {Array<Object>} ICE server entries with fresh credentials.
+ * @public
+ */
+var getIceServers = function(config, userId, now) {
+    var ttl = config.ttl;
+    if (ttl === undefined) {
+        ttl = kDefaultTtl;
+    }
+
+    if (now === undefined) {
+        now = Date.now();
+    }
+
+    var credentials = createCredentials(config.secret, userId, ttl, now);
+
+    return [{
+        urls: [].concat(config.urls),
+        username: credentials.username,
+        credential: credentials.credential
+    }];
+};
+
+module.exports = {
+    validateConfig: validateConfig,
+    createCredentials: createCredentials,
+    getIceServers: getIceServers
+};
@@ -5,7 +5,10 @@
  * @requires module:js/error
  * @requires module:js/navbar
  *
- * This is currently an experimental feature that can be enabled/disabled.
+ * The levels it broadcasts feed the active speaker detection (see
+ * public/js/speaker.js), so it is always loaded. Showing the meters of
+ * the viewports is an experimental feature that can be enabled/disabled
+ * (see enableAudioMeter in settings.json).
  *
  * Because of problems with Chrome's WebAudio/WebRTC implementation, we are
  * currently using socket.io to alert the other callers of our sound state.
@@ -100,6 +103,84 @@ var AudioMeter = {
         }
     },
 
+    /**
+     * Computes the audio power of a buffer of samples.
+     *
+     * @param {Object} buffer - AudioBuffer instance.
+     * @returns {Number|null} Root mean square (measure of
+     * audio power), null if the buffer has no channels.
+     * @private
+     */
+    _computeRms: function(buffer) {
+        if (buffer.numberOfChannels === 0) {
+            return null;
+        }
+
+        var inputData = buffer.getChannelData(0);
+        var inputDataLength = inputData.length;
+        var total = 0;
+
+        // We calculate the average of every X to prevent CPU fans from kicking in
+        // on laptops!
+        for (var i = 0; i < inputDataLength; i += kSampleAverageInterval) {
+            total += Math.abs(inputData[i]);
+        }
+
+        return Math.sqrt((kSampleAverageInterval * total) / inputDataLength);
+    },
+
+    /**
+     * Measures the audio power of a local MediaStream and shows it in
+     * a fill meter. This does not need AudioMeter.init() to be called.
+     *
+     * @param {Object} stream - MediaStream instance containing
+     * the audio of the user.
+     * @param {Object} meterFillElem - HTML `<div>` element
+     * representing the decibel amount (0 to 100%)
+     * @param {Function} rmsFn - Optional callback that gets passed
+     * every measurement.
+     * @returns {Object} A handle to pass to AudioMeter.stopMonitoring.
+     * @public
+     */
+    monitor: function(stream, meterFillElem, rmsFn) {
+        var _this = this;
+        var audioContext = new AudioContext();
+        var mediaStreamSource = audioContext.createMediaStreamSource(stream);
+        var processor = audioContext.createScriptProcessor(kSampleSize, 1, 1);
+
+        mediaStreamSource.connect(processor);
+        processor.connect(audioContext.destination);
+
+        processor.onaudioprocess = function(evt) {
+            var rms = _this._computeRms(evt.inputBuffer);
+            if (rms !== null) {
+                _this._animateFillMeter(meterFillElem, rms);
+
+                if (rmsFn !== undefined) {
+                    rmsFn(rms);
+                }
+            }
+        };
+
+        return {
+            audioContext: audioContext,
+            streamSource: mediaStreamSource,
+            processor: processor
+        };
+    },
+
+    /**
+     * Stops measuring a stream started with AudioMeter.monitor.
+     *
+     * @param {Object} handle - The handle returned by AudioMeter.monitor.
+     * @returns {undefined} undefined
+     * @public
+     */
+    stopMonitoring: function(handle) {
+        handle.streamSource.disconnect(handle.processor);
+        handle.audioContext.close();
+    },
+
     /**
      * Creates a new AudioMeter for the MediaStream for
      * a given peerId.
@@ -117,9 +198,7 @@ var AudioMeter = {
      */
     create: function(peerId, stream, meterFillElem, isLocalStream) {
         var _this = this;
-        var audioContext = null;
-        var mediaStreamSource = null;
-        var processor = null;
+        var monitor = null;
         var eventListenerId = null;
 
         var _broadcastRms = function(rms) {
@@ -131,40 +210,16 @@ var AudioMeter = {
         };
 
         if (isLocalStream !== undefined && isLocalStream) {
-            audioContext = new AudioContext();
-            mediaStreamSource = audioContext.createMediaStreamSource(stream);
-            processor = audioContext.createScriptProcessor(kSampleSize, 1, 1);
-
-            mediaStreamSource.connect(processor);
-            processor.connect(audioContext.destination);
-
-            processor.onaudioprocess = function(evt) {
-                var buffer = evt.inputBuffer;
-                if (buffer.numberOfChannels > 0) {
-                    var inputData = buffer.getChannelData(0);
-                    var inputDataLength = inputData.length;
-                    var total = 0;
-
-                    // We calculate the average of every X to prevent CPU fans from kicking in
-                    // on laptops!
-                    for (var i = 0; i < inputDataLength; i += kSampleAverageInterval) {
-                        total += Math.abs(inputData[i]);
-                    }
-
-                    var rms = Math.sqrt((kSampleAverageInterval * total) / inputDataLength);
-                    _this._animateFillMeter(meterFillElem, rms);
-
-                    // Only send our rms data if we are not muted.
-                    if (NavBar.micBtn.isSelected() && rms > kBroadcastRMSThreshold) {
-                        _broadcastRms(rms);
-                    }
+            monitor = this.monitor(stream, meterFillElem, function(rms) {
+                // Only send our rms data if we are not muted.
+                if (NavBar.micBtn.isSelected() && rms > kBroadcastRMSThreshold) {
+                    _broadcastRms(rms);
                 }
-            };
+            });
         }
 
         this._map[peerId] = {
-            streamSource: mediaStreamSource,
-            processor: processor,
+            monitor: monitor,
             fillMeter: meterFillElem,
             eventListenerId: eventListenerId
         };
@@ -181,8 +236,8 @@ var AudioMeter = {
      */
     destroy: function(peerId) {
         var item = this._map[peerId];
-        if (item.streamSource !== null && item.processor !== null) {
-            item.streamSource.disconnect(item.processor);
+        if (item.monitor !== null) {
+            this.stopMonitoring(item.monitor);
         }
 
         if (item.eventListenerId !== null) {
@@ -190,6 +245,22 @@ var AudioMeter = {
         }
 
         delete this._map[peerId];
+    },
+
+    /**
+     * Destroys every AudioMeter, used when leaving the room.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    finalize: function() {
+        for (var peerId in this._map) {
+            if (this._map.hasOwnProperty(peerId)) {
+                this.destroy(peerId);
+            }
+        }
+
+        this._client = null;
     }
 };
 
@@ -0,0 +1,447 @@
+/**
+ * @file The easyrtc implementation of VTCBackend (see the top of vtc.js
+ * for the interface). The server side is the easyrtc server set up in
+ * server.js.
+ *
+ * @requires module:easyrtc
+ * @requires module:js/error
+ */
+
+'use strict';
+
+var VTCBackend = {
+    name: 'easyrtc',
+
+    config: {
+        // The easyrtc application name
+        appName: 'tubertc',
+
+        // Time (in milliseconds) easyrtc.disconnect() needs to drop the socket. easyrtc.connect()
+        // does nothing while the old socket is still around.
+        disconnectDelay: 300,
+
+        // Every call opens a negotiated data channel with this label and id so that it
+        // carries an SCTP association (which VTCClient.openDataChannel needs). easyrtc's
+        // own data channel is left off: messages on it would bypass the server.
+        channelLabel: 'tubertc',
+        channelId: 0
+    },
+
+    // easyrtc.createRTCPeerConnection before VTCBackend._openChannelOnCalls replaced it
+    _createRTCPeerConnection: null,
+
+    /**
+     * Checks browser support for the WebRTC API.
+     *
+     * @returns {Boolean} True if WebRTC is supported, false otherwise.
+     * @public
+     */
+    isSupported: function() {
+        return easyrtc.supportsGetUserMedia() && easyrtc.supportsPeerConnections();
+    },
+
+    /**
+     * Lists the media devices.
+     *
+     * @param {Function} devicesFn - Called with the devices (see VTCCore.getDevices).
+     * @returns {undefined} undefined
+     * @public
+     */
+    getDevices: function(devicesFn) {
+        easyrtc.getAudioSourceList(function(audioInputs) {
+            easyrtc.getVideoSourceList(function(videoInputs) {
+                easyrtc.getAudioSinkList(function(audioOutputs) {
+                    devicesFn({
+                        audioInputs: audioInputs,
+                        videoInputs: videoInputs,
+                        audioOutputs: audioOutputs
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Acquires the camera and microphone, releasing the media acquired before (if any).
+     *
+     * @param {Object} config - See VTCCore.acquireMedia.
+     * @param {Function} successFn - Called with the local MediaStream.
+     * @param {Function} failureFn - It's of the form: function(errorCode : String, errorText : String)
+     * @returns {undefined} undefined
+     * @public
+     */
+    acquireMedia: function(config, successFn, failureFn) {
+        if (easyrtc.getLocalStream() !== null) {
+            easyrtc.closeLocalMediaStream();
+        }
+
+        easyrtc.enableVideo(config.video);
+        easyrtc.enableAudio(config.audio);
+
+        if (config.videoInputId !== undefined) {
+            easyrtc.setVideoSource(config.videoInputId);
+        }
+
+        if (config.audioInputId !== undefined) {
+            easyrtc.setAudioSource(config.audioInputId);
+        }
+
+        easyrtc.initMediaSource(successFn, failureFn);
+    },
+
+    /**
+     * Returns the camera and microphone stream.
+     *
+     * @returns {Object} The MediaStream, null if no media was acquired.
+     * @public
+     */
+    getLocalStream: function() {
+        return easyrtc.getLocalStream();
+    },
+
+    /**
+     * Stops the camera and microphone.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    releaseMedia: function() {
+        if (easyrtc.getLocalStream() !== null) {
+            easyrtc.closeLocalMediaStream();
+        }
+    },
+
+    /**
+     * Remembers the device to use the next time media is acquired.
+     *
+     * @param {String} kind - Either 'audio' or 'video'.
+     * @param {String} deviceId - The ID of the device, null for the default device.
+     * @returns {undefined} undefined
+     * @public
+     */
+    setMediaSource: function(kind, deviceId) {
+        if (kind === 'audio') {
+            easyrtc.setAudioSource(deviceId);
+        } else {
+            easyrtc.setVideoSource(deviceId);
+        }
+    },
+
+    /**
+     * Enables or disables the camera.
+     *
+     * @param {Boolean} state - The new state of the camera.
+     * @returns {undefined} undefined
+     * @public
+     */
+    enableCamera: function(state) {
+        easyrtc.enableCamera(state);
+    },
+
+    /**
+     * Enables or disables the microphone.
+     *
+     * @param {Boolean} state - The new state of the microphone.
+     * @returns {undefined} undefined
+     * @public
+     */
+    enableMicrophone: function(state) {
+        easyrtc.enableMicrophone(state);
+    },
+
+    /**
+     * Sets the handler of an event, replacing the previous one.
+     *
+     * @param {String} event - The event (see the top of vtc.js).
+     * @param {Function} handlerFn - The handler (see the top of vtc.js for its arguments).
+     * @returns {undefined} undefined
+     * @public
+     */
+    on: function(event, handlerFn) {
+        if (event === 'error') {
+            easyrtc.setOnError(function(errorObject) {
+                handlerFn(errorObject.errorCode, errorObject.errorText);
+            });
+        } else if (event === 'peerMessage') {
+            easyrtc.setPeerListener(handlerFn);
+        } else if (event === 'streamAccept') {
+            easyrtc.setStreamAcceptor(handlerFn);
+        } else if (event === 'streamClose') {
+            easyrtc.setOnStreamClosed(handlerFn);
+        } else if (event === 'disconnect') {
+            easyrtc.setDisconnectListener(handlerFn);
+        } else if (event === 'peerClosed') {
+            easyrtc.setPeerClosedListener(handlerFn);
+        } else if (event === 'serverMessage') {
+            // Messages without a sender (see lib/moderation.js)
+            easyrtc.setServerListener(function(msgType, msgData) {
+                handlerFn(msgType, msgData);
+            });
+        } else {
+            ErrorMetric.log('VTCBackend.on => unknown event "' + event + '"');
+        }
+    },
+
+    /**
+     * Checks whether a user name is acceptable.
+     *
+     * @param {String} userName - The user name.
+     * @returns {Boolean} True if it is, false otherwise.
+     * @public
+     */
+    isValidUserName: function(userName) {
+        return easyrtc.isNameValid(userName);
+    },
+
+    /**
+     * Makes easyrtc open the channel of config.channelLabel on every peer connection it
+     * creates, before its offer or answer is made (both users open it, see
+     * VTCClient.openDataChannel).
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    _openChannelOnCalls: function() {
+        if (this._createRTCPeerConnection !== null) {
+            return;
+        }
+
+        var _this = this;
+        this._createRTCPeerConnection = easyrtc.createRTCPeerConnection;
+
+        easyrtc.createRTCPeerConnection = function(pcConfig, pcConstraints) {
+            var pc = _this._createRTCPeerConnection.call(easyrtc, pcConfig, pcConstraints);
+            try {
+                pc.createDataChannel(_this.config.channelLabel, {
+                    negotiated: true,
+                    id: _this.config.channelId
+                });
+            } catch (e) {
+                ErrorMetric.log('VTCBackend._openChannelOnCalls => failed to open "' +
+                                _this.config.channelLabel + '"');
+                ErrorMetric.log('                                => ' + e);
+            }
+
+            return pc;
+        };
+    },
+
+    /**
+     * Connects to the signaling server and joins a room.
+     *
+     * @param {Object} session - Of the form { userName : String, roomName : String, passcode : String }.
+     * @param {Function} successFn - It's of the form: function(myId : String)
+     * @param {Function} failureFn - It's of the form:
+     * function(errorCode : String, errorText : String, joinFailed : Boolean)
+     * @param {Function} occupantsFn - Called once with the users that were in the room
+     * before us. It's of the form: function(peerIds : Array<String>)
+     * @returns {undefined} undefined
+     * @public
+     */
+    connect: function(session, successFn, failureFn, occupantsFn) {
+        easyrtc.setUsername(session.userName);
+
+        this._openChannelOnCalls();
+
+        // The server checks the passcode of the room we are about to join while authenticating
+        easyrtc.setCredential({
+            roomName: session.roomName,
+            passcode: session.passcode
+        });
+
+        easyrtc.setRoomOccupantListener(function(roomName, peerList) {
+            if (roomName !== session.roomName) {
+                // NOTE: Ignore if the room name is not the one we requested
+                return;
+            }
+
+            easyrtc.setRoomOccupantListener(null);
+            occupantsFn(Object.keys(peerList));
+        });
+
+        easyrtc.connect(this.config.appName, function(myId) {
+            easyrtc.joinRoom(session.roomName, null, function() {
+                successFn(myId);
+            }, function(errorCode, errorText, roomName) {
+                ErrorMetric.log('easyrtc.joinRoom => failed to join room ' + roomName);
+                ErrorMetric.log('                 => ' + errorCode + ': ' + errorText);
+
+                failureFn(errorCode, errorText, true);
+            });
+        }, function(errorCode, errorText) {
+            ErrorMetric.log('easyrtc.connect => failed to connect');
+            ErrorMetric.log('                => ' + errorCode + ': ' + errorText);
+
+            failureFn(errorCode, errorText, false);
+        });
+    },
+
+    /**
+     * Drops the connection to the signaling server (e.g. after it was lost,
+     * before connecting again).
+     *
+     * @param {Function} doneFn - Called once VTCBackend.connect can be called again.
+     * It takes no arguments.
+     * @returns {undefined} undefined
+     * @public
+     */
+    disconnect: function(doneFn) {
+        // easyrtc keeps the dropped socket around and refuses to connect until it is gone
+        easyrtc.disconnect();
+        setTimeout(doneFn, this.config.disconnectDelay);
+    },
+
+    /**
+     * Hangs up every call, leaves the room and disconnects from the signaling server.
+     *
+     * @param {String} roomName - The room we are in.
+     * @returns {undefined} undefined
+     * @public
+     */
+    leave: function(roomName) {
+        easyrtc.hangupAll();
+        easyrtc.leaveRoom(roomName);
+        easyrtc.disconnect();
+    },
+
+    /**
+     * Calls another user in the room.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {Function} failureFn - It's of the form: function(errorCode : String, errorText : String)
+     * @returns {undefined} undefined
+     * @public
+     */
+    call: function(peerId, failureFn) {
+        easyrtc.call(peerId, null, failureFn, null);
+    },
+
+    /**
+     * Lists the other users in a room.
+     *
+     * @param {String} roomName - The room.
+     * @returns {Array<String>} Their peer IDs.
+     * @public
+     */
+    getRoomOccupants: function(roomName) {
+        var occupants = easyrtc.getRoomOccupantsAsMap(roomName);
+        if (occupants === undefined || occupants === null) {
+            return [];
+        }
+
+        return Object.keys(occupants).filter(function(peerId) {
+            return peerId !== easyrtc.myEasyrtcid;
+        });
+    },
+
+    /**
+     * Returns the status of the call to another user.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {String} One of NOT_CONNECTED | BECOMING_CONNECTED | IS_CONNECTED.
+     * @public
+     */
+    getConnectStatus: function(peerId) {
+        var status = easyrtc.getConnectStatus(peerId);
+        if (status === easyrtc.IS_CONNECTED) {
+            return 'IS_CONNECTED';
+        } else if (status === easyrtc.BECOMING_CONNECTED) {
+            return 'BECOMING_CONNECTED';
+        }
+
+        return 'NOT_CONNECTED';
+    },
+
+    /**
+     * Translates a peer ID to a user name.
+     *
+     * @param {String} peerId - The peer ID.
+     * @returns {String} The user name, the peer ID itself if unknown.
+     * @public
+     */
+    idToName: function(peerId) {
+        return easyrtc.idToName(peerId);
+    },
+
+    /**
+     * Returns the connection to another user.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {Object} The RTCPeerConnection, null if there is no call to peerId.
+     * @public
+     */
+    getPeerConnection: function(peerId) {
+        var pc = easyrtc.getPeerConnectionByUserId(peerId);
+        return (pc === undefined) ? null : pc;
+    },
+
+    /**
+     * Sends a message through the signaling server.
+     *
+     * @param {Object} dest - Either { rtcId : String } or { room : String }.
+     * @param {String} msgType - Type of message (specific to the application).
+     * @param {Object} msgData - Message contents (must be JSON-able).
+     * @param {Function} successFn - It's of the form: function(msgType : String, msgData : Object)
+     * @param {Function} failureFn - It's of the form: function(errorCode : String, errorText : String)
+     * @returns {Boolean} False if we are not connected to the signaling server, true otherwise.
+     * @public
+     */
+    sendPeerMessage: function(dest, msgType, msgData, successFn, failureFn) {
+        var target = (dest.rtcId !== undefined) ? { targetEasyrtcid: dest.rtcId } : { targetRoom: dest.room };
+
+        try {
+            easyrtc.sendPeerMessage(target, msgType, msgData, successFn, failureFn);
+        } catch (e) {
+            // NOTE: easyrtc throws if there is no connection to the signaling server
+            return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Caps the video bitrate of the calls made from now on.
+     *
+     * @param {Number} kbitsPerSecond - The bitrate in kilobits per second.
+     * @returns {undefined} undefined
+     * @public
+     */
+    setVideoBandwidth: function(kbitsPerSecond) {
+        easyrtc.setVideoBandwidth(kbitsPerSecond);
+    },
+
+    /**
+     * Makes a stream (other than the camera) available to calls under a name.
+     *
+     * @param {String} streamName - The name, announced to the other users along with the stream.
+     * @param {Object} stream - The MediaStream.
+     * @returns {undefined} undefined
+     * @public
+     */
+    addLocalStream: function(streamName, stream) {
+        easyrtc.register3rdPartyLocalMediaStream(stream, streamName);
+    },
+
+    /**
+     * Sends a stream added with VTCBackend.addLocalStream to another user.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {String} streamName - The name of the stream.
+     * @returns {undefined} undefined
+     * @public
+     */
+    addStreamToCall: function(peerId, streamName) {
+        easyrtc.addStreamToCall(peerId, streamName);
+    },
+
+    /**
+     * Removes a stream added with VTCBackend.addLocalStream from every call and stops it.
+     *
+     * @param {String} streamName - The name of the stream.
+     * @returns {undefined} undefined
+     * @public
+     */
+    closeLocalStream: function(streamName) {
+        easyrtc.closeLocalMediaStream(streamName);
+    }
+};
@@ -0,0 +1,991 @@
+/**
+ * @file A fake implementation of VTCBackend (see the top of vtc.js for the
+ * interface) for demos and for trying out the user interface without cameras
+ * or a second browser. Nothing leaves the page: the room is filled with
+ * synthetic users whose video is drawn on a canvas and whose voice is a tone.
+ *
+ * The server loads it instead of the configured backend when debug mode is on
+ * and the page is opened with the fakePeers query parameter (the number of users
+ * already in the room, 3 if left empty), e.g. /?room=demo&fakePeers=5
+ *
+ * The synthetic users follow a script (see config.script), one step every
+ * config.stepInterval: they talk, chat, turn their camera and microphone off
+ * and on, and leave the room or join it. They also answer chat messages and
+ * obey mute requests.
+ *
+ * We moderate the fake room (see lib/moderation.js): we can mute the synthetic
+ * users, remove them, and lock the room, which keeps new ones out.
+ *
+ * @requires module:js/error
+ * @requires module:js/messages
+ */
+
+'use strict';
+
+var VTCBackend = {
+    name: 'fake',
+
+    config: {
+        // Number of users in the room when we join if the query parameter is left empty
+        defaultPeerCount: 3,
+
+        // The interface shows at most 15 people, including us (see kMaxCallersPerRoom)
+        maxPeerCount: 14,
+
+        // The synthetic video
+        width: 320,
+        height: 240,
+        frameRate: 15,
+
+        // Volume of the tone played while a synthetic user talks (0 to 1)
+        toneGain: 0.02,
+
+        // Time (in milliseconds) a message or a call takes to reach the other side
+        latency: 200,
+
+        // Time (in milliseconds) between two steps of the script
+        stepInterval: 4000,
+
+        // What the synthetic users do, one step at a time, each step taken by the next user in turn
+        script: ['talk', 'chat', 'camera', 'talk', 'mic', 'chat', 'camera', 'mic', 'leave', 'talk', 'join'],
+
+        // How long (in milliseconds) a synthetic user talks or types
+        talkTime: 3000,
+        typingTime: 2000,
+
+        // Level reported in 'audio-meter' messages while talking, and how often (in milliseconds)
+        talkLevel: 0.3,
+        talkLevelInterval: 200,
+
+        // Names given to the synthetic users, in order
+        names: ['Ada', 'Grace', 'Alan', 'Edsger', 'Barbara', 'Donald', 'Frances', 'Ken',
+                'Margaret', 'Dennis', 'Radia', 'Linus', 'Hedy', 'Tim', 'Sophie', 'Guido'],
+
+        // What they say in the chat
+        lines: [
+            'Can everybody hear me?',
+            'Sorry, I was on **mute**.',
+            'The notes are at https://example.com/notes',
+            'Let\'s take this offline.',
+            'I\'ll have to drop off in a few minutes.',
+            'Could you share your screen?',
+            '`npm test` passes on my side'
+        ],
+
+        // How they answer chat messages
+        replies: [
+            'Good point!',
+            'Agreed.',
+            'Could you say that again?',
+            '+1'
+        ]
+    },
+
+    // Stores a mapping of event : String => handler : Function (see VTCBackend.on)
+    _handlers: {},
+
+    // Our peer ID and the room we are in, null if not in a room
+    _myId: null,
+    _roomName: null,
+
+    // Stores the synthetic users in the room, as peerId : String => peer : Object
+    // (see VTCBackend._addPeer)
+    _peers: {},
+
+    // The fakePeers query parameter (see the top of this file), null if missing. It is read
+    // as soon as this script loads, because the page URL changes once in a room (see vtcMain).
+    _fakePeersParam: new URLSearchParams(document.location.search).get('fakePeers'),
+
+    // How many synthetic users were created, used to name them
+    _peerCount: 0,
+
+    // The next step of the script (see config.script)
+    _step: 0,
+
+    // The timer stepping through the script, null if not in a room
+    _scriptTimer: null,
+
+    // True while the room is locked (see VTCBackend._moderate)
+    _locked: false,
+
+    // IDs of the pending timeouts (see VTCBackend._later)
+    _timeouts: [],
+
+    // Plays the tones of the synthetic users, created on first use
+    _audioContext: null,
+
+    // Stores the local streams as streamName : String => MediaStream, the camera being 'default'
+    _localStreams: {},
+
+    // Stops drawing the local video, null if there is none
+    _stopLocalVideo: null,
+
+    /**
+     * Calls the handler of an event, if any.
+     *
+     * @param {String} event - The event (see the top of vtc.js).
+     * @param {Array} args - The arguments of the handler.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _emit: function(event, args) {
+        var handlerFn = this._handlers[event];
+        if (typeof handlerFn === 'function') {
+            handlerFn.apply(null, args);
+        }
+    },
+
+    /**
+     * Runs a function later, unless we leave the room in the meantime.
+     *
+     * @param {Function} fn - The function, it takes no arguments.
+     * @param {Number} delay - The delay in milliseconds.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _later: function(fn, delay) {
+        var _this = this;
+        var timeoutId = setTimeout(function() {
+            _this._timeouts.splice(_this._timeouts.indexOf(timeoutId), 1);
+            fn();
+        }, delay);
+
+        this._timeouts.push(timeoutId);
+    },
+
+    /**
+     * Returns the audio context playing the tones.
+     *
+     * @returns {Object} The AudioContext.
+     * @private
+     */
+    _getAudioContext: function() {
+        if (this._audioContext === null) {
+            this._audioContext = new AudioContext();
+        }
+
+        // NOTE: Browsers start it suspended until the user interacts with the page
+        this._audioContext.resume();
+        return this._audioContext;
+    },
+
+    /**
+     * Creates a video track drawn on a canvas.
+     *
+     * @param {Function} drawFn - Draws a frame. It's of the form:
+     * function(ctx : CanvasRenderingContext2D, width : Number, height : Number, time : Number)
+     * @returns {Object} Of the form { track : MediaStreamTrack, stop : function() }.
+     * @private
+     */
+    _createVideo: function(drawFn) {
+        var width = this.config.width;
+        var height = this.config.height;
+        var canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        var ctx = canvas.getContext('2d');
+        var draw = function() {
+            drawFn(ctx, width, height, Date.now());
+        };
+
+        // NOTE: requestAnimationFrame stops in background tabs, which would freeze the video
+        draw();
+        var drawTimer = setInterval(draw, 1000 / this.config.frameRate);
+        var track = canvas.captureStream(this.config.frameRate).getVideoTracks()[0];
+
+        return {
+            track: track,
+            stop: function() {
+                clearInterval(drawTimer);
+                track.stop();
+            }
+        };
+    },
+
+    /**
+     * Draws a frame of synthetic video: a colored background with a name,
+     * the time and a circle going around (to show that the video is live).
+     *
+     * @param {Object} ctx - The CanvasRenderingContext2D.
+     * @param {Number} width - Width of the canvas.
+     * @param {Number} height - Height of the canvas.
+     * @param {Number} time - The current time in milliseconds.
+     * @param {Object} look - Object of the form { hue : Number, label : String, talking : Boolean }.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _drawFrame: function(ctx, width, height, time, look) {
+        ctx.fillStyle = 'hsl(' + look.hue + ', 45%, 35%)';
+        ctx.fillRect(0, 0, width, height);
+
+        var angle = (time / 1000) * Math.PI;
+        ctx.fillStyle = 'hsl(' + look.hue + ', 70%, 70%)';
+        ctx.beginPath();
+        ctx.arc(width / 2 + Math.cos(angle) * width / 4, height / 2 + Math.sin(angle) * height / 4,
+                height / 10, 0, 2 * Math.PI);
+        ctx.fill();
+
+        if (look.talking) {
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 8;
+            ctx.strokeRect(4, 4, width - 8, height - 8);
+        }
+
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.font = 'bold ' + Math.round(height / 8) + 'px sans-serif';
+        ctx.fillText(look.label, width / 2, height / 2);
+        ctx.font = Math.round(height / 14) + 'px monospace';
+        ctx.fillText(new Date(time).toLocaleTimeString(), width / 2, height - height / 10);
+    },
+
+    /**
+     * Checks browser support for what the synthetic media needs.
+     *
+     * @returns {Boolean} True if it is supported, false otherwise.
+     * @public
+     */
+    isSupported: function() {
+        return (typeof AudioContext === 'function' &&
+                typeof HTMLCanvasElement.prototype.captureStream === 'function');
+    },
+
+    /**
+     * Lists the media devices (a single synthetic device of each kind).
+     *
+     * @param {Function} devicesFn - Called with the devices (see VTCCore.getDevices).
+     * @returns {undefined} undefined
+     * @public
+     */
+    getDevices: function(devicesFn) {
+        setTimeout(function() {
+            devicesFn({
+                audioInputs: [{ deviceId: 'fake-microphone', label: 'Synthetic microphone' }],
+                videoInputs: [{ deviceId: 'fake-camera', label: 'Synthetic camera' }],
+                audioOutputs: []
+            });
+        }, 0);
+    },
+
+    /**
+     * Acquires a synthetic camera and a silent microphone, releasing the media acquired before (if any).
+     *
+     * @param {Object} config - See VTCCore.acquireMedia.
+     * @param {Function} successFn - Called with the local MediaStream.
+     * @param {Function} failureFn - It's of the form: function(errorCode : String, errorText : String)
+     * @returns {undefined} undefined
+     * @public
+     */
+    acquireMedia: function(config, successFn, failureFn) {
+        var _this = this;
+
+        this.releaseMedia();
+
+        var stream = new MediaStream();
+        try {
+            if (config.video) {
+                var video = this._createVideo(function(ctx, width, height, time) {
+                    _this._drawFrame(ctx, width, height, time, {
+                        hue: 200,
+                        label: 'You',
+                        talking: false
+                    });
+                });
+
+                stream.addTrack(video.track);
+                this._stopLocalVideo = video.stop;
+            }
+
+            if (config.audio) {
+                var silence = this._getAudioContext().createMediaStreamDestination();
+                stream.addTrack(silence.stream.getAudioTracks()[0]);
+            }
+        } catch (e) {
+            this.releaseMedia();
+            failureFn('FAKE_MEDIA_ERROR', String(e));
+            return;
+        }
+
+        this._localStreams.default = stream;
+        setTimeout(function() {
+            successFn(stream);
+        }, 0);
+    },
+
+    /**
+     * Returns the camera and microphone stream.
+     *
+     * @returns {Object} The MediaStream, null if no media was acquired.
+     * @public
+     */
+    getLocalStream: function() {
+        var stream = this._localStreams.default;
+        return (stream === undefined) ? null : stream;
+    },
+
+    /**
+     * Stops the camera and microphone.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    releaseMedia: function() {
+        if (this._stopLocalVideo !== null) {
+            this._stopLocalVideo();
+            this._stopLocalVideo = null;
+        }
+
+        this.closeLocalStream('default');
+    },
+
+    /**
+     * Remembers the device to use the next time media is acquired (there is only one of each kind).
+     *
+     * @param {String} kind - Either 'audio' or 'video'.
+     * @param {String} deviceId - The ID of the device, null for the default device.
+     * @returns {undefined} undefined
+     * @public
+     */
+    setMediaSource: function(kind, deviceId) {
+        return;
+    },
+
+    /**
+     * Enables or disables the tracks of one kind of the camera and microphone stream.
+     *
+     * @param {String} kind - Either 'audio' or 'video'.
+     * @param {Boolean} state - The new state of the tracks.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _enableTracks: function(kind, state) {
+        var stream = this.getLocalStream();
+        if (stream === null) {
+            return;
+        }
+
+        var tracks = (kind === 'audio') ? stream.getAudioTracks() : stream.getVideoTracks();
+        tracks.forEach(function(track) {
+            track.enabled = state;
+        });
+    },
+
+    /**
+     * Enables or disables the camera.
+     *
+     * @param {Boolean} state - The new state of the camera.
+     * @returns {undefined} undefined
+     * @public
+     */
+    enableCamera: function(state) {
+        this._enableTracks('video', state);
+    },
+
+    /**
+     * Enables or disables the microphone.
+     *
+     * @param {Boolean} state - The new state of the microphone.
+     * @returns {undefined} undefined
+     * @public
+     */
+    enableMicrophone: function(state) {
+        this._enableTracks('audio', state);
+    },
+
+    /**
+     * Sets the handler of an event, replacing the previous one.
+     *
+     * @param {String} event - The event (see the top of vtc.js).
+     * @param {Function} handlerFn - The handler (see the top of vtc.js for its arguments).
+     * @returns {undefined} undefined
+     * @public
+     */
+    on: function(event, handlerFn) {
+        this._handlers[event] = handlerFn;
+    },
+
+    /**
+     * Checks whether a user name is acceptable.
+     *
+     * @param {String} userName - The user name.
+     * @returns {Boolean} True if it is, false otherwise.
+     * @public
+     */
+    isValidUserName: function(userName) {
+        return (userName.length > 0 && userName.length <= 64);
+    },
+
+    /**
+     * Gets the number of synthetic users in the room when we join from the query parameter.
+     *
+     * @returns {Number} The number of users.
+     * @private
+     */
+    _getInitialPeerCount: function() {
+        var count = parseInt(this._fakePeersParam, 10);
+        if (isNaN(count)) {
+            count = this.config.defaultPeerCount;
+        }
+
+        return Math.max(0, Math.min(count, this.config.maxPeerCount));
+    },
+
+    /**
+     * "Connects" and joins a room filled with synthetic users.
+     *
+     * @param {Object} session - Of the form { userName : String, roomName : String, passcode : String }.
+     * @param {Function} successFn - It's of the form: function(myId : String)
+     * @param {Function} failureFn - Never called, the fake room can always be joined.
+     * @param {Function} occupantsFn - Called once with the users that were in the room
+     * before us. It's of the form: function(peerIds : Array<String>)
+     * @returns {undefined} undefined
+     * @public
+     */
+    connect: function(session, successFn, failureFn, occupantsFn) {
+        var _this = this;
+
+        this._myId = 'fake-me-' + Date.now();
+        this._roomName = session.roomName;
+        this._step = 0;
+        this._locked = false;
+
+        var peerIds = [];
+        var count = this._getInitialPeerCount();
+        for (var i = 0; i < count; i++) {
+            peerIds.push(this._addPeer());
+        }
+
+        this._scriptTimer = setInterval(function() {
+            _this._runStep();
+        }, this.config.stepInterval);
+
+        this._later(function() {
+            successFn(_this._myId);
+            occupantsFn(peerIds);
+            _this._sendModeration();
+        }, this.config.latency);
+    },
+
+    /**
+     * Removes every synthetic user and stops the script.
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    _teardown: function() {
+        for (var peerId in this._peers) {
+            if (this._peers.hasOwnProperty(peerId)) {
+                this._removePeer(peerId);
+            }
+        }
+
+        if (this._scriptTimer !== null) {
+            clearInterval(this._scriptTimer);
+            this._scriptTimer = null;
+        }
+
+        this._timeouts.forEach(function(timeoutId) {
+            clearTimeout(timeoutId);
+        });
+
+        this._timeouts = [];
+        this._myId = null;
+        this._roomName = null;
+    },
+
+    /**
+     * Leaves the fake room (it is built again on the next VTCBackend.connect).
+     *
+     * @param {Function} doneFn - Called once VTCBackend.connect can be called again.
+     * It takes no arguments.
+     * @returns {undefined} undefined
+     * @public
+     */
+    disconnect: function(doneFn) {
+        this._teardown();
+        setTimeout(doneFn, 0);
+    },
+
+    /**
+     * Leaves the fake room.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    leave: function() {
+        this._teardown();
+    },
+
+    /**
+     * Creates a synthetic user, with its video and tone.
+     *
+     * @returns {String} The peer ID of the user.
+     * @private
+     */
+    _addPeer: function() {
+        var _this = this;
+        var index = this._peerCount++;
+        var names = this.config.names;
+        var peerId = 'fake-' + index;
+
+        // A name of the list, numbered once they have all been used
+        var userName = names[index % names.length];
+        if (index >= names.length) {
+            userName += ' ' + (Math.floor(index / names.length) + 1);
+        }
+
+        var peer = {
+            userName: userName,
+            hue: (index * 137) % 360,
+
+            // True once the call to us is up (see VTCBackend._connectPeer)
+            connected: false,
+
+            camera: true,
+            mic: true,
+            talking: false
+        };
+
+        var video = this._createVideo(function(ctx, width, height, time) {
+            _this._drawFrame(ctx, width, height, time, {
+                hue: peer.hue,
+                label: peer.userName,
+                talking: peer.talking
+            });
+        });
+
+        var audioContext = this._getAudioContext();
+        var oscillator = audioContext.createOscillator();
+        var gain = audioContext.createGain();
+        var destination = audioContext.createMediaStreamDestination();
+        oscillator.frequency.value = 220 + 40 * (index % 12);
+        gain.gain.value = 0;
+        oscillator.connect(gain);
+        gain.connect(destination);
+        oscillator.start();
+
+        peer.stream = new MediaStream([video.track, destination.stream.getAudioTracks()[0]]);
+        peer.gain = gain;
+        peer.stop = function() {
+            video.stop();
+            oscillator.stop();
+            gain.disconnect();
+        };
+
+        this._peers[peerId] = peer;
+        return peerId;
+    },
+
+    /**
+     * Removes a synthetic user, closing its stream if it was connected.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _removePeer: function(peerId) {
+        var peer = this._peers[peerId];
+        delete this._peers[peerId];
+
+        peer.stop();
+        if (peer.connected) {
+            this._emit('streamClose', [peerId, peer.stream, 'default']);
+        }
+    },
+
+    /**
+     * Brings up the call with a synthetic user, who then tells us about its camera and microphone.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _connectPeer: function(peerId) {
+        var _this = this;
+
+        this._later(function() {
+            var peer = _this._peers[peerId];
+            if (peer === undefined || peer.connected) {
+                return;
+            }
+
+            peer.connected = true;
+            _this._emit('streamAccept', [peerId, peer.stream, 'default']);
+            _this._sendFrom(peerId, 'media-presence', { type: 'camera', enabled: peer.camera });
+            _this._sendFrom(peerId, 'media-presence', { type: 'mic', enabled: peer.mic });
+        }, this.config.latency);
+    },
+
+    /**
+     * Delivers a message from a synthetic user.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {String} msgType - Type of message.
+     * @param {Object} msgData - Message contents.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _sendFrom: function(peerId, msgType, msgData) {
+        if (this._peers.hasOwnProperty(peerId)) {
+            this._emit('peerMessage', [peerId, msgType, PeerMessages.wrap({ rtcId: this._myId }, msgData)]);
+        }
+    },
+
+    /**
+     * Makes synthetic users tell us which versions of the peer message protocol
+     * they speak (the same as ours, see PeerMessages).
+     *
+     * @param {Array<String>} peerIds - The peer IDs of the users.
+     * @param {Boolean} isReply - True if answering our hello.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _helloFrom: function(peerIds, isReply) {
+        var _this = this;
+        peerIds.forEach(function(peerId) {
+            _this._emit('peerMessage', [peerId, PeerMessages.helloType, PeerMessages.hello(isReply)]);
+        });
+    },
+
+    /**
+     * Makes a synthetic user type, then say something in the chat.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {String} text - What they say.
+     * @param {Boolean} isPrivate - True to say it to us only.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _chatFrom: function(peerId, text, isPrivate) {
+        var _this = this;
+        var message = { msg: text };
+        if (isPrivate) {
+            message.isPrivate = true;
+        }
+
+        this._sendFrom(peerId, 'chat', { typing: true });
+        this._later(function() {
+            _this._sendFrom(peerId, 'chat', message);
+        }, this.config.typingTime);
+    },
+
+    /**
+     * Makes a synthetic user talk for a while: the tone plays, the video
+     * shows it and the level is reported like AudioMeter does.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _talk: function(peerId) {
+        var _this = this;
+        var peer = this._peers[peerId];
+        if (!peer.mic || peer.talking) {
+            return;
+        }
+
+        var reports = Math.round(this.config.talkTime / this.config.talkLevelInterval);
+        var report = function() {
+            if (!_this._peers.hasOwnProperty(peerId)) {
+                return;
+            }
+
+            if (reports-- > 0 && peer.mic) {
+                _this._sendFrom(peerId, 'audio-meter', { rms: _this.config.talkLevel });
+                _this._later(report, _this.config.talkLevelInterval);
+            } else {
+                peer.talking = false;
+                peer.gain.gain.value = 0;
+            }
+        };
+
+        peer.talking = true;
+        peer.gain.gain.value = this.config.toneGain;
+        report();
+    },
+
+    /**
+     * Turns the camera or microphone of a synthetic user on or off, and tells us about it.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {String} type - Either 'camera' or 'mic'.
+     * @param {Boolean} enabled - The new state.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _setMedia: function(peerId, type, enabled) {
+        var peer = this._peers[peerId];
+        peer[type] = enabled;
+
+        var tracks = (type === 'camera') ? peer.stream.getVideoTracks() : peer.stream.getAudioTracks();
+        tracks.forEach(function(track) {
+            track.enabled = enabled;
+        });
+
+        this._sendFrom(peerId, 'media-presence', {
+            type: type,
+            enabled: enabled
+        });
+    },
+
+    /**
+     * Takes the next step of the script (see config.script).
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    _runStep: function() {
+        var action = this.config.script[this._step % this.config.script.length];
+        var peerIds = this.getRoomOccupants(this._roomName);
+        var peerId = peerIds[this._step % Math.max(peerIds.length, 1)];
+        this._step++;
+
+        if (action === 'join') {
+            if (peerIds.length < this.config.maxPeerCount && !this._locked) {
+                // Users joining after us say hello, then call us
+                var newPeerId = this._addPeer();
+                this._helloFrom([newPeerId], false);
+                this._connectPeer(newPeerId);
+            }
+        } else if (peerId === undefined) {
+            // Everybody left, only joins are left to do
+            return;
+        } else if (action === 'leave') {
+            this._removePeer(peerId);
+        } else if (action === 'talk') {
+            this._talk(peerId);
+        } else if (action === 'chat') {
+            this._chatFrom(peerId, this.config.lines[this._step % this.config.lines.length], false);
+        } else if (action === 'camera' || action === 'mic') {
+            this._setMedia(peerId, action, !this._peers[peerId][action]);
+        } else {
+            ErrorMetric.log('VTCBackend._runStep => unknown action "' + action + '"');
+        }
+    },
+
+    /**
+     * Calls a synthetic user.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {Function} failureFn - It's of the form: function(errorCode : String, errorText : String)
+     * @returns {undefined} undefined
+     * @public
+     */
+    call: function(peerId, failureFn) {
+        if (!this._peers.hasOwnProperty(peerId)) {
+            failureFn('FAKE_NO_PEER', peerId + ' is not in the room');
+            return;
+        }
+
+        this._connectPeer(peerId);
+    },
+
+    /**
+     * Lists the synthetic users in a room.
+     *
+     * @param {String} roomName - The room.
+     * @returns {Array<String>} Their peer IDs.
+     * @public
+     */
+    getRoomOccupants: function(roomName) {
+        if (roomName !== this._roomName) {
+            return [];
+        }
+
+        return Object.keys(this._peers);
+    },
+
+    /**
+     * Returns the status of the call to a synthetic user.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {String} One of NOT_CONNECTED | BECOMING_CONNECTED | IS_CONNECTED.
+     * @public
+     */
+    getConnectStatus: function(peerId) {
+        var peer = this._peers[peerId];
+        return (peer !== undefined && peer.connected) ? 'IS_CONNECTED' : 'NOT_CONNECTED';
+    },
+
+    /**
+     * Translates a peer ID to a user name.
+     *
+     * @param {String} peerId - The peer ID.
+     * @returns {String} The user name, the peer ID itself if unknown.
+     * @public
+     */
+    idToName: function(peerId) {
+        var peer = this._peers[peerId];
+        return (peer === undefined) ? peerId : peer.userName;
+    },
+
+    /**
+     * Returns the connection to another user. Calls with synthetic users have none,
+     * so there are no statistics and no data channels.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {Object} Always null.
+     * @public
+     */
+    getPeerConnection: function(peerId) {
+        return null;
+    },
+
+    /**
+     * Handles a message sent to a synthetic user: they answer chat messages and obey mute requests.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {String} msgType - Type of message.
+     * @param {Object} msgData - Message contents.
+     * @param {Boolean} isDirect - True if the message was sent to this user only.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _receive: function(peerId, msgType, msgData, isDirect) {
+        var replies = this.config.replies;
+
+        if (msgType === 'chat' && typeof msgData.msg === 'string') {
+            this._chatFrom(peerId, replies[this._step % replies.length], msgData.isPrivate === true);
+        } else if (msgType === 'mic-control' && msgData.enabled === false && isDirect) {
+            this._setMedia(peerId, 'mic', false);
+        }
+    },
+
+    /**
+     * Tells us who moderates the room (only us) and whether it is locked, like the server would.
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    _sendModeration: function() {
+        this._emit('serverMessage', ['moderation', {
+            moderators: [this._myId],
+            locked: this._locked
+        }]);
+    },
+
+    /**
+     * Carries out the control messages the server takes care of (see lib/moderation.js).
+     *
+     * @param {Object} dest - Either { rtcId : String } or { room : String }.
+     * @param {String} msgType - Either 'kick' or 'room-lock'.
+     * @param {Object} content - Message contents.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _moderate: function(dest, msgType, content) {
+        // NOTE: The user might have left while the message was on its way
+        if (msgType === 'kick' && this._peers.hasOwnProperty(dest.rtcId)) {
+            this._removePeer(dest.rtcId);
+        } else if (msgType === 'room-lock' && typeof content.locked === 'boolean') {
+            this._locked = content.locked;
+            this._sendModeration();
+        }
+    },
+
+    /**
+     * Sends a message to the synthetic users.
+     *
+     * @param {Object} dest - Either { rtcId : String } or { room : String }.
+     * @param {String} msgType - Type of message (specific to the application).
+     * @param {Object} msgData - Message contents (must be JSON-able).
+     * @param {Function} successFn - It's of the form: function(msgType : String, msgData : Object)
+     * @param {Function} failureFn - It's of the form: function(errorCode : String, errorText : String)
+     * @returns {Boolean} False if we are not in a room, true otherwise.
+     * @public
+     */
+    sendPeerMessage: function(dest, msgType, msgData, successFn, failureFn) {
+        var _this = this;
+        if (this._roomName === null) {
+            return false;
+        }
+
+        if (dest.rtcId !== undefined && !this._peers.hasOwnProperty(dest.rtcId)) {
+            this._later(function() {
+                failureFn('MSG_REJECT_TARGET_EASYRTCID', dest.rtcId + ' is not in the room');
+            }, this.config.latency);
+            return true;
+        }
+
+        this._later(function() {
+            var peerIds = (dest.rtcId !== undefined) ? [dest.rtcId] : _this.getRoomOccupants(_this._roomName);
+
+            if (msgType === PeerMessages.helloType) {
+                if (!msgData.reply) {
+                    _this._helloFrom(peerIds, true);
+                }
+            } else if (msgType === 'kick' || msgType === 'room-lock') {
+                _this._moderate(dest, msgType, msgData.data);
+            } else if (dest.rtcId !== undefined) {
+                _this._receive(dest.rtcId, msgType, msgData.data, true);
+            } else if (msgType === 'mic-control') {
+                // Muting everybody
+                peerIds.forEach(function(peerId) {
+                    _this._receive(peerId, msgType, msgData.data, true);
+                });
+            } else if (peerIds.length > 0) {
+                // Only one of them answers a message to the whole room
+                _this._receive(peerIds[_this._step % peerIds.length], msgType, msgData.data, false);
+            }
+
+            successFn('ack', null);
+        }, this.config.latency);
+
+        return true;
+    },
+
+    /**
+     * Caps the video bitrate (no-op, nothing is sent).
+     *
+     * @param {Number} kbitsPerSecond - The bitrate in kilobits per second.
+     * @returns {undefined} undefined
+     * @public
+     */
+    setVideoBandwidth: function(kbitsPerSecond) {
+        return;
+    },
+
+    /**
+     * Makes a stream (other than the camera) available to calls under a name.
+     *
+     * @param {String} streamName - The name.
+     * @param {Object} stream - The MediaStream.
+     * @returns {undefined} undefined
+     * @public
+     */
+    addLocalStream: function(streamName, stream) {
+        this._localStreams[streamName] = stream;
+    },
+
+    /**
+     * Sends a stream added with VTCBackend.addLocalStream to a synthetic user (no-op, they don't watch).
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {String} streamName - The name of the stream.
+     * @returns {undefined} undefined
+     * @public
+     */
+    addStreamToCall: function(peerId, streamName) {
+        return;
+    },
+
+    /**
+     * Stops a local stream.
+     *
+     * @param {String} streamName - The name of the stream.
+     * @returns {undefined} undefined
+     * @public
+     */
+    closeLocalStream: function(streamName) {
+        var stream = this._localStreams[streamName];
+        if (stream === undefined) {
+            return;
+        }
+
+        delete this._localStreams[streamName];
+        stream.getTracks().forEach(function(track) {
+            track.stop();
+        });
+    }
+};
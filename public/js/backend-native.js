@@ -0,0 +1,1004 @@
+/**
+ * @file The native implementation of VTCBackend (see the top of vtc.js for
+ * the interface): plain RTCPeerConnections, with the small socket.io
+ * signaling protocol of lib/signaling.js on the server side.
+ *
+ * Calls renegotiate on their own when streams are added or removed (see
+ * VTCBackend._negotiate). Both users may do so at the same time, which is
+ * resolved with the "perfect negotiation" pattern: the impolite user
+ * ignores the colliding offer, the polite one rolls back its own.
+ *
+ * Signals exchanged with a user (relayed by the server as is) are one of:
+ *   { description : RTCSessionDescription }
+ *   { candidate : RTCIceCandidate }
+ *   { streams : { streamId : String => streamName : String } } (sent before every description)
+ *
+ * @requires socket.io
+ * @requires module:js/error
+ */
+
+'use strict';
+
+var VTCBackend = {
+    name: 'native',
+
+    config: {
+        // The socket.io namespace of the signaling server
+        namespace: '/signaling',
+
+        // Every call opens a data channel with this label so that it carries an SCTP
+        // association (which VTCClient.openDataChannel needs)
+        channelLabel: 'tubertc',
+
+        // Must match the server (see lib/signaling.js)
+        maxUserNameLength: 64
+    },
+
+    // Stores a mapping of event : String => handler : Function (see VTCBackend.on)
+    _handlers: {},
+
+    // The socket to the signaling server, null if not connected
+    _socket: null,
+
+    // Our peer ID and the room we are in, null if not in a room
+    _myId: null,
+    _roomName: null,
+
+    // RTCIceServer entries handed out by the server
+    _iceServers: [],
+
+    // Stores the other users in the room, as peerId : String => peer : Object
+    // (see VTCBackend._addPeer)
+    _peers: {},
+
+    // The devices used when acquiring media (see VTCBackend.setMediaSource), null for the default devices
+    _media: {
+        videoInputId: null,
+        audioInputId: null
+    },
+
+    // Stores the local streams as streamName : String => MediaStream, the camera being 'default'
+    _localStreams: {},
+
+    // The video bitrate cap in kilobits per second (see VTCBackend.setVideoBandwidth), null if none
+    _videoBandwidth: null,
+
+    /**
+     * Calls the handler of an event, if any.
+     *
+     * @param {String} event - The event (see the top of vtc.js).
+     * @param {Array} args - The arguments of the handler.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _emit: function(event, args) {
+        var handlerFn = this._handlers[event];
+        if (typeof handlerFn === 'function') {
+            handlerFn.apply(null, args);
+        }
+    },
+
+    /**
+     * Checks browser support for the WebRTC API.
+     *
+     * @returns {Boolean} True if WebRTC is supported, false otherwise.
+     * @public
+     */
+    isSupported: function() {
+        return (typeof RTCPeerConnection === 'function' && navigator.mediaDevices !== undefined &&
+                typeof navigator.mediaDevices.getUserMedia === 'function');
+    },
+
+    /**
+     * Lists the media devices.
+     *
+     * @param {Function} devicesFn - Called with the devices (see VTCCore.getDevices).
+     * @returns {undefined} undefined
+     * @public
+     */
+    getDevices: function(devicesFn) {
+        navigator.mediaDevices.enumerateDevices().then(function(devices) {
+            var ofKind = function(kind) {
+                return devices.filter(function(device) {
+                    return device.kind === kind;
+                });
+            };
+
+            devicesFn({
+                audioInputs: ofKind('audioinput'),
+                videoInputs: ofKind('videoinput'),
+                audioOutputs: ofKind('audiooutput')
+            });
+        }, function(err) {
+            ErrorMetric.log('VTCBackend.getDevices => unable to list the devices');
+            ErrorMetric.log('                      => ' + err);
+        });
+    },
+
+    /**
+     * Builds the getUserMedia constraint of one kind of media.
+     *
+     * @param {Boolean} enabled - True if the media is wanted.
+     * @param {String} deviceId - The ID of the device, null for the default device.
+     * @returns {Boolean|Object} The constraint.
+     * @private
+     */
+    _mediaConstraint: function(enabled, deviceId) {
+        if (!enabled) {
+            return false;
+        }
+
+        return (deviceId === null) ? true : { deviceId: { exact: deviceId } };
+    },
+
+    /**
+     * Acquires the camera and microphone, releasing the media acquired before (if any).
+     *
+     * @param {Object} config - See VTCCore.acquireMedia.
+     * @param {Function} successFn - Called with the local MediaStream.
+     * @param {Function} failureFn - It's of the form: function(errorCode : String, errorText : String)
+     * @returns {undefined} undefined
+     * @public
+     */
+    acquireMedia: function(config, successFn, failureFn) {
+        var _this = this;
+
+        this.releaseMedia();
+
+        if (config.videoInputId !== undefined) {
+            this._media.videoInputId = config.videoInputId;
+        }
+
+        if (config.audioInputId !== undefined) {
+            this._media.audioInputId = config.audioInputId;
+        }
+
+        if (!config.video && !config.audio) {
+            // getUserMedia refuses to acquire nothing
+            this._localStreams.default = new MediaStream();
+            successFn(this._localStreams.default);
+            return;
+        }
+
+        navigator.mediaDevices.getUserMedia({
+            video: this._mediaConstraint(config.video, this._media.videoInputId),
+            audio: this._mediaConstraint(config.audio, this._media.audioInputId)
+        }).then(function(stream) {
+            _this._localStreams.default = stream;
+            successFn(stream);
+        }, function(error) {
+            failureFn(error.name, error.message);
+        });
+    },
+
+    /**
+     * Returns the camera and microphone stream.
+     *
+     * @returns {Object} The MediaStream, null if no media was acquired.
+     * @public
+     */
+    getLocalStream: function() {
+        var stream = this._localStreams.default;
+        return (stream === undefined) ? null : stream;
+    },
+
+    /**
+     * Stops the camera and microphone.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    releaseMedia: function() {
+        this.closeLocalStream('default');
+    },
+
+    /**
+     * Remembers the device to use the next time media is acquired.
+     *
+     * @param {String} kind - Either 'audio' or 'video'.
+     * @param {String} deviceId - The ID of the device, null for the default device.
+     * @returns {undefined} undefined
+     * @public
+     */
+    setMediaSource: function(kind, deviceId) {
+        if (kind === 'audio') {
+            this._media.audioInputId = deviceId;
+        } else {
+            this._media.videoInputId = deviceId;
+        }
+    },
+
+    /**
+     * Enables or disables the tracks of one kind of the camera and microphone stream.
+     *
+     * @param {String} kind - Either 'audio' or 'video'.
+     * @param {Boolean} state - The new state of the tracks.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _enableTracks: function(kind, state) {
+        var stream = this.getLocalStream();
+        if (stream === null) {
+            return;
+        }
+
+        var tracks = (kind === 'audio') ? stream.getAudioTracks() : stream.getVideoTracks();
+        tracks.forEach(function(track) {
+            track.enabled = state;
+        });
+    },
+
+    /**
+     * Enables or disables the camera.
+     *
+     * @param {Boolean} state - The new state of the camera.
+     * @returns {undefined} undefined
+     * @public
+     */
+    enableCamera: function(state) {
+        this._enableTracks('video', state);
+    },
+
+    /**
+     * Enables or disables the microphone.
+     *
+     * @param {Boolean} state - The new state of the microphone.
+     * @returns {undefined} undefined
+     * @public
+     */
+    enableMicrophone: function(state) {
+        this._enableTracks('audio', state);
+    },
+
+    /**
+     * Sets the handler of an event, replacing the previous one.
+     *
+     * @param {String} event - The event (see the top of vtc.js).
+     * @param {Function} handlerFn - The handler (see the top of vtc.js for its arguments).
+     * @returns {undefined} undefined
+     * @public
+     */
+    on: function(event, handlerFn) {
+        this._handlers[event] = handlerFn;
+    },
+
+    /**
+     * Checks whether a user name is acceptable.
+     *
+     * @param {String} userName - The user name.
+     * @returns {Boolean} True if it is, false otherwise.
+     * @public
+     */
+    isValidUserName: function(userName) {
+        return (userName.length > 0 && userName.length <= this.config.maxUserNameLength);
+    },
+
+    /**
+     * Turns the ICE servers handed out by the server into RTCIceServer entries
+     * (settings.json may use the legacy url field).
+     *
+     * @param {Array<Object>} iceServers - The ICE servers.
+     * @returns {Array<Object>} The RTCIceServer entries.
+     * @private
+     */
+    _toRtcIceServers: function(iceServers) {
+        return iceServers.map(function(server) {
+            if (server.urls !== undefined) {
+                return server;
+            }
+
+            return $.extend({ urls: server.url }, server);
+        });
+    },
+
+    /**
+     * Connects to the signaling server and joins a room.
+     *
+     * @param {Object} session - Of the form { userName : String, roomName : String, passcode : String }.
+     * @param {Function} successFn - It's of the form: function(myId : String)
+     * @param {Function} failureFn - It's of the form:
+     * function(errorCode : String, errorText : String, joinFailed : Boolean)
+     * @param {Function} occupantsFn - Called once with the users that were in the room
+     * before us. It's of the form: function(peerIds : Array<String>)
+     * @returns {undefined} undefined
+     * @public
+     */
+    connect: function(session, successFn, failureFn, occupantsFn) {
+        var _this = this;
+
+        // VTCCore takes care of reconnecting (and of giving up on a server that can't be reached)
+        var socket = io(this.config.namespace, {
+            forceNew: true,
+            reconnection: false
+        });
+        this._socket = socket;
+
+        socket.on('connect_error', function(err) {
+            if (_this._socket === socket) {
+                _this._dropSocket();
+                failureFn('CONNECT_FAILED', String(err), false);
+            }
+        });
+
+        // NOTE: The server may tell us about the room (see lib/moderation.js) before acknowledging the join
+        socket.on('server-message', function(msg) {
+            if (_this._socket === socket && msg !== null && typeof msg === 'object') {
+                _this._emit('serverMessage', [msg.msgType, msg.msgData]);
+            }
+        });
+
+        socket.on('connect', function() {
+            socket.emit('join', {
+                userName: session.userName,
+                roomName: session.roomName,
+                passcode: session.passcode
+            }, function(err, result) {
+                if (_this._socket !== socket) {
+                    return;
+                } else if (err !== null) {
+                    _this._dropSocket();
+                    failureFn(err.errorCode, err.errorText, true);
+                    return;
+                }
+
+                _this._joined(socket, session.roomName, result);
+                successFn(result.peerId);
+                occupantsFn(Object.keys(result.peers));
+            });
+        });
+    },
+
+    /**
+     * Sets up the room once joined.
+     *
+     * @param {Object} socket - The socket to the signaling server.
+     * @param {String} roomName - The room.
+     * @param {Object} result - The answer of the server, of the form:
+     *   {
+     *     peerId     : String (our peer ID),
+     *     peers      : { peerId : String => userName : String } (the other users),
+     *     iceServers : Array<Object>
+     *   }
+     * @returns {undefined} undefined
+     * @private
+     */
+    _joined: function(socket, roomName, result) {
+        var _this = this;
+
+        this._myId = result.peerId;
+        this._roomName = roomName;
+        this._iceServers = this._toRtcIceServers(result.iceServers);
+
+        for (var peerId in result.peers) {
+            if (result.peers.hasOwnProperty(peerId)) {
+                this._addPeer(peerId, result.peers[peerId]);
+            }
+        }
+
+        socket.on('peer-joined', function(msg) {
+            _this._addPeer(msg.peerId, msg.userName);
+        });
+
+        socket.on('peer-left', function(msg) {
+            _this._hangup(msg.peerId, false);
+            delete _this._peers[msg.peerId];
+        });
+
+        socket.on('signal', function(msg) {
+            _this._handleSignal(msg.from, msg.data);
+        });
+
+        socket.on('message', function(msg) {
+            _this._emit('peerMessage', [msg.from, msg.msgType, msg.msgData]);
+        });
+
+        socket.on('disconnect', function(reason) {
+            // Only reported when the connection drops, not when we disconnect ourselves
+            if (_this._socket === socket && reason !== 'io client disconnect') {
+                _this._dropSocket();
+                _this._emit('disconnect', []);
+            }
+        });
+    },
+
+    /**
+     * Hangs up every call and forgets the connection to the signaling server.
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    _dropSocket: function() {
+        for (var peerId in this._peers) {
+            if (this._peers.hasOwnProperty(peerId)) {
+                this._hangup(peerId, false);
+            }
+        }
+
+        if (this._socket !== null) {
+            this._socket.disconnect();
+            this._socket = null;
+        }
+
+        this._peers = {};
+        this._myId = null;
+        this._roomName = null;
+    },
+
+    /**
+     * Drops the connection to the signaling server (e.g. after it was lost,
+     * before connecting again).
+     *
+     * @param {Function} doneFn - Called once VTCBackend.connect can be called again.
+     * It takes no arguments.
+     * @returns {undefined} undefined
+     * @public
+     */
+    disconnect: function(doneFn) {
+        this._dropSocket();
+        setTimeout(doneFn, 0);
+    },
+
+    /**
+     * Hangs up every call, leaves the room and disconnects from the signaling server.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    leave: function() {
+        this._dropSocket();
+    },
+
+    /**
+     * Adds a user of the room.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {String} userName - The name of the user.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _addPeer: function(peerId, userName) {
+        this._peers[peerId] = {
+            userName: userName,
+
+            // The RTCPeerConnection, null if there is no call
+            pc: null,
+
+            // Perfect negotiation state (see VTCBackend._negotiate)
+            polite: (this._myId > peerId),
+            makingOffer: false,
+            ignoreOffer: false,
+
+            // The names of the streams the user announced, as streamId : String => streamName : String
+            streamNames: {},
+
+            // The streams received from the user, as streamId : String => MediaStream
+            streams: {}
+        };
+    },
+
+    /**
+     * Creates the connection to a user.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {Object} The RTCPeerConnection.
+     * @private
+     */
+    _createPeerConnection: function(peerId) {
+        var _this = this;
+        var peer = this._peers[peerId];
+        var pc = new RTCPeerConnection({
+            iceServers: this._iceServers
+        });
+
+        peer.pc = pc;
+
+        pc.onicecandidate = function(event) {
+            if (event.candidate !== null) {
+                _this._signal(peerId, { candidate: event.candidate });
+            }
+        };
+
+        pc.onnegotiationneeded = function() {
+            _this._negotiate(peerId, pc);
+        };
+
+        pc.ontrack = function(event) {
+            if (event.streams.length > 0) {
+                _this._acceptStream(peerId, pc, event.streams[0]);
+            }
+        };
+
+        pc.onconnectionstatechange = function() {
+            if (pc.connectionState === 'failed' && peer.pc === pc) {
+                ErrorMetric.log('VTCBackend => the call to ' + peerId + ' failed', ErrorMetric.WARNING);
+                _this._hangup(peerId, true);
+            }
+        };
+
+        return pc;
+    },
+
+    /**
+     * Sends the camera and microphone over a call.
+     *
+     * @param {Object} pc - The RTCPeerConnection.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _addDefaultStream: function(pc) {
+        var stream = this.getLocalStream();
+        if (stream !== null) {
+            stream.getTracks().forEach(function(track) {
+                pc.addTrack(track, stream);
+            });
+        }
+    },
+
+    /**
+     * Sends a signal to a user through the signaling server.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {Object} data - The signal (see the top of this file).
+     * @returns {undefined} undefined
+     * @private
+     */
+    _signal: function(peerId, data) {
+        if (this._socket !== null) {
+            this._socket.emit('signal', {
+                to: peerId,
+                data: data
+            });
+        }
+    },
+
+    /**
+     * Tells a user the names of the streams we send them.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _announceStreams: function(peerId) {
+        var streams = {};
+        for (var streamName in this._localStreams) {
+            if (this._localStreams.hasOwnProperty(streamName)) {
+                streams[this._localStreams[streamName].id] = streamName;
+            }
+        }
+
+        this._signal(peerId, { streams: streams });
+    },
+
+    /**
+     * Sends our local description to a user, once set.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {Object} pc - The RTCPeerConnection.
+     * @returns {Object} A Promise resolved once sent.
+     * @private
+     */
+    _sendDescription: function(peerId, pc) {
+        var _this = this;
+
+        this._announceStreams(peerId);
+        return pc.setLocalDescription().then(function() {
+            _this._signal(peerId, { description: pc.localDescription });
+            _this._limitVideoSenders(pc);
+        });
+    },
+
+    /**
+     * Sends an offer to a user (when a call starts or its streams change).
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {Object} pc - The RTCPeerConnection.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _negotiate: function(peerId, pc) {
+        var peer = this._peers[peerId];
+        if (peer === undefined || peer.pc !== pc) {
+            return;
+        }
+
+        peer.makingOffer = true;
+        this._sendDescription(peerId, pc).then(function() {
+            peer.makingOffer = false;
+        }, function(err) {
+            peer.makingOffer = false;
+            ErrorMetric.log('VTCBackend._negotiate => failed to make an offer to ' + peerId);
+            ErrorMetric.log('                      => ' + err);
+        });
+    },
+
+    /**
+     * Handles a signal from a user.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {Object} data - The signal (see the top of this file).
+     * @returns {undefined} undefined
+     * @private
+     */
+    _handleSignal: function(peerId, data) {
+        var peer = this._peers[peerId];
+        if (peer === undefined || data === null || typeof data !== 'object') {
+            ErrorMetric.log('VTCBackend._handleSignal => invalid signal from ' + peerId);
+            return;
+        }
+
+        if (data.streams !== undefined) {
+            $.extend(peer.streamNames, data.streams);
+        } else if (data.description !== undefined) {
+            this._handleDescription(peerId, data.description);
+        } else if (data.candidate !== undefined && peer.pc !== null) {
+            peer.pc.addIceCandidate(data.candidate).then(null, function(err) {
+                if (!peer.ignoreOffer) {
+                    ErrorMetric.log('VTCBackend._handleSignal => invalid ICE candidate from ' + peerId);
+                    ErrorMetric.log('                         => ' + err);
+                }
+            });
+        }
+    },
+
+    /**
+     * Handles an offer or an answer from a user. An offer starting a call is
+     * accepted right away.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {Object} description - The RTCSessionDescription.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _handleDescription: function(peerId, description) {
+        var _this = this;
+        var peer = this._peers[peerId];
+        var isNewCall = (peer.pc === null);
+        var pc = isNewCall ? this._createPeerConnection(peerId) : peer.pc;
+
+        var isOffer = (description.type === 'offer');
+        var offerCollision = isOffer && (peer.makingOffer || pc.signalingState !== 'stable');
+
+        peer.ignoreOffer = !peer.polite && offerCollision;
+        if (peer.ignoreOffer) {
+            return;
+        }
+
+        pc.setRemoteDescription(description).then(function() {
+            if (!isOffer) {
+                _this._limitVideoSenders(pc);
+                return null;
+            }
+
+            // Adding the tracks after the offer reuses its transceivers (no renegotiation)
+            if (isNewCall) {
+                _this._addDefaultStream(pc);
+            }
+
+            return _this._sendDescription(peerId, pc);
+        }).then(null, function(err) {
+            ErrorMetric.log('VTCBackend._handleDescription => failed to negotiate with ' + peerId);
+            ErrorMetric.log('                              => ' + err);
+        });
+    },
+
+    /**
+     * Reports a stream received from a user, once per stream.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {Object} pc - The RTCPeerConnection.
+     * @param {Object} stream - The MediaStream.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _acceptStream: function(peerId, pc, stream) {
+        var _this = this;
+        var peer = this._peers[peerId];
+        if (peer === undefined || peer.pc !== pc || peer.streams.hasOwnProperty(stream.id)) {
+            return;
+        }
+
+        peer.streams[stream.id] = stream;
+
+        // The user stopped sending the stream (see VTCBackend.closeLocalStream)
+        stream.onremovetrack = function() {
+            if (stream.getTracks().length === 0 && peer.pc === pc) {
+                _this._closeStream(peerId, stream.id);
+            }
+        };
+
+        this._emit('streamAccept', [peerId, stream, this._streamName(peer, stream.id)]);
+    },
+
+    /**
+     * Gets the name of a stream received from a user.
+     *
+     * @param {Object} peer - The user (see VTCBackend._addPeer).
+     * @param {String} streamId - The ID of the MediaStream.
+     * @returns {String} The name announced by the user, 'default' if none.
+     * @private
+     */
+    _streamName: function(peer, streamId) {
+        return peer.streamNames.hasOwnProperty(streamId) ? peer.streamNames[streamId] : 'default';
+    },
+
+    /**
+     * Reports the end of a stream received from a user.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {String} streamId - The ID of the MediaStream.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _closeStream: function(peerId, streamId) {
+        var peer = this._peers[peerId];
+        var stream = peer.streams[streamId];
+
+        delete peer.streams[streamId];
+        this._emit('streamClose', [peerId, stream, this._streamName(peer, streamId)]);
+    },
+
+    /**
+     * Ends the call to a user, reporting the end of its streams (the camera last).
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {Boolean} failed - True if the call failed (rather than the user leaving or us hanging up).
+     * @returns {undefined} undefined
+     * @private
+     */
+    _hangup: function(peerId, failed) {
+        var _this = this;
+        var peer = this._peers[peerId];
+        if (peer === undefined || peer.pc === null) {
+            return;
+        }
+
+        peer.pc.close();
+        peer.pc = null;
+        peer.makingOffer = false;
+        peer.ignoreOffer = false;
+
+        Object.keys(peer.streams).sort(function(a, b) {
+            return (_this._streamName(peer, a) === 'default') - (_this._streamName(peer, b) === 'default');
+        }).forEach(function(streamId) {
+            _this._closeStream(peerId, streamId);
+        });
+
+        peer.streamNames = {};
+
+        if (failed) {
+            this._emit('peerClosed', [peerId]);
+        }
+    },
+
+    /**
+     * Calls another user in the room.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {Function} failureFn - It's of the form: function(errorCode : String, errorText : String)
+     * @returns {undefined} undefined
+     * @public
+     */
+    call: function(peerId, failureFn) {
+        var peer = this._peers[peerId];
+        if (peer === undefined) {
+            failureFn('NOT_IN_ROOM', peerId + ' is not in the room');
+            return;
+        } else if (peer.pc !== null) {
+            failureFn('ALREADY_CONNECTED', 'There already is a call to ' + peerId);
+            return;
+        }
+
+        var pc = this._createPeerConnection(peerId);
+
+        // Adding the channel and the tracks triggers the offer (see VTCBackend._negotiate)
+        pc.createDataChannel(this.config.channelLabel);
+        this._addDefaultStream(pc);
+    },
+
+    /**
+     * Lists the other users in a room.
+     *
+     * @param {String} roomName - The room.
+     * @returns {Array<String>} Their peer IDs.
+     * @public
+     */
+    getRoomOccupants: function(roomName) {
+        return (roomName === this._roomName) ? Object.keys(this._peers) : [];
+    },
+
+    /**
+     * Returns the status of the call to another user.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {String} One of NOT_CONNECTED | BECOMING_CONNECTED | IS_CONNECTED.
+     * @public
+     */
+    getConnectStatus: function(peerId) {
+        var pc = this.getPeerConnection(peerId);
+        if (pc === null) {
+            return 'NOT_CONNECTED';
+        }
+
+        return (pc.connectionState === 'connected') ? 'IS_CONNECTED' : 'BECOMING_CONNECTED';
+    },
+
+    /**
+     * Translates a peer ID to a user name.
+     *
+     * @param {String} peerId - The peer ID.
+     * @returns {String} The user name, the peer ID itself if unknown.
+     * @public
+     */
+    idToName: function(peerId) {
+        var peer = this._peers[peerId];
+        return (peer === undefined) ? peerId : peer.userName;
+    },
+
+    /**
+     * Returns the connection to another user.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {Object} The RTCPeerConnection, null if there is no call to peerId.
+     * @public
+     */
+    getPeerConnection: function(peerId) {
+        var peer = this._peers[peerId];
+        return (peer === undefined) ? null : peer.pc;
+    },
+
+    /**
+     * Sends a message through the signaling server.
+     *
+     * @param {Object} dest - Either { rtcId : String } or { room : String }.
+     * @param {String} msgType - Type of message (specific to the application).
+     * @param {Object} msgData - Message contents (must be JSON-able).
+     * @param {Function} successFn - It's of the form: function(msgType : String, msgData : Object)
+     * @param {Function} failureFn - It's of the form: function(errorCode : String, errorText : String)
+     * @returns {Boolean} False if we are not connected to the signaling server, true otherwise.
+     * @public
+     */
+    sendPeerMessage: function(dest, msgType, msgData, successFn, failureFn) {
+        if (this._socket === null || !this._socket.connected) {
+            return false;
+        }
+
+        this._socket.emit('message', {
+            to: dest.rtcId,
+            room: dest.room,
+            msgType: msgType,
+            msgData: msgData
+        }, function(err) {
+            if (err !== null) {
+                failureFn(err.errorCode, err.errorText);
+            } else {
+                successFn('ack', null);
+            }
+        });
+
+        return true;
+    },
+
+    /**
+     * Caps the video bitrate of the calls made from now on.
+     *
+     * @param {Number} kbitsPerSecond - The bitrate in kilobits per second.
+     * @returns {undefined} undefined
+     * @public
+     */
+    setVideoBandwidth: function(kbitsPerSecond) {
+        this._videoBandwidth = kbitsPerSecond;
+    },
+
+    /**
+     * Applies the video bitrate cap to the video senders of a call that have no cap yet
+     * (VTCClient.setVideoSenderLimits may have set a lower one).
+     *
+     * @param {Object} pc - The RTCPeerConnection.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _limitVideoSenders: function(pc) {
+        var kbitsPerSecond = this._videoBandwidth;
+        if (kbitsPerSecond === null) {
+            return;
+        }
+
+        pc.getSenders().forEach(function(sender) {
+            if (sender.track === null || sender.track.kind !== 'video') {
+                return;
+            }
+
+            var parameters = sender.getParameters();
+            if (parameters.encodings === undefined || parameters.encodings.length === 0 ||
+                parameters.encodings[0].maxBitrate !== undefined) {
+                return;
+            }
+
+            parameters.encodings.forEach(function(encoding) {
+                encoding.maxBitrate = kbitsPerSecond * 1000;
+            });
+
+            sender.setParameters(parameters).then(null, function(err) {
+                ErrorMetric.log('VTCBackend._limitVideoSenders => failed to cap the video bitrate');
+                ErrorMetric.log('                              => ' + err);
+            });
+        });
+    },
+
+    /**
+     * Makes a stream (other than the camera) available to calls under a name.
+     *
+     * @param {String} streamName - The name, announced to the other users along with the stream.
+     * @param {Object} stream - The MediaStream.
+     * @returns {undefined} undefined
+     * @public
+     */
+    addLocalStream: function(streamName, stream) {
+        this._localStreams[streamName] = stream;
+    },
+
+    /**
+     * Sends a stream added with VTCBackend.addLocalStream to another user.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {String} streamName - The name of the stream.
+     * @returns {undefined} undefined
+     * @public
+     */
+    addStreamToCall: function(peerId, streamName) {
+        var pc = this.getPeerConnection(peerId);
+        var stream = this._localStreams[streamName];
+        if (pc === null || stream === undefined) {
+            return;
+        }
+
+        // Triggers a new offer (see VTCBackend._negotiate)
+        stream.getTracks().forEach(function(track) {
+            pc.addTrack(track, stream);
+        });
+    },
+
+    /**
+     * Removes a stream added with VTCBackend.addLocalStream from every call and stops it.
+     *
+     * @param {String} streamName - The name of the stream.
+     * @returns {undefined} undefined
+     * @public
+     */
+    closeLocalStream: function(streamName) {
+        var stream = this._localStreams[streamName];
+        if (stream === undefined) {
+            return;
+        }
+
+        var tracks = stream.getTracks();
+        for (var peerId in this._peers) {
+            if (this._peers.hasOwnProperty(peerId) && this._peers[peerId].pc !== null) {
+                this._removeTracks(this._peers[peerId].pc, tracks);
+            }
+        }
+
+        tracks.forEach(function(track) {
+            track.stop();
+        });
+
+        delete this._localStreams[streamName];
+    },
+
+    /**
+     * Stops sending tracks over a call.
+     *
+     * @param {Object} pc - The RTCPeerConnection.
+     * @param {Array<Object>} tracks - The MediaStreamTracks.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _removeTracks: function(pc, tracks) {
+        pc.getSenders().forEach(function(sender) {
+            if (sender.track !== null && tracks.indexOf(sender.track) !== -1) {
+                // Triggers a new offer (see VTCBackend._negotiate)
+                pc.removeTrack(sender);
+            }
+        });
+    }
+};
@@ -4,6 +4,9 @@
  * @requires Handlebars.js
  * @requires module:js/shell-quote
  * @requires module:js/navbar
+ * @requires module:js/viewports
+ * @requires module:js/history
+ * @requires module:js/export
  * @requires module:js/error
  */
 
@@ -20,14 +23,15 @@
  *     // This function should return formatted HTML.
  *     this.help = function () { ... }
  *
- *     // Required function! This takes in one argument:
- *     //   argv : Array(string)                        WARNING: UNSANITIZED USER INPUT
+ *     // Required function! This takes in these arguments:
  *     //   chatObj : Chat object
+ *     //   argv : Array(string)                        WARNING: UNSANITIZED USER INPUT
+ *     //   rawArgs : string (the arguments as typed)   WARNING: UNSANITIZED USER INPUT
  *     // This must return true if the command was successfully handled
  *     // or false if an error occurred.
  *     //
  *     // BUGGY: You can use chatObj.sendMessage(content) to send peer messages to the room
- *     this.execute = function (chatObj, argv) { ... }
+ *     this.execute = function (chatObj, argv, rawArgs) { ... }
  *
  *     // Handles peer messages from other clients (optional, no handler will be registered if
  *     // this function is omitted)
@@ -71,7 +75,7 @@ var ListUser = function() {
         content += '<h1>User List</h1>\n';
         content += '<ul>\n';
 
-        // @todo (input): userName is not to be trusted
+        // NOTE: itemTmpl escapes the user names
         var peerMap = chatObj.getPeerIdToUserNameMap();
         for (var peerId in peerMap) {
             if (peerMap.hasOwnProperty(peerId)) {
@@ -209,6 +213,584 @@ var DashboardToggle = function() {
     return this;
 };
 
+/**
+ * Low bandwidth mode toggle.
+ *
+ * @class
+ */
+var LowBandwidthToggle = function() {
+    this.command = 'lowbw';
+
+    this.help = _toggleCmdHelp(this, 'low bandwidth mode');
+    this.execute = _toggleCmdExecute(this, 'Low bandwidth mode', NavBar.lowBwBtn);
+
+    return this;
+};
+
+/**
+ * Connection statistics overlay toggle.
+ *
+ * @class
+ */
+var StatsToggle = function() {
+    this.command = 'stats';
+
+    this.help = _toggleCmdHelp(this, 'connection statistics overlay');
+
+    // The overlay has no button, so this mimics the StatefulButton interface _toggleCmdExecute uses
+    this.execute = _toggleCmdExecute(this, 'Statistics overlay', {
+        isSelected: function() {
+            return trtcDash.statsVisible;
+        },
+        clickButton: function() {
+            trtcDash.showStats(!trtcDash.statsVisible);
+        }
+    });
+
+    return this;
+};
+
+/**
+ * Finds the user a command argument refers to.
+ *
+ * @param {Object} chatObj - Chat object.
+ * @param {String} user - A peer ID or a user name.
+ * @returns {Object} Either { peerId : String } or, if there is no single
+ * such user, { error : String } with an HTML error message.
+ * @private
+ */
+var _findUser = function(chatObj, user) {
+    var peerMap = chatObj.getPeerIdToUserNameMap();
+    if (peerMap.hasOwnProperty(user)) {
+        return { peerId: user };
+    }
+
+    var peerIds = [];
+    for (var peerId in peerMap) {
+        if (peerMap.hasOwnProperty(peerId) && peerMap[peerId] === user) {
+            peerIds.push(peerId);
+        }
+    }
+
+    if (peerIds.length === 0) {
+        return { error: 'Nobody named <b>' + Handlebars.escapeExpression(user) + '</b> is in the room' };
+    } else if (peerIds.length > 1) {
+        return { error: 'Several users are named <b>' + Handlebars.escapeExpression(user) + '</b>, ' +
+                        'use a peer ID instead (see /who)' };
+    }
+
+    return { peerId: peerIds[0] };
+};
+
+/**
+ * Appends an error message to the chat.
+ *
+ * @param {Object} chatObj - Chat object.
+ * @param {String} error - The error message as an HTML string.
+ * @returns {undefined} undefined
+ * @private
+ */
+var _appendCmdError = function(chatObj, error) {
+    chatObj._appendLine('<div class="chatInternal"><p>' + error + '</p></div>');
+};
+
+/**
+ * Sends a private message.
+ *
+ * @class
+ */
+var PrivateMessage = function() {
+    this.command = 'msg';
+
+    /**
+     * Help function.
+     *
+     * @returns {String} Help message as an HTML string.
+     * @public
+     */
+    this.help = function() {
+        return '<h2><span class="chatIntCmdName">/' + this.command + '</span> ' +
+               '<span class="chatIntCmdArg">user</span> <span class="chatIntCmdArg">message</span></h2>' +
+               '<p>Sends <span class="chatIntCmdArg">message</span> to <span class="chatIntCmdArg">user</span> ' +
+               'only (a name or a peer ID, see /who). Quote names containing spaces. Clicking on a ' +
+               'name in the chat starts a private message too</p>';
+    };
+
+    /**
+     * Splits the arguments into the user and the message. Unlike argv,
+     * the message keeps its quotes and spacing.
+     *
+     * @param {String} rawArgs - The arguments as typed.
+     * @returns {Object|null} Of the form { user : String, message : String },
+     * null if there is no user.
+     * @private
+     */
+    this._parse = function(rawArgs) {
+        var match = /^(?:"([^"]*)"|'([^']*)'|(\S+))\s*([\s\S]*)$/.exec(rawArgs);
+        if (match === null) {
+            return null;
+        }
+
+        var user = match[3];
+        if (match[1] !== undefined) {
+            user = match[1];
+        } else if (match[2] !== undefined) {
+            user = match[2];
+        }
+
+        return {
+            user: user,
+            message: $.trim(match[4])
+        };
+    };
+
+    /**
+     * Executes a command.
+     *
+     * @param {Object} chatObj - Chat object.
+     * @param {Array<String>} argv - Array of arguments.
+     * @param {String} rawArgs - The arguments as typed.
+     * @returns {Boolean} True
+     * @public
+     */
+    this.execute = function(chatObj, argv, rawArgs) {
+        var args = this._parse(rawArgs);
+        if (args === null || args.message.length === 0) {
+            _appendCmdError(chatObj, 'Usage: <b>/' + this.command + ' user message</b>');
+            return true;
+        }
+
+        var found = _findUser(chatObj, args.user);
+        if (found.error !== undefined) {
+            _appendCmdError(chatObj, found.error);
+        } else if (found.peerId === chatObj.peerId) {
+            _appendCmdError(chatObj, 'You cannot send a private message to yourself');
+        } else {
+            chatObj.sendPrivateMessage(found.peerId, args.message);
+        }
+
+        return true;
+    };
+
+    return this;
+};
+
+/**
+ * Deletes the chat history of the room.
+ *
+ * @class
+ */
+var ClearHistory = function() {
+    this.command = 'clear';
+
+    /**
+     * Help function.
+     *
+     * @returns {String} Help message as an HTML string.
+     * @public
+     */
+    this.help = function() {
+        return '<h2><span class="chatIntCmdName">/' + this.command + '</span></h2>' +
+               '<p>Deletes the chat history of this room, including what is kept from earlier visits</p>';
+    };
+
+    /**
+     * Executes a command.
+     *
+     * @param {Object} chatObj - Chat object.
+     * @returns {Boolean} True
+     * @public
+     */
+    this.execute = function(chatObj) {
+        chatObj.clearHistory();
+        return true;
+    };
+
+    return this;
+};
+
+/**
+ * Saves the conversation as a file.
+ *
+ * @class
+ */
+var ExportTranscript = function() {
+    this.command = 'export';
+
+    /**
+     * Help function.
+     *
+     * @returns {String} Help message as an HTML string.
+     * @public
+     */
+    this.help = function() {
+        return '<h2><span class="chatIntCmdName">/' + this.command + '</span> ' +
+               '<span class="chatIntCmdArg">format</span></h2>' +
+               '<p>Saves the conversation of this room as a file, <span class="chatIntCmdArg">format</span> ' +
+               'is one of md (Markdown, the default), txt or json</p>';
+    };
+
+    /**
+     * Executes a command.
+     *
+     * @param {Object} chatObj - Chat object.
+     * @param {Array<String>} argv - Array of arguments.
+     * @returns {Boolean} True
+     * @public
+     */
+    this.execute = function(chatObj, argv) {
+        var format = (argv.length > 0) ? argv[0].toLowerCase() : 'md';
+
+        if (!ChatExport.formats.hasOwnProperty(format)) {
+            _appendCmdError(chatObj, 'Unknown format, use one of md, txt or json');
+        } else if (!chatObj.exportTranscript(format)) {
+            _appendCmdError(chatObj, 'Failed to save the conversation');
+        }
+
+        return true;
+    };
+
+    return this;
+};
+
+/**
+ * Shows or changes how long the chat history is kept.
+ *
+ * @class
+ */
+var HistoryRetention = function() {
+    this.command = 'history';
+
+    // Longest retention period (in days) that can be picked
+    this.kMaxDays = 365;
+
+    /**
+     * Help function.
+     *
+     * @returns {String} Help message as an HTML string.
+     * @public
+     */
+    this.help = function() {
+        return '<h2><span class="chatIntCmdName">/' + this.command + '</span> ' +
+               '<span class="chatIntCmdArg">days</span></h2>' +
+               '<p>Keeps the chat history of every room for <span class="chatIntCmdArg">days</span> ' +
+               '(0 keeps nothing). Without <span class="chatIntCmdArg">days</span>, shows the current setting</p>';
+    };
+
+    /**
+     * Executes a command.
+     *
+     * @param {Object} chatObj - Chat object.
+     * @param {Array<String>} argv - Array of arguments.
+     * @returns {Boolean} True
+     * @public
+     */
+    this.execute = function(chatObj, argv) {
+        if (argv.length === 0) {
+            chatObj._appendLine('<div class="chatInternal"><p>The chat history is kept for <b>' +
+                                ChatHistory.getRetentionDays() + '</b> days</p></div>');
+            return true;
+        }
+
+        var days = parseInt(argv[0], 10);
+        if (!/^\d+$/.test(argv[0]) || days > this.kMaxDays) {
+            _appendCmdError(chatObj, 'The number of days must be between 0 and ' + this.kMaxDays);
+        } else if (!ChatHistory.setRetentionDays(days)) {
+            _appendCmdError(chatObj, 'Failed to change how long the chat history is kept');
+        } else if (days === 0) {
+            chatObj._appendLine('<div class="chatInternal"><p>The chat history is no longer kept</p></div>');
+        } else {
+            chatObj._appendLine('<div class="chatInternal"><p>The chat history is now kept for <b>' +
+                                days + '</b> days</p></div>');
+        }
+
+        return true;
+    };
+
+    return this;
+};
+
+/**
+ * Puts the spotlight on a user, featuring them in everybody's layout.
+ * Registered by the room (see vtcMain), which knows how to tell everybody.
+ *
+ * @param {Function} spotlightFn - Called with the peer ID of the user to feature, or null
+ * to turn the spotlight off. It's of the form: function(peerId : String | null)
+ * @class
+ */
+var SpotlightCommand = function(spotlightFn) {
+    this.command = 'spotlight';
+
+    /**
+     * Help function.
+     *
+     * @returns {String} Help message as an HTML string.
+     * @public
+     */
+    this.help = function() {
+        return '<h2><span class="chatIntCmdName">/' + this.command + '</span> ' +
+               '<span class="chatIntCmdArg">user</span></h2>' +
+               '<p>Features <span class="chatIntCmdArg">user</span> (a name or a peer ID, see /who) ' +
+               'on the stage of everybody in the room, <span class="chatIntCmdArg">off</span> ' +
+               'turns the spotlight off. Moderators only</p>';
+    };
+
+    /**
+     * Executes a command.
+     *
+     * @param {Object} chatObj - Chat object.
+     * @param {Array<String>} argv - Array of arguments.
+     * @returns {Boolean} True
+     * @public
+     */
+    this.execute = function(chatObj, argv) {
+        // Names may contain spaces, whether or not they were quoted
+        var user = argv.join(' ');
+
+        // On success, the room announces the spotlight in the chat
+        if (user.length === 0) {
+            _appendCmdError(chatObj, 'Missing argument for <b>/' + this.command + '</b>');
+        } else if (user.toLowerCase() === 'off') {
+            spotlightFn(null);
+        } else {
+            var found = _findUser(chatObj, user);
+            if (found.error !== undefined) {
+                _appendCmdError(chatObj, found.error);
+            } else {
+                spotlightFn(found.peerId);
+            }
+        }
+
+        return true;
+    };
+
+    return this;
+};
+
+/**
+ * Checks that we moderate the room before running a moderator command, telling the user if we do not.
+ *
+ * @param {Object} chatObj - Chat object.
+ * @param {Object} cmd - The command.
+ * @param {Object} moderator - The moderator actions (see MuteCommand).
+ * @returns {Boolean} True if we moderate the room, false otherwise.
+ * @private
+ */
+var _checkModerator = function(chatObj, cmd, moderator) {
+    if (!moderator.isModerator()) {
+        _appendCmdError(chatObj, 'Only the moderators of the room can use <b>/' + cmd.command + '</b>');
+        return false;
+    }
+
+    return true;
+};
+
+/**
+ * Runs a moderator action on the user named in the arguments of a command.
+ *
+ * @param {Object} chatObj - Chat object.
+ * @param {Object} cmd - The command.
+ * @param {Object} moderator - The moderator actions (see MuteCommand).
+ * @param {Array<String>} argv - Array of arguments.
+ * @param {Function} actionFn - The action, one of moderator.mute or moderator.remove.
+ * @returns {undefined} undefined
+ * @private
+ */
+var _runModeratorAction = function(chatObj, cmd, moderator, argv, actionFn) {
+    // Names may contain spaces, whether or not they were quoted
+    var user = argv.join(' ');
+
+    if (!_checkModerator(chatObj, cmd, moderator)) {
+        return;
+    } else if (user.length === 0) {
+        _appendCmdError(chatObj, 'Missing argument for <b>/' + cmd.command + '</b>');
+        return;
+    }
+
+    var found = _findUser(chatObj, user);
+    var error = (found.error !== undefined) ? found.error : actionFn.call(moderator, found.peerId);
+    if (error !== null) {
+        _appendCmdError(chatObj, error);
+    }
+};
+
+/**
+ * Mutes the microphone of a user. Registered by the room (see vtcMain) along with
+ * the other moderator commands, which only the moderators of the room can use.
+ *
+ * @param {Object} moderator - The moderator actions, of the form:
+ *   {
+ *     isModerator : function() : Boolean (whether we moderate the room),
+ *     isLocked    : function() : Boolean (whether the room is locked),
+ *     mute        : function(peerId : String) : String|null,
+ *     muteAll     : function(),
+ *     remove      : function(peerId : String) : String|null,
+ *     lock        : function(locked : Boolean)
+ *   }
+ * where mute and remove return why the user can't be muted or removed (HTML), null on success.
+ * @class
+ */
+var MuteCommand = function(moderator) {
+    this.command = 'mute';
+
+    /**
+     * Help function.
+     *
+     * @returns {String} Help message as an HTML string.
+     * @public
+     */
+    this.help = function() {
+        return '<h2><span class="chatIntCmdName">/' + this.command + '</span> ' +
+               '<span class="chatIntCmdArg">user</span></h2>' +
+               '<p>Mutes the microphone of <span class="chatIntCmdArg">user</span> (a name or a peer ID, ' +
+               'see /who). Moderators only</p>';
+    };
+
+    /**
+     * Executes a command.
+     *
+     * @param {Object} chatObj - Chat object.
+     * @param {Array<String>} argv - Array of arguments.
+     * @returns {Boolean} True
+     * @public
+     */
+    this.execute = function(chatObj, argv) {
+        _runModeratorAction(chatObj, this, moderator, argv, moderator.mute);
+        return true;
+    };
+
+    return this;
+};
+
+/**
+ * Mutes the microphone of everybody else in the room.
+ *
+ * @param {Object} moderator - The moderator actions (see MuteCommand).
+ * @class
+ */
+var MuteAllCommand = function(moderator) {
+    this.command = 'muteall';
+
+    /**
+     * Help function.
+     *
+     * @returns {String} Help message as an HTML string.
+     * @public
+     */
+    this.help = function() {
+        return '<h2><span class="chatIntCmdName">/' + this.command + '</span></h2>' +
+               '<p>Mutes the microphone of everybody else in the room. Moderators only</p>';
+    };
+
+    /**
+     * Executes a command.
+     *
+     * @param {Object} chatObj - Chat object.
+     * @returns {Boolean} True
+     * @public
+     */
+    this.execute = function(chatObj) {
+        if (_checkModerator(chatObj, this, moderator)) {
+            moderator.muteAll();
+        }
+
+        return true;
+    };
+
+    return this;
+};
+
+/**
+ * Removes a user from the room.
+ *
+ * @param {Object} moderator - The moderator actions (see MuteCommand).
+ * @class
+ */
+var KickCommand = function(moderator) {
+    this.command = 'kick';
+
+    /**
+     * Help function.
+     *
+     * @returns {String} Help message as an HTML string.
+     * @public
+     */
+    this.help = function() {
+        return '<h2><span class="chatIntCmdName">/' + this.command + '</span> ' +
+               '<span class="chatIntCmdArg">user</span></h2>' +
+               '<p>Removes <span class="chatIntCmdArg">user</span> (a name or a peer ID, see /who) ' +
+               'from the room. Lock the room (see /lock) to keep them from joining again. Moderators only</p>';
+    };
+
+    /**
+     * Executes a command.
+     *
+     * @param {Object} chatObj - Chat object.
+     * @param {Array<String>} argv - Array of arguments.
+     * @returns {Boolean} True
+     * @public
+     */
+    this.execute = function(chatObj, argv) {
+        _runModeratorAction(chatObj, this, moderator, argv, moderator.remove);
+        return true;
+    };
+
+    return this;
+};
+
+/**
+ * Locks the room against new joins, or unlocks it.
+ *
+ * @param {Object} moderator - The moderator actions (see MuteCommand).
+ * @class
+ */
+var LockCommand = function(moderator) {
+    this.command = 'lock';
+
+    /**
+     * Help function.
+     *
+     * @returns {String} Help message as an HTML string.
+     * @public
+     */
+    this.help = function() {
+        return '<h2><span class="chatIntCmdName">/' + this.command + '</span> ' +
+               '<span class="chatIntCmdArg">newState</span></h2>' +
+               '<p>Locks (<span class="chatIntCmdArg">on</span>) or unlocks (<span class="chatIntCmdArg">off</span>) ' +
+               'the room. Nobody else can join a locked room, except with the moderator passcode. ' +
+               'Without <span class="chatIntCmdArg">newState</span>, tells whether the room is locked. ' +
+               'Moderators only</p>';
+    };
+
+    /**
+     * Executes a command.
+     *
+     * @param {Object} chatObj - Chat object.
+     * @param {Array<String>} argv - Array of arguments.
+     * @returns {Boolean} True
+     * @public
+     */
+    this.execute = function(chatObj, argv) {
+        if (argv.length === 0) {
+            chatObj._appendLine('<div class="chatInternal"><p>The room is <b>' +
+                                (moderator.isLocked() ? 'locked' : 'unlocked') + '</b></p></div>');
+            return true;
+        }
+
+        // On success, the room announces the change in the chat
+        var state = argv[0].toLowerCase();
+        if (state !== 'on' && state !== 'off') {
+            _appendCmdError(chatObj, 'Invalid argument for <b>/' + this.command + '</b>');
+        } else if (_checkModerator(chatObj, this, moderator)) {
+            moderator.lock(state === 'on');
+        }
+
+        return true;
+    };
+
+    return this;
+};
+
 var ChatCommands = {
     _cmds: {},
 
@@ -226,9 +808,15 @@ var ChatCommands = {
 
         // @todo Add new plugins here
         this.registerCommand(new ListUser());
+        this.registerCommand(new PrivateMessage());
+        this.registerCommand(new ClearHistory());
+        this.registerCommand(new HistoryRetention());
+        this.registerCommand(new ExportTranscript());
         this.registerCommand(new CameraToggle());
         this.registerCommand(new MicToggle());
         this.registerCommand(new DashboardToggle());
+        this.registerCommand(new LowBandwidthToggle());
+        this.registerCommand(new StatsToggle());
     },
 
     /**
@@ -285,7 +873,8 @@ var ChatCommands = {
         } else {
             var handler = this._cmds[cmd];
             if (handler !== undefined) {
-                return handler.execute(this._chatObject, argv.slice(1));
+                var rawArgs = message.replace(/^\/\S*\s*/, '');
+                return handler.execute(this._chatObject, argv.slice(1), rawArgs);
             } else {
                 return false;
             }
@@ -3,6 +3,9 @@
  *
  * @requires Handlebars.js
  * @requires module:js/chat-cmds
+ * @requires module:js/markdown
+ * @requires module:js/history
+ * @requires module:js/export
  * @requires module:js/sound
  * @requires module:js/error
  */
@@ -13,6 +16,8 @@
 var _chatTextEntry = $('#chatTextEntry');
 var _chatControlPane = $('.chatControlPane');
 var _chatHistoryPane = $('.chatHistoryPane');
+var _chatMenuPane = $('.chatMenuPane');
+var _chatTypingPane = $('.chatTypingPane');
 
 /**
  * Resizes the chat panes.
@@ -26,7 +31,8 @@ var resizeChatPanes = function() {
     var chatControlPaneHeight = chatTextEntryHeight;
     _chatControlPane.css('height', chatControlPaneHeight + 'px');
 
-    var historyPaneHeight = $('.sidePanelContent').height() - _chatControlPane.height() - 10;
+    var historyPaneHeight = $('.sidePanelContent').height() - _chatControlPane.height() -
+                            _chatMenuPane.outerHeight(true) - _chatTypingPane.outerHeight(true) - 10;
     _chatHistoryPane.css('height', historyPaneHeight + 'px');
 };
 
@@ -49,7 +55,9 @@ var getRandomColor = function() {
  * @class
  */
 var Chat = function(roomName) {
-    // @todo (input): make sure that roomName is sanitized
+    // NOTE: User supplied values (roomName, user names) are only ever rendered through
+    //       the double-stash Handlebars templates below, which escape them. Messages
+    //       are rendered by ChatMarkdown, which escapes and sanitizes them.
 
     // An Object storing mappings of peerId : String => userName : String
     var _peerIdMap = {};
@@ -62,6 +70,15 @@ var Chat = function(roomName) {
     // Stores the last command for quick callback (for when up arrow is clicked on empty text entry bar
     var _lastCommand = null;
 
+    // Stores every entry on display, oldest first (see Chat._record and Chat.exportTranscript)
+    var _transcript = [];
+
+    // Stores the users that are typing, as peerId : String => handle of the timer forgetting them
+    var _typingTimers = {};
+
+    // When we last told the room that we are typing (in milliseconds), 0 if we are not typing
+    var _lastTypingSent = 0;
+
     // Stores the function used to send peer messages
     this.sendMessage = null;
 
@@ -73,6 +90,12 @@ var Chat = function(roomName) {
     // Default time-to-live for notifications (in seconds)
     this.kDefaultNotificationTimeout = 3;
 
+    // While typing, we tell the room at most this often (in milliseconds)...
+    this.kTypingInterval = 3000;
+
+    // ...and others are shown as typing for this long after their last notice (in milliseconds)
+    this.kTypingTimeout = 6000;
+
     /**
      * Appends a line to the chat history.
      *
@@ -109,36 +132,52 @@ var Chat = function(roomName) {
 
     this.userEnteredTmpl = Handlebars.compile(
         '<div class="chatNotification">' +
-        '<span class="chatUsername tooltip" style="color:{{color}}" title="{{id}}">{{user}}</span> has entered <span class="chatRoomName">{{room}}</span>.' +
+        '<span class="chatUsername tooltip" style="color:{{color}}" title="{{id}}" data-peer-id="{{id}}">{{user}}</span> has entered <span class="chatRoomName">{{room}}</span>.' +
         '</div>'
     );
 
     this.userLeftTmpl = Handlebars.compile(
         '<div class="chatNotification">' +
-        '<span class="chatUsername tooltip" style="color:{{color}}" title="{{id}}">{{user}}</span> has left <span class="chatRoomName">{{room}}</span>.' +
+        '<span class="chatUsername tooltip" style="color:{{color}}" title="{{id}}" data-peer-id="{{id}}">{{user}}</span> has left <span class="chatRoomName">{{room}}</span>.' +
         '</div>'
     );
 
     this.messageTmpl = Handlebars.compile(
         '<div class="chatMessageHeader">' +
-        '<span class="chatUsername tooltip" style="color:{{color}}" title="{{id}}">{{user}}</span>' +
+        '<span class="chatUsername tooltip" style="color:{{color}}" title="{{id}}" data-peer-id="{{id}}">{{user}}</span>' +
         '<span class="chatTimestamp">{{time}}</span>' +
         '</div> ' +
-        '<div class="chatMessage">{{msg}}</div>'
+        '<div class="chatMessage">{{{msg}}}</div>'
     );
 
     this.msgContinueTmpl = Handlebars.compile(
-        '<div class="chatMessage">{{msg}}</div>'
+        '<div class="chatMessage">{{{msg}}}</div>'
+    );
+
+    this.privateMessageTmpl = Handlebars.compile(
+        '<div class="chatPrivate">' +
+        '<div class="chatMessageHeader">' +
+        '<span class="chatPrivateLabel">{{label}}</span>' +
+        '<span class="chatUsername tooltip" style="color:{{color}}" title="{{id}}" data-peer-id="{{id}}">{{user}}</span>' +
+        '<span class="chatTimestamp">{{time}}</span>' +
+        '<span class="chatPrivateReply" data-peer-id="{{id}}">{{action}}</span>' +
+        '</div> ' +
+        '<div class="chatMessage">{{{msg}}}</div>' +
+        '</div>'
     );
 
     /**
      * Returns a timestamp of the hours, minutes, and seconds.
      *
+     * @param {Date} [date] - The time to format, now if omitted.
      * @returns {String} the timestamp.
      * @public
      */
-    var getTimeStamp = function() {
-        var date = new Date();
+    var getTimeStamp = function(date) {
+        if (date === undefined) {
+            date = new Date();
+        }
+
         var hours = '' + date.getHours();
         if (hours.length === 1) {
             hours = '0' + hours;
@@ -245,7 +284,6 @@ var Chat = function(roomName) {
         if (this.peerId !== null) {
             var hsvColor = this._generateUniqueColor(peerId);
 
-            // @todo (input): both userName and roomName come from user-supplied values, are they safe?
             var content = this.userEnteredTmpl({
                 color: hsvColor,
                 user: userName,
@@ -254,6 +292,7 @@ var Chat = function(roomName) {
             });
 
             _peerIdMap[peerId] = userName;
+            this._record('entered', peerId, userName, hsvColor);
 
             // Do not show self events
             if (this.peerId !== peerId) {
@@ -285,7 +324,6 @@ var Chat = function(roomName) {
 
             var hsvColor = this.peerColorMap[peerId];
             if (hsvColor !== undefined) {
-                // @todo (input): roomName and userName are from tainted user input
                 var content = this.userLeftTmpl({
                     color: hsvColor,
                     user: userName,
@@ -299,7 +337,10 @@ var Chat = function(roomName) {
                 }
 
                 this._appendLine(content);
+                this._record('left', peerId, userName, hsvColor);
 
+                this._setTyping(peerId, false);
+                delete _peerIdMap[peerId];
                 delete this.peerColorMap[peerId];
 
                 var idx = this.colorsUsed.indexOf(hsvColor);
@@ -316,6 +357,34 @@ var Chat = function(roomName) {
         return this;
     };
 
+    /**
+     * Changes the peer ID of the current user (e.g. after reconnecting)
+     * while keeping its name and color.
+     *
+     * @param {String} peerId - The new peer ID of the current user.
+     * @returns {Object} The current Chat instance.
+     * @public
+     */
+    this.updatePeerId = function(peerId) {
+        var oldPeerId = this.peerId;
+        if (oldPeerId === null || oldPeerId === peerId) {
+            return this;
+        }
+
+        _peerIdMap[peerId] = _peerIdMap[oldPeerId];
+        delete _peerIdMap[oldPeerId];
+
+        this.peerColorMap[peerId] = this.peerColorMap[oldPeerId];
+        delete this.peerColorMap[oldPeerId];
+
+        if (_lastPeerIdMessage === oldPeerId) {
+            _lastPeerIdMessage = peerId;
+        }
+
+        this.peerId = peerId;
+        return this;
+    };
+
     /**
      * Adds a notification to the chat.
      *
@@ -347,12 +416,26 @@ var Chat = function(roomName) {
      * @public
      */
     this.handlePeerMessage = function(peerId, content) {
-        if (typeof content.msg === 'string') {
+        if (typeof content.msg === 'string' && content.isPrivate === true) {
+            // Private Chat Message message (only sent to us)
+            //   {
+            //     msg : string,
+            //     isPrivate : true
+            //   }
+            this.addPrivateMessage(peerId, peerId, content.msg);
+        } else if (typeof content.msg === 'string') {
             // New Chat Message message
             //   {
             //     msg : string
             //   }
+            this._setTyping(peerId, false);
             this.addMessage(peerId, content.msg);
+        } else if (typeof content.typing === 'boolean') {
+            // Typing Indicator message (repeated every kTypingInterval while typing)
+            //   {
+            //     typing : boolean
+            //   }
+            this._setTyping(peerId, content.typing);
         // @todo (potato): implement potato message handler here
         } else if (typeof content.cmd === 'string') {
             // Chat Command Message
@@ -396,26 +479,22 @@ var Chat = function(roomName) {
             if (hsvColor !== undefined && userName !== undefined) {
                 var content = null;
 
-                if (!_handleChatCommand(message)) {
-                    // @todo (input): userName and message come from user input
-                    if (_lastPeerIdMessage !== peerId) {
-                        content = this.messageTmpl({
-                            color: hsvColor,
-                            user: userName,
-                            id: peerId,
-                            msg: message,
-                            time: getTimeStamp()
-                        });
-                    } else {
-                        content = this.msgContinueTmpl({
-                            msg: message
-                        });
-                    }
-                    this._appendLine(content);
-                    _lastPeerIdMessage = peerId;
+                if (_lastPeerIdMessage !== peerId) {
+                    content = this.messageTmpl({
+                        color: hsvColor,
+                        user: userName,
+                        id: peerId,
+                        msg: ChatMarkdown.render(message),
+                        time: getTimeStamp()
+                    });
                 } else {
-                    _lastCommand = message;
+                    content = this.msgContinueTmpl({
+                        msg: ChatMarkdown.render(message)
+                    });
                 }
+                this._appendLine(content);
+                this._record('message', peerId, userName, hsvColor, { text: message });
+                _lastPeerIdMessage = peerId;
             } else {
                 ErrorMetric.log('Chat.addMessage => "' + peerId + '" is not a valid key');
             }
@@ -426,6 +505,354 @@ var Chat = function(roomName) {
         return this;
     };
 
+    /**
+     * Adds a private message (sent to or received from a single user) to the chat.
+     *
+     * @param {String} fromPeerId - The peer ID of the user that sent the message.
+     * @param {String} otherPeerId - The peer ID of the other user of the conversation
+     * (the recipient if we sent the message, the sender otherwise).
+     * @param {String} message - The contents of the message.
+     * @returns {Object} The current Chat instance.
+     * @public
+     */
+    this.addPrivateMessage = function(fromPeerId, otherPeerId, message) {
+        var userName = _peerIdMap[otherPeerId];
+        var hsvColor = this.peerColorMap[otherPeerId];
+        if (userName === undefined || hsvColor === undefined) {
+            ErrorMetric.log('Chat.addPrivateMessage => "' + otherPeerId + '" is not a valid key');
+            return this;
+        }
+
+        var isOutgoing = (fromPeerId === this.peerId);
+
+        this._appendLine(this.privateMessageTmpl({
+            label: isOutgoing ? 'Private message to' : 'Private message from',
+            color: hsvColor,
+            user: userName,
+            id: otherPeerId,
+            action: isOutgoing ? 'send another' : 'reply',
+            msg: ChatMarkdown.render(message),
+            time: getTimeStamp()
+        }));
+
+        this._record('private', otherPeerId, userName, hsvColor, {
+            text: message,
+            outgoing: isOutgoing
+        });
+
+        // The next public message gets its own header
+        _lastPeerIdMessage = null;
+
+        if (!isOutgoing) {
+            this._notify('Private message from ' + userName, message);
+        }
+
+        return this;
+    };
+
+    /**
+     * Stores an event of the chat in ChatHistory.
+     *
+     * @param {String} type - One of 'entered', 'left', 'message' or 'private'.
+     * @param {String} peerId - The peer ID of the user (for private messages, the other user).
+     * @param {String} userName - The name of the user.
+     * @param {String} color - The color of the user.
+     * @param {Object} [extra] - Messages add { text : String } and private
+     * messages also { outgoing : Boolean }.
+     * @returns {undefined} undefined
+     * @private
+     */
+    this._record = function(type, peerId, userName, color, extra) {
+        var entry = $.extend({
+            type: type,
+            time: Date.now(),
+            peerId: peerId,
+            userName: userName,
+            color: color
+        }, extra);
+
+        _transcript.push(entry);
+        ChatHistory.add(this.roomName, entry);
+    };
+
+    /**
+     * Formats the time of a stored entry, with the date if it is not from today.
+     *
+     * @param {Number} time - Milliseconds since the epoch.
+     * @returns {String} The formatted time.
+     * @private
+     */
+    var formatEntryTime = function(time) {
+        var date = new Date(time);
+        if (date.toDateString() === new Date().toDateString()) {
+            return getTimeStamp(date);
+        }
+
+        return date.toLocaleDateString() + ' ' + getTimeStamp(date);
+    };
+
+    /**
+     * Renders an entry stored in ChatHistory.
+     *
+     * @param {Object} entry - The entry (see Chat._record).
+     * @param {Boolean} continued - True if the entry is a message following
+     * a message of the same user (it then gets no header).
+     * @returns {String} The entry as an HTML string.
+     * @private
+     */
+    this._renderEntry = function(entry, continued) {
+        var context = {
+            color: entry.color,
+            user: entry.userName,
+            id: entry.peerId,
+            room: this.roomName,
+            time: formatEntryTime(entry.time)
+        };
+
+        if (entry.type === 'entered') {
+            return this.userEnteredTmpl(context);
+        } else if (entry.type === 'left') {
+            return this.userLeftTmpl(context);
+        }
+
+        context.msg = ChatMarkdown.render(entry.text);
+
+        if (entry.type === 'private') {
+            context.label = entry.outgoing ? 'Private message to' : 'Private message from';
+            context.action = entry.outgoing ? 'send another' : 'reply';
+            return this.privateMessageTmpl(context);
+        }
+
+        return continued ? this.msgContinueTmpl(context) : this.messageTmpl(context);
+    };
+
+    /**
+     * Shows the history of the room (from earlier visits) above the current session.
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    this._restoreHistory = function() {
+        var _this = this;
+
+        // Anything recorded from now on is already on display
+        var since = Date.now();
+
+        var restored = $('<div></div>', { 'class': 'chatRestored' });
+        _chatHistoryPane.prepend(restored);
+
+        ChatHistory.load(this.roomName, function(entries) {
+            var content = '';
+            var lastPeerId = null;
+
+            entries = entries.filter(function(entry) {
+                return entry.time < since;
+            });
+
+            for (var i = 0; i < entries.length; i++) {
+                var entry = entries[i];
+                content += _this._renderEntry(entry, entry.type === 'message' && entry.peerId === lastPeerId);
+                lastPeerId = (entry.type === 'message') ? entry.peerId : null;
+            }
+
+            _transcript = entries.concat(_transcript);
+
+            if (content.length > 0) {
+                restored.html(content + _this.notificationTmpl({
+                    room: _this.roomName,
+                    msg: 'Everything above is from an earlier visit. Type /clear to delete it.'
+                }));
+
+                _chatHistoryPane.scrollTop(_chatHistoryPane.prop('scrollHeight'));
+            }
+        });
+    };
+
+    /**
+     * Deletes the history of the room, both on display and in ChatHistory.
+     *
+     * @returns {Object} The current Chat instance.
+     * @public
+     */
+    this.clearHistory = function() {
+        _chatHistoryPane
+            .stop(true, false)
+            .empty();
+        _lastPeerIdMessage = null;
+        _transcript = [];
+
+        ChatHistory.clear(this.roomName);
+        this.addNotification('The chat history of this room was deleted.');
+
+        return this;
+    };
+
+    /**
+     * Saves the conversation on display as a file.
+     *
+     * @param {String} format - One of the keys of ChatExport.formats ('md', 'txt' or 'json').
+     * @returns {Boolean} True if successful, false if format is not supported.
+     * @public
+     */
+    this.exportTranscript = function(format) {
+        var entries = _transcript.map(function(entry) {
+            return $.extend({
+                timeStamp: formatEntryTime(entry.time)
+            }, entry);
+        });
+
+        return ChatExport.save(format, this.roomName, entries, {
+            peerId: this.peerId,
+            userName: this.userName
+        });
+    };
+
+    /**
+     * Sends a message to a single user and adds it to the chat.
+     *
+     * @param {String} peerId - The peer ID of the recipient.
+     * @param {String} message - The contents of the message.
+     * @returns {Boolean} True if the message was sent, false otherwise.
+     * @public
+     */
+    this.sendPrivateMessage = function(peerId, message) {
+        if (!this.isInRoom(peerId)) {
+            this.addNotification('That user has left the room, your private message was not sent.');
+            return false;
+        }
+
+        if (!this.sendMessage({
+            msg: message,
+            isPrivate: true
+        }, peerId)) {
+            ErrorMetric.log('Chat.sendPrivateMessage => failed to send message to ' + peerId);
+            this.addNotification('Failed to send your private message to ' + _peerIdMap[peerId]);
+            return false;
+        }
+
+        this.addPrivateMessage(this.peerId, peerId, message);
+        return true;
+    };
+
+    /**
+     * Tells whether a user is still in the room.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {Boolean} True if the user is in the room, false otherwise.
+     * @public
+     */
+    this.isInRoom = function(peerId) {
+        return _peerIdMap.hasOwnProperty(peerId);
+    };
+
+    /**
+     * Fills the text entry with a /msg command for a user, ready for typing
+     * the message (used when clicking on a user name or a reply link).
+     *
+     * @param {String} peerId - The peer ID of the recipient.
+     * @returns {undefined} undefined
+     * @private
+     */
+    this._startPrivateMessage = function(peerId) {
+        if (peerId === this.peerId) {
+            return;
+        }
+
+        if (!this.isInRoom(peerId)) {
+            this.addNotification('That user has left the room.');
+            return;
+        }
+
+        // Focusing first clears the placeholder text (see the focus handler in initialize)
+        _chatTextEntry
+            .focus()
+            .text('/msg ' + peerId + ' ');
+
+        // Put the caret after the command
+        var range = document.createRange();
+        range.selectNodeContents(_chatTextEntry.get(0));
+        range.collapse(false);
+
+        var selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    };
+
+    /**
+     * Shows who is typing under the chat history.
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    this._updateTypingLine = function() {
+        var names = Object.keys(_typingTimers).map(function(peerId) {
+            return _peerIdMap[peerId];
+        });
+
+        var text = '';
+        if (names.length === 1) {
+            text = names[0] + ' is typing…';
+        } else if (names.length === 2) {
+            text = names[0] + ' and ' + names[1] + ' are typing…';
+        } else if (names.length > 2) {
+            text = names.length + ' people are typing…';
+        }
+
+        // User names are user input, text() keeps them from being parsed as HTML
+        _chatTypingPane.text(text);
+    };
+
+    /**
+     * Marks a user as typing (until kTypingTimeout passes without another notice) or not.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {Boolean} isTyping - True if the user is typing, false otherwise.
+     * @returns {undefined} undefined
+     * @private
+     */
+    this._setTyping = function(peerId, isTyping) {
+        var _this = this;
+
+        if (_typingTimers.hasOwnProperty(peerId)) {
+            clearTimeout(_typingTimers[peerId]);
+            delete _typingTimers[peerId];
+        }
+
+        if (isTyping && peerId !== this.peerId && this.isInRoom(peerId)) {
+            _typingTimers[peerId] = setTimeout(function() {
+                delete _typingTimers[peerId];
+                _this._updateTypingLine();
+            }, this.kTypingTimeout);
+        }
+
+        this._updateTypingLine();
+    };
+
+    /**
+     * Tells the room whether we are typing, based on the text entry. Typing a command is
+     * not announced (a /msg is meant for a single user).
+     *
+     * @param {String} text - The contents of the text entry.
+     * @returns {undefined} undefined
+     * @private
+     */
+    this._announceTyping = function(text) {
+        var isTyping = ($.trim(text).length > 0 && text.charAt(0) !== '/');
+        var now = Date.now();
+
+        if (isTyping && now - _lastTypingSent >= this.kTypingInterval) {
+            _lastTypingSent = now;
+            this.sendMessage({
+                typing: true
+            });
+        } else if (!isTyping && _lastTypingSent !== 0) {
+            _lastTypingSent = 0;
+            this.sendMessage({
+                typing: false
+            });
+        }
+    };
+
     /**
      * Sets up the user controls, binds the user name, and registers a callback for
      * the Chat UI. This connects the components such that messages can be sent out.
@@ -433,7 +860,8 @@ var Chat = function(roomName) {
      * @param {String} peerId - The peer ID of the current user.
      * @param {String} userName - The name of the current user.
      * @param {Function} sendMessageFn - A callback that gets passed the message
-     * from the text entry field. Takes a message string and returns a boolean
+     * from the text entry field. Takes a message object and optionally the peer ID
+     * of a single recipient (the whole room otherwise), and returns a boolean
      * (true on success, false on failure). This should tie-in with a backend that
      * does the busy work of actually sending the message.
      * @returns {Object} The current Chat instance.
@@ -447,6 +875,8 @@ var Chat = function(roomName) {
 
         this.sendMessage = sendMessageFn;
 
+        this._restoreHistory();
+
         // @todo FIXME: it would be cool to have some text here...
         this.addNotification('Welcome! Feel free to use this to communicate.');
         this.addNotification('To see a list of chatroom commands, type /help');
@@ -484,7 +914,11 @@ var Chat = function(roomName) {
                 // Handles the ENTER key so we can send a chat message
                 if (e.which === 13) {
                     var msg = _chatTextEntry.text();
-                    if (sendMessageFn({
+
+                    // Commands run locally and are never sent to the room (/msg would give away the message)
+                    if (msg.charAt(0) === '/' && _handleChatCommand(msg)) {
+                        _lastCommand = msg;
+                    } else if (sendMessageFn({
                         msg: msg
                     })) {
                         _this.addMessage(_this.peerId, msg);
@@ -493,6 +927,9 @@ var Chat = function(roomName) {
                         _this.addNotification('Failed to send last message');
                     }
 
+                    // Others stop showing us as typing when the message arrives
+                    _lastTypingSent = 0;
+
                     _chatTextEntry
                         .text('');
                     resizePanes = true;
@@ -504,6 +941,8 @@ var Chat = function(roomName) {
                             .text(_lastCommand);
                     }
                 } else {
+                    _this._announceTyping(_chatTextEntry.text());
+
                     // All other keystrokes, we check to see if it causes
                     if (_lastTextEntryHeight !== _chatTextEntry.height()) {
                         resizePanes = true;
@@ -520,6 +959,15 @@ var Chat = function(roomName) {
             .attr('contenteditable', 'true')
             .text(defaultText);
 
+        _chatMenuPane.on('click', '.chatExportLink', function() {
+            _this.exportTranscript($(this).attr('data-format'));
+        });
+
+        // Clicking on a user name (or a reply link) starts a private message
+        _chatHistoryPane.on('click', '.chatUsername, .chatPrivateReply', function() {
+            _this._startPrivateMessage($(this).attr('data-peer-id'));
+        });
+
         Notification.requestPermission(function(permission) {
             if (permission === 'granted') {
                 _this.showNotifications = true;
@@ -547,6 +995,52 @@ var Chat = function(roomName) {
         return this;
     };
 
+    /**
+     * Ends the chat session: clears the history, disables the
+     * text entry and slides the chat panel up.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.finalize = function() {
+        // Unbinds the handlers set up in initialize so that the next Chat starts fresh
+        _chatTextEntry
+            .off()
+            .prop('disabled', true)
+            .attr('contenteditable', 'false')
+            .text('');
+
+        _chatHistoryPane
+            .off('click')
+            .stop(true, false)
+            .empty();
+
+        _chatMenuPane.off('click');
+
+        for (var peerId in _typingTimers) {
+            if (_typingTimers.hasOwnProperty(peerId)) {
+                clearTimeout(_typingTimers[peerId]);
+            }
+        }
+
+        _typingTimers = {};
+        _lastTypingSent = 0;
+        _chatTypingPane.text('');
+
+        $('.chatPanel')
+            .stop(false, true)
+            .slideUp();
+
+        _peerIdMap = {};
+        _lastPeerIdMessage = null;
+        _lastCommand = null;
+        _transcript = [];
+        this.peerColorMap = {};
+        this.colorsUsed = [];
+        this.sendMessage = null;
+        this.showNotifications = false;
+    };
+
     return this;
 };
 
@@ -0,0 +1,172 @@
+/**
+ * @file Defines a namespace for choosing the camera, microphone and speakers.
+ * The choice is remembered in StorageCookie.
+ *
+ * @requires module:js/error
+ * @requires module:js/login
+ * @requires module:js/vtc
+ * @requires Handlebars.js
+ */
+
+'use strict';
+
+var DeviceSettings = {
+    // The chosen device IDs, null means the browser's default device.
+    // Object structure:
+    //   {
+    //     audioInputId  : String | null,
+    //     videoInputId  : String | null,
+    //     audioOutputId : String | null
+    //   }
+    selected: {
+        audioInputId: null,
+        videoInputId: null,
+        audioOutputId: null
+    },
+
+    // Template for the device pickers
+    _pickersTmpl: Handlebars.compile(
+        '{{#each pickers}}' +
+        '<div class="deviceSetting">' +
+        '  <label for="{{key}}Picker">{{title}}</label>' +
+        '  <select class="devicePicker" id="{{key}}Picker" data-key="{{key}}">' +
+        '    <option value="">Default</option>' +
+        '    {{#each devices}}' +
+        '    <option value="{{deviceId}}"{{#if isSelected}} selected{{/if}}>{{label}}</option>' +
+        '    {{/each}}' +
+        '  </select>' +
+        '</div>' +
+        '{{/each}}'
+    ),
+
+    /**
+     * Loads the device choices from StorageCookie.
+     *
+     * @returns {Object} The DeviceSettings instance.
+     * @public
+     */
+    load: function() {
+        for (var key in this.selected) {
+            if (this.selected.hasOwnProperty(key)) {
+                this.selected[key] = StorageCookie.getValue(key);
+            }
+        }
+
+        return this;
+    },
+
+    /**
+     * Copies the device choices into a StorageCookie configuration object.
+     *
+     * @param {Object} config - StorageCookie configuration object.
+     * @returns {undefined} undefined
+     * @public
+     */
+    store: function(config) {
+        for (var key in this.selected) {
+            if (this.selected.hasOwnProperty(key) && this.selected[key] !== null) {
+                config[key] = this.selected[key];
+            }
+        }
+    },
+
+    /**
+     * Builds the template context for a list of devices.
+     *
+     * @param {String} key - The key in DeviceSettings.selected.
+     * @param {String} title - The label of the picker.
+     * @param {String} fallbackLabel - Used to name devices the browser did
+     * not give a label (which happens before media permissions are granted).
+     * @param {Array<Object>} devices - MediaDeviceInfo-like objects.
+     * @returns {Object} The picker context.
+     * @private
+     */
+    _pickerContext: function(key, title, fallbackLabel, devices) {
+        var _this = this;
+        return {
+            key: key,
+            title: title,
+            devices: devices.map(function(device, i) {
+                return {
+                    deviceId: device.deviceId,
+                    label: (device.label.length > 0) ? device.label : fallbackLabel + ' ' + (i + 1),
+                    isSelected: (device.deviceId === _this.selected[key])
+                };
+            })
+        };
+    },
+
+    /**
+     * Renders pickers for every microphone, camera and speaker into container.
+     * Picking a device remembers the choice and calls changeFn.
+     *
+     * @param {Object} container - jQuery selector of the element to render into.
+     * @param {Function} changeFn - Called when the user picks a device. It's of the form:
+     * function(key      : String (one of the keys of DeviceSettings.selected),
+     *          deviceId : String | null (null for the default device))
+     * @returns {undefined} undefined
+     * @public
+     */
+    render: function(container, changeFn) {
+        var _this = this;
+
+        VTCCore.getDevices(function(devices) {
+            var pickers = [
+                _this._pickerContext('videoInputId', 'Camera', 'Camera', devices.videoInputs),
+                _this._pickerContext('audioInputId', 'Microphone', 'Microphone', devices.audioInputs)
+            ];
+
+            // Not every browser lets us choose where the sound goes
+            if (devices.audioOutputs.length > 0) {
+                pickers.push(_this._pickerContext('audioOutputId', 'Speakers', 'Speakers', devices.audioOutputs));
+            }
+
+            container.html(_this._pickersTmpl({
+                pickers: pickers
+            }));
+
+            container.find('.devicePicker').change(function() {
+                var key = $(this).attr('data-key');
+                var deviceId = $(this).val();
+                if (deviceId.length === 0) {
+                    deviceId = null;
+                }
+
+                _this.select(key, deviceId);
+
+                if (changeFn !== undefined) {
+                    changeFn(key, deviceId);
+                }
+            });
+        });
+    },
+
+    /**
+     * Remembers a device choice.
+     *
+     * @param {String} key - One of the keys of DeviceSettings.selected.
+     * @param {String} deviceId - The device ID, null for the default device.
+     * @returns {undefined} undefined
+     * @public
+     */
+    select: function(key, deviceId) {
+        if (!this.selected.hasOwnProperty(key)) {
+            ErrorMetric.log('DeviceSettings.select => invalid key "' + key + '"');
+            return;
+        }
+
+        this.selected[key] = deviceId;
+
+        // NOTE: Before the first visit to a room there is no StorageCookie yet. In that
+        //       case the choice is stored by the "Join Room" handler (see Login).
+        var config = StorageCookie.get();
+        if (config !== null) {
+            if (deviceId === null) {
+                delete config[key];
+            } else {
+                config[key] = deviceId;
+            }
+            StorageCookie.set(config);
+        }
+    }
+};
@@ -1,5 +1,6 @@
 /**
- * @file Defines a namespace for modal dialogues.
+ * @file Defines a namespace for modal dialogues and one
+ * for a non-blocking status banner.
  *
  * @see css/dialog.css and index.html (look for DIV.modalDialog*)
  * for HTML and CSS implementation details.
@@ -14,6 +15,7 @@ var _appPage = $('.appPage');
 var _modalDialog = $('#modalDialog');
 var _modalDialogClose = $('#modalDialogClose');
 var _modalDialogRefresh = $('#modalDialogRefresh');
+var _statusBanner = $('#statusBanner');
 
 var Dialog = {
     // Stores a list of queued messages to display to the user
@@ -105,3 +107,37 @@ _modalDialogClose.click(function() {
 $(window).resize(function() {
     Dialog._centerVertically();
 });
+
+/**
+ * Provides a namespace for showing the status of the session (e.g. while
+ * reconnecting). Unlike Dialog, the banner does not block the page.
+ *
+ * @class
+ */
+var StatusBanner = {
+    /**
+     * Shows the banner or updates its message if it is already shown.
+     *
+     * @param {String} message - The (plain text) message to show.
+     * @returns {undefined} undefined
+     * @public
+     */
+    show: function(message) {
+        _statusBanner
+            .text(message)
+            .stop(true, true)
+            .slideDown();
+    },
+
+    /**
+     * Hides the banner.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    hide: function() {
+        _statusBanner
+            .stop(true, true)
+            .slideUp();
+    }
+};
@@ -1,40 +1,243 @@
 /**
  * @file Handles and defines error handling functionality.
  * Provides a mechanism for reporting non-critical errors.
+ *
+ * Logged messages are printed to the console and uploaded in batches to
+ * the telemetry backend (see the POST /telemetry route in server.js).
  */
 
 'use strict';
 
+/**
+ * Generates an identifier for the current page session so that
+ * telemetry entries of a single visit can be grouped together.
+ *
+ * @returns {String} A random hexadecimal string.
+ * @private
+ */
+var _generateSessionId = function() {
+    var id = '';
+    for (var i = 0; i < 4; i++) {
+        id += Math.floor(Math.random() * 0x10000).toString(16);
+    }
+    return id;
+};
+
 /**
  * Provides a namespace for reporting error events.
  *
  * @class
  */
 var ErrorMetric = {
-    // Provides configuration for where to send error telemetry data
-    // @todo Actually implement the backend
+    // Provides configuration for where and how often to send error telemetry data
     config: {
-        telemetryUrl: '/telemetry'
+        telemetryUrl: '/telemetry',
+
+        // Maximum amount of entries sent in a single request
+        batchSize: 25,
+
+        // How long to wait (in milliseconds) for more entries before sending a batch
+        flushInterval: 5000,
+
+        // Maximum amount of entries uploaded per minute. Anything above is dropped (but counted).
+        maxEntriesPerMinute: 60
+    },
+
+    // Severity levels accepted by ErrorMetric.log (and the telemetry backend)
+    DEBUG: 'debug',
+    INFO: 'info',
+    WARNING: 'warning',
+    ERROR: 'error',
+
+    // Context sent along with every batch. peerId and roomName are set once we joined a room.
+    _context: {
+        sessionId: _generateSessionId(),
+        peerId: null,
+        roomName: null
+    },
+
+    // Entries waiting to be uploaded
+    _queue: [],
+
+    // Amount of entries that were dropped because of the rate limit since the last upload
+    _dropped: 0,
+
+    // Start of the current rate limiting window and the amount of entries accepted in it
+    _windowStart: 0,
+    _windowCount: 0,
+
+    // Handle of the pending flush timer (null if none)
+    _flushTimer: null,
+
+    // Set to false when the backend is missing so that we stop trying
+    _uploadEnabled: true,
+
+    /**
+     * Sets the peer context sent along with telemetry entries.
+     *
+     * @param {Object} context - Object of the form:
+     *   {
+     *     peerId   : String,
+     *     roomName : String
+     *   }
+     * @returns {undefined} undefined
+     * @public
+     */
+    setContext: function(context) {
+        if (typeof context.peerId === 'string') {
+            this._context.peerId = context.peerId;
+        }
+
+        if (typeof context.roomName === 'string') {
+            this._context.roomName = context.roomName;
+        }
     },
 
     /**
-     * Wraps the native `console.log()` function.
+     * Checks whether another entry may be queued for upload.
+     *
+     * @returns {Boolean} True if the rate limit is not reached yet,
+     * false otherwise.
+     * @private
+     */
+    _takeRateLimitToken: function() {
+        var now = Date.now();
+        if (now - this._windowStart >= 60 * 1000) {
+            this._windowStart = now;
+            this._windowCount = 0;
+        }
+
+        if (this._windowCount < this.config.maxEntriesPerMinute) {
+            this._windowCount++;
+            return true;
+        }
+
+        return false;
+    },
+
+    /**
+     * Uploads the queued entries (at most config.batchSize of them).
+     *
+     * @param {Boolean} isUnloading - True if the page is going away, in which
+     * case navigator.sendBeacon is used (if supported) so the request survives.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _flush: function(isUnloading) {
+        var _this = this;
+
+        if (this._flushTimer !== null) {
+            clearTimeout(this._flushTimer);
+            this._flushTimer = null;
+        }
+
+        if (!this._uploadEnabled || (this._queue.length === 0 && this._dropped === 0)) {
+            return;
+        }
+
+        var batch = {
+            sessionId: this._context.sessionId,
+            peerId: this._context.peerId,
+            roomName: this._context.roomName,
+            dropped: this._dropped,
+            entries: this._queue.splice(0, this.config.batchSize)
+        };
+        this._dropped = 0;
+
+        var body = JSON.stringify(batch);
+        if (isUnloading && navigator.sendBeacon !== undefined) {
+            navigator.sendBeacon(this.config.telemetryUrl, new Blob([body], { type: 'application/json' }));
+        } else {
+            // NOTE: Failures are only printed to the console. Calling ErrorMetric.log here would
+            //       queue up more entries every time the backend is unreachable.
+            $.ajax({
+                url: this.config.telemetryUrl,
+                type: 'POST',
+                contentType: 'application/json',
+                data: body
+            }).fail(function(xhr) {
+                if (xhr.status === 404) {
+                    // The server has telemetry disabled
+                    _this._uploadEnabled = false;
+                }
+                console.log('[error] ErrorMetric._flush => failed to upload telemetry (' + xhr.status + ')');
+            });
+        }
+
+        if (this._queue.length > 0) {
+            this._scheduleFlush();
+        }
+    },
+
+    /**
+     * Schedules an upload of the queued entries unless one is already pending.
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    _scheduleFlush: function() {
+        var _this = this;
+        if (this._flushTimer === null) {
+            this._flushTimer = setTimeout(function() {
+                _this._flushTimer = null;
+                _this._flush(false);
+            }, this.config.flushInterval);
+        }
+    },
+
+    /**
+     * Wraps the native `console.log()` function and queues
+     * the message for upload to config.telemetryUrl.
      *
      * @param {String} message - A string representing a message
      * of an error condition
+     * @param {String} severity - One of ErrorMetric.DEBUG, INFO,
+     * WARNING or ERROR. Defaults to ErrorMetric.ERROR.
      * @returns {undefined} undefined
      * @public
      */
-    log: function(message) {
-        // @todo Using AJAX, post the message to config.telemetryUrl
-        console.log('[error] ' + message);
+    log: function(message, severity) {
+        if (severity === undefined) {
+            severity = this.ERROR;
+        }
+
+        console.log('[' + severity + '] ' + message);
+
+        if (!this._uploadEnabled) {
+            return;
+        }
+
+        if (!this._takeRateLimitToken()) {
+            this._dropped++;
+            return;
+        }
+
+        this._queue.push({
+            time: Date.now(),
+            severity: severity,
+            message: String(message)
+        });
+
+        if (this._queue.length >= this.config.batchSize) {
+            this._flush(false);
+        } else {
+            this._scheduleFlush();
+        }
     }
 };
 
-// Global error catcher that will pipe errors to a centralized database
-// @todo Send errors via AJAX to a database
+// Global error catcher that will pipe errors to the telemetry backend
 $(window).error(function(e) {
     var evt = e.originalEvent;
-    console.log('[error] ' + evt.filename + ':' + evt.lineno);
-    console.log('[error]   ' + evt.message);
+    var message = evt.filename + ':' + evt.lineno + ' ' + evt.message;
+    if (evt.error !== undefined && evt.error !== null && typeof evt.error.stack === 'string') {
+        message += '\n' + evt.error.stack;
+    }
+
+    ErrorMetric.log(message, ErrorMetric.ERROR);
+});
+
+// Send whatever is left before the page goes away
+$(window).on('pagehide', function() {
+    ErrorMetric._flush(true);
 });
@@ -0,0 +1,212 @@
+/**
+ * @file Turns the conversation of a room into a Markdown, plain text
+ * or JSON transcript and saves it as a file (see Chat.exportTranscript).
+ *
+ * @requires module:js/error
+ */
+
+'use strict';
+
+var ChatExport = {
+    // The supported formats, stored as format : String => { extension : String, mimeType : String }
+    formats: {
+        md: {
+            extension: 'md',
+            mimeType: 'text/markdown'
+        },
+        txt: {
+            extension: 'txt',
+            mimeType: 'text/plain'
+        },
+        json: {
+            extension: 'json',
+            mimeType: 'application/json'
+        }
+    },
+
+    /**
+     * Turns a chat entry into the form shared by every format: the
+     * sender and (for private messages) the recipient are spelled out.
+     *
+     * @param {Object} entry - A chat entry (see Chat._record) with a timeStamp field.
+     * @param {Object} self - The exporting user, of the form { peerId : String, userName : String }.
+     * @returns {Object} Of the form:
+     *   {
+     *     type     : String ('entered', 'left', 'message' or 'private'),
+     *     date     : String (ISO 8601),
+     *     time     : String (see Chat's getTimeStamp),
+     *     peerId   : String,
+     *     userName : String,
+     *     text     : String (messages only),
+     *     to       : { peerId : String, userName : String } (private messages only)
+     *   }
+     * @private
+     */
+    _normalize: function(entry, self) {
+        var other = {
+            peerId: entry.peerId,
+            userName: entry.userName
+        };
+        var isOutgoing = (entry.type === 'private' && entry.outgoing);
+        var from = isOutgoing ? self : other;
+
+        var item = {
+            type: entry.type,
+            date: new Date(entry.time).toISOString(),
+            time: entry.timeStamp,
+            peerId: from.peerId,
+            userName: from.userName
+        };
+
+        if (entry.type === 'private') {
+            item.to = isOutgoing ? other : self;
+        }
+
+        if (entry.text !== undefined) {
+            item.text = entry.text;
+        }
+
+        return item;
+    },
+
+    /**
+     * Describes a join or a leave.
+     *
+     * @param {Object} item - A normalized entry (see ChatExport._normalize).
+     * @returns {String} The description, without the user.
+     * @private
+     */
+    _describeEvent: function(item) {
+        return (item.type === 'entered') ? 'entered the room' : 'left the room';
+    },
+
+    /**
+     * Formats a transcript as Markdown. Messages are kept as typed, so their Markdown still works.
+     *
+     * @param {String} roomName - The name of the room.
+     * @param {Array<Object>} items - Normalized entries (see ChatExport._normalize).
+     * @returns {String} The transcript.
+     * @private
+     */
+    _toMarkdown: function(roomName, items) {
+        var _this = this;
+        var lines = ['# Chat in ' + roomName, '', '_Exported ' + new Date().toLocaleString() + '_', ''];
+
+        items.forEach(function(item) {
+            var user = '**' + item.userName + '** (`' + item.peerId + '`)';
+
+            if (item.type === 'message') {
+                lines.push(user + ' at ' + item.time + ':', '', item.text, '');
+            } else if (item.type === 'private') {
+                lines.push(user + ' to **' + item.to.userName + '** (`' + item.to.peerId + '`, private) at ' +
+                           item.time + ':', '', item.text, '');
+            } else {
+                lines.push('_' + item.userName + ' (`' + item.peerId + '`) ' + _this._describeEvent(item) +
+                           ' at ' + item.time + '_', '');
+            }
+        });
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Formats a transcript as plain text, one entry per line (messages
+     * spanning several lines are indented).
+     *
+     * @param {String} roomName - The name of the room.
+     * @param {Array<Object>} items - Normalized entries (see ChatExport._normalize).
+     * @returns {String} The transcript.
+     * @private
+     */
+    _toText: function(roomName, items) {
+        var _this = this;
+        var lines = ['Chat in ' + roomName + ' (exported ' + new Date().toLocaleString() + ')', ''];
+
+        items.forEach(function(item) {
+            var user = item.userName + ' (' + item.peerId + ')';
+
+            if (item.type === 'message') {
+                lines.push('[' + item.time + '] ' + user + ': ' + item.text.replace(/\n/g, '\n    '));
+            } else if (item.type === 'private') {
+                lines.push('[' + item.time + '] ' + user + ' -> ' + item.to.userName + ' (' + item.to.peerId +
+                           ') [private]: ' + item.text.replace(/\n/g, '\n    '));
+            } else {
+                lines.push('[' + item.time + '] * ' + user + ' ' + _this._describeEvent(item));
+            }
+        });
+
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Formats a transcript.
+     *
+     * @param {String} format - One of the keys of ChatExport.formats.
+     * @param {String} roomName - The name of the room.
+     * @param {Array<Object>} entries - Chat entries (see Chat._record) with a timeStamp field.
+     * @param {Object} self - The exporting user, of the form { peerId : String, userName : String }.
+     * @returns {String} The transcript.
+     * @public
+     */
+    format: function(format, roomName, entries, self) {
+        var _this = this;
+        var items = entries.map(function(entry) {
+            return _this._normalize(entry, self);
+        });
+
+        if (format === 'md') {
+            return this._toMarkdown(roomName, items);
+        } else if (format === 'txt') {
+            return this._toText(roomName, items);
+        }
+
+        return JSON.stringify({
+            room: roomName,
+            exportedAt: new Date().toISOString(),
+            entries: items
+        }, null, 2);
+    },
+
+    /**
+     * Saves a transcript as a file (through the browser's download prompt).
+     *
+     * @param {String} format - One of the keys of ChatExport.formats.
+     * @param {String} roomName - The name of the room.
+     * @param {Array<Object>} entries - Chat entries (see Chat._record) with a timeStamp field.
+     * @param {Object} self - The exporting user, of the form { peerId : String, userName : String }.
+     * @returns {Boolean} True if successful, false if format is not supported.
+     * @public
+     */
+    save: function(format, roomName, entries, self) {
+        if (!this.formats.hasOwnProperty(format)) {
+            ErrorMetric.log('ChatExport.save => invalid format "' + format + '"');
+            return false;
+        }
+
+        var formatInfo = this.formats[format];
+        var blob = new Blob([this.format(format, roomName, entries, self)], {
+            type: formatInfo.mimeType + ';charset=utf-8'
+        });
+        var url = URL.createObjectURL(blob);
+
+        // Room names are user input, keep them out of the way of the file system
+        var day = new Date().toISOString().substring(0, 10);
+        var fileName = 'chat-' + roomName.replace(/[^\w-]+/g, '_') + '-' + day + '.' + formatInfo.extension;
+
+        var link = $('<a></a>', {
+            href: url,
+            download: fileName
+        }).css('display', 'none');
+
+        $('body').append(link);
+        link.get(0).click();
+        link.remove();
+
+        // Give the browser time to start the download before letting go of the file
+        setTimeout(function() {
+            URL.revokeObjectURL(url);
+        }, 10000);
+
+        return true;
+    }
+};
@@ -0,0 +1,691 @@
+/**
+ * @file Sends files to the other users over WebRTC data channels. A file
+ * dropped on the chat is offered to everybody in the room, every user
+ * accepts or declines it, and it is then sent peer-to-peer in chunks and
+ * checked against its SHA-256 hash on arrival.
+ *
+ * Every call gets a data channel for files (see FileShare.addPeer). On it,
+ * text frames are JSON control messages:
+ *   { type : 'offer', id : Number, name : String, size : Number, mimeType : String, hash : String }
+ *   { type : 'accept' | 'decline' | 'done', id : Number }
+ *   { type : 'cancel', id : Number, fromSender : Boolean (true if sent by the user sending the file) }
+ *   { type : 'received', id : Number, ok : Boolean (false if the hash did not match) }
+ * and binary frames are chunks: the id of the transfer (4 bytes, big endian) followed by the data.
+ * Transfer ids are picked by the sender, so the ids of the files going each way may collide.
+ *
+ * @requires Handlebars.js
+ * @requires module:js/error
+ * @requires module:js/vtc
+ * @requires module:js/chat
+ */
+
+'use strict';
+
+var FileShare = {
+    config: {
+        // Both ends open the channel with these (see VTCClient.openDataChannel)
+        channelLabel: 'tubertc-files',
+        channelId: 100,
+
+        // Size of the data in a chunk (in bytes)
+        chunkSize: 16 * 1024,
+
+        // Sending pauses while more than this is queued on a channel (in bytes)
+        maxBufferedAmount: 1024 * 1024,
+
+        // Larger files are refused (in bytes), both ends keep the whole file in memory
+        maxFileSize: 50 * 1024 * 1024
+    },
+
+    // The VTCClient, the Chat and the jQuery selector of the pane files are dropped on, null unless initialized
+    _client: null,
+    _chat: null,
+    _dropPane: null,
+
+    // The peer IDs of the users whose call was established before we were initialized
+    _pendingPeers: [],
+
+    // Stores a mapping of peerId : String => RTCDataChannel
+    _channels: {},
+
+    // The files we send, stored as id : Number => transfer : Object (see FileShare._send)
+    _outgoing: {},
+
+    // The files sent to us, stored as peerId : String => { id : Number => transfer : Object }
+    _incoming: {},
+
+    // The files sent to us that can be saved, stored as peerId : String => Array<{ url : String, line : Object }>
+    // (the object URLs are revoked once the sender leaves)
+    _received: {},
+
+    // The id of our next transfer
+    _nextId: 1,
+
+    _lineTmpl: Handlebars.compile(
+        '<div class="chatFileTransfer">' +
+        '<div class="chatFileTitle">{{title}}</div>' +
+        '<progress class="chatFileProgress" max="{{size}}" value="0"></progress>' +
+        '<div class="chatFileStatus">{{status}}</div>' +
+        '<div class="chatFileActions"></div>' +
+        '</div>'
+    ),
+
+    /**
+     * Formats a file size.
+     *
+     * @param {Number} bytes - The size in bytes.
+     * @returns {String} The size with a unit (e.g. '1.5 MB').
+     * @private
+     */
+    _formatSize: function(bytes) {
+        var units = ['bytes', 'KB', 'MB', 'GB'];
+        var i = 0;
+
+        while (bytes >= 1024 && i < units.length - 1) {
+            bytes /= 1024;
+            i++;
+        }
+
+        return ((i === 0) ? bytes : bytes.toFixed(1)) + ' ' + units[i];
+    },
+
+    /**
+     * Computes the SHA-256 hash of some data.
+     *
+     * @param {ArrayBuffer} data - The data.
+     * @returns {Object} A Promise resolving to the hash as a hexadecimal String.
+     * @private
+     */
+    _hash: function(data) {
+        return crypto.subtle.digest('SHA-256', data).then(function(digest) {
+            return Array.prototype.map.call(new Uint8Array(digest), function(byte) {
+                return ('0' + byte.toString(16)).slice(-2);
+            }).join('');
+        });
+    },
+
+    /**
+     * Adds a transfer to the chat.
+     *
+     * @param {String} title - What is transferred, from whom or to whom.
+     * @param {Number} size - The size of the file in bytes.
+     * @param {String} status - The initial status.
+     * @returns {Object} The line, of the form:
+     *   {
+     *     progress : jQuery selector of the progress bar,
+     *     status   : jQuery selector of the status,
+     *     actions  : jQuery selector of the container for buttons and links
+     *   }
+     * @private
+     */
+    _addLine: function(title, size, status) {
+        var elem = $(this._lineTmpl({
+            title: title,
+            size: size,
+            status: status
+        }));
+
+        this._chat._appendLine(elem);
+
+        return {
+            progress: elem.find('.chatFileProgress'),
+            status: elem.find('.chatFileStatus'),
+            actions: elem.find('.chatFileActions')
+        };
+    },
+
+    /**
+     * Shows the outcome of a transfer, removing its buttons.
+     *
+     * @param {Object} line - The line of the transfer (see FileShare._addLine).
+     * @param {String} status - The final status.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _endLine: function(line, status) {
+        line.status.text(status);
+        line.actions.empty();
+    },
+
+    /**
+     * Adds a button to a transfer.
+     *
+     * @param {Object} line - The line of the transfer (see FileShare._addLine).
+     * @param {String} label - The label of the button.
+     * @param {Function} clickFn - Called when the button is clicked.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _addButton: function(line, label, clickFn) {
+        $('<button></button>', { 'class': 'btn btn-sm btn-c smooth' })
+            .text(label)
+            .click(clickFn)
+            .appendTo(line.actions);
+    },
+
+    /**
+     * Sends a control message.
+     *
+     * @param {String} peerId - The peer ID of the other user.
+     * @param {Object} msg - The control message (see the top of this file).
+     * @returns {Boolean} True if sent, false if the channel is not open.
+     * @private
+     */
+    _sendControl: function(peerId, msg) {
+        var channel = this._channels[peerId];
+        if (channel === undefined || channel.readyState !== 'open') {
+            ErrorMetric.log('FileShare._sendControl => the channel to ' + peerId + ' is not open');
+            return false;
+        }
+
+        channel.send(JSON.stringify(msg));
+        return true;
+    },
+
+    /**
+     * Initializes file sharing: files dropped on the chat are offered to everybody.
+     *
+     * @param {Object} client - The VTCClient.
+     * @param {Object} chat - The Chat.
+     * @returns {undefined} undefined
+     * @public
+     */
+    init: function(client, chat) {
+        var _this = this;
+        var dropPane = $('.chatHistoryPane');
+
+        this._client = client;
+        this._chat = chat;
+        this._dropPane = dropPane;
+
+        dropPane
+            .on('dragover.fileShare', function(e) {
+                e.preventDefault();
+                dropPane.addClass('chatDropTarget');
+            })
+            .on('dragleave.fileShare', function() {
+                dropPane.removeClass('chatDropTarget');
+            })
+            .on('drop.fileShare', function(e) {
+                e.preventDefault();
+                dropPane.removeClass('chatDropTarget');
+
+                var files = e.originalEvent.dataTransfer.files;
+                for (var i = 0; i < files.length; i++) {
+                    _this.offer(files[i]);
+                }
+            });
+
+        var pendingPeers = this._pendingPeers;
+        this._pendingPeers = [];
+        pendingPeers.forEach(function(peerId) {
+            _this.addPeer(peerId);
+        });
+    },
+
+    /**
+     * Opens the file channel to a user whose call was just established
+     * (once initialized if we are not yet, see FileShare.init).
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {undefined} undefined
+     * @public
+     */
+    addPeer: function(peerId) {
+        var _this = this;
+
+        if (this._client === null) {
+            if (this._pendingPeers.indexOf(peerId) === -1) {
+                this._pendingPeers.push(peerId);
+            }
+            return;
+        }
+
+        // After reconnecting, the call (and so the channel) is new
+        this.removePeer(peerId);
+
+        var channel = this._client.openDataChannel(peerId, this.config.channelLabel, this.config.channelId);
+        if (channel === null) {
+            return;
+        }
+
+        channel.binaryType = 'arraybuffer';
+        channel.bufferedAmountLowThreshold = this.config.maxBufferedAmount / 2;
+        channel.onmessage = function(event) {
+            if (typeof event.data === 'string') {
+                _this._handleControl(peerId, event.data);
+            } else {
+                _this._handleChunk(peerId, event.data);
+            }
+        };
+
+        this._channels[peerId] = channel;
+        this._incoming[peerId] = {};
+        this._received[peerId] = [];
+    },
+
+    /**
+     * Ends the transfers to and from a user (e.g. because they left) and closes the channel.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {undefined} undefined
+     * @public
+     */
+    removePeer: function(peerId) {
+        var pending = this._pendingPeers.indexOf(peerId);
+        if (pending !== -1) {
+            this._pendingPeers.splice(pending, 1);
+        }
+
+        var channel = this._channels[peerId];
+        if (channel === undefined) {
+            return;
+        }
+
+        var status = this._client.idToName(peerId) + ' left the room.';
+
+        for (var id in this._outgoing) {
+            if (this._outgoing.hasOwnProperty(id) && this._outgoing[id].peerId === peerId) {
+                this._endLine(this._outgoing[id].line, status);
+                delete this._outgoing[id];
+            }
+        }
+
+        var incoming = this._incoming[peerId];
+        for (id in incoming) {
+            if (incoming.hasOwnProperty(id)) {
+                this._endLine(incoming[id].line, status);
+            }
+        }
+
+        var received = this._received[peerId];
+        for (var i = 0; i < received.length; i++) {
+            URL.revokeObjectURL(received[i].url);
+            this._endLine(received[i].line, 'No longer available, ' + status);
+        }
+
+        channel.onmessage = null;
+        channel.close();
+
+        delete this._channels[peerId];
+        delete this._incoming[peerId];
+        delete this._received[peerId];
+    },
+
+    /**
+     * Offers a file to everybody in the room.
+     *
+     * @param {Object} file - The File to send.
+     * @returns {undefined} undefined
+     * @public
+     */
+    offer: function(file) {
+        var _this = this;
+
+        if (file.size > this.config.maxFileSize) {
+            this._chat.addNotification(file.name + ' is too large to send, files can be up to ' +
+                                       this._formatSize(this.config.maxFileSize) + '.');
+            return;
+        }
+
+        var peerIds = Object.keys(this._channels).filter(function(peerId) {
+            return _this._channels[peerId].readyState === 'open';
+        });
+
+        if (peerIds.length === 0) {
+            this._chat.addNotification('Nobody can receive ' + file.name + ' right now.');
+            return;
+        }
+
+        var data = null;
+        file.arrayBuffer()
+            .then(function(buffer) {
+                data = buffer;
+                return _this._hash(data);
+            })
+            .then(function(hash) {
+                for (var i = 0; i < peerIds.length; i++) {
+                    _this._offerTo(peerIds[i], file, data, hash);
+                }
+            }, function(err) {
+                ErrorMetric.log('FileShare.offer => failed to read ' + file.name);
+                ErrorMetric.log('                => ' + err);
+                _this._chat.addNotification('Unable to read ' + file.name + '.');
+            });
+    },
+
+    /**
+     * Offers a file to a user.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {Object} file - The File.
+     * @param {ArrayBuffer} data - The contents of the file.
+     * @param {String} hash - The SHA-256 hash of the contents (see FileShare._hash).
+     * @returns {undefined} undefined
+     * @private
+     */
+    _offerTo: function(peerId, file, data, hash) {
+        var _this = this;
+        var id = this._nextId++;
+        var name = this._client.idToName(peerId);
+
+        var transfer = {
+            peerId: peerId,
+            data: data,
+            offset: 0,
+            line: this._addLine('Sending ' + file.name + ' (' + this._formatSize(file.size) + ') to ' + name,
+                                file.size, 'Waiting for ' + name + ' to accept…')
+        };
+
+        this._addButton(transfer.line, 'Cancel', function() {
+            _this._sendControl(peerId, { type: 'cancel', id: id, fromSender: true });
+            _this._endLine(transfer.line, 'Canceled.');
+            delete _this._outgoing[id];
+        });
+
+        if (!this._sendControl(peerId, {
+            type: 'offer',
+            id: id,
+            name: file.name,
+            size: file.size,
+            mimeType: (file.type.length > 0) ? file.type : 'application/octet-stream',
+            hash: hash
+        })) {
+            this._endLine(transfer.line, 'Unable to reach ' + name + '.');
+            return;
+        }
+
+        this._outgoing[id] = transfer;
+    },
+
+    /**
+     * Sends the chunks of a file until the channel is full, then waits for it to drain.
+     *
+     * @param {Number} id - The id of the transfer.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _send: function(id) {
+        var _this = this;
+        var transfer = this._outgoing[id];
+        if (transfer === undefined) {
+            // Canceled in the meantime
+            return;
+        }
+
+        var channel = this._channels[transfer.peerId];
+        var size = transfer.data.byteLength;
+
+        while (transfer.offset < size && channel.bufferedAmount < this.config.maxBufferedAmount) {
+            var chunk = new Uint8Array(transfer.data, transfer.offset,
+                                       Math.min(this.config.chunkSize, size - transfer.offset));
+            var frame = new Uint8Array(4 + chunk.length);
+
+            new DataView(frame.buffer).setUint32(0, id);
+            frame.set(chunk, 4);
+            channel.send(frame.buffer);
+
+            transfer.offset += chunk.length;
+        }
+
+        transfer.line.progress.val(transfer.offset);
+
+        if (transfer.offset < size) {
+            var resume = function() {
+                channel.removeEventListener('bufferedamountlow', resume);
+                _this._send(id);
+            };
+            channel.addEventListener('bufferedamountlow', resume);
+            return;
+        }
+
+        transfer.data = null;
+        this._sendControl(transfer.peerId, { type: 'done', id: id });
+        transfer.line.status.text('Sent, waiting for ' + this._client.idToName(transfer.peerId) + ' to check it…');
+    },
+
+    /**
+     * Handles a control message.
+     *
+     * @param {String} peerId - The peer ID of the sender.
+     * @param {String} rawMsg - The control message as JSON (see the top of this file).
+     * @returns {undefined} undefined
+     * @private
+     */
+    _handleControl: function(peerId, rawMsg) {
+        var msg;
+        try {
+            msg = JSON.parse(rawMsg);
+        } catch (e) {
+            ErrorMetric.log('FileShare._handleControl => invalid message from ' + peerId);
+            return;
+        }
+
+        if (msg === null || typeof msg.id !== 'number') {
+            ErrorMetric.log('FileShare._handleControl => invalid message from ' + peerId);
+        } else if (msg.type === 'offer') {
+            this._handleOffer(peerId, msg);
+        } else if (msg.type === 'done' || (msg.type === 'cancel' && msg.fromSender === true)) {
+            this._handleIncomingEnd(peerId, msg);
+        } else {
+            this._handleOutgoingReply(peerId, msg);
+        }
+    },
+
+    /**
+     * Handles a reply to one of our offers.
+     *
+     * @param {String} peerId - The peer ID of the recipient.
+     * @param {Object} msg - The control message (accept, decline, cancel or received).
+     * @returns {undefined} undefined
+     * @private
+     */
+    _handleOutgoingReply: function(peerId, msg) {
+        var transfer = this._outgoing[msg.id];
+        if (transfer === undefined || transfer.peerId !== peerId) {
+            ErrorMetric.log('FileShare._handleOutgoingReply => unknown transfer ' + msg.id + ' from ' + peerId);
+            return;
+        }
+
+        var name = this._client.idToName(peerId);
+
+        if (msg.type === 'accept') {
+            transfer.line.status.text('Sending…');
+            this._send(msg.id);
+            return;
+        }
+
+        if (msg.type === 'decline') {
+            this._endLine(transfer.line, name + ' declined.');
+        } else if (msg.type === 'cancel') {
+            this._endLine(transfer.line, name + ' canceled.');
+        } else if (msg.type === 'received' && msg.ok === true) {
+            this._endLine(transfer.line, name + ' received it.');
+        } else {
+            this._endLine(transfer.line, name + ' received a corrupted copy.');
+        }
+
+        delete this._outgoing[msg.id];
+    },
+
+    /**
+     * Handles a file offered to us.
+     *
+     * @param {String} peerId - The peer ID of the sender.
+     * @param {Object} msg - The offer (see the top of this file).
+     * @returns {undefined} undefined
+     * @private
+     */
+    _handleOffer: function(peerId, msg) {
+        var _this = this;
+
+        if (typeof msg.name !== 'string' || typeof msg.size !== 'number' ||
+            typeof msg.mimeType !== 'string' || typeof msg.hash !== 'string') {
+            ErrorMetric.log('FileShare._handleOffer => invalid offer from ' + peerId);
+            return;
+        }
+
+        var name = this._client.idToName(peerId);
+        var transfer = {
+            name: msg.name,
+            size: msg.size,
+            mimeType: msg.mimeType,
+            hash: msg.hash,
+            chunks: [],
+            received: 0,
+            accepted: false,
+            line: this._addLine(name + ' wants to send you ' + msg.name + ' (' + this._formatSize(msg.size) + ')',
+                                msg.size, '')
+        };
+
+        if (msg.size > this.config.maxFileSize) {
+            this._sendControl(peerId, { type: 'decline', id: msg.id });
+            this._endLine(transfer.line, 'Declined, files can be up to ' +
+                          this._formatSize(this.config.maxFileSize) + '.');
+            return;
+        }
+
+        this._incoming[peerId][msg.id] = transfer;
+
+        var cancel = function(status) {
+            if (transfer.accepted) {
+                _this._sendControl(peerId, { type: 'cancel', id: msg.id, fromSender: false });
+            } else {
+                _this._sendControl(peerId, { type: 'decline', id: msg.id });
+            }
+
+            _this._endLine(transfer.line, status);
+            delete _this._incoming[peerId][msg.id];
+        };
+
+        this._addButton(transfer.line, 'Accept', function() {
+            transfer.accepted = true;
+            _this._sendControl(peerId, { type: 'accept', id: msg.id });
+
+            transfer.line.status.text('Receiving…');
+            transfer.line.actions.empty();
+            _this._addButton(transfer.line, 'Cancel', function() {
+                cancel('Canceled.');
+            });
+        });
+
+        this._addButton(transfer.line, 'Decline', function() {
+            cancel('Declined.');
+        });
+    },
+
+    /**
+     * Handles a chunk of a file sent to us.
+     *
+     * @param {String} peerId - The peer ID of the sender.
+     * @param {ArrayBuffer} frame - The chunk (see the top of this file).
+     * @returns {undefined} undefined
+     * @private
+     */
+    _handleChunk: function(peerId, frame) {
+        var id = new DataView(frame).getUint32(0);
+        var transfer = this._incoming[peerId][id];
+        if (transfer === undefined || !transfer.accepted) {
+            // Chunks still on their way after we canceled
+            return;
+        }
+
+        transfer.chunks.push(frame.slice(4));
+        transfer.received += frame.byteLength - 4;
+        transfer.line.progress.val(transfer.received);
+
+        if (transfer.received > transfer.size) {
+            this._sendControl(peerId, { type: 'cancel', id: id, fromSender: false });
+            this._endLine(transfer.line, 'Canceled, more data arrived than announced.');
+            delete this._incoming[peerId][id];
+        }
+    },
+
+    /**
+     * Handles the end of a file sent to us: checks it and offers to save it.
+     *
+     * @param {String} peerId - The peer ID of the sender.
+     * @param {Object} msg - The control message (done or cancel).
+     * @returns {undefined} undefined
+     * @private
+     */
+    _handleIncomingEnd: function(peerId, msg) {
+        var _this = this;
+        var name = this._client.idToName(peerId);
+        var transfer = this._incoming[peerId][msg.id];
+        if (transfer === undefined) {
+            return;
+        }
+
+        delete this._incoming[peerId][msg.id];
+
+        if (msg.type === 'cancel') {
+            this._endLine(transfer.line, name + ' canceled.');
+            return;
+        }
+
+        var blob = new Blob(transfer.chunks, { type: transfer.mimeType });
+        transfer.chunks = null;
+
+        blob.arrayBuffer()
+            .then(function(data) {
+                return _this._hash(data);
+            })
+            .then(function(hash) {
+                var received = _this._received[peerId];
+                if (received === undefined) {
+                    // The sender left while we were checking the file
+                    _this._endLine(transfer.line, name + ' left the room.');
+                    return;
+                }
+
+                var ok = (hash === transfer.hash && blob.size === transfer.size);
+                _this._sendControl(peerId, { type: 'received', id: msg.id, ok: ok });
+
+                if (!ok) {
+                    _this._endLine(transfer.line, 'The file got corrupted on the way.');
+                    return;
+                }
+
+                var url = URL.createObjectURL(blob);
+                received.push({ url: url, line: transfer.line });
+
+                _this._endLine(transfer.line, 'Received.');
+                $('<a></a>', { 'class': 'btn btn-sm btn-b smooth' })
+                    .attr('href', url)
+                    .attr('download', transfer.name)
+                    .text('Save')
+                    .appendTo(transfer.line.actions);
+            }, function(err) {
+                ErrorMetric.log('FileShare._handleIncomingEnd => failed to check ' + transfer.name);
+                ErrorMetric.log('                              => ' + err);
+                _this._endLine(transfer.line, 'Unable to check the file.');
+            });
+    },
+
+    /**
+     * Ends every transfer and stops accepting dropped files (e.g. when leaving the room).
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    finalize: function() {
+        for (var peerId in this._channels) {
+            if (this._channels.hasOwnProperty(peerId)) {
+                this.removePeer(peerId);
+            }
+        }
+
+        if (this._dropPane !== null) {
+            this._dropPane
+                .off('.fileShare')
+                .removeClass('chatDropTarget');
+        }
+
+        this._outgoing = {};
+        this._pendingPeers = [];
+        this._client = null;
+        this._chat = null;
+        this._dropPane = null;
+    }
+};
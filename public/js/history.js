@@ -0,0 +1,244 @@
+/**
+ * @file Keeps the chat history of every room in IndexedDB so that it
+ * survives reloads (see Chat.initialize). Entries older than the retention
+ * period chosen by the user (see ChatHistory.setRetentionDays) are deleted.
+ *
+ * Without IndexedDB (e.g. in some private browsing modes) nothing is kept.
+ *
+ * @requires module:js/error
+ * @requires module:js/login
+ */
+
+'use strict';
+
+var ChatHistory = {
+    config: {
+        dbName: 'tubertc',
+        dbVersion: 1,
+        storeName: 'chatHistory',
+
+        // Used until the user picks a retention period (in days)
+        defaultRetentionDays: 7,
+
+        // The oldest entries of a room are deleted beyond this
+        maxEntriesPerRoom: 1000
+    },
+
+    // The open IDBDatabase, null until ChatHistory._open succeeds
+    _db: null,
+
+    // Called once the database is open (see ChatHistory._open), null if it is not being opened
+    _openFns: null,
+
+    // True if the database cannot be used
+    _unavailable: false,
+
+    /**
+     * Opens the database (once) and creates the object store if needed.
+     *
+     * @param {Function} openFn - Called with the IDBDatabase once it is open.
+     * It's of the form: function(db : IDBDatabase). It is not called on failure.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _open: function(openFn) {
+        var _this = this;
+
+        if (this._db !== null) {
+            openFn(this._db);
+            return;
+        } else if (this._unavailable) {
+            return;
+        } else if (this._openFns !== null) {
+            this._openFns.push(openFn);
+            return;
+        }
+
+        if (typeof indexedDB !== 'object' || indexedDB === null) {
+            ErrorMetric.log('ChatHistory._open => IndexedDB is not available', ErrorMetric.INFO);
+            this._unavailable = true;
+            return;
+        }
+
+        this._openFns = [openFn];
+        var request = indexedDB.open(this.config.dbName, this.config.dbVersion);
+
+        request.onupgradeneeded = function() {
+            // Entries are stored in the order they happened (the auto-incremented key)
+            var store = request.result.createObjectStore(_this.config.storeName, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+            store.createIndex('room', 'room');
+            store.createIndex('time', 'time');
+        };
+
+        request.onsuccess = function() {
+            var openFns = _this._openFns;
+
+            _this._db = request.result;
+            _this._openFns = null;
+
+            for (var i = 0; i < openFns.length; i++) {
+                openFns[i](_this._db);
+            }
+        };
+
+        request.onerror = function() {
+            _this._openFns = null;
+            _this._unavailable = true;
+
+            ErrorMetric.log('ChatHistory._open => failed to open the database');
+            ErrorMetric.log('                  => ' + request.error);
+        };
+    },
+
+    /**
+     * Gets the chat history object store.
+     *
+     * @param {Object} db - The IDBDatabase.
+     * @param {String} mode - Either 'readonly' or 'readwrite'.
+     * @returns {Object} The IDBObjectStore.
+     * @private
+     */
+    _store: function(db, mode) {
+        return db.transaction(this.config.storeName, mode).objectStore(this.config.storeName);
+    },
+
+    /**
+     * Gets how long entries are kept.
+     *
+     * @returns {Number} The retention period in days, 0 if no history is kept.
+     * @public
+     */
+    getRetentionDays: function() {
+        var days = StorageCookie.getValue('chatHistoryDays');
+        return (days === null) ? this.config.defaultRetentionDays : days;
+    },
+
+    /**
+     * Changes how long entries are kept and deletes the entries that are now too old.
+     *
+     * @param {Number} days - The retention period in days, 0 to stop keeping history.
+     * @returns {Boolean} True if successful, false otherwise.
+     * @public
+     */
+    setRetentionDays: function(days) {
+        var config = StorageCookie.get();
+        if (config === null) {
+            ErrorMetric.log('ChatHistory.setRetentionDays => StorageCookie.get had invalid return value');
+            return false;
+        }
+
+        config.chatHistoryDays = days;
+        if (!StorageCookie.set(config)) {
+            return false;
+        }
+
+        this.prune();
+        return true;
+    },
+
+    /**
+     * Stores an entry.
+     *
+     * @param {String} roomName - The room the entry belongs to.
+     * @param {Object} entry - The entry, see Chat._record for the fields. Its time
+     * field (milliseconds since the epoch) decides when it expires.
+     * @returns {undefined} undefined
+     * @public
+     */
+    add: function(roomName, entry) {
+        var _this = this;
+
+        if (this.getRetentionDays() === 0) {
+            return;
+        }
+
+        this._open(function(db) {
+            _this._store(db, 'readwrite').add($.extend({ room: roomName }, entry));
+        });
+    },
+
+    /**
+     * Loads the entries of a room, oldest first. Entries beyond
+     * config.maxEntriesPerRoom are deleted on the way.
+     *
+     * @param {String} roomName - The room whose entries to load.
+     * @param {Function} loadFn - Called with the entries. It's of the form:
+     * function(entries : Array<Object>). It is not called if the database cannot be opened.
+     * @returns {undefined} undefined
+     * @public
+     */
+    load: function(roomName, loadFn) {
+        var _this = this;
+
+        this.prune();
+        this._open(function(db) {
+            var store = _this._store(db, 'readwrite');
+            var request = store.index('room').getAll(roomName);
+
+            request.onsuccess = function() {
+                var entries = request.result.sort(function(a, b) {
+                    return a.id - b.id;
+                });
+
+                var excess = entries.length - _this.config.maxEntriesPerRoom;
+                for (var i = 0; i < excess; i++) {
+                    store.delete(entries[i].id);
+                }
+
+                loadFn(entries.slice(Math.max(excess, 0)));
+            };
+
+            request.onerror = function() {
+                ErrorMetric.log('ChatHistory.load => failed to load the history of "' + roomName + '"');
+            };
+        });
+    },
+
+    /**
+     * Deletes every entry of a room.
+     *
+     * @param {String} roomName - The room whose entries to delete.
+     * @returns {undefined} undefined
+     * @public
+     */
+    clear: function(roomName) {
+        var _this = this;
+
+        this._open(function(db) {
+            var cursorRequest = _this._store(db, 'readwrite').index('room').openCursor(roomName);
+            cursorRequest.onsuccess = function() {
+                var cursor = cursorRequest.result;
+                if (cursor !== null) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        });
+    },
+
+    /**
+     * Deletes the entries (of every room) older than the retention period.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    prune: function() {
+        var _this = this;
+        var cutoff = Date.now() - this.getRetentionDays() * 24 * 60 * 60 * 1000;
+
+        this._open(function(db) {
+            var range = IDBKeyRange.upperBound(cutoff);
+            var cursorRequest = _this._store(db, 'readwrite').index('time').openCursor(range);
+            cursorRequest.onsuccess = function() {
+                var cursor = cursorRequest.result;
+                if (cursor !== null) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        });
+    }
+};
@@ -0,0 +1,156 @@
+/**
+ * @file Defines the pre-join lobby: a preview of the camera, a microphone
+ * level meter and device pickers shown next to the login form. The media
+ * acquired here is handed over to the room once the user joins.
+ *
+ * @requires module:js/error
+ * @requires module:js/vtc
+ * @requires module:js/devices
+ * @requires module:js/audiometer
+ */
+
+'use strict';
+
+// jQuery selectors
+var _previewGroup = $('#previewGroup');
+var _previewVideo = $('#previewVideo');
+var _previewMeterFill = $('#previewMeterFill');
+var _previewDevices = $('#previewDevices');
+var _previewMsg = $('#previewMsg');
+
+var Lobby = {
+    // Handle of the level meter (see AudioMeter.monitor), null if there is none
+    _meter: null,
+
+    // The local MediaStream, null until acquired
+    _stream: null,
+
+    // True if a camera was found
+    _hasCamera: false,
+
+    // The navBar buttons controlling the initial state of the camera and microphone
+    _cameraBtn: null,
+    _micBtn: null,
+
+    /**
+     * Enables or disables the camera and microphone
+     * tracks according to the navBar buttons.
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    _applyButtonState: function() {
+        if (this._stream === null) {
+            return;
+        }
+
+        var videoTracks = this._stream.getVideoTracks();
+        for (var i = 0; i < videoTracks.length; i++) {
+            videoTracks[i].enabled = this._cameraBtn.isSelected();
+        }
+
+        var audioTracks = this._stream.getAudioTracks();
+        for (i = 0; i < audioTracks.length; i++) {
+            audioTracks[i].enabled = this._micBtn.isSelected();
+        }
+    },
+
+    /**
+     * Stops the level meter (if running).
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    _stopMeter: function() {
+        if (this._meter !== null) {
+            AudioMeter.stopMonitoring(this._meter);
+            this._meter = null;
+        }
+    },
+
+    /**
+     * Acquires the camera and microphone picked in DeviceSettings and previews them.
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    _acquire: function() {
+        var _this = this;
+
+        this._stopMeter();
+
+        VTCCore.acquireMedia({
+            video: this._hasCamera,
+            audio: true,
+            videoInputId: DeviceSettings.selected.videoInputId,
+            audioInputId: DeviceSettings.selected.audioInputId
+        }, function(stream) {
+            _this._stream = stream;
+            _this._applyButtonState();
+
+            _previewVideo.get(0).srcObject = stream;
+
+            _this._meter = AudioMeter.monitor(stream, _previewMeterFill);
+
+            _previewMsg
+                .stop(true, false)
+                .slideUp();
+            _previewGroup
+                .stop(true, false)
+                .slideDown();
+
+            // Device labels are only available now that we have access to the devices
+            DeviceSettings.render(_previewDevices, function(key) {
+                if (key !== 'audioOutputId') {
+                    _this._acquire();
+                }
+            });
+        }, function(errorCode, errorText) {
+            // @todo FIXME: proofread and make this text better
+            _previewMsg
+                .html('We are unable to access your camera/microphone. ' +
+                      'Did you forget to grant us permission to use them?<br>' +
+                      '<b>Error Code</b>: ' + errorCode + '<br>' +
+                      '<b>Error Text</b>: ' + errorText)
+                .stop(true, false)
+                .slideDown();
+        });
+    },
+
+    /**
+     * Starts the preview.
+     *
+     * @param {Object} cameraBtn - The navBar camera StatefulButton. If it
+     * is disabled, no camera was found.
+     * @param {Object} micBtn - The navBar microphone StatefulButton.
+     * @returns {undefined} undefined
+     * @public
+     */
+    start: function(cameraBtn, micBtn) {
+        var _this = this;
+
+        this._hasCamera = cameraBtn.isEnabled();
+        this._cameraBtn = cameraBtn;
+        this._micBtn = micBtn;
+
+        // These are replaced by the room once we join (see vtcMain)
+        var applyButtonState = function() {
+            _this._applyButtonState();
+        };
+        cameraBtn.handle(applyButtonState, applyButtonState);
+        micBtn.handle(applyButtonState, applyButtonState);
+
+        this._acquire();
+    },
+
+    /**
+     * Stops the preview. The acquired media stays around for VTCCore.connect.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    stop: function() {
+        this._stopMeter();
+        _previewVideo.get(0).srcObject = null;
+    }
+};
@@ -16,15 +16,18 @@
  *         "micIsEnabled"    : <bool>,
  *         "dashModeEnabled" : <bool>
  *       }
+ *     - Are device IDs (see DeviceSettings) set? They are optional.
  *   + Bind the Join button with a handler that performs the following actions:
  *     - Verifies that userName and roomName are valid values, if not, use visual indication
  *       and focus to direct user to the problematic field
- *   + Update localStorage fields with the new values.
+ *   + Update localStorage fields with the new values. The room passcode is never stored.
  *
  * @requires module:js/error
  * @requires module:js/navbar
  * @requires module:js/dialog
  * @requires module:js/vtc
+ * @requires module:js/devices
+ * @requires module:js/lobby
  * @requires Chance.js
  */
 
@@ -53,8 +56,30 @@ var toRtcRoomName = function(roomName) {
             .replace(/ /gi, '_');
 };
 
-// Provides a namespace to parse the room name from the querystring
+// Provides a namespace to parse the room name (and other parameters) from the querystring
 var Query = {
+    /**
+     * Gets a parameter of the querystring.
+     * DO NOT TRUST OUTPUT FROM THIS FUNCTION
+     *
+     * @param {String} name - The name of the parameter.
+     * @returns {String|null} The value of the parameter (empty if it has none),
+     * null if it is missing.
+     * @public
+     */
+    getParameter: function(name) {
+        var params = document.location.search.substring(1).split('&');
+        for (var i = 0; i < params.length; i++) {
+            var separator = params[i].indexOf('=');
+            var key = (separator === -1) ? params[i] : params[i].substring(0, separator);
+            if (key === name) {
+                return (separator === -1) ? '' : unescape(params[i].substring(separator + 1));
+            }
+        }
+
+        return null;
+    },
+
     /**
      * Gets a room name.
      * DO NOT TRUST OUTPUT FROM THIS FUNCTION
@@ -63,18 +88,12 @@ var Query = {
      * @public
      */
     getRoomName: function() {
-        var queryStart = '?room=';
-        var queryRaw = document.location.search;
-        if (queryRaw.length <= queryStart.length) {
+        var roomName = this.getParameter('room');
+        if (roomName === null || roomName.length === 0) {
             return null;
         }
 
-        if (queryRaw.indexOf(queryStart) !== 0) {
-            ErrorMetric.log('Query.getRoomName => Invalid querystring: ' + queryRaw);
-            return null;
-        }
-
-        return unescape(queryRaw.substring(6));
+        return roomName;
     }
 };
 
@@ -84,9 +103,21 @@ var StorageCookie = {
     //     "userName"        : <string>,
     //     "cameraIsEnabled" : <bool>,
     //     "micIsEnabled"    : <bool>,
-    //     "dashModeEnabled" : <bool>
+    //     "dashModeEnabled" : <bool>,
+    //
+    //     // Optional, see DeviceSettings
+    //     "audioInputId"    : <string>,
+    //     "videoInputId"    : <string>,
+    //     "audioOutputId"   : <string>,
+    //
+    //     // Optional, see ChatHistory
+    //     "chatHistoryDays" : <number>
     //   }
 
+    // Keys that do not have to be present
+    _kOptionalKeys: ['audioInputId', 'videoInputId', 'audioOutputId'],
+    _kOptionalNumberKeys: ['chatHistoryDays'],
+
     /**
      * Validates the StorageCookie.
      *
@@ -95,6 +126,20 @@ var StorageCookie = {
      * @private
      */
     _validate: function(dict) {
+        for (var i = 0; i < this._kOptionalKeys.length; i++) {
+            var value = dict[this._kOptionalKeys[i]];
+            if (value !== undefined && typeof value !== 'string') {
+                return false;
+            }
+        }
+
+        for (i = 0; i < this._kOptionalNumberKeys.length; i++) {
+            value = dict[this._kOptionalNumberKeys[i]];
+            if (value !== undefined && typeof value !== 'number') {
+                return false;
+            }
+        }
+
         return (typeof dict.userName === 'string' &&
                 typeof dict.cameraIsEnabled === 'boolean' &&
                 typeof dict.micIsEnabled === 'boolean' &&
@@ -191,7 +236,9 @@ var StorageCookie = {
         var config = this.get();
         if (config !== null) {
             if (config[key] === undefined) {
-                ErrorMetric.log('StorageCookie.getKey => invalid key "' + key + '"');
+                if (this._kOptionalKeys.indexOf(key) === -1 && this._kOptionalNumberKeys.indexOf(key) === -1) {
+                    ErrorMetric.log('StorageCookie.getKey => invalid key "' + key + '"');
+                }
                 return null;
             } else {
                 return config[key];
@@ -209,10 +256,14 @@ var _loginMsg = $('#loginMsg');
 var _loginAlert = $('#loginAlert');
 var _userNameEntry = $('#userNameEntry');
 var _roomNameEntry = $('#roomNameEntry');
+var _passcodeEntry = $('#passcodeEntry');
 
 var Login = {
     _completionFn: null,
 
+    // The configuration passed to Login.initialize
+    _config: null,
+
     /**
      * Check to see if the visitor is browsing a non-TLS instance of tuber
      * with Chrome 47 and above.
@@ -366,10 +417,13 @@ var Login = {
             return null;
         }
 
+        this._config = config;
+
         var compatStatus = this._browserCompatCheck();
         if (compatStatus === null) {
             _userNameEntry.prop('disabled', true);
             _roomNameEntry.prop('disabled', true);
+            _passcodeEntry.prop('disabled', true);
             _joinBtn.prop('disabled', true);
 
             // @todo FIXME: proofread and make this better
@@ -430,6 +484,8 @@ var Login = {
                 .val(generateRoomName());
         }
 
+        DeviceSettings.load();
+
         var scCameraEnabled = StorageCookie.getValue('cameraIsEnabled');
         var scMicEnabled = StorageCookie.getValue('micIsEnabled');
         var scDashMode = StorageCookie.getValue('dashModeEnabled');
@@ -445,8 +501,8 @@ var Login = {
         _setInitialBtnState(scDashMode, config.dashBtn);
 
         // Obtain the list of video sources, if none exist, disable the camera button
-        easyrtc.getVideoSourceList(function(list) {
-            if (list.length === 0) {
+        VTCCore.getDevices(function(devices) {
+            if (devices.videoInputs.length === 0) {
                 _setInitialBtnState(false, config.cameraBtn);
                 config.cameraBtn.disableButton();
 
@@ -455,6 +511,9 @@ var Login = {
                     .html('Disabling camera functionality because a camera could not be found.')
                     .slideDown();
             }
+
+            // Lets the user check their camera and microphone before joining
+            Lobby.start(config.cameraBtn, config.micBtn);
         });
 
         _userNameEntry.keypress(function(e) {
@@ -477,16 +536,27 @@ var Login = {
             }
         });
 
+        _passcodeEntry.keypress(function(e) {
+            // Detect when ENTER button is pressed
+            if (e.which === 13) {
+                _joinBtn.click();
+            }
+        });
+
         _joinBtn.click(function() {
             if (_this._validate()) {
                 _loginAlert
                     .stop(true, false)
                     .slideUp();
 
+                // The room takes over the media acquired for the preview
+                Lobby.stop();
+
                 var params = {
                     userName: _userNameEntry.val(),
                     roomName: _roomNameEntry.val(),
                     rtcName: toRtcRoomName(_roomNameEntry.val()),
+                    passcode: _passcodeEntry.val(),
                     cameraIsEnabled: config.cameraBtn.isSelected(),
                     hasCamera: config.cameraBtn.isEnabled(),
                     micIsEnabled: config.micBtn.isSelected(),
@@ -500,6 +570,14 @@ var Login = {
                     micIsEnabled: params.micIsEnabled,
                     dashModeEnabled: params.dashIsEnabled
                 };
+                DeviceSettings.store(trtcConfig);
+
+                // Keep the chat history retention period (see ChatHistory)
+                var chatHistoryDays = StorageCookie.getValue('chatHistoryDays');
+                if (chatHistoryDays !== null) {
+                    trtcConfig.chatHistoryDays = chatHistoryDays;
+                }
+
                 StorageCookie.set(trtcConfig);
 
                 if (_this._completionFn !== null) {
@@ -521,6 +599,27 @@ var Login = {
         return this;
     },
 
+    /**
+     * Shows the login form again (after leaving a room) with a newly generated room name.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    show: function() {
+        // The room from the query string was left, so let the user pick another one
+        history.pushState({}, '', '/');
+        _roomNameEntry
+            .val(generateRoomName())
+            .prop('disabled', false);
+        _passcodeEntry.val('');
+
+        $('#loginContent').fadeIn(function() {
+            _roomNameEntry.focus();
+        });
+
+        Lobby.start(this._config.cameraBtn, this._config.micBtn);
+    },
+
     /**
      * Completion handler, called when the "Join Room" button is clicked and all the input is validated.
      * At this point, both the userName and roomName are considered UNTRUSTED and should be sanitized
@@ -531,6 +630,7 @@ var Login = {
      *     userName        : <String>,
      *     roomName        : <String>,
      *     rtcName         : <String>,
+     *     passcode        : <String>,
      *     cameraIsEnabled : <boolean>,
      *     hasCamera       : <boolean>,
      *     micIsEnabled    : <boolean>,
@@ -0,0 +1,184 @@
+/**
+ * @file Renders the Markdown subset allowed in chat messages: **bold**,
+ * *italics*, `inline code`, fenced code blocks, [links](https://...) and
+ * bare URLs. Everything else is shown as typed.
+ *
+ * Chat messages come from other users, so the input is escaped before any
+ * markup is added, and the result goes through an allowlist sanitizer as a
+ * second line of defense (see ChatMarkdown.sanitize).
+ *
+ * @requires Handlebars.js
+ */
+
+'use strict';
+
+var ChatMarkdown = {
+    // Allowed elements, stored as tagName : String => allowed attributes : Array<String>
+    _allowedTags: {
+        A: ['href'],
+        BR: [],
+        CODE: [],
+        EM: [],
+        PRE: [],
+        STRONG: []
+    },
+
+    // Links must use one of these protocols
+    _allowedHref: /^(https?:\/\/|mailto:)/i,
+
+    // Matches the inline elements that are not subject to emphasis: `inline code`,
+    // [text](url) and bare URLs (not including trailing punctuation)
+    _inlineTokens: /(`+)([\s\S]*?[^`])\1(?!`)|\[([^\]\n]+)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)|(https?:\/\/[^\s<]*[^\s<.,:;"')\]!?])/g,
+
+    // Matches fenced code blocks along with the line breaks around the fences
+    // (the language hint after the opening fence is ignored)
+    _codeBlocks: /\n?```[^\n`]*\n?([\s\S]*?)\n?```\n?/g,
+
+    /**
+     * Builds a link opening in a new tab.
+     *
+     * @param {String} href - The URL (unescaped), checked against _allowedHref.
+     * @param {String} html - The link text as an HTML string.
+     * @returns {String} The link as an HTML string, html alone if href is not allowed.
+     * @private
+     */
+    _link: function(href, html) {
+        if (!this._allowedHref.test(href)) {
+            return html;
+        }
+
+        return '<a href="' + Handlebars.escapeExpression(href) + '" target="_blank" rel="noopener noreferrer">' +
+               html + '</a>';
+    },
+
+    /**
+     * Applies bold and italics to escaped text. Underscores inside words
+     * (e.g. snake_case) are left alone.
+     *
+     * @param {String} html - Escaped text.
+     * @returns {String} The text with emphasis as an HTML string.
+     * @private
+     */
+    _emphasize: function(html) {
+        return html
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|\W)__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|\W)_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+    },
+
+    /**
+     * Renders text outside of code blocks.
+     *
+     * @param {String} text - Raw text.
+     * @returns {String} The rendered text as an HTML string.
+     * @private
+     */
+    _renderInline: function(text) {
+        var _this = this;
+        var html = '';
+        var last = 0;
+        var match;
+
+        var plain = function(part) {
+            return _this._emphasize(Handlebars.escapeExpression(part)).replace(/\n/g, '<br>');
+        };
+
+        this._inlineTokens.lastIndex = 0;
+        while ((match = this._inlineTokens.exec(text)) !== null) {
+            html += plain(text.substring(last, match.index));
+
+            if (match[2] !== undefined) {
+                html += '<code>' + Handlebars.escapeExpression(match[2]) + '</code>';
+            } else if (match[3] !== undefined) {
+                html += this._link(match[4], Handlebars.escapeExpression(match[3]));
+            } else {
+                html += this._link(match[5], Handlebars.escapeExpression(match[5]));
+            }
+
+            last = this._inlineTokens.lastIndex;
+        }
+
+        return html + plain(text.substring(last));
+    },
+
+    /**
+     * Renders a chat message.
+     *
+     * @param {String} text - The message as typed (untrusted).
+     * @returns {String} Sanitized HTML.
+     * @public
+     */
+    render: function(text) {
+        var html = '';
+        var last = 0;
+        var match;
+
+        this._codeBlocks.lastIndex = 0;
+        while ((match = this._codeBlocks.exec(text)) !== null) {
+            html += this._renderInline(text.substring(last, match.index));
+            html += '<pre><code>' + Handlebars.escapeExpression(match[1]) + '</code></pre>';
+            last = this._codeBlocks.lastIndex;
+        }
+
+        html += this._renderInline(text.substring(last));
+        return this.sanitize(html);
+    },
+
+    /**
+     * Cleans a node tree: elements that are not allowed are replaced by their
+     * text, attributes that are not allowed are dropped.
+     *
+     * @param {Object} parent - The DOM node whose children are cleaned.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _sanitizeChildren: function(parent) {
+        var children = Array.prototype.slice.call(parent.childNodes);
+
+        for (var i = 0; i < children.length; i++) {
+            var node = children[i];
+
+            if (node.nodeType === Node.TEXT_NODE) {
+                continue;
+            }
+
+            var allowedAttrs = this._allowedTags[node.nodeName];
+            if (node.nodeType !== Node.ELEMENT_NODE || allowedAttrs === undefined ||
+                (node.nodeName === 'A' && !this._allowedHref.test(node.getAttribute('href') || ''))) {
+                parent.replaceChild(document.createTextNode(node.textContent), node);
+                continue;
+            }
+
+            var attrs = Array.prototype.slice.call(node.attributes);
+            for (var j = 0; j < attrs.length; j++) {
+                if (allowedAttrs.indexOf(attrs[j].name) === -1) {
+                    node.removeAttribute(attrs[j].name);
+                }
+            }
+
+            if (node.nodeName === 'A') {
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+
+            this._sanitizeChildren(node);
+        }
+    },
+
+    /**
+     * Keeps only the allowed elements and attributes of an HTML string.
+     *
+     * @param {String} html - An HTML string.
+     * @returns {String} The sanitized HTML string.
+     * @public
+     */
+    sanitize: function(html) {
+        // The content of a template element is inert: nothing runs or loads while we clean it
+        var template = document.createElement('template');
+        template.innerHTML = html;
+
+        this._sanitizeChildren(template.content);
+        return template.innerHTML;
+    }
+};
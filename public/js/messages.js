@@ -0,0 +1,297 @@
+/**
+ * @file The protocol of the messages users exchange through the signaling server
+ * (see VTCClient.sendPeerMessage): every type of message is registered along
+ * with a schema of its contents and the handler it is dispatched to.
+ *
+ * Messages travel in an envelope giving the version of the protocol they were
+ * written in:
+ *   {
+ *     version : Number,
+ *     data    : Object (the contents, see PeerMessages.register)
+ *   }
+ *
+ * Right after joining a room, users tell each other which versions they speak
+ * with a 'hello' message, which is never wrapped (so that any version can read it):
+ *   {
+ *     minVersion : Number,
+ *     version    : Number (the newest version spoken),
+ *     reply      : Boolean (true if answering the other user's hello)
+ *   }
+ * Each pair of users then talks in the newest version both of them speak.
+ * Messages from users with whom there is no common version are rejected.
+ *
+ * @requires module:js/error
+ */
+
+'use strict';
+
+var PeerMessages = {
+    config: {
+        // The newest version of the protocol we speak. Bump it when the contents of a
+        // message change in a way older clients can't handle.
+        version: 1,
+
+        // The oldest version of the protocol we still speak
+        minVersion: 1
+    },
+
+    // The type of the version negotiation message
+    helloType: 'hello',
+
+    // Stores the registered message types as msgType : String => { schema : Object, handlerFn : Function }
+    _types: {},
+
+    // Stores the negotiated versions as peerId : String => version : Number (null if there is no common version)
+    _peerVersions: {},
+
+    // Called when a user speaks no version we speak (see PeerMessages.onIncompatible), null if not set
+    _incompatibleFn: null,
+
+    /**
+     * Registers a type of message, replacing its previous registration.
+     *
+     * @param {String} msgType - The type of message.
+     * @param {Object} schema - Describes the fields of the contents, as
+     * field : String => spec : String. A spec lists the allowed types of the field
+     * separated by '|' (out of string, number, boolean, object, array and null,
+     * or * for anything), followed by '?' if the field may be missing. Fields
+     * that are not in the schema are allowed.
+     * @param {Function} handlerFn - Called with the valid messages of this type. It's of the form:
+     * function(client  : VTCClient,
+     *          peerId  : String,
+     *          content : Object)
+     * @returns {undefined} undefined
+     * @public
+     */
+    register: function(msgType, schema, handlerFn) {
+        this._types[msgType] = {
+            schema: schema,
+            handlerFn: handlerFn
+        };
+    },
+
+    /**
+     * Sets a handler called when a user speaks no version of the protocol we speak.
+     *
+     * @param {Function} incompatibleFn - It's of the form:
+     * function(client : VTCClient, peerId : String)
+     * @returns {undefined} undefined
+     * @public
+     */
+    onIncompatible: function(incompatibleFn) {
+        this._incompatibleFn = incompatibleFn;
+    },
+
+    /**
+     * Gets the type of a value, as used in schemas.
+     *
+     * @param {*} value - The value.
+     * @returns {String} One of string, number, boolean, object, array, null or undefined.
+     * @private
+     */
+    _typeOf: function(value) {
+        if (value === null) {
+            return 'null';
+        } else if (Array.isArray(value)) {
+            return 'array';
+        }
+
+        return typeof value;
+    },
+
+    /**
+     * Checks the contents of a message against a schema (see PeerMessages.register).
+     *
+     * @param {Object} schema - The schema.
+     * @param {*} content - The contents of the message.
+     * @returns {String|null} A description of the problem if the
+     * contents do not match the schema, null otherwise.
+     * @public
+     */
+    validate: function(schema, content) {
+        if (this._typeOf(content) !== 'object') {
+            return 'expected an object';
+        }
+
+        for (var field in schema) {
+            if (schema.hasOwnProperty(field)) {
+                var spec = schema[field];
+                var isOptional = (spec.charAt(spec.length - 1) === '?');
+                var allowedTypes = (isOptional ? spec.slice(0, -1) : spec).split('|');
+                var type = this._typeOf(content[field]);
+
+                if (type === 'undefined') {
+                    if (!isOptional) {
+                        return 'missing "' + field + '"';
+                    }
+                } else if (allowedTypes.indexOf('*') === -1 && allowedTypes.indexOf(type) === -1) {
+                    return '"' + field + '" should be ' + allowedTypes.join(' or ') + ', not ' + type;
+                }
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Returns our hello message.
+     *
+     * @param {Boolean} isReply - True if answering the hello of another user.
+     * @returns {Object} The message (see the top of this file).
+     * @public
+     */
+    hello: function(isReply) {
+        return {
+            minVersion: this.config.minVersion,
+            version: this.config.version,
+            reply: isReply
+        };
+    },
+
+    /**
+     * Picks the version to speak with a user from their hello message.
+     *
+     * @param {Object} client - The VTCClient instance.
+     * @param {String} peerId - The peer ID of the user.
+     * @param {*} content - Their hello message.
+     * @returns {Boolean} False if the message is invalid, true otherwise.
+     * @public
+     */
+    negotiate: function(client, peerId, content) {
+        var problem = this.validate({
+            minVersion: 'number',
+            version: 'number',
+            reply: 'boolean'
+        }, content);
+
+        if (problem !== null) {
+            ErrorMetric.log('PeerMessages.negotiate => invalid hello from ' + peerId + ': ' + problem);
+            return false;
+        }
+
+        var version = Math.min(this.config.version, content.version);
+        if (version < Math.max(this.config.minVersion, content.minVersion)) {
+            ErrorMetric.log('PeerMessages.negotiate => no common version with ' + peerId);
+            ErrorMetric.log('                       => we speak ' + this.config.minVersion + ' to ' +
+                            this.config.version + ', they speak ' + content.minVersion + ' to ' + content.version);
+
+            this._peerVersions[peerId] = null;
+            if (this._incompatibleFn !== null) {
+                this._incompatibleFn(client, peerId);
+            }
+        } else {
+            this._peerVersions[peerId] = version;
+        }
+
+        return true;
+    },
+
+    /**
+     * Forgets the versions negotiated with every user (e.g. because we joined a room again).
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    reset: function() {
+        this._peerVersions = {};
+    },
+
+    /**
+     * Picks the version to write a message in: the one negotiated with the
+     * recipient, or the oldest one negotiated with anybody for the whole room.
+     * Users we did not hear from yet are assumed to speak our newest version.
+     *
+     * @param {Object} dest - Either { rtcId : String } or { room : String }.
+     * @returns {Number} The version.
+     * @private
+     */
+    _versionFor: function(dest) {
+        var peerVersions = this._peerVersions;
+        var version = this.config.version;
+
+        if (typeof dest.rtcId === 'string') {
+            return (typeof peerVersions[dest.rtcId] === 'number') ? peerVersions[dest.rtcId] : version;
+        }
+
+        for (var peerId in peerVersions) {
+            if (peerVersions.hasOwnProperty(peerId) && typeof peerVersions[peerId] === 'number') {
+                version = Math.min(version, peerVersions[peerId]);
+            }
+        }
+
+        return version;
+    },
+
+    /**
+     * Puts the contents of a message in an envelope (see the top of this file).
+     *
+     * @param {Object} dest - Either { rtcId : String } or { room : String }.
+     * @param {Object} msgData - The contents of the message.
+     * @returns {Object} The envelope.
+     * @public
+     */
+    wrap: function(dest, msgData) {
+        return {
+            version: this._versionFor(dest),
+            data: msgData
+        };
+    },
+
+    /**
+     * Takes the contents of a message out of its envelope, checking that we speak its version.
+     *
+     * @param {String} peerId - The peer ID of the sender.
+     * @param {String} msgType - The type of message.
+     * @param {*} envelope - The envelope (see the top of this file).
+     * @returns {Object|null} The contents, null if the message is rejected.
+     * @public
+     */
+    unwrap: function(peerId, msgType, envelope) {
+        var problem = this.validate({
+            version: 'number',
+            data: '*'
+        }, envelope);
+
+        if (problem === null && this._peerVersions[peerId] === null) {
+            problem = 'no common version';
+        } else if (problem === null &&
+                   (envelope.version < this.config.minVersion || envelope.version > this.config.version)) {
+            problem = 'unsupported version ' + envelope.version;
+        }
+
+        if (problem !== null) {
+            ErrorMetric.log('PeerMessages.unwrap => rejected "' + msgType + '" from ' + peerId + ': ' + problem);
+            return null;
+        }
+
+        return envelope.data;
+    },
+
+    /**
+     * Checks a message and dispatches it to the handler of its type.
+     *
+     * @param {Object} client - The VTCClient instance.
+     * @param {String} peerId - The peer ID of the sender.
+     * @param {String} msgType - The type of message.
+     * @param {*} content - The contents of the message.
+     * @returns {Boolean} True if the message was handled, false if it was rejected.
+     * @public
+     */
+    dispatch: function(client, peerId, msgType, content) {
+        if (!this._types.hasOwnProperty(msgType)) {
+            ErrorMetric.log('PeerMessages.dispatch => unknown message type "' + msgType + '" from ' + peerId);
+            return false;
+        }
+
+        var type = this._types[msgType];
+        var problem = this.validate(type.schema, content);
+        if (problem !== null) {
+            ErrorMetric.log('PeerMessages.dispatch => invalid "' + msgType + '" from ' + peerId + ': ' + problem);
+            ErrorMetric.log('                      => content: ' + JSON.stringify(content));
+            return false;
+        }
+
+        type.handlerFn(client, peerId, content);
+        return true;
+    }
+};
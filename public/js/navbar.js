@@ -324,7 +324,11 @@ var StatefulButton = function(id, selected) {
 var NavBar = {
     cameraBtn: null,
     micBtn: null,
+    screenBtn: null,
+    settingsBtn: null,
     dashBtn: null,
+    lowBwBtn: null,
+    hangupBtn: null,
     attrBtn: null,
 
     /**
@@ -336,7 +340,15 @@ var NavBar = {
     initialize: function() {
         this.cameraBtn = new StatefulButton('#cameraBtn', true);
         this.micBtn = new StatefulButton('#micBtn', true);
+        this.screenBtn = new StatefulButton('#screenBtn', false);
+        this.screenBtn.disableButton();
+        this.settingsBtn = new Button('#settingsBtn');
+        this.settingsBtn.disableButton();
         this.dashBtn = new StatefulButton('#dashBtn', true);
+        this.lowBwBtn = new StatefulButton('#lowBwBtn', false);
+        this.lowBwBtn.disableButton();
+        this.hangupBtn = new Button('#hangupBtn');
+        this.hangupBtn.disableButton();
         this.attrBtn = new Button('#attrBtn');
     },
 
@@ -0,0 +1,153 @@
+/**
+ * @file Rates the quality of the connections to the other users from
+ * their statistics (see VTCClient.getStats) and keeps track of
+ * connections that stay bad.
+ *
+ * @requires module:js/error
+ */
+
+'use strict';
+
+// Quality levels, from worst to best
+var kQualityLevels = ['poor', 'fair', 'good'];
+
+var NetworkQuality = {
+    config: {
+        // A connection is rated 'fair' (or 'poor') as soon as one of these is reached.
+        // loss is a fraction of packets (0 to 1), jitter and rtt are in milliseconds.
+        fair: {
+            loss: 0.02,
+            jitter: 30,
+            rtt: 300
+        },
+        poor: {
+            loss: 0.08,
+            jitter: 80,
+            rtt: 600
+        },
+
+        // How many poor ratings in a row it takes before a connection counts as degraded
+        poorRatingsToDegrade: 3
+    },
+
+    // Stores a mapping of key : String => amount of poor ratings in a row
+    _poorStreaks: {},
+
+    /**
+     * Checks whether any of the measurements reaches the given limits.
+     *
+     * @param {Object} limits - Either config.fair or config.poor.
+     * @param {Number} loss - Packet loss (0 to 1).
+     * @param {Number} jitter - Jitter in milliseconds.
+     * @param {Number} rtt - Round-trip time in milliseconds.
+     * @returns {Boolean} True if a limit is reached, false otherwise.
+     * @private
+     */
+    _reaches: function(limits, loss, jitter, rtt) {
+        return (loss >= limits.loss || jitter >= limits.jitter || rtt >= limits.rtt);
+    },
+
+    /**
+     * Finds the largest measurement.
+     *
+     * @param {Array<Number|null>} values - Measurements, null if missing.
+     * @returns {Number} The largest measurement. Missing measurements (e.g. rates
+     * on the first sample) count as 0 so that they do not count against a connection.
+     * @private
+     */
+    _max: function(values) {
+        return Math.max.apply(Math, values.map(function(value) {
+            return (value === null) ? 0 : value;
+        }));
+    },
+
+    /**
+     * Rates a connection.
+     *
+     * @param {Object} stats - The statistics of the connection (see VTCClient.getStats).
+     * @returns {String|null} One of 'good', 'fair' or 'poor', null if stats is null.
+     * @public
+     */
+    rate: function(stats) {
+        if (stats === null) {
+            return null;
+        }
+
+        var loss = this._max([stats.inbound.audio.packetLoss, stats.inbound.video.packetLoss,
+                              stats.outbound.audio.packetLoss, stats.outbound.video.packetLoss]);
+        var jitter = this._max([stats.inbound.audio.jitter, stats.inbound.video.jitter]);
+        var rtt = this._max([stats.rtt]);
+
+        if (this._reaches(this.config.poor, loss, jitter, rtt)) {
+            return 'poor';
+        } else if (this._reaches(this.config.fair, loss, jitter, rtt)) {
+            return 'fair';
+        }
+
+        return 'good';
+    },
+
+    /**
+     * Picks the best of several ratings.
+     *
+     * @param {Array<String|null>} levels - Ratings (see NetworkQuality.rate).
+     * @returns {String|null} The best rating, null if there is none.
+     * @public
+     */
+    best: function(levels) {
+        var bestIndex = -1;
+        for (var i = 0; i < levels.length; i++) {
+            bestIndex = Math.max(bestIndex, kQualityLevels.indexOf(levels[i]));
+        }
+
+        return (bestIndex === -1) ? null : kQualityLevels[bestIndex];
+    },
+
+    /**
+     * Records a rating and tells whether the connection just became degraded,
+     * i.e. it got config.poorRatingsToDegrade poor ratings in a row. This
+     * happens once, it takes a better rating to start counting again.
+     *
+     * @param {String} key - Identifies the connection (e.g. a peer ID).
+     * @param {String|null} level - The latest rating (see NetworkQuality.rate).
+     * @returns {Boolean} True if the connection just became degraded, false otherwise.
+     * @public
+     */
+    track: function(key, level) {
+        if (level !== 'poor') {
+            delete this._poorStreaks[key];
+            return false;
+        }
+
+        var streak = (this._poorStreaks[key] || 0) + 1;
+        this._poorStreaks[key] = streak;
+
+        if (streak === this.config.poorRatingsToDegrade) {
+            ErrorMetric.log('NetworkQuality.track => connection "' + key + '" is degraded', ErrorMetric.INFO);
+            return true;
+        }
+
+        return false;
+    },
+
+    /**
+     * Forgets the ratings recorded for a connection.
+     *
+     * @param {String} key - Identifies the connection (see NetworkQuality.track).
+     * @returns {undefined} undefined
+     * @public
+     */
+    forget: function(key) {
+        delete this._poorStreaks[key];
+    },
+
+    /**
+     * Forgets the ratings of every connection, used when leaving the room.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    reset: function() {
+        this._poorStreaks = {};
+    }
+};
@@ -6,7 +6,12 @@
  * @requires module:js/navbar
  * @requires module:js/dialog
  * @requires module:js/viewports
+ * @requires module:js/quality
+ * @requires module:js/speaker
  * @requires module:js/audiometer
+ * @requires module:js/devices
+ * @requires module:js/login
+ * @requires module:js/messages
  * @requires Handlebars.js
  *
  * telemetry/debug.js is optional.
@@ -14,6 +19,18 @@
 
 'use strict';
 
+// How often (in milliseconds) the connection statistics of the peers are refreshed
+var kStatsInterval = 1000;
+
+// What the control messages of the moderators do (see lib/moderation.js), as told to
+// users whose message the server rejected because they do not moderate the room
+var kModeratorActions = {
+    'mic-control': 'mute others',
+    spotlight: 'move the spotlight',
+    kick: 'remove users from the room',
+    'room-lock': 'lock the room'
+};
+
 /**
  * Entry point for when the VTC chat is ready to start
  * (after user clicks Join Room button).
@@ -30,9 +47,9 @@ var vtcMain = function(params) {
         dbgListener = new DebugConsole.Listener();
     }
 
-    // @todo (input): verify that passing params.roomName to .text() is not susceptible to XSS/etc
+    // NOTE: .text() never parses params.roomName as HTML
+    $('#roomNameText').text(params.roomName);
     $('#roomNameField')
-        .text(params.roomName)
         .fadeIn(function() {
             // Change the browser's URL bar so that people can use it to give out
             // links to other future callers
@@ -59,17 +76,46 @@ var vtcMain = function(params) {
         trtcDash.showHangoutsMode();
     }
 
-    // @todo FIXME: For some reason, media-presence peer messages arrive before onStreamAccepted. This causes media-presence
-    //              to be handled correctly since no peerId exists in idToViewPort. To deal with this, we need a queue to
-    //              store all the messages for execution later.
-    var mediaPresenceMap = {};
-
     // Instantiate the Chat object
     var chatRoom = new Chat(params.roomName);
 
     // Maps peerIds to Viewport objects
     var idToViewPort = {};
 
+    // The peer ID of the user shown in the presenter viewport (null if nobody is presenting)
+    var presenterId = null;
+
+    // Handle of the timer refreshing the connection statistics (see updateStats)
+    var statsTimer = null;
+
+    // The quality of the connection to every other user, stored as
+    // peerId : String => level : String | null (see NetworkQuality.rate)
+    var peerQuality = {};
+
+    // Adapts the video we send to the size of the mesh and to congestion, created once connected
+    var bandwidth = null;
+
+    // Whether we asked a peer to stop sending us video (see updateVideoPauses),
+    // stored as peerId : String => paused : Boolean
+    var pausedPeers = {};
+
+    // The peer ID of the user in the spotlight (null if there is none) and of the user
+    // who put them there (see the 'spotlight' peer message)
+    var spotlightId = null;
+    var spotlightById = null;
+
+    // Who moderates the room and whether it is locked (see VTCCore.onModeration)
+    var moderation = {
+        moderators: [],
+        locked: false
+    };
+
+    // Shows the quality of our own network next to the room name
+    var selfQualityBadge = createQualityBadge();
+    $('#selfQuality')
+        .empty()
+        .append(selfQualityBadge);
+
     /**
      * Helper for sending media presence messages.
      *
@@ -89,6 +135,406 @@ var vtcMain = function(params) {
         });
     };
 
+    /**
+     * Helper for announcing that we started or stopped presenting our screen.
+     *
+     * @param {Object} client - Client instance.
+     * @param {Object} dest - Message destination (see VTCClient.sendPeerMessage).
+     * @param {Boolean} presenting - True if we
+     * started presenting, false otherwise.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var sendScreenShare = function(client, dest, presenting) {
+        client.sendPeerMessage(dest, 'screen-share', {
+            presenting: presenting
+        });
+    };
+
+    /**
+     * Removes the presenter viewport if it shows the screen of peerId.
+     *
+     * @param {String} peerId - The peer ID of the user that stopped presenting.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var hidePresentation = function(peerId) {
+        if (presenterId === peerId) {
+            presenterId = null;
+            trtcDash.hidePresentation();
+        }
+    };
+
+    /**
+     * Tells whether a user moderates the room.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {Boolean} True if they do, false otherwise.
+     * @private
+     */
+    var isModerator = function(peerId) {
+        return moderation.moderators.indexOf(peerId) !== -1;
+    };
+
+    /**
+     * Helper for putting a user in the spotlight (or turning it off) for everybody.
+     *
+     * @param {Object} client - Client instance.
+     * @param {Object} dest - Message destination (see VTCClient.sendPeerMessage).
+     * @param {String|null} peerId - The peer ID of the user to feature, null to turn the spotlight off.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var sendSpotlight = function(client, dest, peerId) {
+        client.sendPeerMessage(dest, 'spotlight', {
+            peerId: peerId
+        });
+    };
+
+    /**
+     * Features a user on the stage (see Dashboard.setSpotlight). If their stream did
+     * not arrive yet, they are featured once it does (see onStreamAccept).
+     *
+     * @param {Object} client - Client instance.
+     * @param {String|null} peerId - The peer ID of the user to feature, null to turn the spotlight off.
+     * @param {String} byPeerId - The peer ID of the user who changed the spotlight.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var showSpotlight = function(client, peerId, byPeerId) {
+        var port = (peerId !== null) ? idToViewPort[peerId] : undefined;
+
+        spotlightId = peerId;
+        spotlightById = (peerId !== null) ? byPeerId : null;
+        trtcDash.setSpotlight((port !== undefined) ? port : null);
+
+        var byName = (byPeerId === client.getId()) ? 'You' : client.idToName(byPeerId);
+        if (peerId === null) {
+            chatRoom.addNotification(byName + ' turned the spotlight off.');
+        } else {
+            var name = (peerId === client.getId()) ? 'you' : client.idToName(peerId);
+            chatRoom.addNotification(byName + ' put the spotlight on ' + name + '.');
+        }
+    };
+
+    /**
+     * Brings the spotlight up to date when the stream of a user arrives.
+     *
+     * @param {Object} client - Client instance.
+     * @param {String} peerId - The peer ID of the user whose stream arrived.
+     * @param {Object} port - The Viewport of the user.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var handleSpotlightJoin = function(client, peerId, port) {
+        if (peerId === spotlightId) {
+            trtcDash.setSpotlight(port);
+        }
+
+        // Whoever moved the spotlight tells the users joining later about it (if they still can)
+        if (spotlightById === client.getId() && isModerator(spotlightById)) {
+            sendSpotlight(client, { rtcId: peerId }, spotlightId);
+        }
+    };
+
+    /**
+     * Mutes the microphone of a user (moderators only).
+     *
+     * @param {Object} client - Client instance.
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {String|null} Why the user can't be muted (HTML), null on success.
+     * @private
+     */
+    var muteUser = function(client, peerId) {
+        if (peerId === client.getId()) {
+            return 'Use <b>/mic off</b> to mute yourself';
+        }
+
+        client.sendPeerMessage({
+            rtcId: peerId
+        }, 'mic-control', {
+            enabled: false
+        });
+        chatRoom.addNotification('You muted ' + client.idToName(peerId) + '.');
+
+        return null;
+    };
+
+    /**
+     * Mutes the microphone of everybody else in the room (moderators only).
+     *
+     * @param {Object} client - Client instance.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var muteEveryone = function(client) {
+        client.sendPeerMessage({
+            room: params.rtcName
+        }, 'mic-control', {
+            enabled: false
+        });
+        chatRoom.addNotification('You muted everybody else.');
+    };
+
+    /**
+     * Removes a user from the room (moderators only).
+     *
+     * @param {Object} client - Client instance.
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {String|null} Why the user can't be removed (HTML), null on success.
+     * @private
+     */
+    var removeUser = function(client, peerId) {
+        if (peerId === client.getId()) {
+            return 'Hang up to leave the room';
+        }
+
+        // NOTE: The server disconnects them, their viewport goes away once their stream closes
+        client.sendPeerMessage({
+            rtcId: peerId
+        }, 'kick', {});
+        chatRoom.addNotification('You removed ' + client.idToName(peerId) + ' from the room.');
+
+        return null;
+    };
+
+    /**
+     * Locks or unlocks the room (moderators only). The room announces
+     * the change once the server confirms it (see handleModeration).
+     *
+     * @param {Object} client - Client instance.
+     * @param {Boolean} locked - True to keep new users out, false to let them in again.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var lockRoom = function(client, locked) {
+        client.sendPeerMessage({
+            room: params.rtcName
+        }, 'room-lock', {
+            locked: locked
+        });
+    };
+
+    /**
+     * Offers the moderator actions in the viewport menus, if we moderate the room.
+     *
+     * @param {Object} client - Client instance.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var updateModeratorActions = function(client) {
+        var myPeerId = client.getId();
+
+        Object.keys(idToViewPort).forEach(function(peerId) {
+            var actions = [];
+
+            if (isModerator(myPeerId)) {
+                if (peerId !== myPeerId) {
+                    actions.push({
+                        label: 'Mute',
+                        actionFn: function() {
+                            muteUser(client, peerId);
+                        }
+                    }, {
+                        label: 'Remove from the room',
+                        actionFn: function() {
+                            removeUser(client, peerId);
+                        }
+                    });
+                }
+
+                actions.push({
+                    label: 'Mute everyone else',
+                    actionFn: function() {
+                        muteEveryone(client);
+                    }
+                }, {
+                    label: moderation.locked ? 'Unlock the room' : 'Lock the room',
+                    actionFn: function() {
+                        lockRoom(client, !moderation.locked);
+                    }
+                });
+            }
+
+            idToViewPort[peerId].setModeratorActions(actions);
+        });
+    };
+
+    /**
+     * Announces who moderates the room and whether it is locked
+     * whenever that changes, and updates the viewport menus.
+     *
+     * @param {Object} client - Client instance.
+     * @param {Object} state - Of the form { moderators : Array<String>, locked : Boolean }.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var handleModeration = function(client, state) {
+        var myPeerId = client.getId();
+
+        state.moderators.forEach(function(peerId) {
+            if (isModerator(peerId)) {
+                return;
+            }
+
+            if (peerId === myPeerId) {
+                chatRoom.addNotification('You are a moderator of this room (see /help for the moderator commands).');
+            } else {
+                chatRoom.addNotification(client.idToName(peerId) + ' is a moderator of this room.');
+            }
+        });
+
+        if (state.locked !== moderation.locked) {
+            chatRoom.addNotification(state.locked ? 'The room is locked, nobody else can join.' :
+                                                    'The room is unlocked.');
+        }
+
+        moderation = state;
+        updateModeratorActions(client);
+    };
+
+    /**
+     * Creates the audio meter of our own viewport (again).
+     *
+     * @param {Object} client - Client instance.
+     * @param {String} oldPeerId - The peer ID the current meter was
+     * created for, null if there is none.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var createLocalAudioMeter = function(client, oldPeerId) {
+        if (typeof AudioMeter === 'object') {
+            if (oldPeerId !== null) {
+                AudioMeter.destroy(oldPeerId);
+            }
+
+            var myPeerId = client.getId();
+            AudioMeter.create(myPeerId, client.getLocalStream(), idToViewPort[myPeerId].audioMeterFill, true);
+        }
+    };
+
+    /**
+     * Applies a device picked in the device settings in the middle of the call.
+     *
+     * @param {Object} client - Client instance.
+     * @param {String} key - The kind of device (see DeviceSettings.selected).
+     * @param {String} deviceId - The ID of the device, null for the default device.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var switchDevice = function(client, key, deviceId) {
+        var myPeerId = client.getId();
+
+        if (key === 'audioOutputId') {
+            for (var peerId in idToViewPort) {
+                if (idToViewPort.hasOwnProperty(peerId) && peerId !== myPeerId) {
+                    client.setAudioOutput(idToViewPort[peerId].videoSrc, (deviceId === null) ? '' : deviceId);
+                }
+            }
+            return;
+        }
+
+        var kind = (key === 'videoInputId') ? 'video' : 'audio';
+        client.switchDevice(kind, deviceId, function(stream) {
+            // Rebinding makes the video element pick up the new track
+            client.setVideoObjectSrc(idToViewPort[myPeerId].videoSrc, stream);
+
+            if (kind === 'audio') {
+                createLocalAudioMeter(client, myPeerId);
+            }
+        }, function() {
+            chatRoom.addNotification('Unable to use the selected ' + ((kind === 'video') ? 'camera.' : 'microphone.'));
+        });
+    };
+
+    /**
+     * Refreshes the connection statistics overlays and the
+     * connection quality badges, warning about bad connections.
+     *
+     * @param {Object} client - Client instance.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var updateStats = function(client) {
+        // If even the best connection is poor, the problem is most likely our own network.
+        // NOTE: This uses the ratings of the previous round since getStats is asynchronous.
+        var selfLevel = NetworkQuality.best(Object.keys(peerQuality).map(function(peerId) {
+            return peerQuality[peerId];
+        }));
+        setQualityBadge(selfQualityBadge, selfLevel);
+        if (NetworkQuality.track('self', selfLevel)) {
+            chatRoom.addNotification('Your network connection is poor, others might not see or hear you well.');
+        }
+
+        Object.keys(idToViewPort).forEach(function(peerId) {
+            if (peerId !== client.getId()) {
+                client.getStats(peerId, function(stats) {
+                    // The user might have left in the meantime
+                    var port = idToViewPort[peerId];
+                    if (port === undefined) {
+                        return;
+                    }
+
+                    if (bandwidth !== null) {
+                        bandwidth.handleStats(peerId, stats);
+                    }
+
+                    var level = NetworkQuality.rate(stats);
+                    peerQuality[peerId] = level;
+                    port.showQuality(level);
+                    port.updateStats(stats);
+
+                    // Blaming every peer for our own bad network is not helpful
+                    if (NetworkQuality.track(peerId, level) && selfLevel !== 'poor') {
+                        chatRoom.addNotification('The connection to ' + client.idToName(peerId) + ' is poor.');
+                    }
+                });
+            }
+        });
+    };
+
+    /**
+     * In low bandwidth mode (and hangouts mode), asks every other user but the ones on the main
+     * display (or on the stage, see Dashboard.stageViewports) to stop sending us video. Otherwise,
+     * asks everybody to send video again.
+     *
+     * @param {Object} client - Client instance.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var updateVideoPauses = function(client) {
+        var myPeerId = client.getId();
+        var pauseOthers = (bandwidth !== null && bandwidth.isLowBandwidthMode() && trtcDash.hangoutsMode);
+
+        // The stage shows the presenter, the spotlight and the pinned viewports, if any. Otherwise,
+        // the main display shows the first viewport that is not our own.
+        var focusedPorts = [];
+        if (trtcDash.hasStage()) {
+            focusedPorts = trtcDash.stageViewports();
+        } else {
+            for (var i = 0; i < trtcDash.viewportArray.length; i++) {
+                if (trtcDash.viewportArray[i] !== idToViewPort[myPeerId]) {
+                    focusedPorts.push(trtcDash.viewportArray[i]);
+                    break;
+                }
+            }
+        }
+
+        Object.keys(pausedPeers).forEach(function(peerId) {
+            var port = idToViewPort[peerId];
+            var paused = (pauseOthers && focusedPorts.indexOf(port) === -1);
+            if (port !== undefined && pausedPeers[peerId] !== paused) {
+                pausedPeers[peerId] = paused;
+                port.showVideoPaused(paused);
+                client.sendPeerMessage({
+                    rtcId: peerId
+                }, 'video-pause', {
+                    paused: paused
+                });
+            }
+        });
+    };
+
     /**
      * Helper for handling media presence messages.
      *
@@ -113,88 +559,290 @@ var vtcMain = function(params) {
         }
     };
 
+    /**
+     * Shows the post-call screen, offering to rejoin the
+     * room we just left or to go to a new room.
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    var showPostCall = function() {
+        var postCallContent = $('#postCallContent');
+
+        $('#postCallMsg').text('You left ' + params.roomName + '.');
+        postCallContent.fadeIn();
+
+        $('#rejoinBtn')
+            .off('click')
+            .click(function() {
+                // Keep the camera/microphone state the user had when hanging up
+                var rejoinParams = $.extend({}, params, {
+                    cameraIsEnabled: NavBar.cameraBtn.isSelected(),
+                    micIsEnabled: NavBar.micBtn.isSelected(),
+                    dashIsEnabled: NavBar.dashBtn.isSelected()
+                });
+
+                postCallContent.fadeOut(function() {
+                    vtcMain(rejoinParams);
+                });
+            });
+
+        $('#newRoomBtn')
+            .off('click')
+            .click(function() {
+                postCallContent.fadeOut(function() {
+                    if (params.hasCamera) {
+                        NavBar.cameraBtn.enableButton();
+                    }
+
+                    if (params.hasMic) {
+                        NavBar.micBtn.enableButton();
+                    }
+
+                    NavBar.dashBtn.enableButton();
+                    Login.show();
+                });
+            });
+    };
+
+    /**
+     * Hangs up and tears down everything set up for the room (viewports,
+     * audio meters, the chat session), then shows the post-call screen.
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    var leaveRoom = function() {
+        // NOTE: Hanging up closes the peer streams, so the onStreamClose handler
+        //       below takes care of the viewports of the other users.
+        VTCCore.finalize();
+
+        if (statsTimer !== null) {
+            clearInterval(statsTimer);
+            statsTimer = null;
+        }
+
+        NetworkQuality.reset();
+        peerQuality = {};
+        setQualityBadge(selfQualityBadge, null);
+
+        trtcDash.onLayoutChange(null);
+        bandwidth = null;
+        pausedPeers = {};
+        spotlightId = null;
+        spotlightById = null;
+        moderation = {
+            moderators: [],
+            locked: false
+        };
+
+        ActiveSpeaker.stop();
+
+        if (typeof AudioMeter === 'object') {
+            AudioMeter.finalize();
+        }
+
+        trtcDash.removeAll();
+        idToViewPort = {};
+        presenterId = null;
+
+        FileShare.finalize();
+        chatRoom.finalize();
+        StatusBanner.hide();
+
+        // VTCCore.finalize stopped the screen share (if any)
+        if (NavBar.screenBtn.isSelected()) {
+            NavBar.screenBtn.toggle();
+        }
+
+        NavBar.cameraBtn.disableButton();
+        NavBar.micBtn.disableButton();
+        NavBar.screenBtn.disableButton();
+        NavBar.settingsBtn.disableButton();
+        NavBar.dashBtn.disableButton();
+        NavBar.lowBwBtn.disableButton();
+        NavBar.hangupBtn.disableButton();
+
+        $('#vtcRoom').fadeOut();
+        $('#roomNameField').fadeOut(function() {
+            showPostCall();
+        });
+    };
+
+    // Messages sent by other users, dispatched by PeerMessages once their contents match the schema
+    PeerMessages.register('chat', {
+        msg: 'string?',
+        isPrivate: 'boolean?',
+        typing: 'boolean?',
+        cmd: 'string?'
+    }, function(client, peerId, content) {
+        // See Chat.handlePeerMessage for the possible formats
+        chatRoom.handlePeerMessage(peerId, content);
+    });
+
+    // 'media-presence' peerMessage
+    //   Possible types:
+    //     'camera' : indicates a change in the camera status from a peer
+    //     'mic'    : indicates a change in the mic status from a peer
+    PeerMessages.register('media-presence', {
+        type: 'string',
+        enabled: 'boolean'
+    }, function(client, peerId, content) {
+        // NOTE: VTCCore holds the messages sent before onStreamAccept created the viewport
+        handleMediaPresence(client, peerId, content);
+    });
+
+    PeerMessages.register('debug', {
+        opcode: 'string'
+    }, function(client, peerId, content) {
+        // @todo XXX(debug): handle debug messages
+        if (dbgListener !== null) {
+            dbgListener.handlePeerMessage(client, peerId, content);
+        } else {
+            ErrorMetric.log('peerMessage => debug message got in non-debug mode!');
+        }
+    });
+
+    PeerMessages.register('mic-control', {
+        enabled: 'boolean'
+    }, function(client, peerId, content) {
+        // NOTE: The server rejects 'mic-control' from anybody but the moderators, this
+        // also drops the ones that did not go through it
+        if (!isModerator(peerId)) {
+            ErrorMetric.log('peerMessage => ignoring a mute request from ' + peerId + ' (not a moderator)');
+        } else if (peerId !== client.getId()) {
+            // Toggle the micBtn only if the requested microphone state is false (microphone disabled)
+            // and the current state is enabled. Nobody can turn our microphone on but us.
+            if (!content.enabled && content.enabled !== NavBar.micBtn.isSelected()) {
+                // clickButton is called because this causes the mute overlay to show up
+                NavBar.micBtn.clickButton();
+                chatRoom.addNotification(client.idToName(peerId) + ' muted your microphone.');
+            }
+        } else {
+            ErrorMetric.log('peerMessage => got a mute request from myself...ignoring');
+        }
+    });
+
+    PeerMessages.register('audio-meter', {
+        rms: 'number'
+    }, function(client, peerId, content) {
+        if (typeof AudioMeter === 'object') {
+            AudioMeter.handlePeerMessage(peerId, content);
+        }
+
+        if (peerId !== client.getId()) {
+            ActiveSpeaker.handleLevel(peerId, content.rms);
+        }
+    });
+
+    PeerMessages.register('video-pause', {
+        paused: 'boolean'
+    }, function(client, peerId, content) {
+        // The peer does not show our video (low bandwidth mode), so stop sending it
+        if (bandwidth !== null) {
+            bandwidth.setPaused(peerId, content.paused);
+        }
+    });
+
+    PeerMessages.register('spotlight', {
+        // null turns the spotlight off
+        peerId: 'string|null'
+    }, function(client, peerId, content) {
+        // NOTE: Only moderators can move the spotlight (the server rejects it from anybody else,
+        // this also drops the messages that did not go through it)
+        if (!isModerator(peerId)) {
+            ErrorMetric.log('peerMessage => ignoring a spotlight from ' + peerId + ' (not a moderator)');
+            return;
+        }
+
+        showSpotlight(client, content.peerId, peerId);
+    });
+
+    PeerMessages.register('screen-share', {
+        presenting: 'boolean'
+    }, function(client, peerId, content) {
+        // NOTE: The presentation itself is shown once its stream arrives (see onScreenShare)
+        if (content.presenting) {
+            chatRoom.addNotification(client.idToName(peerId) + ' is presenting their screen.');
+        } else {
+            chatRoom.addNotification(client.idToName(peerId) + ' stopped presenting.');
+            hidePresentation(peerId);
+        }
+    });
+
+    PeerMessages.onIncompatible(function(client, peerId) {
+        chatRoom.addNotification(client.idToName(peerId) + ' is using a version of tubertc that is not ' +
+                                 'compatible with yours, reload the page to update it.');
+    });
+
     NavBar.cameraBtn.disableButton();
     NavBar.micBtn.disableButton();
+    NavBar.screenBtn.disableButton();
     NavBar.dashBtn.disableButton();
 
     VTCCore
         .initialize({
             cameraIsEnabled: params.hasCamera,
-            micIsEnabled: params.hasMic
+            micIsEnabled: params.hasMic,
+            videoInputId: DeviceSettings.selected.videoInputId,
+            audioInputId: DeviceSettings.selected.audioInputId
         })
         .onError(function(config) {
             NavBar.cameraBtn.enableButton();
             NavBar.micBtn.enableButton();
             NavBar.dashBtn.enableButton();
 
+            StatusBanner.hide();
             Dialog.show(config);
         })
-        .onPeerMessage(function(client, peerId, msgType, content) {
-            if (msgType === 'chat') {
-                chatRoom.handlePeerMessage(peerId, content);
-            } else if (msgType === 'media-presence' &&
-                       typeof content.type === 'string' &&
-                       typeof content.enabled === 'boolean') {
-                // 'media-presence' peerMessage
-                //   Example format:
-                //     {
-                //       type    : <String>,
-                //       enabled : <boolean>
-                //     }
-                //
-                //   Possible types:
-                //     'camera' : indicates a change in the camera status from a peer
-                //     'mic'    : indicates a change in the mic status from a peer
-                if (idToViewPort[peerId] !== undefined) {
-                    handleMediaPresence(client, peerId, content);
-                } else {
-                    if (mediaPresenceMap[peerId] === undefined) {
-                        mediaPresenceMap[peerId] = [];
-                    }
+        .onReconnect(function(attempt, delay) {
+            StatusBanner.show('Connection lost. Reconnecting in ' + Math.round(delay / 1000) +
+                              's (attempt ' + attempt + ')\u2026');
+        }, function(client, oldPeerId) {
+            var myPeerId = client.getId();
 
-                    mediaPresenceMap[peerId].push(content);
-                }
-            } else if (msgType === 'debug') {
-                // @todo XXX(debug): handle debug messages
-                if (dbgListener !== null) {
-                    dbgListener.handlePeerMessage(client, peerId, content);
-                } else {
-                    ErrorMetric.log('peerMessage => debug message got in non-debug mode!');
-                }
-            } else if (msgType === 'mic-control' && typeof content.enabled === 'boolean') {
-                // @todo FIXME XXX XXX: Might be an issue with this feature. The ability to remotely
-                //                      mute/unmute people might not be so cool (namely the unmute part).
-                //                      For now, leave it in, but think about disabling the unmute feature
-                //                      or having a config flag to deal with it.
-
-                // 'mic-control' peerMessage
-                //   Example format:
-                //     {
-                //       enabled : boolean
-                //     }
-                //
-                if (peerId !== client.getId()) {
-                    // Toggle the micBtn only if the requested microphone state is false (microphone disabled)
-                    // and the current state is enabled.
-                    //
-                    // @todo XXX: probably not a good idea to have remote unmute capabilities
-                    if (!content.enabled && content.enabled !== NavBar.micBtn.isSelected()) {
-                        // clickButton is called because this causes the mute overlay to show up
-                        NavBar.micBtn.clickButton();
-                    }
-                } else {
-                    ErrorMetric.log('peerMessage => got a mute request from myself...ignoring');
-                }
-            } else if (msgType === 'audio-meter') {
-                AudioMeter.handlePeerMessage(peerId, content);
-            } else {
-                // @todo FIXME: right now we don't have other messages to take care of
-                ErrorMetric.log('peerMessage => got a peer message that is unexpected');
-                ErrorMetric.log('            => peerId:  ' + peerId);
-                ErrorMetric.log('            =>   name: ' + client.idToName(peerId));
-                ErrorMetric.log('            => msgType: ' + msgType);
-                ErrorMetric.log('            => content: ' + JSON.stringify(content));
+            // We are still the same user, only our peer ID changed
+            idToViewPort[myPeerId] = idToViewPort[oldPeerId];
+            delete idToViewPort[oldPeerId];
+            chatRoom.updatePeerId(myPeerId);
+            createLocalAudioMeter(client, oldPeerId);
+
+            if (spotlightId === oldPeerId) {
+                spotlightId = myPeerId;
             }
+
+            if (spotlightById === oldPeerId) {
+                spotlightById = myPeerId;
+            }
+
+            ErrorMetric.setContext({
+                peerId: myPeerId
+            });
+
+            // Restore the media state the user chose before losing the connection
+            client.enableCamera(NavBar.cameraBtn.isSelected());
+            client.enableMicrophone(NavBar.micBtn.isSelected());
+
+            StatusBanner.hide();
+            chatRoom.addNotification('Reconnected to the room.');
+        })
+        .onModeration(function(client, state) {
+            handleModeration(client, state);
+        }, function(client, byPeerId) {
+            var byName = client.idToName(byPeerId);
+            leaveRoom();
+
+            Dialog.show({
+                title: 'Removed from the room',
+                content: Handlebars.escapeExpression(byName) + ' removed you from the videoconferencing room <b>' +
+                         Handlebars.escapeExpression(params.roomName) + '</b>.'
+            });
+        }, function(client, msgType) {
+            var action = kModeratorActions.hasOwnProperty(msgType) ? kModeratorActions[msgType] : 'do this';
+            chatRoom.addNotification('Only the moderators of the room can ' + action + '.');
+        })
+        .onPeerMessage(function(client, peerId, msgType, content) {
+            PeerMessages.dispatch(client, peerId, msgType, content);
         })
         .onStreamAccept(function(client, peerId, stream) {
             var peerName = client.idToName(peerId);
@@ -205,21 +853,16 @@ var vtcMain = function(params) {
             port.videoSrc.prop('muted', false);
             client.setVideoObjectSrc(port.videoSrc, stream);
 
+            if (DeviceSettings.selected.audioOutputId !== null) {
+                client.setAudioOutput(port.videoSrc, DeviceSettings.selected.audioOutputId);
+            }
+
             if (typeof AudioMeter === 'object') {
                 AudioMeter.create(peerId, stream, port.audioMeterFill);
             }
 
             idToViewPort[peerId] = port;
-
-            // Handle deferred requests
-            var peerIdMediaPresenceQueue = mediaPresenceMap[peerId];
-            if (peerIdMediaPresenceQueue !== undefined) {
-                while (peerIdMediaPresenceQueue.length > 0) {
-                    var content = peerIdMediaPresenceQueue.shift();
-                    handleMediaPresence(client, peerId, content);
-                }
-                delete mediaPresenceMap[peerId];
-            }
+            updateModeratorActions(client);
 
             // @todo XXX: send status from navbar buttons
             if (!NavBar.cameraBtn.isSelected()) {
@@ -229,6 +872,20 @@ var vtcMain = function(params) {
             if (!NavBar.micBtn.isSelected()) {
                 sendMediaPresence(client, 'mic', false);
             }
+
+            if (client.getScreenStream() !== null) {
+                sendScreenShare(client, { rtcId: peerId }, true);
+            }
+
+            handleSpotlightJoin(client, peerId, port);
+            FileShare.addPeer(peerId);
+
+            // The peer sends us video until we ask otherwise
+            pausedPeers[peerId] = false;
+            if (bandwidth !== null) {
+                bandwidth.addPeer(peerId);
+                updateVideoPauses(client);
+            }
         })
         .onStreamClose(function(client, peerId) {
             chatRoom.userLeft(peerId);
@@ -245,11 +902,43 @@ var vtcMain = function(params) {
             } else {
                 ErrorMetric.log('vtcMain => failed to find viewport for ' + peerId);
             }
+
+            delete peerQuality[peerId];
+            NetworkQuality.forget(peerId);
+
+            delete pausedPeers[peerId];
+            if (bandwidth !== null) {
+                bandwidth.removePeer(peerId);
+            }
+
+            ActiveSpeaker.forget(peerId);
+            FileShare.removePeer(peerId);
+
+            // Dashboard.removeUserWithGrid took their viewport off the stage
+            if (peerId === spotlightId) {
+                spotlightId = null;
+                spotlightById = null;
+            }
+
+            hidePresentation(peerId);
         })
-        .connect(params.userName, params.rtcName, function(client) {
+        .onScreenShare(function(client, peerId, stream) {
+            var port = trtcDash.showPresentation(client.idToName(peerId));
+            client.setVideoObjectSrc(port.videoSrc, stream);
+            presenterId = peerId;
+        }, function(client, peerId) {
+            hidePresentation(peerId);
+        })
+        .connect(params.userName, params.rtcName, params.passcode, function(client) {
             var stream = client.getLocalStream();
             var myPeerId = client.getId();
 
+            // Attach our peer ID and room to the error telemetry from now on
+            ErrorMetric.setContext({
+                peerId: myPeerId,
+                roomName: params.rtcName
+            });
+
             NavBar.cameraBtn.enableButton();
             NavBar.micBtn.enableButton();
             NavBar.dashBtn.enableButton();
@@ -269,13 +958,54 @@ var vtcMain = function(params) {
             }
 
             chatRoom
-                .initialize(myPeerId, params.userName, function(message) {
-                    return client.sendPeerMessage({
-                        room: params.rtcName
-                    }, 'chat', message);
+                .initialize(myPeerId, params.userName, function(message, toPeerId) {
+                    // Private messages go to a single user (see Chat.sendPrivateMessage)
+                    var dest = (toPeerId !== undefined) ? { rtcId: toPeerId } : { room: params.rtcName };
+                    return client.sendPeerMessage(dest, 'chat', message);
                 })
                 .show();
 
+            FileShare.init(client, chatRoom);
+
+            ChatCommands.registerCommand(new SpotlightCommand(function(peerId) {
+                if (!isModerator(client.getId())) {
+                    chatRoom.addNotification('Only the moderators of the room can move the spotlight.');
+                    return;
+                }
+
+                sendSpotlight(client, {
+                    room: params.rtcName
+                }, peerId);
+                showSpotlight(client, peerId, client.getId());
+            }));
+
+            // The commands check that we moderate the room before calling these
+            var moderator = {
+                isModerator: function() {
+                    return isModerator(client.getId());
+                },
+                isLocked: function() {
+                    return moderation.locked;
+                },
+                mute: function(peerId) {
+                    return muteUser(client, peerId);
+                },
+                muteAll: function() {
+                    muteEveryone(client);
+                },
+                remove: function(peerId) {
+                    return removeUser(client, peerId);
+                },
+                lock: function(locked) {
+                    lockRoom(client, locked);
+                }
+            };
+
+            ChatCommands.registerCommand(new MuteCommand(moderator));
+            ChatCommands.registerCommand(new MuteAllCommand(moderator));
+            ChatCommands.registerCommand(new KickCommand(moderator));
+            ChatCommands.registerCommand(new LockCommand(moderator));
+
             // Create a viewport for ourself and make it mirrored, hide it initially to ensure
             // a smooth transition if camera is initially disabled
             var viewport = trtcDash.createGridForNewUser();
@@ -284,11 +1014,8 @@ var vtcMain = function(params) {
                 .addClass('video_mirror');
             client.setVideoObjectSrc(viewport.videoSrc, stream);
 
-            if (typeof AudioMeter === 'object') {
-                AudioMeter.create(myPeerId, stream, viewport.audioMeterFill, true);
-            }
-
             idToViewPort[myPeerId] = viewport;
+            createLocalAudioMeter(client, null);
 
             // Only send initial state if they differ from the assumed state (which is enabled)
             if (!params.cameraIsEnabled) {
@@ -331,10 +1058,86 @@ var vtcMain = function(params) {
                 viewport.showMic(false);
             });
 
+            // Binds actions to the Start/Stop Screen Share button
+            NavBar.screenBtn.handle(function() {
+                client.startScreenShare(function() {
+                    sendScreenShare(client, { room: params.rtcName }, true);
+                    chatRoom.addNotification('You are presenting your screen.');
+                }, function() {
+                    // The user cancelled the browser's prompt, flip the button back
+                    NavBar.screenBtn.toggle();
+                }, function() {
+                    NavBar.screenBtn.toggle();
+                    sendScreenShare(client, { room: params.rtcName }, false);
+                });
+            }, function() {
+                client.stopScreenShare();
+                sendScreenShare(client, { room: params.rtcName }, false);
+            });
+
+            if (VTCCore.isScreenShareSupported()) {
+                NavBar.screenBtn.enableButton();
+            }
+
+            // Opens the device settings, picked devices are used right away
+            NavBar.settingsBtn.onClick(function() {
+                Dialog.show({
+                    title: 'Devices',
+                    content: '<div id="deviceSettingsPanel"></div>'
+                });
+
+                DeviceSettings.render($('#deviceSettingsPanel'), function(key, deviceId) {
+                    switchDevice(client, key, deviceId);
+                });
+            });
+            NavBar.settingsBtn.enableButton();
+
             NavBar.dashBtn.handle(function() {
                 trtcDash.showDashMode();
             }, function() {
                 trtcDash.showHangoutsMode();
             });
+
+            // Peers whose streams arrived before we got here are added as well
+            bandwidth = new BandwidthController(client);
+            Object.keys(pausedPeers).forEach(function(peerId) {
+                bandwidth.addPeer(peerId);
+            });
+            bandwidth.setLowBandwidthMode(NavBar.lowBwBtn.isSelected());
+
+            trtcDash.onLayoutChange(function() {
+                updateVideoPauses(client);
+            });
+
+            // Binds actions to the low bandwidth mode button
+            NavBar.lowBwBtn.handle(function() {
+                bandwidth.setLowBandwidthMode(true);
+                updateVideoPauses(client);
+                chatRoom.addNotification('Low bandwidth mode is on: you send less video and only ' +
+                                         'receive the video on the main display (in hangouts mode).');
+            }, function() {
+                bandwidth.setLowBandwidthMode(false);
+                updateVideoPauses(client);
+                chatRoom.addNotification('Low bandwidth mode is off.');
+            });
+            NavBar.lowBwBtn.enableButton();
+            updateVideoPauses(client);
+
+            // In hangouts mode, the main display follows whoever is talking
+            ActiveSpeaker.start(function(peerId) {
+                var port = idToViewPort[peerId];
+                if (port !== undefined) {
+                    trtcDash.showActiveSpeaker(port);
+                }
+            });
+
+            statsTimer = setInterval(function() {
+                updateStats(client);
+            }, kStatsInterval);
+
+            NavBar.hangupBtn.onClick(function() {
+                leaveRoom();
+            });
+            NavBar.hangupBtn.enableButton();
         });
 };
@@ -0,0 +1,183 @@
+/**
+ * @file Detects the dominant speaker from the audio levels the other
+ * users broadcast (see the 'audio-meter' peer messages of AudioMeter).
+ *
+ * To keep the main display from flickering between users, a new speaker
+ * has to be clearly louder than the current one for a while (see config).
+ *
+ * @requires module:js/error
+ */
+
+'use strict';
+
+var ActiveSpeaker = {
+    config: {
+        // How often (in milliseconds) the levels decay and the dominant speaker is picked
+        tickInterval: 250,
+
+        // Every tick, the score of a user is multiplied by this
+        decay: 0.7,
+
+        // Users below this score are considered silent
+        minScore: 0.15,
+
+        // A new speaker has to be the loudest for this long (in milliseconds)...
+        switchDelay: 1500,
+
+        // ...and louder than the current speaker by this factor
+        margin: 1.5,
+
+        // The current speaker keeps the main display for at least this long (in milliseconds)
+        holdTime: 3000
+    },
+
+    // Stores a mapping of peerId : String => score : Number (decaying sum of audio levels)
+    _scores: {},
+
+    // The dominant speaker (null if nobody spoke yet) and since when (in milliseconds)
+    _speakerId: null,
+    _speakerSince: 0,
+
+    // The user that might become the dominant speaker and since when (in milliseconds)
+    _challengerId: null,
+    _challengerSince: 0,
+
+    // Handle of the tick timer, null if not started
+    _timer: null,
+
+    // Called when the dominant speaker changes (see ActiveSpeaker.start)
+    _changeFn: null,
+
+    /**
+     * Starts detecting the dominant speaker.
+     *
+     * @param {Function} changeFn - Called when the dominant speaker changes.
+     * It's of the form: function(peerId : String)
+     * @returns {undefined} undefined
+     * @public
+     */
+    start: function(changeFn) {
+        var _this = this;
+
+        this.stop();
+        this._changeFn = changeFn;
+        this._timer = setInterval(function() {
+            _this._tick();
+        }, this.config.tickInterval);
+    },
+
+    /**
+     * Stops detecting the dominant speaker and forgets everything.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    stop: function() {
+        if (this._timer !== null) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+
+        this._scores = {};
+        this._speakerId = null;
+        this._challengerId = null;
+        this._changeFn = null;
+    },
+
+    /**
+     * Records an audio level broadcast by a user.
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @param {Number} rms - Root mean square of the audio (0 to 1).
+     * @returns {undefined} undefined
+     * @public
+     */
+    handleLevel: function(peerId, rms) {
+        this._scores[peerId] = (this._scores[peerId] || 0) + rms;
+    },
+
+    /**
+     * Forgets a user (e.g. because they left).
+     *
+     * @param {String} peerId - The peer ID of the user.
+     * @returns {undefined} undefined
+     * @public
+     */
+    forget: function(peerId) {
+        delete this._scores[peerId];
+
+        if (this._speakerId === peerId) {
+            this._speakerId = null;
+        }
+
+        if (this._challengerId === peerId) {
+            this._challengerId = null;
+        }
+    },
+
+    /**
+     * Decays the scores and finds the loudest user.
+     *
+     * @returns {String|null} The peer ID of the loudest user, null if everybody is silent.
+     * @private
+     */
+    _decayAndFindLoudest: function() {
+        var loudestId = null;
+        var loudestScore = this.config.minScore;
+
+        for (var peerId in this._scores) {
+            if (this._scores.hasOwnProperty(peerId)) {
+                this._scores[peerId] *= this.config.decay;
+
+                if (this._scores[peerId] >= loudestScore) {
+                    loudestId = peerId;
+                    loudestScore = this._scores[peerId];
+                }
+            }
+        }
+
+        return loudestId;
+    },
+
+    /**
+     * Picks the dominant speaker.
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    _tick: function() {
+        var now = Date.now();
+        var loudestId = this._decayAndFindLoudest();
+
+        // Silence (or the current speaker going on) keeps the current speaker
+        if (loudestId === null || loudestId === this._speakerId) {
+            this._challengerId = null;
+            return;
+        }
+
+        var speakerScore = (this._speakerId !== null) ? this._scores[this._speakerId] : 0;
+        if (this._scores[loudestId] < speakerScore * this.config.margin) {
+            this._challengerId = null;
+            return;
+        }
+
+        if (this._challengerId !== loudestId) {
+            this._challengerId = loudestId;
+            this._challengerSince = now;
+            return;
+        }
+
+        var speakerHeld = (this._speakerId === null || now - this._speakerSince >= this.config.holdTime);
+        if (now - this._challengerSince >= this.config.switchDelay && speakerHeld) {
+            this._speakerId = loudestId;
+            this._speakerSince = now;
+            this._challengerId = null;
+
+            if (this._changeFn !== null) {
+                this._changeFn(loudestId);
+            } else {
+                ErrorMetric.log('ActiveSpeaker._tick => changeFn not set');
+            }
+        }
+    }
+};
@@ -1,5 +1,7 @@
 /**
  * @file Defines the dashboard and viewport UI components.
+ *
+ * @requires Handlebars.js
  */
 
 'use strict';
@@ -7,6 +9,90 @@
 var PARENT_CONTAINER_ID = 'vtcRoom';
 var trtcDash = null;
 
+// Template for the connection statistics overlay (see Viewport.updateStats)
+var _statsOverlayTmpl = Handlebars.compile(
+    '<div>RTT {{rtt}} &middot; {{candidates}}</div>' +
+    '{{#each media}}' +
+    '<div>{{label}}: {{details}}</div>' +
+    '{{/each}}'
+);
+
+/**
+ * Describes the statistics of one direction and kind of media.
+ *
+ * @param {Object} mediaStats - MediaStats object (see VTCClient.getStats).
+ * @returns {String} A short human readable description.
+ * @private
+ */
+var _describeMediaStats = function(mediaStats) {
+    var parts = [];
+
+    if (mediaStats.bitrate !== null) {
+        if (mediaStats.bitrate >= 1000000) {
+            parts.push((mediaStats.bitrate / 1000000).toFixed(2) + ' Mbps');
+        } else {
+            parts.push(Math.round(mediaStats.bitrate / 1000) + ' kbps');
+        }
+    }
+
+    if (mediaStats.width !== null) {
+        parts.push(mediaStats.width + 'x' + mediaStats.height);
+    }
+
+    if (mediaStats.framerate !== null) {
+        parts.push(Math.round(mediaStats.framerate) + ' fps');
+    }
+
+    if (mediaStats.codec !== null) {
+        parts.push(mediaStats.codec);
+    }
+
+    if (mediaStats.packetLoss !== null) {
+        parts.push('loss ' + (mediaStats.packetLoss * 100).toFixed(1) + '%');
+    }
+
+    if (mediaStats.jitter !== null) {
+        parts.push('jitter ' + Math.round(mediaStats.jitter) + ' ms');
+    }
+
+    return (parts.length > 0) ? parts.join(', ') : '-';
+};
+
+/**
+ * Creates a signal-bars badge showing the quality of a connection. It is
+ * hidden until a quality is set (see setQualityBadge).
+ *
+ * @returns {Object} jQuery selector of the badge.
+ * @public
+ */
+var createQualityBadge = function() {
+    var badge = $('<span></span>', { 'class': 'trtc_quality' });
+    for (var i = 0; i < 3; i++) {
+        badge.append($('<span></span>', { 'class': 'trtc_quality_bar' }));
+    }
+
+    return badge;
+};
+
+/**
+ * Shows a connection quality on a badge.
+ *
+ * @param {Object} badge - jQuery selector of the badge (see createQualityBadge).
+ * @param {String|null} level - One of 'good', 'fair' or 'poor' (see NetworkQuality.rate),
+ * null hides the badge.
+ * @returns {undefined} undefined
+ * @public
+ */
+var setQualityBadge = function(badge, level) {
+    badge
+        .removeClass('trtc_quality_good trtc_quality_fair trtc_quality_poor')
+        .attr('title', (level !== null) ? 'Connection: ' + level : '');
+
+    if (level !== null) {
+        badge.addClass('trtc_quality_' + level);
+    }
+};
+
 /**
  * Creates a new Viewport instance.
  *
@@ -34,14 +120,23 @@ var Viewport = function(peerName, dashboard) {
                         .addClass('trtc_muted');
 
     this.nameLabel = null;
+    this.qualityBadge = createQualityBadge();
     if (peerName !== undefined) {
         this.nameLabel = $('<div></div>', { 'class': 'trtc_label' })
-                            .text(peerName);
+                            .text(peerName)
+                            .prepend(this.qualityBadge);
     }
 
     this.localMuteIcon = $('<div></div>', { 'class': 'trtc_local_mute' });
     this.isLocallyMuted = false;
 
+    // Pins the viewport to the main display, which turns off following the active speaker
+    this.pinIcon = $('<div></div>', { 'class': 'trtc_pin', title: 'Pin to the main display' });
+
+    // Opens the moderator actions (see Viewport.setModeratorActions), only shown to moderators
+    this.moderateIcon = $('<div></div>', { 'class': 'trtc_moderate', title: 'Moderate' }).text('\u22ee');
+    this.moderateMenu = $('<ul></ul>', { 'class': 'trtc_moderate_menu' });
+
     this.audioMeter = $('<div></div>', { 'class': 'trtc_audiometer' });
     this.audioMeterFill = $('<div></div>', { 'class': 'trtc_audiometerfill' });
     this.audioMeter.append(this.audioMeterFill);
@@ -55,31 +150,62 @@ var Viewport = function(peerName, dashboard) {
     }
 
     this.view.append(this.localMuteIcon);
+    this.view.append(this.pinIcon);
+    this.view.append(this.moderateIcon);
+    this.view.append(this.moderateMenu);
     this.view.append(this.audioMeter);
 
+    // Only visible while the dashboard shows statistics (see Dashboard.showStats)
+    this.statsOverlay = $('<div></div>', { 'class': 'trtc_stats' });
+    this.view.append(this.statsOverlay);
+
+    // Only visible while the video is paused (see Viewport.showVideoPaused)
+    this.pausedLabel = $('<div></div>', { 'class': 'trtc_paused_label' })
+                          .text('Video paused to save bandwidth');
+    this.view.append(this.pausedLabel);
+
     this.elem.append(this.view);
 
     var _this = this;
 
+    // NOTE: The event handlers are bound once (see Viewport.bindClick and Viewport.bindHover): the
+    // dashboard detaches the viewports before placing them again, so they keep their handlers
+    this.pinIcon.click(function() {
+        dashboard.pinViewport(_this, !dashboard.isPinned(_this));
+    });
+
+    this.localMuteIcon.click(function() {
+        if (_this.isSelf) {
+            return;
+        }
+
+        var video = _this.videoSrc[0];
+        if (_this.isLocallyMuted) {
+            video.muted = false;
+            _this.localMuteIcon.removeClass('trtc_local_mute_muted');
+        } else {
+            video.muted = true;
+            _this.localMuteIcon.addClass('trtc_local_mute_muted');
+        }
+        _this.isLocallyMuted = !_this.isLocallyMuted;
+    });
+
+    this.moderateIcon.click(function() {
+        _this.moderateMenu.toggle();
+    });
+
     /**
-     * Binds a click event handler.
+     * Binds a click event handler (once, see the constructor).
      *
      * @returns {undefined} undefined
-     * @public
+     * @private
      */
     this.bindClick = function() {
       // @todo FIXME: this sort of feels and looks kludgey, can we fix this?
         var clickHandler = function() {
-            if (dashboard.hangoutsMode) {
-                var i = dashboard.viewportArray.indexOf(_this);
-
-                // Ignore the first element because that is the main
-                // display and it implies we are already the main display.
-                if (i > 0) {
-                    var item = dashboard.viewportArray.splice(i, 1)[0];
-                    dashboard.viewportArray.unshift(item);
-                    dashboard.placeViewports();
-                }
+            // Pinned or spotlighted viewports keep the stage (see Dashboard.pinViewport)
+            if (dashboard.hangoutsMode && !dashboard.hasStage()) {
+                dashboard.promoteViewport(_this);
             }
         };
 
@@ -111,21 +237,29 @@ var Viewport = function(peerName, dashboard) {
     };
 
     /**
-     * Binds a hover event handler.
+     * Binds a hover event handler (once, see the constructor).
      *
      * @returns {undefined} undefined
-     * @public
+     * @private
      */
     this.bindHover = function() {
-        if (!this.isSelf) {
-            this.view.hover(function() {
+        // The opacity of a pinned viewport's icon is set by the trtc_pinned class (see viewports.css)
+        this.view.hover(function() {
+            if (!_this.isSelf) {
                 _this.localMuteIcon.css({ opacity: 1 });
-            }, function() {
-                if (!_this.isLocallyMuted) {
-                    _this.localMuteIcon.css({ opacity: 0 });
-                }
-            });
-        }
+            }
+
+            _this.pinIcon.addClass('trtc_pin_hover');
+            _this.moderateIcon.addClass('trtc_moderate_hover');
+        }, function() {
+            if (!_this.isSelf && !_this.isLocallyMuted) {
+                _this.localMuteIcon.css({ opacity: 0 });
+            }
+
+            _this.pinIcon.removeClass('trtc_pin_hover');
+            _this.moderateIcon.removeClass('trtc_moderate_hover');
+            _this.moderateMenu.hide();
+        });
     };
 
     /**
@@ -191,6 +325,9 @@ var Viewport = function(peerName, dashboard) {
             if (!this.isSelf) {
                 _this.localMuteIcon.css({ 'margin-top': topOffset, 'margin-right': 2 });
             }
+            _this.pinIcon.css({ 'margin-top': topOffset, 'margin-right': 2 });
+            _this.moderateIcon.css({ 'margin-top': topOffset, 'margin-right': 2 });
+            _this.moderateMenu.css({ 'margin-top': topOffset, 'margin-right': 2 });
 
             if (_this.nameLabel !== null) {
                 _this.nameLabel.css({ top: topOffset, left: 2 });
@@ -202,26 +339,106 @@ var Viewport = function(peerName, dashboard) {
             if (!this.isSelf) {
                 _this.localMuteIcon.css({ 'margin-right': rightOffset, 'margin-top': 0 });
             }
+            _this.pinIcon.css({ 'margin-right': rightOffset, 'margin-top': 0 });
+            _this.moderateIcon.css({ 'margin-right': rightOffset, 'margin-top': 0 });
+            _this.moderateMenu.css({ 'margin-right': rightOffset, 'margin-top': 0 });
 
             if (_this.nameLabel !== null) {
                 _this.nameLabel.css({ left: rightOffset, top: 0 });
             }
             _this.audioMeter.css({ left: rightOffset, bottom: 0, width: vidWidth });
         }
+    };
 
-        if (!this.isSelf) {
-            _this.localMuteIcon.click(function() {
-                var video = _this.videoSrc[0];
-                if (_this.isLocallyMuted) {
-                    video.muted = false;
-                    _this.localMuteIcon.removeClass('trtc_local_mute_muted');
-                } else {
-                    video.muted = true;
-                    _this.localMuteIcon.addClass('trtc_local_mute_muted');
-                }
-                _this.isLocallyMuted = !_this.isLocallyMuted;
+    /**
+     * Restarts the video if it was paused by moving the viewport around the page (see
+     * VTCClient.setVideoObjectSrc). Videos moved and put back within the same task keep
+     * playing, so this rarely has anything to do.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.resumeVideo = function() {
+        var video = this.videoSrc.get(0);
+        if (video.srcObject && video.paused) {
+            video.load();
+        }
+    };
+
+    /**
+     * Sets the moderator actions offered by the menu of the viewport.
+     *
+     * @param {Array<Object>} actions - The actions, in the order they are listed. Each is
+     * of the form { label : String, actionFn : Function (takes no arguments) }. The menu
+     * is hidden if there are none.
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.setModeratorActions = function(actions) {
+        this.moderateMenu
+            .hide()
+            .empty();
+
+        actions.forEach(function(action) {
+            var item = $('<li></li>').text(action.label);
+            item.click(function() {
+                _this.moderateMenu.hide();
+                action.actionFn();
             });
+
+            _this.moderateMenu.append(item);
+        });
+
+        this.moderateIcon.toggle(actions.length > 0);
+    };
+
+    /**
+     * Shows the quality of the connection to the user next to their name.
+     *
+     * @param {String|null} level - One of 'good', 'fair' or 'poor'
+     * (see NetworkQuality.rate), null hides the badge.
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.showQuality = function(level) {
+        setQualityBadge(this.qualityBadge, level);
+    };
+
+    /**
+     * Shows whether the video of the user is paused (see low bandwidth mode in room.js).
+     *
+     * @param {Boolean} paused - True if the video is paused, false otherwise.
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.showVideoPaused = function(paused) {
+        this.view.toggleClass('trtc_video_paused', paused);
+    };
+
+    /**
+     * Updates the connection statistics overlay.
+     *
+     * @param {Object} stats - The statistics (see VTCClient.getStats),
+     * null to clear the overlay.
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.updateStats = function(stats) {
+        if (stats === null) {
+            this.statsOverlay.empty();
+            return;
         }
+
+        this.statsOverlay.html(_statsOverlayTmpl({
+            rtt: (stats.rtt !== null) ? Math.round(stats.rtt) + ' ms' : '-',
+            candidates: (stats.localCandidateType || '?') + ' / ' + (stats.remoteCandidateType || '?'),
+            media: [
+                { label: 'Video in', details: _describeMediaStats(stats.inbound.video) },
+                { label: 'Audio in', details: _describeMediaStats(stats.inbound.audio) },
+                { label: 'Video out', details: _describeMediaStats(stats.outbound.video) },
+                { label: 'Audio out', details: _describeMediaStats(stats.outbound.audio) }
+            ]
+        }));
     };
 
     /**
@@ -248,6 +465,9 @@ var Viewport = function(peerName, dashboard) {
         return { dimensions: videoDimensions, limitingValue: limitingValue };
     };
 
+    this.bindClick();
+    this.bindHover();
+
     return this;
 };
 
@@ -265,6 +485,21 @@ var Dashboard = function() {
     this.viewportArray = [];
     this.hangoutsMode = true;
 
+    // The viewport showing a peer's screen share, null if nobody is presenting
+    this.presenterViewport = null;
+
+    // True while the connection statistics overlays are shown
+    this.statsVisible = false;
+
+    // Called after the viewports were placed (see Dashboard.onLayoutChange)
+    this.layoutChangeFn = null;
+
+    // The viewports pinned to the stage, the main display follows the active speaker while there are none
+    this.pinnedViewports = [];
+
+    // The viewport everybody is asked to feature (see Dashboard.setSpotlight), null if there is none
+    this.spotlightViewport = null;
+
     /**
      * Initializes the dashboard.
      *
@@ -304,6 +539,25 @@ var Dashboard = function() {
         this.placeViewports();
     };
 
+    /**
+     * Takes the viewports out of the dashboard, keeping their event handlers
+     * and data (which emptying the dashboard would remove).
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    this.detachViewports = function() {
+        for (var i = 0; i < this.viewportArray.length; i++) {
+            this.viewportArray[i].elem.detach();
+        }
+
+        if (this.presenterViewport !== null) {
+            this.presenterViewport.elem.detach();
+        }
+
+        this.elem.empty();
+    };
+
     /**
      * Places the viewports in the UI.
      *
@@ -313,6 +567,12 @@ var Dashboard = function() {
     this.placeViewports = function() {
         var layout;
 
+        if (this.hasStage()) {
+            this.placeViewportsOnStage();
+            this.notifyLayoutChange();
+            return;
+        }
+
         if (this.hangoutsMode) {
             layout = this.gridForHangoutsMode();
         } else {
@@ -321,7 +581,7 @@ var Dashboard = function() {
 
         var maxInRow = Math.max.apply(Math, layout.grid);
 
-        this.elem.empty();
+        this.detachViewports();
         this.rowArray = [];
 
         var whichGrid = 0;
@@ -352,10 +612,7 @@ var Dashboard = function() {
                 }
 
                 row.append(viewport.elem);
-
-                // When the video is removed from being displayed, it needs
-                // load() to be called on it before the video continues.
-                viewport.videoSrc.get(0).load();
+                viewport.resumeVideo();
 
                 whichGrid += 1;
             }
@@ -365,12 +622,232 @@ var Dashboard = function() {
             this.correctLayoutForHangoutsMode(this);
         }
 
-        // Bind events at the end, after any final resizing
+        // Place the icons at the end, after any final resizing
         for (i = 0; i < this.viewportArray.length; i++) {
-            viewport = this.viewportArray[i];
-            viewport.bindClick();
-            viewport.bindHover();
-            viewport.setupIcons();
+            this.viewportArray[i].setupIcons();
+        }
+
+        this.notifyLayoutChange();
+    };
+
+    /**
+     * Moves a viewport to the main display (the first place).
+     *
+     * @param {Object} viewport - The Viewport to move.
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.promoteViewport = function(viewport) {
+        var i = this.viewportArray.indexOf(viewport);
+
+        // Ignore the first element because that is the main
+        // display and it implies we are already the main display.
+        if (i > 0) {
+            this.viewportArray.splice(i, 1);
+            this.viewportArray.unshift(viewport);
+            this.placeViewports();
+        }
+    };
+
+    /**
+     * Moves the viewport of the active speaker to the main display,
+     * unless we are in dash mode or something else is on the stage.
+     *
+     * @param {Object} viewport - The Viewport of the active speaker.
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.showActiveSpeaker = function(viewport) {
+        if (this.hangoutsMode && !this.hasStage()) {
+            this.promoteViewport(viewport);
+        }
+    };
+
+    /**
+     * Tells whether a viewport is pinned.
+     *
+     * @param {Object} viewport - A Viewport.
+     * @returns {Boolean} True if the viewport is pinned, false otherwise.
+     * @public
+     */
+    this.isPinned = function(viewport) {
+        return this.pinnedViewports.indexOf(viewport) !== -1;
+    };
+
+    /**
+     * Pins or unpins a viewport. Pinned viewports stay large on the
+     * stage in both hangouts and dash mode, and while any viewport is
+     * pinned the main display does not follow the active speaker.
+     *
+     * @param {Object} viewport - The Viewport to pin or unpin.
+     * @param {Boolean} pinned - True to pin the viewport, false to unpin it.
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.pinViewport = function(viewport, pinned) {
+        if (pinned === this.isPinned(viewport)) {
+            return;
+        }
+
+        if (pinned) {
+            this.pinnedViewports.push(viewport);
+        } else {
+            this.pinnedViewports.splice(this.pinnedViewports.indexOf(viewport), 1);
+        }
+
+        viewport.pinIcon.toggleClass('trtc_pinned', pinned);
+        this.placeViewports();
+    };
+
+    /**
+     * Features a viewport on the stage for everybody (see the 'spotlight'
+     * peer message), next to the presenter and the pinned viewports.
+     *
+     * @param {Object} viewport - The Viewport to feature, null to turn the spotlight off.
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.setSpotlight = function(viewport) {
+        if (viewport === this.spotlightViewport) {
+            return;
+        }
+
+        if (this.spotlightViewport !== null) {
+            this.spotlightViewport.view.removeClass('trtc_spotlight');
+        }
+
+        this.spotlightViewport = viewport;
+
+        if (viewport !== null) {
+            viewport.view.addClass('trtc_spotlight');
+        }
+
+        this.placeViewports();
+    };
+
+    /**
+     * Lists the viewports that belong on the stage: the presenter, then the
+     * spotlighted viewport, then the pinned viewports (in the order they were pinned).
+     *
+     * @returns {Array<Object>} The Viewports on the stage, empty if there is no stage.
+     * @public
+     */
+    this.stageViewports = function() {
+        var stage = [];
+        var candidates = [this.presenterViewport, this.spotlightViewport].concat(this.pinnedViewports);
+
+        for (var i = 0; i < candidates.length; i++) {
+            if (candidates[i] !== null && stage.indexOf(candidates[i]) === -1) {
+                stage.push(candidates[i]);
+            }
+        }
+
+        return stage;
+    };
+
+    /**
+     * Tells whether the viewports are placed around a stage (see Dashboard.stageViewports).
+     *
+     * @returns {Boolean} True if there is a presenter, a spotlight or a pinned viewport.
+     * @public
+     */
+    this.hasStage = function() {
+        return (this.presenterViewport !== null ||
+                this.spotlightViewport !== null ||
+                this.pinnedViewports.length > 0);
+    };
+
+    /**
+     * Sets the handler called after the viewports were placed (e.g. because
+     * a user joined or another viewport got the main display).
+     *
+     * @param {Function} layoutChangeFn - Callback of the form function().
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.onLayoutChange = function(layoutChangeFn) {
+        this.layoutChangeFn = layoutChangeFn;
+    };
+
+    /**
+     * Calls the layout change handler (if any).
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    this.notifyLayoutChange = function() {
+        if (this.layoutChangeFn !== null) {
+            this.layoutChangeFn();
+        }
+    };
+
+    /**
+     * Places the stage viewports (see Dashboard.stageViewports) in a grid on
+     * a large stage with the other viewports in a strip beside (or below) it.
+     * Without other viewports the stage takes the whole dashboard.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.placeViewportsOnStage = function() {
+        var isLandscape = (this.orientation === 'landscape');
+        var onStage = this.stageViewports();
+        var inStrip = this.viewportArray.filter(function(viewport) {
+            return onStage.indexOf(viewport) === -1;
+        });
+        var stageSize = (inStrip.length > 0) ? '80%' : '100%';
+        var stageColumns = Math.ceil(Math.sqrt(onStage.length));
+        var stageRows = Math.ceil(onStage.length / stageColumns);
+        var stage;
+        var strip;
+        var viewport = null;
+        var i;
+
+        this.detachViewports();
+        this.rowArray = [];
+
+        if (isLandscape) {
+            stage = $('<div></div>', { 'class': 'trtc_column' }).css({ width: stageSize });
+            strip = $('<div></div>', { 'class': 'trtc_column' }).css({ width: '20%' });
+        } else {
+            stage = $('<div></div>', { 'class': 'trtc_row' }).css({ height: stageSize });
+            strip = $('<div></div>', { 'class': 'trtc_row' }).css({ height: '20%' });
+        }
+
+        this.rowArray.push(stage);
+        this.elem.append(stage);
+
+        if (inStrip.length > 0) {
+            this.rowArray.push(strip);
+            this.elem.append(strip);
+        }
+
+        for (i = 0; i < onStage.length; i++) {
+            viewport = onStage[i];
+            viewport.elem.css({ width: 100 / stageColumns + '%', height: 100 / stageRows + '%' });
+            stage.append(viewport.elem);
+            viewport.resumeVideo();
+        }
+
+        for (i = 0; i < inStrip.length; i++) {
+            viewport = inStrip[i];
+
+            if (isLandscape) {
+                viewport.elem.css({ width: '100%', height: 100 / inStrip.length + '%' });
+            } else {
+                viewport.elem.css({ width: 100 / inStrip.length + '%', height: '100%' });
+            }
+
+            strip.append(viewport.elem);
+            viewport.resumeVideo();
+        }
+
+        if (this.presenterViewport !== null) {
+            this.presenterViewport.setupIcons();
+        }
+
+        for (i = 0; i < this.viewportArray.length; i++) {
+            this.viewportArray[i].setupIcons();
         }
     };
 
@@ -524,6 +1001,42 @@ var Dashboard = function() {
         return newViewport;
     };
 
+    /**
+     * Creates the presenter viewport, replacing the current one (if any).
+     *
+     * @param {String} peerName - The peer name of the presenting user.
+     * @returns {Object} A new Viewport object.
+     * @public
+     */
+    this.showPresentation = function(peerName) {
+        var newViewport = new Viewport(peerName, this);
+
+        // A presentation has no audio: like our own viewport it gets no local mute
+        // control, and it needs no audio meter
+        newViewport.isSelf = true;
+        newViewport.audioMeter.remove();
+
+        // The presentation is always on the stage, there is nothing to pin
+        newViewport.pinIcon.remove();
+
+        this.presenterViewport = newViewport;
+        this.placeViewports();
+        return newViewport;
+    };
+
+    /**
+     * Removes the presenter viewport and goes back to the regular layout.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.hidePresentation = function() {
+        if (this.presenterViewport !== null) {
+            this.presenterViewport = null;
+            this.placeViewports();
+        }
+    };
+
     /**
      * Removes a user with an associated grid.
      *
@@ -532,10 +1045,57 @@ var Dashboard = function() {
      * @public
      */
     this.removeUserWithGrid = function(viewport) {
+        if (this.isPinned(viewport)) {
+            this.pinnedViewports.splice(this.pinnedViewports.indexOf(viewport), 1);
+        }
+
+        if (this.spotlightViewport === viewport) {
+            this.spotlightViewport = null;
+        }
+
         var viewportIndex = this.viewportArray.indexOf(viewport);
         this.viewportArray.splice(viewportIndex, 1);
         this.placeViewports();
     };
+
+    /**
+     * Shows or hides the connection statistics overlays of all viewports.
+     *
+     * @param {Boolean} visible - True to show the overlays, false to hide them.
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.showStats = function(visible) {
+        this.statsVisible = visible;
+
+        // Empty overlays (e.g. our own viewport) stay hidden, see viewports.css
+        this.elem.toggleClass('trtc_show_stats', visible);
+    };
+
+    /**
+     * Removes every viewport (including the presenter viewport).
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.removeAll = function() {
+        var viewports = this.viewportArray.slice();
+        if (this.presenterViewport !== null) {
+            viewports.push(this.presenterViewport);
+        }
+
+        // Detach the streams so that the video elements let go of them
+        for (var i = 0; i < viewports.length; i++) {
+            viewports[i].videoSrc.get(0).srcObject = null;
+        }
+
+        this.viewportArray = [];
+        this.presenterViewport = null;
+        this.pinnedViewports = [];
+        this.spotlightViewport = null;
+        this.rowArray = [];
+        this.elem.empty();
+    };
 };
 
 $(document).ready(function() {
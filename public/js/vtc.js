@@ -1,10 +1,34 @@
 /**
- * @file Abstracts easyrtc functionality to enable easy reimplementing
- * of this using custom WebRTC framework.
- * NOTE: This should be the only module that calls out to easyrtc API.
+ * @file Abstracts the WebRTC backend so that the rest of the application
+ * does not depend on a particular signaling server or WebRTC framework.
+ * NOTE: This should be the only module that calls out to VTCBackend.
  *
- * @requires module:easyrtc
+ * The backend is picked by the server (rtcBackend in settings.json), which
+ * loads a single script defining the VTCBackend object. Every backend
+ * implements the following (see backend-easyrtc.js for the details):
+ *
+ *   Media:     isSupported, getDevices, acquireMedia, getLocalStream, releaseMedia,
+ *              setMediaSource, enableCamera, enableMicrophone
+ *   Room:      isValidUserName, connect, disconnect, leave, getRoomOccupants, idToName
+ *   Calls:     call, getConnectStatus, getPeerConnection, setVideoBandwidth,
+ *              addLocalStream, addStreamToCall, closeLocalStream
+ *   Messages:  sendPeerMessage
+ *   Events:    on(event, handlerFn), where event and the arguments of handlerFn are one of
+ *                'error'        : function(errorCode : String, errorText : String)
+ *                'peerMessage'  : function(peerId : String, msgType : String, content : Object)
+ *                'streamAccept' : function(peerId : String, stream : MediaStream, streamName : String)
+ *                'streamClose'  : function(peerId : String, stream : MediaStream, streamName : String)
+ *                'disconnect'   : function() (lost the signaling server, every call is hung up)
+ *                'peerClosed'   : function(peerId : String) (a call dropped while the user stays)
+ *                'serverMessage': function(msgType : String, content : Object) (sent by the server
+ *                                 itself, see lib/moderation.js)
+ *
+ * Calls must carry an SCTP association (see VTCClient.openDataChannel), and the
+ * camera stream is named 'default'.
+ *
+ * @requires module:js/backend-easyrtc (or another VTCBackend)
  * @requires module:js/error
+ * @requires module:js/messages
  */
 
 'use strict';
@@ -13,18 +37,214 @@
 // to support more viewports. This number should include the user itself.
 var kMaxCallersPerRoom = 15;
 
+// Name of the media stream carrying a screen share (the camera uses 'default')
+var kScreenStreamName = 'screen';
+
 /**
  * Creates a new instance of the VTC client.
  *
  * @param {String} myId - The peer's ID.
  * @param {String} roomName - The room name.
  * @param {Function} onErrorFn - Error callback.
+ * @param {Function} onRejectedFn - Called instead of onErrorFn with the msgType of a
+ * message the server rejected because we do not moderate the room.
  * @class
  */
-var VTCClient = function(myId, roomName, onErrorFn) {
+var VTCClient = function(myId, roomName, onErrorFn, onRejectedFn) {
     var _id = myId;
     var _room = roomName;
 
+    // The display capture stream while we are presenting, null otherwise
+    var _screenStream = null;
+
+    // The previous statistics sample of each peer (see VTCClient.getStats), used to
+    // compute rates. Object structure: peerId : String => { timestamp, counters }
+    var _statsSamples = {};
+
+    /**
+     * Creates an empty statistics entry for one direction and kind of media.
+     *
+     * @returns {Object} The entry (see VTCClient.getStats).
+     * @private
+     */
+    var _emptyMediaStats = function() {
+        return {
+            bitrate: null,
+            packetLoss: null,
+            jitter: null,
+            width: null,
+            height: null,
+            framerate: null,
+            codec: null
+        };
+    };
+
+    /**
+     * Fills in the resolution, framerate and codec of an RTP stream.
+     *
+     * @param {Object} mediaStats - The entry to fill in (see VTCClient.getStats).
+     * @param {Object} codecs - Maps codec statistics IDs to codec names.
+     * @param {Object} entry - The RTCInboundRtpStreamStats or RTCOutboundRtpStreamStats.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var _describeRtpStream = function(mediaStats, codecs, entry) {
+        // Of several video streams, describe the largest one
+        if (typeof entry.frameWidth === 'number' &&
+            (mediaStats.width === null || entry.frameWidth > mediaStats.width)) {
+            mediaStats.width = entry.frameWidth;
+            mediaStats.height = entry.frameHeight;
+            mediaStats.framerate = (typeof entry.framesPerSecond === 'number') ? entry.framesPerSecond : null;
+            mediaStats.codec = null;
+        }
+
+        if (mediaStats.codec === null && codecs[entry.codecId] !== undefined) {
+            mediaStats.codec = codecs[entry.codecId];
+        }
+    };
+
+    /**
+     * Adds an inbound-rtp or outbound-rtp statistics entry to the summary.
+     *
+     * @param {Object} stats - The summary (see VTCClient.getStats).
+     * @param {Object} counters - Cumulative counters keyed by direction and kind (e.g. 'inbound-video').
+     * @param {Object} codecs - Maps codec statistics IDs to codec names.
+     * @param {Object} entry - The RTCInboundRtpStreamStats or RTCOutboundRtpStreamStats.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var _addRtpStats = function(stats, counters, codecs, entry) {
+        var direction = (entry.type === 'inbound-rtp') ? 'inbound' : 'outbound';
+        var kind = entry.kind;
+        var mediaStats = stats[direction][kind];
+        if (mediaStats === undefined) {
+            return;
+        }
+
+        var key = direction + '-' + kind;
+        if (counters[key] === undefined) {
+            counters[key] = { bytes: 0, packets: 0, lost: 0 };
+        }
+
+        // A screen share is a second stream of the same kind, so the counters add up
+        var counter = counters[key];
+        if (direction === 'inbound') {
+            counter.bytes += entry.bytesReceived;
+            counter.packets += entry.packetsReceived;
+            counter.lost += entry.packetsLost;
+
+            if (typeof entry.jitter === 'number') {
+                mediaStats.jitter = Math.max(mediaStats.jitter || 0, entry.jitter * 1000);
+            }
+        } else {
+            counter.bytes += entry.bytesSent;
+        }
+
+        _describeRtpStream(mediaStats, codecs, entry);
+    };
+
+    /**
+     * Turns an RTCStatsReport into the summary returned by VTCClient.getStats.
+     *
+     * @param {String} peerId - The peer ID of the other user.
+     * @param {Object} report - The RTCStatsReport of the connection to peerId.
+     * @returns {Object} The summary.
+     * @private
+     */
+    var _summarizeStats = function(peerId, report) {
+        var stats = {
+            timestamp: Date.now(),
+            rtt: null,
+            localCandidateType: null,
+            remoteCandidateType: null,
+            availableOutgoingBitrate: null,
+            inbound: {
+                audio: _emptyMediaStats(),
+                video: _emptyMediaStats()
+            },
+            outbound: {
+                audio: _emptyMediaStats(),
+                video: _emptyMediaStats()
+            }
+        };
+
+        var entries = [];
+        var codecs = {};
+        var candidateTypes = {};
+        var selectedPairId = null;
+        var nominatedPair = null;
+
+        report.forEach(function(entry) {
+            entries.push(entry);
+
+            if (entry.type === 'codec') {
+                codecs[entry.id] = entry.mimeType.replace(/^(audio|video)\//, '');
+            } else if (entry.type === 'local-candidate' || entry.type === 'remote-candidate') {
+                candidateTypes[entry.id] = entry.candidateType;
+            } else if (entry.type === 'transport' && entry.selectedCandidatePairId !== undefined) {
+                selectedPairId = entry.selectedCandidatePairId;
+            } else if (entry.type === 'candidate-pair' && entry.nominated && entry.state === 'succeeded') {
+                nominatedPair = entry;
+            }
+        });
+
+        var counters = {};
+        entries.forEach(function(entry) {
+            if (entry.type === 'inbound-rtp' || entry.type === 'outbound-rtp') {
+                _addRtpStats(stats, counters, codecs, entry);
+            } else if (entry.type === 'remote-inbound-rtp' && stats.outbound[entry.kind] !== undefined &&
+                       typeof entry.fractionLost === 'number') {
+                // What the other side reports about the packets we send
+                stats.outbound[entry.kind].packetLoss = Math.max(stats.outbound[entry.kind].packetLoss || 0,
+                                                                 entry.fractionLost);
+            }
+        });
+
+        // Firefox does not have transport stats, it flags the pair in use as nominated
+        var pair = (selectedPairId !== null) ? report.get(selectedPairId) : nominatedPair;
+        if (pair !== undefined && pair !== null) {
+            if (typeof pair.currentRoundTripTime === 'number') {
+                stats.rtt = pair.currentRoundTripTime * 1000;
+            }
+
+            if (typeof pair.availableOutgoingBitrate === 'number') {
+                stats.availableOutgoingBitrate = pair.availableOutgoingBitrate;
+            }
+
+            stats.localCandidateType = candidateTypes[pair.localCandidateId] || null;
+            stats.remoteCandidateType = candidateTypes[pair.remoteCandidateId] || null;
+        }
+
+        // Rates need the previous sample
+        var previous = _statsSamples[peerId];
+        if (previous !== undefined) {
+            var seconds = (stats.timestamp - previous.timestamp) / 1000;
+            Object.keys(counters).forEach(function(key) {
+                var last = previous.counters[key];
+                var counter = counters[key];
+                var mediaStats = stats[key.split('-')[0]][key.split('-')[1]];
+                if (last === undefined || seconds <= 0 || counter.bytes < last.bytes) {
+                    return;
+                }
+
+                mediaStats.bitrate = (counter.bytes - last.bytes) * 8 / seconds;
+
+                var lost = Math.max(counter.lost - last.lost, 0);
+                var received = counter.packets - last.packets;
+                if (key.indexOf('inbound') === 0 && lost + received > 0) {
+                    mediaStats.packetLoss = lost / (lost + received);
+                }
+            });
+        }
+
+        _statsSamples[peerId] = {
+            timestamp: stats.timestamp,
+            counters: counters
+        };
+
+        return stats;
+    };
+
     /**
      * Gets the peer ID.
      *
@@ -35,6 +255,18 @@ var VTCClient = function(myId, roomName, onErrorFn) {
         return _id;
     };
 
+    /**
+     * Updates the peer ID. Reconnecting to the signaling
+     * server gives us a new one.
+     *
+     * @param {String} newId - The new peer ID.
+     * @returns {undefined} undefined
+     * @private
+     */
+    this._setId = function(newId) {
+        _id = newId;
+    };
+
     /**
      * Gets the room name.
      *
@@ -55,7 +287,7 @@ var VTCClient = function(myId, roomName, onErrorFn) {
      * @public
      */
     this.idToName = function(id) {
-        return easyrtc.idToName(id);
+        return VTCBackend.idToName(id);
     };
 
     /**
@@ -68,7 +300,54 @@ var VTCClient = function(myId, roomName, onErrorFn) {
      * NOT_CONNECTED | BECOMING_CONNECTED | IS_CONNECTED
      */
     this.getConnectStatus = function(id) {
-        return easyrtc.getConnectStatus(id);
+        return VTCBackend.getConnectStatus(id);
+    };
+
+    /**
+     * Gets statistics about the connection to another user. Rates (bitrate,
+     * packet loss) are computed since the previous call for the same peer, so
+     * call this periodically. They are null on the first call.
+     *
+     * @param {String} peerId - The peer ID of the other user.
+     * @param {Function} statsFn - Called with the statistics, or null if there
+     * is no connection to peerId. The statistics are of the form:
+     *   {
+     *     timestamp           : Number (milliseconds since the epoch),
+     *     rtt                 : Number | null (round-trip time in milliseconds),
+     *     localCandidateType  : String | null ('host', 'srflx', 'prflx' or 'relay'),
+     *     remoteCandidateType : String | null,
+     *     availableOutgoingBitrate : Number | null (estimated upload capacity in bits per second),
+     *     inbound             : { audio : MediaStats, video : MediaStats },
+     *     outbound            : { audio : MediaStats, video : MediaStats }
+     *   }
+     * where MediaStats is of the form:
+     *   {
+     *     bitrate    : Number | null (bits per second),
+     *     packetLoss : Number | null (fraction of packets lost, 0 to 1),
+     *     jitter     : Number | null (in milliseconds, inbound only),
+     *     width      : Number | null (in pixels, video only),
+     *     height     : Number | null (in pixels, video only),
+     *     framerate  : Number | null (frames per second, video only),
+     *     codec      : String | null (e.g. 'VP8' or 'opus')
+     *   }
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.getStats = function(peerId, statsFn) {
+        var pc = VTCBackend.getPeerConnection(peerId);
+        if (pc === null) {
+            delete _statsSamples[peerId];
+            statsFn(null);
+            return;
+        }
+
+        pc.getStats(null).then(function(report) {
+            statsFn(_summarizeStats(peerId, report));
+        }, function(err) {
+            ErrorMetric.log('VTCClient.getStats => failed to get the statistics of ' + peerId);
+            ErrorMetric.log('                   => ' + err);
+            statsFn(null);
+        });
     };
 
     /**
@@ -80,7 +359,84 @@ var VTCClient = function(myId, roomName, onErrorFn) {
      * @public
      */
     this.setVideoBandwidth = function(kbitsPerSecond) {
-        easyrtc.setVideoBandwidth(kbitsPerSecond);
+        VTCBackend.setVideoBandwidth(kbitsPerSecond);
+    };
+
+    /**
+     * Limits the camera video sent to another user. Unlike setVideoBandwidth,
+     * this also applies to calls that are already established.
+     *
+     * @param {String} peerId - The peer ID of the other user.
+     * @param {Object} limits - Object of the form:
+     *   {
+     *     maxKbps : Number (maximum bitrate in kilobits per second),
+     *     scale   : Number (the resolution is divided by this, at least 1),
+     *     active  : Boolean (false stops sending video altogether)
+     *   }
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.setVideoSenderLimits = function(peerId, limits) {
+        var pc = VTCBackend.getPeerConnection(peerId);
+        var stream = VTCBackend.getLocalStream();
+        if (pc === null || stream === null) {
+            return;
+        }
+
+        // Leaves the screen share alone
+        var cameraTracks = stream.getVideoTracks();
+        pc.getSenders().forEach(function(sender) {
+            if (sender.track === null || cameraTracks.indexOf(sender.track) === -1) {
+                return;
+            }
+
+            var parameters = sender.getParameters();
+            if (parameters.encodings === undefined || parameters.encodings.length === 0) {
+                // Firefox only reports the encodings that were set before
+                parameters.encodings = [{}];
+            }
+
+            parameters.encodings.forEach(function(encoding) {
+                encoding.maxBitrate = limits.maxKbps * 1000;
+                encoding.scaleResolutionDownBy = limits.scale;
+                encoding.active = limits.active;
+            });
+
+            sender.setParameters(parameters).then(null, function(err) {
+                ErrorMetric.log('VTCClient.setVideoSenderLimits => failed to limit the video sent to ' + peerId);
+                ErrorMetric.log('                               => ' + err);
+            });
+        });
+    };
+
+    /**
+     * Opens an extra data channel to another user (next to the one the backend may use
+     * for itself). The channel is negotiated out of band: both users have to open it with
+     * the same label and id, and no renegotiation of the call is needed.
+     *
+     * @param {String} peerId - The peer ID of the other user.
+     * @param {String} label - The label of the channel.
+     * @param {Number} id - The id of the channel (see RTCDataChannelInit).
+     * @returns {Object|null} The RTCDataChannel, null if there is no call to peerId.
+     * @public
+     */
+    this.openDataChannel = function(peerId, label, id) {
+        var pc = VTCBackend.getPeerConnection(peerId);
+        if (pc === null) {
+            ErrorMetric.log('VTCClient.openDataChannel => no peer connection to ' + peerId);
+            return null;
+        }
+
+        try {
+            return pc.createDataChannel(label, {
+                negotiated: true,
+                id: id
+            });
+        } catch (e) {
+            ErrorMetric.log('VTCClient.openDataChannel => failed to open "' + label + '" to ' + peerId);
+            ErrorMetric.log('                          => ' + e);
+            return null;
+        }
     };
 
     /**
@@ -91,7 +447,7 @@ var VTCClient = function(myId, roomName, onErrorFn) {
      * @public
      */
     this.enableCamera = function(state) {
-        easyrtc.enableCamera(state);
+        VTCBackend.enableCamera(state);
     };
 
     /**
@@ -102,7 +458,7 @@ var VTCClient = function(myId, roomName, onErrorFn) {
      * @public
      */
     this.enableMicrophone = function(state) {
-        easyrtc.enableMicrophone(state);
+        VTCBackend.enableMicrophone(state);
     };
 
     /**
@@ -120,7 +476,6 @@ var VTCClient = function(myId, roomName, onErrorFn) {
      * @public
      */
     this.sendPeerMessage = function(dest, msgType, msgData, successFn) {
-        var target = {};
         if (typeof dest !== 'object' ||
             (typeof dest.rtcId !== 'string' && typeof dest.room !== 'string')) {
             ErrorMetric.log('VTCClient.sendPeerMessage => dest object is invalid');
@@ -132,27 +487,22 @@ var VTCClient = function(myId, roomName, onErrorFn) {
         if (typeof dest.rtcId === 'string' && typeof dest.room === 'string') {
             ErrorMetric.log('VTCClient.sendPeerMessage => both rtcId and room fields provided');
 
-            return false;
-        } else if (typeof dest.rtcId === 'string') {
-            target.targetEasyrtcid = dest.rtcId;
-        } else if (typeof dest.room === 'string') {
-            target.targetRoom = dest.room;
-        } else {
-            ErrorMetric.log('VTCClient.sendPeerMessage => unexpected state');
-            ErrorMetric.log('                          => ' + JSON.stringify(dest));
-
             return false;
         }
 
-        easyrtc.sendPeerMessage(target, msgType, msgData, function(msgType, msgData) {
+        var envelope = PeerMessages.wrap(dest, msgData);
+        var sent = VTCBackend.sendPeerMessage(dest, msgType, envelope, function(msgType, msgData) {
             if (successFn !== undefined) {
                 successFn(msgType, msgData);
             }
         }, function(errorCode, errorText) {
-            ErrorMetric.log('easyrtc.sendPeerMessage => failed to send peer message');
-            ErrorMetric.log('                        => ' + errorCode + ': ' + errorText);
+            ErrorMetric.log('VTCBackend.sendPeerMessage => failed to send peer message');
+            ErrorMetric.log('                           => ' + errorCode + ': ' + errorText);
 
-            if (onErrorFn !== undefined) {
+            // NOTE: We can lose the moderation of the room while our message is on its way
+            if (errorCode === 'MSG_REJECT_NOT_MODERATOR' && onRejectedFn !== undefined) {
+                onRejectedFn(msgType);
+            } else if (onErrorFn !== undefined) {
                 onErrorFn({
                     title: 'Failed to Send Message',
                     content: 'An error occurred while sending an internal message.<br><br>' +
@@ -161,7 +511,14 @@ var VTCClient = function(myId, roomName, onErrorFn) {
                 });
             }
         });
-        return true;
+
+        if (!sent) {
+            // NOTE: There is no connection to the signaling server while VTCCore is reconnecting
+            ErrorMetric.log('VTCClient.sendPeerMessage => not connected, dropping "' + msgType + '"',
+                            ErrorMetric.WARNING);
+        }
+
+        return sent;
     };
 
     /**
@@ -170,7 +527,7 @@ var VTCClient = function(myId, roomName, onErrorFn) {
      * @public
      */
     this.getLocalStream = function() {
-        return easyrtc.getLocalStream();
+        return VTCBackend.getLocalStream();
     };
 
     /**
@@ -185,195 +542,1564 @@ var VTCClient = function(myId, roomName, onErrorFn) {
      * @public
      */
     this.setVideoObjectSrc = function(videoSel, stream) {
-        easyrtc.setVideoObjectSrc(videoSel.get(0), stream);
+        var video = videoSel.get(0);
+        video.autoplay = true;
+        video.srcObject = stream;
     };
 
-    return this;
-};
-
-var VTCCore = {
-    // This function is an user-defined error handler.
-    // Type: function(Object({ title: String, content: String }))
-    _errorFn: null,
-
-    // Contains the configuration of the media devices.
-    // Object structure:
-    //   {
-    //     cameraIsEnabled : <boolean>,
-    //     micIsEnabled    : <boolean>
-    //   }
-    config: null,
-
-    // An instantiation of VTCClient.
-    client: null,
-
     /**
-     * Checks browser support for the WebRTC API. This
-     * can be called without calling VTCCore.initialize().
+     * Gets the peer IDs of the users we have a p2p connection with.
      *
-     * @returns {Boolean} True if WebRTC is supported,
-     * false otherwise.
-     * @public
+     * @returns {Array<String>} The peer IDs.
+     * @private
      */
-    isBrowserSupported: function() {
-        return easyrtc.supportsGetUserMedia() && easyrtc.supportsPeerConnections();
-    },
+    var _connectedPeers = function() {
+        return VTCBackend.getRoomOccupants(_room).filter(function(peerId) {
+            return VTCBackend.getConnectStatus(peerId) === 'IS_CONNECTED';
+        });
+    };
 
     /**
-     * Validates a configuration object. If this function is given an argument, it
-     * will check to ensure the config is valid. Otherwise, it will check to see if
-     * VTCCore.config is a valid configuration object.
+     * Switches the camera or microphone while keeping the call going: the new
+     * track replaces the old one in the local stream and in every peer connection.
+     * The camera/microphone stays disabled if it was. If any peer connection refuses
+     * the new track, the old one keeps being used everywhere and failureFn is called.
      *
-     * @param {Object} config - Configuration object.
-     * @returns {Boolean} True if config is valid, false otherwise.
-     * @private
+     * @param {String} kind - Either 'audio' or 'video'.
+     * @param {String} deviceId - The ID of the new device, null for the default device.
+     * @param {Function} successFn - Called once the device is in use. It's of the form:
+     * function(stream : MediaStream (the local stream))
+     * @param {Function} failureFn - Called if the device could not be used. It's of the form:
+     * function(errorName : String, errorText : String)
+     * @returns {undefined} undefined
+     * @public
      */
-    _validateConfig: function(config) {
-        if (config === undefined) {
-            config = this.config;
-        }
+    this.switchDevice = function(kind, deviceId, successFn, failureFn) {
+        var stream = VTCBackend.getLocalStream();
+        var oldTracks = (kind === 'audio') ? stream.getAudioTracks() : stream.getVideoTracks();
+        if (oldTracks.length === 0) {
+            // NOTE: Adding a track (instead of replacing one) would require renegotiating every call
+            ErrorMetric.log('VTCClient.switchDevice => no ' + kind + ' track to replace');
 
-        if (config === null) {
-            return false;
+            if (failureFn !== undefined) {
+                failureFn('NotFoundError', 'There is no ' + kind + ' track to replace');
+            }
+            return;
         }
 
-        if (typeof config.cameraIsEnabled === 'boolean' &&
-            typeof config.micIsEnabled === 'boolean') {
-            return true;
-        } else {
-            return false;
-        }
-    },
+        var constraints = {};
+        constraints[kind] = (deviceId === null) ? true : { deviceId: { exact: deviceId } };
 
-    /**
-     * Initializes the VTCCore instance.
-     *
-     * @param {Object} config - Configuration object of the shape:
-     *   {
-     *       cameraIsEnabled : <boolean>,
-     *       micIsEnabled    : <boolean>
-     *   }
-     * Contains three fields denoting the initial state of the media devices.
-     * @returns {Object} Null if the config is invalid; otherwise,
-     * returns the current instance (`this`).
-     * @public
-     */
-    initialize: function(config) {
-        var _this = this;
-        if (!this._validateConfig(config)) {
-            ErrorMetric.log('VTCCore.initialize => config is invalid');
-            ErrorMetric.log('                   => ' + JSON.stringify(config));
+        /**
+         * Logs why the device could not be used and lets the caller know.
+         *
+         * @param {Object} error - The DOMException (or Error) explaining why.
+         * @returns {undefined} undefined
+         * @private
+         */
+        var reportFailure = function(error) {
+            ErrorMetric.log('VTCClient.switchDevice => unable to use ' + kind + ' device ' + deviceId);
+            ErrorMetric.log('                       => ' + error.name + ': ' + error.message);
 
-            // Break chaining
-            return null;
-        }
+            if (failureFn !== undefined) {
+                failureFn(error.name, error.message);
+            }
+        };
 
-        this.config = config;
+        navigator.mediaDevices.getUserMedia(constraints).then(function(newStream) {
+            var newTrack = newStream.getTracks()[0];
+            newTrack.enabled = oldTracks[0].enabled;
 
-        easyrtc.setOnError(function(errorObject) {
-            ErrorMetric.log('easyrtc.onError => An error has occurred with easyrtc');
-            ErrorMetric.log('                => code: ' + errorObject.errorCode);
-            ErrorMetric.log('                => text: ' + errorObject.errorText);
+            var senders = [];
+            VTCBackend.getRoomOccupants(_room).forEach(function(peerId) {
+                var pc = VTCBackend.getPeerConnection(peerId);
+                if (pc !== null) {
+                    pc.getSenders().forEach(function(sender) {
+                        if (oldTracks.indexOf(sender.track) !== -1) {
+                            senders.push(sender);
+                        }
+                    });
+                }
+            });
 
-            if (_this._errorFn !== undefined) {
-                _this._errorFn({
-                    title: 'An Error Has Occurred',
-                    content: 'There has been a problem with the VTC session, please reload the page.' +
-                              '<br><br>' +
-                              '<b>Error Code</b>: ' + errorObject.errorCode + '<br>' +
-                              '<b>Summary</b>: ' + errorObject.errorText
+            var senderTracks = senders.map(function(sender) {
+                return sender.track;
+            });
+
+            Promise.all(senders.map(function(sender) {
+                return sender.replaceTrack(newTrack);
+            })).then(function() {
+                oldTracks.forEach(function(track) {
+                    stream.removeTrack(track);
+                    track.stop();
                 });
-            }
-        });
+                stream.addTrack(newTrack);
 
-        return this;
-    },
+                // The next time media is acquired, the same device should be picked
+                VTCBackend.setMediaSource(kind, deviceId);
+
+                if (successFn !== undefined) {
+                    successFn(stream);
+                }
+            }, function(error) {
+                // Keep sending the old track to everybody, so that the call goes on as before
+                senders.forEach(function(sender, i) {
+                    if (sender.track === newTrack) {
+                        sender.replaceTrack(senderTracks[i]).then(null, function(err) {
+                            ErrorMetric.log('VTCClient.switchDevice => unable to restore the ' + kind + ' track');
+                            ErrorMetric.log('                       => ' + err);
+                        });
+                    }
+                });
+                newTrack.stop();
+
+                reportFailure(error);
+            });
+        }, reportFailure);
+    };
 
     /**
-     * Sets a custom handler for messages sent by other peers.
+     * Sets the speakers used to play the audio of a video element.
+     * Does nothing in browsers that do not support choosing them.
      *
-     * @param {Function} peerMessageFn - A callback function
-     * that is called when a peer message arrives. It's of the form:
-     * function(client  : VTCClient,
-     *          peerId  : String,
-     *          msgType : String,
-     *          content : Object)
-     * @returns {Object} The VTCCore instance.
+     * @param {Object} videoSel - A jQuery selector for a video element.
+     * @param {String} deviceId - The ID of the audio output device.
+     * @returns {undefined} undefined
      * @public
      */
-    onPeerMessage: function(peerMessageFn) {
-        var _this = this;
-        easyrtc.setPeerListener(function(peerId, msgType, content) {
-            peerMessageFn(_this.client, peerId, msgType, content);
-        });
+    this.setAudioOutput = function(videoSel, deviceId) {
+        var video = videoSel.get(0);
+        if (typeof video.setSinkId !== 'function') {
+            return;
+        }
 
-        return this;
-    },
+        video.setSinkId(deviceId).then(null, function(err) {
+            ErrorMetric.log('VTCClient.setAudioOutput => unable to use audio output ' + deviceId);
+            ErrorMetric.log('                         => ' + err);
+        });
+    };
 
     /**
-     * Sets a custom handler to receive streams from other peers.
+     * Returns the screen share stream.
      *
-     * @param {Function} streamAcceptFn - A callback function that
-     * is called when a new stream is "accepted". It's of the form:
-     * function(client : VTCClient,
-     *          peerId : String,
-     *          stream : MediaStream)
-     * @returns {Object} The VTCCore instance.
+     * @returns {Object} MediaStream object of the screen
+     * share, null if we are not presenting.
      * @public
      */
-    onStreamAccept: function(streamAcceptFn) {
-        var _this = this;
-        easyrtc.setStreamAcceptor(function(peerId, stream) {
-            streamAcceptFn(_this.client, peerId, stream);
-        });
-
-        return this;
-    },
+    this.getScreenStream = function() {
+        return _screenStream;
+    };
 
     /**
-     * Handles stream close events.
+     * Asks the user for a screen (or window) to share and sends it to every peer
+     * alongside the camera stream. Peers receive it through VTCCore.onScreenShare.
      *
-     * @param {Function} streamCloseFn - A callback function
+     * @param {Function} successFn - Called once the screen is shared. It's of the form:
+     * function(stream : MediaStream)
+     * @param {Function} failureFn - Called if the screen could not be captured (e.g. the
+     * user cancelled the browser's prompt). It's of the form:
+     * function(errorName : String, errorText : String)
+     * @param {Function} endedFn - Called if the user stops sharing through the browser's
+     * own controls instead of calling stopScreenShare. It takes no arguments.
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.startScreenShare = function(successFn, failureFn, endedFn) {
+        var _this = this;
+
+        if (_screenStream !== null) {
+            ErrorMetric.log('VTCClient.startScreenShare => already sharing the screen');
+            return;
+        }
+
+        navigator.mediaDevices.getDisplayMedia({
+            video: true,
+            audio: false
+        }).then(function(stream) {
+            _screenStream = stream;
+            VTCBackend.addLocalStream(kScreenStreamName, stream);
+
+            var peers = _connectedPeers();
+            for (var i = 0; i < peers.length; i++) {
+                VTCBackend.addStreamToCall(peers[i], kScreenStreamName);
+            }
+
+            stream.getVideoTracks()[0].addEventListener('ended', function() {
+                if (_screenStream === stream) {
+                    _this.stopScreenShare();
+
+                    if (endedFn !== undefined) {
+                        endedFn();
+                    }
+                }
+            });
+
+            if (successFn !== undefined) {
+                successFn(stream);
+            }
+        }, function(error) {
+            ErrorMetric.log('VTCClient.startScreenShare => unable to capture the screen');
+            ErrorMetric.log('                           => ' + error.name + ': ' + error.message);
+
+            if (failureFn !== undefined) {
+                failureFn(error.name, error.message);
+            }
+        });
+    };
+
+    /**
+     * Sends the screen share to a peer that was not connected yet when we started sharing.
+     *
+     * @param {String} peerId - The peer ID of the other user.
+     * @returns {undefined} undefined
+     * @private
+     */
+    this._shareScreenWith = function(peerId) {
+        if (_screenStream !== null) {
+            VTCBackend.addStreamToCall(peerId, kScreenStreamName);
+        }
+    };
+
+    /**
+     * Stops sharing the screen. Does nothing if we are not presenting.
+     *
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.stopScreenShare = function() {
+        if (_screenStream !== null) {
+            // NOTE: This also removes the stream from our calls and stops its tracks
+            VTCBackend.closeLocalStream(kScreenStreamName);
+            _screenStream = null;
+        }
+    };
+
+    return this;
+};
+
+/**
+ * Creates a controller adapting the bitrate and resolution of the camera
+ * video sent to every peer. The more peers there are in the mesh, the less
+ * each of them gets (we send a copy to each one). On top of that, peers whose
+ * statistics show congestion get less until the congestion is gone.
+ *
+ * @param {Object} client - VTCClient instance.
+ * @class
+ */
+var BandwidthController = function(client) {
+    this.config = {
+        // Upload bandwidth (in kilobits per second) shared by all peers
+        uploadBudgetKbps: 3000,
+
+        // Bounds of the bitrate (in kilobits per second) sent to a single peer
+        minKbps: 100,
+        maxKbps: 1500,
+
+        // Resolution divider by mesh size, the first step with at most that many peers wins
+        resolutionSteps: [
+            { peers: 2, scale: 1 },
+            { peers: 4, scale: 1.5 },
+            { peers: 8, scale: 2 },
+            { peers: Infinity, scale: 3 }
+        ],
+
+        // A peer is congested if the packet loss reported for our video reaches congestionLoss
+        // or the bandwidth estimate drops below minEstimateRatio times what we want to send
+        congestionLoss: 0.05,
+        minEstimateRatio: 0.5,
+
+        // Every congested sample multiplies the bitrate by backoffFactor (down to
+        // minCongestionFactor), after recoverySamples calm samples in a row it grows
+        // back by recoveryFactor.
+        backoffFactor: 0.7,
+        minCongestionFactor: 0.25,
+        recoverySamples: 5,
+        recoveryFactor: 1.1,
+
+        // What low bandwidth mode sends
+        lowBandwidthKbps: 150,
+        lowBandwidthScale: 4
+    };
+
+    // Stores a mapping of peerId : String => {
+    //     congestion  : Number (1 if there is no congestion, down to config.minCongestionFactor),
+    //     calmSamples : Number (samples without congestion in a row)
+    // }
+    var _peers = {};
+
+    // Stores the peers that do not want our video (see setPaused) as peerId : String => true.
+    // NOTE: This is separate from _peers since the request may come in before the peer's stream.
+    var _pausedPeers = {};
+
+    var _lowBandwidth = false;
+
+    var _this = this;
+
+    /**
+     * Computes the limits of the video sent to a peer.
+     *
+     * @param {String} peerId - The peer ID.
+     * @returns {Object} The limits (see VTCClient.setVideoSenderLimits).
+     * @private
+     */
+    var _limitsFor = function(peerId) {
+        var config = _this.config;
+        var peer = _peers[peerId];
+
+        if (_lowBandwidth) {
+            return {
+                maxKbps: config.lowBandwidthKbps,
+                scale: config.lowBandwidthScale,
+                active: !_pausedPeers[peerId]
+            };
+        }
+
+        var peerCount = Object.keys(_peers).length;
+        var kbps = Math.min(Math.max(config.uploadBudgetKbps / peerCount, config.minKbps), config.maxKbps);
+
+        var scale = 1;
+        for (var i = 0; i < config.resolutionSteps.length; i++) {
+            if (peerCount <= config.resolutionSteps[i].peers) {
+                scale = config.resolutionSteps[i].scale;
+                break;
+            }
+        }
+
+        // Heavy congestion also costs resolution, a lower bitrate alone just makes the video blocky
+        if (peer.congestion < 0.5) {
+            scale *= 2;
+        }
+
+        return {
+            maxKbps: Math.round(Math.max(kbps * peer.congestion, config.minKbps)),
+            scale: scale,
+            active: !_pausedPeers[peerId]
+        };
+    };
+
+    /**
+     * Applies the limits of a peer.
+     *
+     * @param {String} peerId - The peer ID.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var _apply = function(peerId) {
+        client.setVideoSenderLimits(peerId, _limitsFor(peerId));
+    };
+
+    /**
+     * Applies the limits of every peer.
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    var _applyAll = function() {
+        Object.keys(_peers).forEach(_apply);
+    };
+
+    /**
+     * Adds a peer to the mesh, which lowers what everybody else gets.
+     *
+     * @param {String} peerId - The peer ID.
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.addPeer = function(peerId) {
+        if (_peers[peerId] === undefined) {
+            _peers[peerId] = {
+                congestion: 1,
+                calmSamples: 0
+            };
+        }
+
+        _applyAll();
+    };
+
+    /**
+     * Removes a peer from the mesh, which raises what everybody else gets.
+     *
+     * @param {String} peerId - The peer ID.
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.removePeer = function(peerId) {
+        delete _pausedPeers[peerId];
+
+        if (_peers[peerId] !== undefined) {
+            delete _peers[peerId];
+            _applyAll();
+        }
+    };
+
+    /**
+     * Adapts to the latest statistics of the connection to a peer.
+     *
+     * @param {String} peerId - The peer ID.
+     * @param {Object} stats - The statistics (see VTCClient.getStats).
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.handleStats = function(peerId, stats) {
+        var config = this.config;
+        var peer = _peers[peerId];
+        if (peer === undefined || stats === null || _lowBandwidth) {
+            return;
+        }
+
+        var sentLoss = stats.outbound.video.packetLoss;
+        var congested = (sentLoss !== null && sentLoss >= config.congestionLoss) ||
+                        (stats.availableOutgoingBitrate !== null &&
+                         stats.availableOutgoingBitrate < _limitsFor(peerId).maxKbps * 1000 * config.minEstimateRatio);
+
+        var congestion = peer.congestion;
+        if (congested) {
+            peer.calmSamples = 0;
+            congestion = Math.max(congestion * config.backoffFactor, config.minCongestionFactor);
+        } else {
+            peer.calmSamples++;
+            if (peer.calmSamples >= config.recoverySamples) {
+                congestion = Math.min(congestion * config.recoveryFactor, 1);
+            }
+        }
+
+        if (congestion !== peer.congestion) {
+            peer.congestion = congestion;
+            _apply(peerId);
+        }
+    };
+
+    /**
+     * Stops or resumes sending video to a peer (e.g. because the peer
+     * does not show our video to save bandwidth).
+     *
+     * @param {String} peerId - The peer ID.
+     * @param {Boolean} paused - True to stop sending video, false to resume.
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.setPaused = function(peerId, paused) {
+        if (paused) {
+            _pausedPeers[peerId] = true;
+        } else {
+            delete _pausedPeers[peerId];
+        }
+
+        if (_peers[peerId] !== undefined) {
+            _apply(peerId);
+        }
+    };
+
+    /**
+     * Turns low bandwidth mode on or off. It sends little video to everybody,
+     * regardless of the mesh size.
+     *
+     * @param {Boolean} enabled - True to turn low bandwidth mode on.
+     * @returns {undefined} undefined
+     * @public
+     */
+    this.setLowBandwidthMode = function(enabled) {
+        _lowBandwidth = enabled;
+        _applyAll();
+    };
+
+    /**
+     * Checks whether low bandwidth mode is on.
+     *
+     * @returns {Boolean} True if low bandwidth mode is on, false otherwise.
+     * @public
+     */
+    this.isLowBandwidthMode = function() {
+        return _lowBandwidth;
+    };
+
+    // Caps the calls made from now on, the limits above only ever lower this
+    client.setVideoBandwidth(this.config.maxKbps);
+
+    return this;
+};
+
+var VTCCore = {
+    // This function is an user-defined error handler.
+    // Type: function(Object({ title: String, content: String }))
+    _errorFn: null,
+
+    // Contains the configuration of the media devices.
+    // Object structure:
+    //   {
+    //     cameraIsEnabled : <boolean>,
+    //     micIsEnabled    : <boolean>,
+    //
+    //     // Optional, null or missing means the browser's default device
+    //     videoInputId    : <String>,
+    //     audioInputId    : <String>
+    //   }
+    config: null,
+
+    // An instantiation of VTCClient.
+    client: null,
+
+    // Controls how hard we try to get back into the room after losing the connection
+    // to the signaling server or to a peer. Delays are in milliseconds; the delay
+    // doubles after every failed attempt until it reaches maxDelay.
+    reconnectConfig: {
+        baseDelay: 1000,
+        maxDelay: 30000,
+        maxAttempts: 10,
+
+        // How long to wait for a single attempt to connect and join the room
+        attemptTimeout: 10000
+    },
+
+    // The parameters passed to VTCCore.connect, kept around to be able to rejoin.
+    // Object structure:
+    //   {
+    //     userName : String,
+    //     roomName : String,
+    //     passcode : String
+    //   }
+    // Null before connecting and after VTCCore.finalize.
+    _session: null,
+
+    // These functions are user-defined reconnection handlers (see VTCCore.onReconnect).
+    _reconnectingFn: null,
+    _reconnectedFn: null,
+
+    // True while we are trying to get back into the room
+    _reconnecting: false,
+
+    // These functions are user-defined screen share handlers (see VTCCore.onScreenShare).
+    _screenShareStartFn: null,
+    _screenShareStopFn: null,
+
+    // Incremented on every connection attempt so that callbacks of attempts
+    // that already timed out can be ignored
+    _attemptId: 0,
+
+    // Amount of times we called a peer again after our connection to it closed,
+    // stored as peerId : String => attempts : Number
+    _peerRetries: {},
+
+    // Messages from a peer are held until their stream was accepted (see VTCCore.onStreamAccept),
+    // so that handlers always find the viewport of the sender. Delays are in milliseconds.
+    inboundQueueConfig: {
+        // Held messages are dropped after this long
+        timeout: 15000,
+
+        // At most this many messages are held per peer, the oldest are dropped first
+        maxMessages: 100,
+
+        // Messages of these types are never held (debugging works between peers that can't connect)
+        immediateTypes: ['debug']
+    },
+
+    // The user-defined peer message handler (see VTCCore.onPeerMessage)
+    _peerMessageFn: null,
+
+    // Peers whose stream was accepted, stored as peerId : String => true
+    _acceptedPeers: {},
+
+    // The held messages, stored as peerId : String => queue : Object where queue is of the form:
+    //   {
+    //     messages : Array<Object({ msgType : String, content : Object, time : Number })>,
+    //     timer    : Number | null (expires the oldest message)
+    //   }
+    _inboundQueues: {},
+
+    // The moderation of the room, as last told by the server (see lib/moderation.js). Object structure:
+    //   {
+    //     moderators : Array<String> (peer IDs),
+    //     locked     : Boolean
+    //   }
+    _moderation: {
+        moderators: [],
+        locked: false
+    },
+
+    // These functions are user-defined moderation handlers (see VTCCore.onModeration).
+    _moderationFn: null,
+    _kickedFn: null,
+    _rejectedFn: null,
+
+    // Counts the held messages (see VTCCore.getInboundStats)
+    _inboundStats: {
+        held: 0,
+        delivered: 0,
+        expired: 0,
+        overflowed: 0,
+        discarded: 0
+    },
+
+    /**
+     * Checks browser support for the WebRTC API. This
+     * can be called without calling VTCCore.initialize().
+     *
+     * @returns {Boolean} True if WebRTC is supported,
+     * false otherwise.
+     * @public
+     */
+    isBrowserSupported: function() {
+        return VTCBackend.isSupported();
+    },
+
+    /**
+     * Lists the media devices. This can be called without calling VTCCore.initialize().
+     * NOTE: Browsers only reveal device labels once the user granted access to them.
+     *
+     * @param {Function} devicesFn - A callback function that receives the devices.
+     * It's of the form:
+     * function({
+     *     audioInputs  : Array({ deviceId : String, label : String }),
+     *     videoInputs  : Array({ deviceId : String, label : String }),
+     *     audioOutputs : Array({ deviceId : String, label : String })
+     * })
+     * @returns {undefined} undefined
+     * @public
+     */
+    getDevices: function(devicesFn) {
+        VTCBackend.getDevices(devicesFn);
+    },
+
+    /**
+     * Acquires the camera and microphone ahead of VTCCore.connect, e.g. to show
+     * a preview. If media was acquired before, it is released first. This can
+     * be called without calling VTCCore.initialize().
+     *
+     * @param {Object} config - Configuration object of the shape:
+     *   {
+     *       video        : <boolean>,
+     *       audio        : <boolean>,
+     *       videoInputId : <String> | null,
+     *       audioInputId : <String> | null
+     *   }
+     * The device IDs are optional: null means the browser's default device, a missing
+     * one the device used last.
+     * @param {Function} successFn - Called with the local MediaStream once acquired.
+     * @param {Function} failureFn - Called if the media could not be acquired. It's of the form:
+     * function(errorCode : String, errorText : String)
+     * @returns {undefined} undefined
+     * @public
+     */
+    acquireMedia: function(config, successFn, failureFn) {
+        VTCBackend.acquireMedia(config, function(stream) {
+            successFn(stream);
+        }, function(errorCode, errorText) {
+            ErrorMetric.log('VTCBackend.acquireMedia => unable to acquire media for the preview');
+            ErrorMetric.log('                        => ' + errorCode + ': ' + errorText);
+
+            failureFn(errorCode, errorText);
+        });
+    },
+
+    /**
+     * Checks browser support for capturing the screen (see VTCClient.startScreenShare).
+     *
+     * @returns {Boolean} True if screen sharing is supported,
+     * false otherwise.
+     * @public
+     */
+    isScreenShareSupported: function() {
+        return (navigator.mediaDevices !== undefined &&
+                typeof navigator.mediaDevices.getDisplayMedia === 'function');
+    },
+
+    /**
+     * Validates a configuration object. If this function is given an argument, it
+     * will check to ensure the config is valid. Otherwise, it will check to see if
+     * VTCCore.config is a valid configuration object.
+     *
+     * @param {Object} config - Configuration object.
+     * @returns {Boolean} True if config is valid, false otherwise.
+     * @private
+     */
+    _validateConfig: function(config) {
+        if (config === undefined) {
+            config = this.config;
+        }
+
+        if (config === null) {
+            return false;
+        }
+
+        if (typeof config.cameraIsEnabled === 'boolean' &&
+            typeof config.micIsEnabled === 'boolean') {
+            return true;
+        } else {
+            return false;
+        }
+    },
+
+    /**
+     * Initializes the VTCCore instance.
+     *
+     * @param {Object} config - Configuration object of the shape:
+     *   {
+     *       cameraIsEnabled : <boolean>,
+     *       micIsEnabled    : <boolean>,
+     *       videoInputId    : <String> (optional),
+     *       audioInputId    : <String> (optional)
+     *   }
+     * Contains fields denoting the initial state of the media devices.
+     * @returns {Object} Null if the config is invalid; otherwise,
+     * returns the current instance (`this`).
+     * @public
+     */
+    initialize: function(config) {
+        var _this = this;
+        if (!this._validateConfig(config)) {
+            ErrorMetric.log('VTCCore.initialize => config is invalid');
+            ErrorMetric.log('                   => ' + JSON.stringify(config));
+
+            // Break chaining
+            return null;
+        }
+
+        this.config = config;
+
+        VTCBackend.on('error', function(errorCode, errorText) {
+            ErrorMetric.log('VTCBackend.onError => An error has occurred with the ' + VTCBackend.name + ' backend');
+            ErrorMetric.log('                   => code: ' + errorCode);
+            ErrorMetric.log('                   => text: ' + errorText);
+
+            // Losing the connection is handled by VTCCore._reconnect, do not interrupt the user
+            if (_this._reconnecting) {
+                return;
+            }
+
+            if (_this._errorFn !== undefined) {
+                _this._errorFn({
+                    title: 'An Error Has Occurred',
+                    content: 'There has been a problem with the VTC session, please reload the page.' +
+                              '<br><br>' +
+                              '<b>Error Code</b>: ' + errorCode + '<br>' +
+                              '<b>Summary</b>: ' + errorText
+                });
+            }
+        });
+
+        return this;
+    },
+
+    /**
+     * Sets a custom handler for messages sent by other peers.
+     *
+     * @param {Function} peerMessageFn - A callback function
+     * that is called when a peer message arrives. It's of the form:
+     * function(client  : VTCClient,
+     *          peerId  : String,
+     *          msgType : String,
+     *          content : Object)
+     * @returns {Object} The VTCCore instance.
+     * @public
+     */
+    onPeerMessage: function(peerMessageFn) {
+        var _this = this;
+        this._peerMessageFn = peerMessageFn;
+
+        VTCBackend.on('peerMessage', function(peerId, msgType, content) {
+            if (msgType === PeerMessages.helloType) {
+                // Answer the hello of users joining after us (see PeerMessages)
+                if (PeerMessages.negotiate(_this.client, peerId, content) && !content.reply) {
+                    _this._sendHello({ rtcId: peerId }, true);
+                }
+                return;
+            }
+
+            var data = PeerMessages.unwrap(peerId, msgType, content);
+            if (data === null) {
+                return;
+            }
+
+            if (_this._acceptedPeers[peerId] === true ||
+                _this.inboundQueueConfig.immediateTypes.indexOf(msgType) !== -1 ||
+                (_this.client !== null && peerId === _this.client.getId())) {
+                peerMessageFn(_this.client, peerId, msgType, data);
+            } else {
+                _this._holdMessage(peerId, msgType, data);
+            }
+        });
+
+        return this;
+    },
+
+    /**
+     * Sets a custom handler to receive streams from other peers.
+     *
+     * @param {Function} streamAcceptFn - A callback function that
+     * is called when a new stream is "accepted". It's of the form:
+     * function(client : VTCClient,
+     *          peerId : String,
+     *          stream : MediaStream)
+     * @returns {Object} The VTCCore instance.
+     * @public
+     */
+    onStreamAccept: function(streamAcceptFn) {
+        var _this = this;
+        VTCBackend.on('streamAccept', function(peerId, stream, streamName) {
+            if (streamName === kScreenStreamName) {
+                if (_this._screenShareStartFn !== null) {
+                    _this._screenShareStartFn(_this.client, peerId, stream);
+                }
+                return;
+            }
+
+            // The connection works (again), forget about previous failures
+            delete _this._peerRetries[peerId];
+
+            // Late joiners should see our presentation too
+            if (_this.client !== null) {
+                _this.client._shareScreenWith(peerId);
+            }
+
+            streamAcceptFn(_this.client, peerId, stream);
+
+            // The viewport of the peer exists now, deliver what they sent before
+            _this._acceptedPeers[peerId] = true;
+            _this._deliverHeldMessages(peerId);
+        });
+
+        return this;
+    },
+
+    /**
+     * Handles stream close events.
+     *
+     * @param {Function} streamCloseFn - A callback function
      * that is called when a stream is closed. It's of the form:
      * function(client : VTCClient,
      *          peerId : String)
      * @returns {Object} The VTCCore instance.
      * @public
      */
-    onStreamClose: function(streamCloseFn) {
+    onStreamClose: function(streamCloseFn) {
+        var _this = this;
+        VTCBackend.on('streamClose', function(peerId, stream, streamName) {
+            if (streamName === kScreenStreamName) {
+                if (_this._screenShareStopFn !== null) {
+                    _this._screenShareStopFn(_this.client, peerId);
+                }
+                return;
+            }
+
+            delete _this._acceptedPeers[peerId];
+            streamCloseFn(_this.client, peerId);
+        });
+
+        return this;
+    },
+
+    /**
+     * Sets handlers for screen shares of other peers.
+     *
+     * @param {Function} startFn - A callback function that is called
+     * when a peer starts presenting. It's of the form:
+     * function(client : VTCClient,
+     *          peerId : String,
+     *          stream : MediaStream)
+     * @param {Function} stopFn - A callback function that is called
+     * when the screen share stream of a peer is closed. It's of the form:
+     * function(client : VTCClient,
+     *          peerId : String)
+     * @returns {Object} The VTCCore instance.
+     * @public
+     */
+    onScreenShare: function(startFn, stopFn) {
+        this._screenShareStartFn = startFn;
+        this._screenShareStopFn = stopFn;
+        return this;
+    },
+
+    /**
+     * Error handler.
+     *
+     * @param {Function} errorFn - Callback that is called
+     * when an error condition arises. It's of the form:
+     * function(Object({
+     *              title   : String,
+     *              content : String<HTML>
+     *          })
+     * @returns {Object} The VTCCore instance.
+     * @public
+     */
+    onError: function(errorFn) {
+        this._errorFn = errorFn;
+        return this;
+    },
+
+    /**
+     * Sets handlers for the moderation of the room (see lib/moderation.js). Moderators
+     * send the control messages ('mic-control', 'spotlight', 'kick' and 'room-lock')
+     * like any other peer message, the server rejects them from everybody else.
+     *
+     * @param {Function} moderationFn - A callback function that is called when
+     * the moderators change or the room is locked or unlocked. It's of the form:
+     * function(client     : VTCClient,
+     *          moderation : Object({
+     *                           moderators : Array<String> (peer IDs),
+     *                           locked     : Boolean
+     *                       }))
+     * @param {Function} kickedFn - A callback function that is called when a moderator
+     * removed us from the room. We do not reconnect, and VTCCore.finalize is called
+     * right after unless the handler did. It's of the form:
+     * function(client : VTCClient,
+     *          byPeerId : String)
+     * @param {Function} rejectedFn - A callback function that is called when the server
+     * rejected one of our control messages because we do not moderate the room (anymore).
+     * It's of the form:
+     * function(client : VTCClient,
+     *          msgType : String)
+     * @returns {Object} The VTCCore instance.
+     * @public
+     */
+    onModeration: function(moderationFn, kickedFn, rejectedFn) {
+        var _this = this;
+        this._moderationFn = moderationFn;
+        this._kickedFn = kickedFn;
+        this._rejectedFn = rejectedFn;
+
+        VTCBackend.on('serverMessage', function(msgType, content) {
+            _this._handleServerMessage(msgType, content);
+        });
+
+        return this;
+    },
+
+    /**
+     * Handles a message sent by the server itself.
+     *
+     * @param {String} msgType - The type of message (see lib/moderation.js).
+     * @param {*} content - The contents of the message.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _handleServerMessage: function(msgType, content) {
+        var problem = null;
+
+        if (msgType === 'moderation') {
+            problem = PeerMessages.validate({ moderators: 'array', locked: 'boolean' }, content);
+            if (problem === null) {
+                this._moderation = {
+                    moderators: content.moderators,
+                    locked: content.locked
+                };
+                this._notifyModeration();
+            }
+        } else if (msgType === 'kicked') {
+            problem = PeerMessages.validate({ by: 'string' }, content);
+            if (problem === null && this.client !== null) {
+                ErrorMetric.log('VTCCore._handleServerMessage => removed from the room by ' + content.by,
+                                ErrorMetric.WARNING);
+
+                // NOTE: The server disconnects us next, which must not be taken for a lost connection
+                this._session = null;
+                this._kickedFn(this.client, content.by);
+
+                if (this.client !== null) {
+                    this.finalize();
+                }
+            }
+        } else {
+            problem = 'unknown message type';
+        }
+
+        if (problem !== null) {
+            ErrorMetric.log('VTCCore._handleServerMessage => rejected "' + msgType + '": ' + problem);
+        }
+    },
+
+    /**
+     * Passes a control message the server rejected to the user-defined handler.
+     *
+     * @param {String} msgType - The type of message.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _handleRejected: function(msgType) {
+        if (this._rejectedFn !== null && this.client !== null) {
+            this._rejectedFn(this.client, msgType);
+        }
+    },
+
+    /**
+     * Passes the moderation of the room to the user-defined handler, once
+     * there is a client and its peer ID is up to date.
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    _notifyModeration: function() {
+        if (this._moderationFn !== null && this.client !== null && !this._reconnecting) {
+            this._moderationFn(this.client, this._moderation);
+        }
+    },
+
+    /**
+     * Sets handlers for reconnection events. When the connection to the signaling
+     * server drops, VTCCore keeps trying to rejoin the room (with the same user
+     * name) instead of reporting an error. Peers are called again once we are back.
+     *
+     * @param {Function} reconnectingFn - A callback function that is called
+     * before every reconnection attempt. It's of the form:
+     * function(attempt : Number,
+     *          delay   : Number (milliseconds until the attempt))
+     * @param {Function} reconnectedFn - A callback function that is called
+     * once we have rejoined the room. It's of the form:
+     * function(client    : VTCClient,
+     *          oldPeerId : String)
+     * @returns {Object} The VTCCore instance.
+     * @public
+     */
+    onReconnect: function(reconnectingFn, reconnectedFn) {
+        this._reconnectingFn = reconnectingFn;
+        this._reconnectedFn = reconnectedFn;
+        return this;
+    },
+
+    /**
+     * Reports to the user that the room they tried to join is full.
+     *
+     * @param {String} roomName - The name of the full room.
+     * @param {String} reason - A sentence explaining the room's limit.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _roomIsFull: function(roomName, reason) {
+        if (this._errorFn !== undefined) {
+            this._errorFn({
+                title: 'Room "' + roomName + '" is full.',
+                content: 'The videoconferencing room <b>' + roomName + '</b> has reached capacity.<br><br>' +
+                         reason + ' Please select another room by reloading the page.',
+                forceRefresh: true
+            });
+        }
+    },
+
+    /**
+     * Reports to the user that the passcode they provided for the room is wrong.
+     *
+     * @param {String} roomName - The name of the protected room.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _wrongPasscode: function(roomName) {
+        if (this._errorFn !== undefined) {
+            this._errorFn({
+                title: 'Wrong passcode',
+                content: 'The videoconferencing room <b>' + roomName + '</b> is protected by a passcode ' +
+                         'and the one you entered is incorrect.<br><br>' +
+                         'Please reload the page and enter the correct passcode.',
+                forceRefresh: true
+            });
+        }
+    },
+
+    /**
+     * Reports to the user that the room they tried to join was locked by its moderators.
+     *
+     * @param {String} roomName - The name of the locked room.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _roomIsLocked: function(roomName) {
+        if (this._errorFn !== undefined) {
+            this._errorFn({
+                title: 'Room "' + roomName + '" is locked.',
+                content: 'The moderators of the videoconferencing room <b>' + roomName + '</b> locked it, ' +
+                         'nobody else can join for now.<br><br>' +
+                         'Please ask them to unlock it, then reload the page.',
+                forceRefresh: true
+            });
+        }
+    },
+
+    /**
+     * Checks whether trying again after a failure to connect or join is pointless.
+     *
+     * @param {String} errorCode - The backend (or server) error code.
+     * @returns {Boolean} True if retrying would fail the same way, false otherwise.
+     * @private
+     */
+    _isFatalConnectError: function(errorCode) {
+        return (errorCode === 'ROOM_FULL' ||
+                errorCode === 'ROOM_LOCKED' ||
+                errorCode === 'ROOM_BAD_PASSCODE' ||
+                errorCode === 'LOGIN_BAD_AUTH');
+    },
+
+    /**
+     * Reports to the user that we failed to connect to the server or to join the room.
+     *
+     * @param {String} roomName - The name of the room we tried to join.
+     * @param {String} errorCode - The backend (or server) error code.
+     * @param {String} errorText - Description of the error.
+     * @param {Boolean} joinFailed - True if we were connected but failed
+     * to join the room, false if we failed to connect.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _reportConnectError: function(roomName, errorCode, errorText, joinFailed) {
+        if (errorCode === 'ROOM_FULL') {
+            // The server rejected us because the room reached its participant limit
+            this._roomIsFull(roomName, errorText);
+        } else if (errorCode === 'ROOM_LOCKED') {
+            this._roomIsLocked(roomName);
+        } else if (errorCode === 'ROOM_BAD_PASSCODE' || errorCode === 'LOGIN_BAD_AUTH') {
+            // The only reason for the server to refuse authentication is a wrong room passcode
+            this._wrongPasscode(roomName);
+        } else if (this._errorFn !== undefined) {
+            if (joinFailed) {
+                this._errorFn({
+                    title: 'Failed to join room',
+                    content: 'We are unable to join the video teleconference room.<br><br>' +
+                             '<b>Error Code</b>: ' + errorCode + '<br>' +
+                             '<b>Error Text</b>: ' + errorText
+                });
+            } else {
+                // @todo FIXME: proofread and make this text better
+                this._errorFn({
+                    title: 'An Error Has Occurred',
+                    content: 'We are unable to join the video teleconferencing session.<br><br>' +
+                              '<b>Error Code</b>: ' + errorCode + '<br>' +
+                              '<b>Error Text</b>: ' + errorText
+                });
+            }
+        }
+    },
+
+    /**
+     * Calls everybody already in the room once we have joined it.
+     *
+     * @param {String} roomName - The name of the room we joined.
+     * @param {Array<String>} peerIds - The peer IDs of the users already in the room.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _callPeers: function(roomName, peerIds) {
+        if (peerIds.length >= kMaxCallersPerRoom) {
+            // NOTE (security): The server enforces its own (configurable) participant limit, this
+            //                  check only protects the user interface from more viewports than it
+            //                  can handle.
+            this._roomIsFull(roomName, 'The maximum amount of people in a room is ' +
+                                       kMaxCallersPerRoom + '.');
+            return;
+        }
+
+        peerIds.forEach(function(peerId) {
+            VTCBackend.call(peerId, function(errorCode, errorText) {
+                ErrorMetric.log('VTCBackend.call => [error] failed to call ' + peerId);
+                ErrorMetric.log('                => ' + errorCode + ': ' + errorText);
+            });
+        });
+    },
+
+    /**
+     * Connects to the signaling server and joins the room stored in VTCCore._session.
+     *
+     * @param {Function} successFn - Called once the room is joined. It's of the form:
+     * function(myId : String, roomName : String)
+     * @param {Function} failureFn - Called if connecting or joining fails. It's of the form:
+     * function(errorCode : String, errorText : String, joinFailed : Boolean)
+     * @returns {undefined} undefined
+     * @private
+     */
+    _connectAndJoin: function(successFn, failureFn) {
+        var _this = this;
+        var session = this._session;
+
+        // The server tells us again once we are in (see VTCCore.onModeration)
+        this._moderation = {
+            moderators: [],
+            locked: false
+        };
+
+        VTCBackend.connect(session, function(myId) {
+            // Everybody in the room gets a new peer ID when we reconnect, start over
+            PeerMessages.reset();
+            _this._acceptedPeers = {};
+            _this._sendHello({ room: session.roomName }, false);
+
+            successFn(myId, session.roomName);
+        }, failureFn, function(peerIds) {
+            _this._callPeers(session.roomName, peerIds);
+        });
+    },
+
+    /**
+     * Returns how many messages from peers were held until their stream was accepted
+     * and what became of them.
+     *
+     * @returns {Object} Object of the form:
+     *   {
+     *     held       : Number (messages that had to wait),
+     *     delivered  : Number (held messages delivered once the stream was accepted),
+     *     expired    : Number (dropped after inboundQueueConfig.timeout),
+     *     overflowed : Number (dropped because inboundQueueConfig.maxMessages was reached),
+     *     discarded  : Number (dropped because we left the room),
+     *     pending    : Number (still held)
+     *   }
+     * @public
+     */
+    getInboundStats: function() {
+        var pending = 0;
+        for (var peerId in this._inboundQueues) {
+            if (this._inboundQueues.hasOwnProperty(peerId)) {
+                pending += this._inboundQueues[peerId].messages.length;
+            }
+        }
+
+        return $.extend({ pending: pending }, this._inboundStats);
+    },
+
+    /**
+     * Accounts for dropped messages and reports them, so that they are not lost silently.
+     *
+     * @param {String} peerId - The peer ID of the sender.
+     * @param {Array<Object>} messages - The dropped messages (see VTCCore._inboundQueues).
+     * @param {String} reason - One of 'expired', 'overflowed' or 'discarded'.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _dropMessages: function(peerId, messages, reason) {
+        if (messages.length === 0) {
+            return;
+        }
+
+        this._inboundStats[reason] += messages.length;
+
+        var msgTypes = messages.map(function(message) {
+            return message.msgType;
+        });
+
+        ErrorMetric.log('VTCCore._dropMessages => ' + reason + ' ' + messages.length + ' message(s) from ' +
+                        peerId + ' held before their stream arrived', ErrorMetric.WARNING);
+        ErrorMetric.log('                      => types: ' + msgTypes.join(', '), ErrorMetric.WARNING);
+    },
+
+    /**
+     * Holds a message from a peer whose stream was not accepted yet.
+     *
+     * @param {String} peerId - The peer ID of the sender.
+     * @param {String} msgType - The type of message.
+     * @param {Object} content - The contents of the message.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _holdMessage: function(peerId, msgType, content) {
+        var queue = this._inboundQueues[peerId];
+        if (queue === undefined) {
+            queue = {
+                messages: [],
+                timer: null
+            };
+            this._inboundQueues[peerId] = queue;
+        }
+
+        queue.messages.push({
+            msgType: msgType,
+            content: content,
+            time: Date.now()
+        });
+        this._inboundStats.held++;
+
+        var excess = queue.messages.length - this.inboundQueueConfig.maxMessages;
+        if (excess > 0) {
+            this._dropMessages(peerId, queue.messages.splice(0, excess), 'overflowed');
+        }
+
+        if (queue.timer === null) {
+            this._scheduleExpiry(peerId);
+        }
+    },
+
+    /**
+     * Sets a timer dropping the oldest held message of a peer once it expires.
+     *
+     * @param {String} peerId - The peer ID of the sender.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _scheduleExpiry: function(peerId) {
         var _this = this;
-        easyrtc.setOnStreamClosed(function(peerId) {
-            streamCloseFn(_this.client, peerId);
+        var queue = this._inboundQueues[peerId];
+        var timeout = this.inboundQueueConfig.timeout;
+        var delay = Math.max(queue.messages[0].time + timeout - Date.now(), 0);
+
+        queue.timer = setTimeout(function() {
+            var now = Date.now();
+            var expired = 0;
+            while (expired < queue.messages.length && now - queue.messages[expired].time >= timeout) {
+                expired++;
+            }
+
+            _this._dropMessages(peerId, queue.messages.splice(0, expired), 'expired');
+
+            if (queue.messages.length > 0) {
+                _this._scheduleExpiry(peerId);
+            } else {
+                delete _this._inboundQueues[peerId];
+            }
+        }, delay);
+    },
+
+    /**
+     * Delivers the held messages of a peer (in the order they arrived) to the peer message handler.
+     *
+     * @param {String} peerId - The peer ID of the sender.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _deliverHeldMessages: function(peerId) {
+        var queue = this._inboundQueues[peerId];
+        if (queue === undefined) {
+            return;
+        }
+
+        clearTimeout(queue.timer);
+        delete this._inboundQueues[peerId];
+
+        this._inboundStats.delivered += queue.messages.length;
+        for (var i = 0; i < queue.messages.length; i++) {
+            var message = queue.messages[i];
+            this._peerMessageFn(this.client, peerId, message.msgType, message.content);
+        }
+    },
+
+    /**
+     * Drops every held message (e.g. because we left the room).
+     *
+     * @returns {undefined} undefined
+     * @private
+     */
+    _discardHeldMessages: function() {
+        for (var peerId in this._inboundQueues) {
+            if (this._inboundQueues.hasOwnProperty(peerId)) {
+                clearTimeout(this._inboundQueues[peerId].timer);
+                this._dropMessages(peerId, this._inboundQueues[peerId].messages, 'discarded');
+            }
+        }
+
+        this._inboundQueues = {};
+    },
+
+    /**
+     * Tells other users which versions of the peer message protocol we speak (see PeerMessages).
+     *
+     * @param {Object} dest - Either { rtcId : String } or { room : String }.
+     * @param {Boolean} isReply - True if answering the hello of another user.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _sendHello: function(dest, isReply) {
+        // NOTE: The hello is the only message sent without an envelope
+        VTCBackend.sendPeerMessage(dest, PeerMessages.helloType, PeerMessages.hello(isReply), function() {
+            return;
+        }, function(errorCode, errorText) {
+            ErrorMetric.log('VTCCore._sendHello => failed to send the hello message');
+            ErrorMetric.log('                   => ' + errorCode + ': ' + errorText);
         });
+    },
 
-        return this;
+    /**
+     * Computes how long to wait before the given (1-based) retry.
+     *
+     * @param {Number} attempt - The number of the attempt.
+     * @returns {Number} The delay in milliseconds.
+     * @private
+     */
+    _retryDelay: function(attempt) {
+        var config = this.reconnectConfig;
+        return Math.min(config.baseDelay * Math.pow(2, attempt - 1), config.maxDelay);
     },
 
     /**
-     * Error handler.
+     * Waits for the appropriate delay and tries to get back into the room. Gives
+     * up and reports an error once reconnectConfig.maxAttempts is exceeded.
      *
-     * @param {Function} errorFn - Callback that is called
-     * when an error condition arises. It's of the form:
-     * function(Object({
-     *              title   : String,
-     *              content : String<HTML>
-     *          })
-     * @returns {Object} The VTCCore instance.
-     * @public
+     * @param {Number} attempt - The number of the upcoming attempt (starting at 1).
+     * @returns {undefined} undefined
+     * @private
      */
-    onError: function(errorFn) {
-        this._errorFn = errorFn;
-        return this;
+    _scheduleReconnect: function(attempt) {
+        var _this = this;
+
+        if (attempt > this.reconnectConfig.maxAttempts) {
+            ErrorMetric.log('VTCCore._scheduleReconnect => giving up after ' + (attempt - 1) + ' attempts');
+            this._reconnecting = false;
+
+            if (this._errorFn !== undefined) {
+                this._errorFn({
+                    title: 'Connection lost',
+                    content: 'We lost the connection to the server and were unable to get back into ' +
+                             'the room <b>' + this._session.roomName + '</b>.<br><br>' +
+                             'Please reload the page to try again.',
+                    forceRefresh: true
+                });
+            }
+            return;
+        }
+
+        var delay = this._retryDelay(attempt);
+        if (this._reconnectingFn !== null) {
+            this._reconnectingFn(attempt, delay);
+        }
+
+        setTimeout(function() {
+            _this._reconnect(attempt);
+        }, delay);
+    },
+
+    /**
+     * Tries to reconnect to the signaling server and to rejoin the room.
+     *
+     * @param {Number} attempt - The number of the attempt (starting at 1).
+     * @returns {undefined} undefined
+     * @private
+     */
+    _reconnect: function(attempt) {
+        var _this = this;
+
+        // VTCCore.finalize was called in the meantime
+        if (!this._reconnecting) {
+            return;
+        }
+
+        var attemptId = ++this._attemptId;
+        var timeoutId = null;
+
+        VTCBackend.disconnect(function() {
+            if (attemptId !== _this._attemptId) {
+                return;
+            }
+
+            // NOTE: Backends may never report it if the server can't be reached, so give up
+            //       on the attempt after a while.
+            timeoutId = setTimeout(function() {
+                if (attemptId === _this._attemptId) {
+                    ErrorMetric.log('VTCCore._reconnect => attempt ' + attempt + ' timed out', ErrorMetric.WARNING);
+
+                    _this._attemptId++;
+                    _this._scheduleReconnect(attempt + 1);
+                }
+            }, _this.reconnectConfig.attemptTimeout);
+
+            _this._connectAndJoin(function(myId) {
+                if (attemptId !== _this._attemptId) {
+                    return;
+                }
+
+                clearTimeout(timeoutId);
+                _this._reconnected(myId);
+            }, function(errorCode, errorText, joinFailed) {
+                if (attemptId !== _this._attemptId) {
+                    return;
+                }
+
+                clearTimeout(timeoutId);
+                _this._attemptId++;
+
+                if (_this._isFatalConnectError(errorCode)) {
+                    _this._reconnecting = false;
+                    _this._reportConnectError(_this._session.roomName, errorCode, errorText, joinFailed);
+                } else {
+                    _this._scheduleReconnect(attempt + 1);
+                }
+            });
+        });
+    },
+
+    /**
+     * Finishes a successful reconnection.
+     *
+     * @param {String} myId - Our new peer ID.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _reconnected: function(myId) {
+        var client = this.client;
+        var oldId = client.getId();
+
+        this._reconnecting = false;
+        this._peerRetries = {};
+        client._setId(myId);
+
+        ErrorMetric.log('VTCCore._reconnected => rejoined as ' + myId + ' (was ' + oldId + ')', ErrorMetric.INFO);
+
+        if (this._reconnectedFn !== null) {
+            this._reconnectedFn(client, oldId);
+        }
+
+        // The moderation arrived while our peer ID was still the old one
+        this._notifyModeration();
+    },
+
+    /**
+     * Calls a peer again after our connection to it closed, unless it left the room.
+     * Only the peer with the lower ID calls, otherwise both peers would call each
+     * other at the same time.
+     *
+     * @param {String} peerId - The peer ID of the other user.
+     * @returns {undefined} undefined
+     * @private
+     */
+    _recallPeer: function(peerId) {
+        var _this = this;
+        var client = this.client;
+
+        // A null session means VTCCore.finalize is hanging up on purpose
+        if (client === null || this._session === null || this._reconnecting || client.getId() > peerId) {
+            return;
+        }
+
+        var attempt = 1;
+        if (this._peerRetries[peerId] !== undefined) {
+            attempt = this._peerRetries[peerId] + 1;
+        }
+
+        if (attempt > this.reconnectConfig.maxAttempts) {
+            ErrorMetric.log('VTCCore._recallPeer => giving up on ' + peerId);
+            return;
+        }
+
+        this._peerRetries[peerId] = attempt;
+
+        setTimeout(function() {
+            if (_this._reconnecting || _this.client !== client) {
+                return;
+            }
+
+            if (VTCBackend.getRoomOccupants(client.getRoomName()).indexOf(peerId) === -1) {
+                // The peer simply left the room
+                delete _this._peerRetries[peerId];
+                return;
+            }
+
+            if (VTCBackend.getConnectStatus(peerId) === 'NOT_CONNECTED') {
+                ErrorMetric.log('VTCCore._recallPeer => calling ' + peerId + ' again (attempt ' + attempt + ')',
+                                ErrorMetric.INFO);
+
+                VTCBackend.call(peerId, function(errorCode, errorText) {
+                    ErrorMetric.log('VTCBackend.call => [error] failed to call ' + peerId + ' again');
+                    ErrorMetric.log('                => ' + errorCode + ': ' + errorText);
+                });
+            }
+        }, this._retryDelay(attempt));
     },
 
     /**
      * Connects to the API. Before calling this function, it is recommended
      * to have already called onPeerMessage, onStreamAccept, and onStreamClose
      * with appropriate callback functions. It is possible that setting the
-     * callbacks after invoking easyrtc.connect might cause events to be lost.
+     * callbacks after invoking VTCBackend.connect might cause events to be lost.
+     *
+     * Once connected, a lost connection to the signaling server or to a peer
+     * is retried automatically (see VTCCore.onReconnect).
+     *
+     * Media acquired with VTCCore.acquireMedia is used as is.
      *
      * @param {String} userName - The name of the connecting user.
      * @param {String} roomName - The name of the room to be joined.
+     * @param {String} passcode - The room passcode. If the room is not protected yet
+     * and this is not empty, the room becomes protected by it. May be empty.
      * @param {Function} successFn - The callback function to be called
      * upon successfully joining the room. It's of the form:
      * function(VTCClient)
@@ -381,7 +2107,7 @@ var VTCCore = {
      * returns the VTCCore instance.
      * @public
      */
-    connect: function(userName, roomName, successFn) {
+    connect: function(userName, roomName, passcode, successFn) {
         if (!this._validateConfig()) {
             ErrorMetric.log('VTCCore.connect => config changed somehow...');
             ErrorMetric.log('                => ' + JSON.stringify(this.config));
@@ -390,91 +2116,66 @@ var VTCCore = {
             return null;
         }
 
-        easyrtc.enableVideo(this.config.cameraIsEnabled);
-        easyrtc.enableAudio(this.config.micIsEnabled);
-
-        if (!easyrtc.setUsername(userName)) {
+        if (!VTCBackend.isValidUserName(userName)) {
             ErrorMetric.log('VTCCore.connect => could not set username to ' + userName);
 
             // Break chaining
             return null;
         }
 
-        var _this = this;
-        var _roomName = roomName;
-        easyrtc.setRoomOccupantListener(function(roomName, peerList) {
-            if (roomName !== _roomName) {
-                // NOTE: Ignore if the room name is not the one we requested
-                return;
-            }
+        this._session = {
+            userName: userName,
+            roomName: roomName,
+            passcode: passcode
+        };
+        this._peerRetries = {};
 
-            var peersToCall = Object.keys(peerList);
-            var onCallError = function(errorCode, errorText) {
-                ErrorMetric.log("easyrtc.call => [error] failed to call " + peerId);
-                ErrorMetric.log("easyrtc.call => " + errorCode + ': ' + errorText);
-            };
+        var _this = this;
 
-            var peersCount = peersToCall.length;
-            if (peersCount > 0) {
-                if (peersCount < kMaxCallersPerRoom) {
-                    for (var i = 0; i < peersToCall.length; i++) {
-                        var peerId = peersToCall[i];
+        // NOTE: Only called when the connection drops, not when we disconnect ourselves
+        VTCBackend.on('disconnect', function() {
+            ErrorMetric.log('VTCBackend.onDisconnect => lost connection to the server', ErrorMetric.WARNING);
 
-                        easyrtc.call(peerId, null, onCallError, null);
-                    }
-                } else {
-                    // NOTE (security): This check and many others do not prevent users from force joining
-                    //                  a room by running JavaScript. It might be a good idea in the future
-                    //                  to enforce these limits of the server side.
-                    if (_this._errorFn !== undefined) {
-                        _this._errorFn({
-                            title: 'Room "' + roomName + '" is full.',
-                            content: 'The videoconferencing room <b>' + roomName + '</b> has reached capacity.<br><br>' +
-                                           'The maximum amount of people in a room is ' + kMaxCallersPerRoom + ', please ' +
-                                           'selected another room by reloading the page.',
-                            forceRefresh: true
-                        });
-                    }
-                }
+            if (_this._session !== null && _this.client !== null && !_this._reconnecting) {
+                _this._reconnecting = true;
+                _this._scheduleReconnect(1);
             }
-
-            easyrtc.setRoomOccupantListener(null);
         });
 
-        easyrtc.initMediaSource(function() {
-            easyrtc.connect('tubertc', function(myId) {
-                easyrtc.joinRoom(roomName, null, function(roomName) {
-                    _this.client = new VTCClient(myId, roomName, _this._errorFn);
+        VTCBackend.on('peerClosed', function(peerId) {
+            _this._recallPeer(peerId);
+        });
 
-                    if (successFn !== undefined) {
-                        successFn(_this.client);
-                    }
-                }, function(errorCode, errorText, roomName) {
-                    if (_this._errorFn !== undefined) {
-                        _this._errorFn({
-                            title: 'Failed to join room',
-                            content: 'We are unable to join the video teleconference room.<br><br>' +
-                                     '<b>Error Code</b>: ' + errorCode + '<br>' +
-                                     '<b>Error Text</b>: ' + errorText
-                        })
-                    }
+        var connectAndJoin = function() {
+            _this._connectAndJoin(function(myId, roomName) {
+                _this.client = new VTCClient(myId, roomName, _this._errorFn, function(msgType) {
+                    _this._handleRejected(msgType);
                 });
-            }, function(errorCode, errorText) {
-                ErrorMetric.log('easyrtc.connect => failed to connect');
-                ErrorMetric.log('                => ' + errorCode + ': ' + errorText);
 
-                // @todo FIXME: proofread and make this text better
-                if (_this._errorFn !== undefined) {
-                    _this._errorFn({
-                        title: 'An Error Has Occurred',
-                        content: 'We are unable to join the video teleconferencing session.<br><br>' +
-                                  '<b>Error Code</b>: ' + errorCode + '<br>' +
-                                  '<b>Error Text</b>: ' + errorText
-                    });
+                if (successFn !== undefined) {
+                    successFn(_this.client);
                 }
+
+                // The moderation might have arrived before the client existed
+                _this._notifyModeration();
+            }, function(errorCode, errorText, joinFailed) {
+                _this._reportConnectError(roomName, errorCode, errorText, joinFailed);
             });
-        }, function(errorCode, errorText) {
-            ErrorMetric.log('easyrtc.initMediaSource => unable to initialize media source');
+        };
+
+        if (VTCBackend.getLocalStream() !== null) {
+            connectAndJoin();
+            return this;
+        }
+
+        // Missing device IDs keep the devices picked last (see VTCClient.switchDevice)
+        VTCBackend.acquireMedia({
+            video: this.config.cameraIsEnabled,
+            audio: this.config.micIsEnabled,
+            videoInputId: (typeof this.config.videoInputId === 'string') ? this.config.videoInputId : undefined,
+            audioInputId: (typeof this.config.audioInputId === 'string') ? this.config.audioInputId : undefined
+        }, connectAndJoin, function(errorCode, errorText) {
+            ErrorMetric.log('VTCBackend.acquireMedia => unable to initialize media source');
             ErrorMetric.log('                        => ' + errorCode + ': ' + errorText);
 
             // @todo FIXME: proofread and make this text better
@@ -503,21 +2204,38 @@ var VTCCore = {
     },
 
     /**
-     * Cleans up (hangs up, leaves the
-     * room, closes the connection, etc).
+     * Cleans up (hangs up, leaves the room, closes the
+     * connection, releases the camera and microphone, etc).
      *
      * @returns {undefined} undefined
      * @public
      */
     finalize: function() {
         var client = this.client;
+
+        // Stops any reconnection attempt in progress
+        this._session = null;
+        this._reconnecting = false;
+        this._attemptId++;
+
         if (client !== null) {
-            easyrtc.hangupAll();
-            easyrtc.leaveRoom(client.getRoomName());
-            easyrtc.disconnect();
+            client.stopScreenShare();
+            VTCBackend.leave(client.getRoomName());
             this.client = null;
         }
 
+        this._peerRetries = {};
+        this._acceptedPeers = {};
+        this._discardHeldMessages();
+
+        this._moderation = {
+            moderators: [],
+            locked: false
+        };
+
+        // Turns off the camera light, VTCCore.connect acquires the media again
+        VTCBackend.releaseMedia();
+
         // No return value because we do not expect this to be chained.
     }
 };
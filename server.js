@@ -10,7 +10,13 @@ var express = require('express');
 var fs = require('fs');
 var Handlebars = require('handlebars');
 var io = require('socket.io');
+var moderation = require('./lib/moderation');
 var nconf = require('nconf');
+var path = require('path');
+var rooms = require('./lib/rooms');
+var signaling = require('./lib/signaling');
+var telemetry = require('./lib/telemetry');
+var turn = require('./lib/turn');
 
 var webServer = null;
 
@@ -38,7 +44,8 @@ if (debugMode === undefined) {
     debugMode = true;
 }
 
-// By default, if debugMode is enabled, AudioMeter is enabled.
+// By default, if debugMode is enabled, the audio meters of the viewports are shown. AudioMeter itself
+// is always loaded: the active speaker detection and the meter of the lobby depend on it.
 var enableAudioMeter = nconf.get('enableAudioMeter');
 if (enableAudioMeter === undefined) {
     if (debugMode) {
@@ -48,6 +55,24 @@ if (enableAudioMeter === undefined) {
     }
 }
 
+// The WebRTC backend (see the top of public/js/vtc.js): either "easyrtc" (the default) or "native",
+// which uses the browser's WebRTC API directly along with the signaling server in lib/signaling.js.
+var rtcBackend = nconf.get('rtcBackend');
+if (rtcBackend === undefined) {
+    rtcBackend = 'easyrtc';
+} else if (rtcBackend !== 'easyrtc' && rtcBackend !== 'native') {
+    throw new Error('rtcBackend in settings.json must be either "easyrtc" or "native"');
+}
+
+// Scripts implementing VTCBackend, loaded before public/js/vtc.js
+var backendScripts;
+if (rtcBackend === 'easyrtc') {
+    backendScripts = '<script type="text/javascript" src="/easyrtc/easyrtc.js"></script>\n' +
+                     '        <script type="text/javascript" src="/js/backend-easyrtc.js"></script>';
+} else {
+    backendScripts = '<script type="text/javascript" src="/js/backend-native.js"></script>';
+}
+
 // Set up routes for static resources
 tubertcApp.use('/js', express.static(__dirname + '/public/js'));
 tubertcApp.use('/css', express.static(__dirname + '/public/css'));
@@ -59,10 +84,68 @@ if (debugMode) {
     tubertcApp.use('/telemetry', express.static(__dirname + '/public/telemetry'));
 }
 
+// Client error telemetry (see ErrorMetric in public/js/error.js) is written as newline-delimited JSON
+// to telemetry.logFile (relative to this directory, like the default), which is rotated once it grows
+// past telemetry.maxFileSize bytes. Every IP address may upload telemetry.maxEntriesPerMinute entries
+// per minute, beyond which it gets 429 responses. Telemetry is enabled by default and can be turned
+// off by setting telemetry.enabled to false in settings.json.
+var telemetryConfig = nconf.get('telemetry');
+if (telemetryConfig === undefined) {
+    telemetryConfig = {};
+}
+
+if (telemetryConfig.enabled !== false) {
+    var telemetryLog = new telemetry.TelemetryLog({
+        logFile: path.resolve(__dirname, telemetryConfig.logFile || 'logs/telemetry.log'),
+        maxFileSize: telemetryConfig.maxFileSize || 10 * 1024 * 1024,
+        maxFiles: telemetryConfig.maxFiles || 5
+    });
+
+    var telemetryLimiter = new telemetry.RateLimiter({
+        maxEntriesPerMinute: telemetryConfig.maxEntriesPerMinute || 300
+    });
+
+    // Clients over the limit are turned away before their upload is even parsed
+    var checkTelemetryLimit = function(req, res, next) {
+        if (telemetryLimiter.isLimited(req.ip, Date.now())) {
+            res.sendStatus(429);
+            return;
+        }
+
+        next();
+    };
+
+    tubertcApp.post('/telemetry', checkTelemetryLimit, express.json({ limit: '256kb' }), function(req, res) {
+        var records = telemetry.parseBatch(req.body, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        if (records === null) {
+            res.sendStatus(400);
+            return;
+        }
+
+        if (!telemetryLimiter.take(req.ip, records.length, Date.now())) {
+            res.sendStatus(429);
+            return;
+        }
+
+        telemetryLog.write(records, function(err) {
+            if (err !== null) {
+                console.log('Failed to write telemetry: ' + err);
+            }
+        });
+
+        res.sendStatus(204);
+    });
+}
+
 // Set up main index page (this changes depending on whether or not debugging is enabled in settings.json).
 tubertcApp.get('/', function(req, res) {
     var pageTitle = 'tubertc';
     var extraScripts = '';
+    var bodyClass = 'trtc_hide_audiometers';
 
     // If debug mode is enabled, load our debugging script (and add [debug] in the title)
     if (debugMode) {
@@ -72,12 +155,22 @@ tubertcApp.get('/', function(req, res) {
 
     if (enableAudioMeter) {
         pageTitle += '+am';
-        extraScripts += '<script type="text/javascript" src="/js/audiometer.js"></script>';
+        bodyClass = '';
+    }
+
+    // In debug mode, ?fakePeers=<Number> fills the room with synthetic users instead of
+    // connecting to anybody (see public/js/backend-fake.js)
+    var pageBackendScripts = backendScripts;
+    if (debugMode && req.query.fakePeers !== undefined) {
+        pageTitle += '+fake';
+        pageBackendScripts = '<script type="text/javascript" src="/js/backend-fake.js"></script>';
     }
 
     res.send(indexTmpl({
         title: pageTitle,
-        debugBody: extraScripts
+        backendScripts: pageBackendScripts,
+        debugBody: extraScripts,
+        bodyClass: bodyClass
     }));
 });
 
@@ -111,22 +204,11 @@ if (debugMode) {
 
 var socketServer = io.listen(webServer, ioOpts);
 
-// Set up easyrtc specific options
-easyrtc.setOption('demosEnable', false);
-easyrtc.setOption('updateCheckEnable', false);
-
-// If debugMode is enabled, make sure logging is set to debug
-if (debugMode) {
-    easyrtc.setOption('logLevel', 'debug');
-}
-
 // Use appIceServers from settings.json if provided. The format should be the same
 // as that used by easyrtc (http://easyrtc.com/docs/guides/easyrtc_server_configuration.php)
 var iceServers = nconf.get('appIceServers');
-if (iceServers !== undefined) {
-    easyrtc.setOption('appIceServers', iceServers);
-} else {
-    easyrtc.setOption('appIceServers', [
+if (iceServers === undefined) {
+    iceServers = [
         {
             url: 'stun:stun.l.google.com:19302'
         },
@@ -142,7 +224,367 @@ if (iceServers !== undefined) {
         {
             url: 'stun:217.10.68.152:10000'
         }
-    ]);
+    ];
 }
 
-easyrtc.listen(tubertcApp, socketServer);
+// If a TURN server sharing a secret with us is configured (see lib/turn.js), every connection gets
+// its own short-lived TURN credentials along with the appIceServers. This way no long-lived TURN
+// password ever ends up in the page.
+var turnServer = nconf.get('turnServer');
+if (turnServer !== undefined) {
+    var turnConfigError = turn.validateConfig(turnServer);
+    if (turnConfigError !== null) {
+        throw new Error('turnServer in settings.json is invalid: ' + turnConfigError);
+    }
+}
+
+/**
+ * Gets the ICE servers handed out to a user.
+ *
+ * @param {Array<Object>} appIceServers - The appIceServers.
+ * @param {String} userId - Identifies the user (their easyrtcid or peer ID).
+ * @returns {Array<Object>} The appIceServers, followed by TURN credentials if
+ * a TURN server is configured.
+ * @private
+ */
+var getIceServers = function(appIceServers, userId) {
+    if (turnServer === undefined) {
+        return appIceServers;
+    }
+
+    return appIceServers.concat(turn.getIceServers(turnServer, userId));
+};
+
+// By default, a room holds at most 15 participants (the most the viewport layout was built for).
+// Individual rooms can be given a different limit through roomParticipantLimits in settings.json:
+//   "roomParticipantLimits": { "<rtcRoomName>": <Number> }
+var maxParticipantsPerRoom = nconf.get('maxParticipantsPerRoom');
+if (maxParticipantsPerRoom === undefined) {
+    maxParticipantsPerRoom = 15;
+}
+
+var roomParticipantLimits = nconf.get('roomParticipantLimits');
+if (roomParticipantLimits === undefined) {
+    roomParticipantLimits = {};
+}
+
+// Rooms that always require a passcode, configured in settings.json:
+//   "protectedRooms": { "<rtcRoomName>": "<passcode>" }
+var protectedRooms = nconf.get('protectedRooms');
+if (protectedRooms === undefined) {
+    protectedRooms = {};
+}
+
+// Passcodes making whoever joins with them a moderator of the room (see lib/moderation.js), configured
+// in settings.json. They let the moderators in even if the room is protected by another passcode or locked.
+//   "moderatorPasscodes": { "<rtcRoomName>": "<passcode>" }
+var moderatorPasscodes = nconf.get('moderatorPasscodes');
+if (moderatorPasscodes === undefined) {
+    moderatorPasscodes = {};
+}
+
+// Keeps track of who moderates which room and of the locked rooms, set up along with the rtcBackend
+var roomModeration = null;
+
+// Checks the participant limits and passcodes of the rooms (see lib/rooms.js)
+var roomAccess = new rooms.RoomAccess({
+    maxParticipantsPerRoom: maxParticipantsPerRoom,
+    roomParticipantLimits: roomParticipantLimits,
+    protectedRooms: protectedRooms,
+    moderatorPasscodes: moderatorPasscodes,
+    isLocked: function(roomName) {
+        return roomModeration.isLocked(roomName);
+    }
+});
+
+/**
+ * Sets up the easyrtc server (for the "easyrtc" rtcBackend).
+ *
+ * @returns {undefined} undefined
+ * @private
+ */
+var listenWithEasyrtc = function() {
+    // Maps easyrtcids to the { roomName, passcode } credential they authenticated with
+    var connectionCredentials = {};
+
+    // Maps the easyrtcids of the users in a room to their connection objects
+    var roomConnections = {};
+
+    /**
+     * Counts the participants of a room.
+     *
+     * @param {Object} appObj - easyrtc application object.
+     * @param {String} roomName - The RTC room name.
+     * @returns {Number} The amount of connections in the room (0 if
+     * the room does not exist yet).
+     * @private
+     */
+    var getRoomOccupantCount = function(appObj, roomName) {
+        var occupants = 0;
+        if (appObj.isRoomSync(roomName)) {
+            appObj.getRoomOccupantCount(roomName, function(err, count) {
+                if (!err) {
+                    occupants = count;
+                }
+            });
+        }
+
+        return occupants;
+    };
+
+    /**
+     * Gets the passcode a connection provided for a room.
+     *
+     * @param {Object} connectionObj - easyrtc connection object.
+     * @param {String} roomName - The RTC room name.
+     * @returns {String|null} The passcode, or null if none was provided for the room.
+     * @private
+     */
+    var getConnectionPasscode = function(connectionObj, roomName) {
+        var credential = connectionCredentials[connectionObj.getEasyrtcid()];
+        if (credential !== undefined && credential.roomName === roomName) {
+            return credential.passcode;
+        }
+
+        return null;
+    };
+
+    roomModeration = new moderation.RoomModeration({
+        sendToPeer: function(easyrtcid, msgType, msgData) {
+            // Messages without a sender reach the server listener of the client (see backend-easyrtc.js)
+            if (roomConnections.hasOwnProperty(easyrtcid)) {
+                easyrtc.events.emit('emitEasyrtcMsg', roomConnections[easyrtcid], msgType, {
+                    msgData: msgData
+                }, null, easyrtc.util.nextToNowhere);
+            }
+        },
+        removePeer: function(easyrtcid) {
+            if (roomConnections.hasOwnProperty(easyrtcid)) {
+                // NOTE: Messages emitted before still reach the client, the disconnection comes after them
+                roomConnections[easyrtcid].socket.disconnect();
+            }
+        },
+        log: function(message) {
+            easyrtc.util.logInfo(message);
+        }
+    });
+
+    // Set up easyrtc specific options
+    easyrtc.setOption('demosEnable', false);
+    easyrtc.setOption('updateCheckEnable', false);
+
+    // Clients always join the room they asked for, so there is no need for the catch-all default room
+    // (which would otherwise count every connected user against the participant limit).
+    easyrtc.setOption('roomDefaultEnable', false);
+
+    // If debugMode is enabled, make sure logging is set to debug
+    if (debugMode) {
+        easyrtc.setOption('logLevel', 'debug');
+    }
+
+    easyrtc.setOption('appIceServers', iceServers);
+
+    if (turnServer !== undefined) {
+        easyrtc.events.on('getIceConfig', function(connectionObj, callback) {
+            var appIceServers = connectionObj.getApp().getOption('appIceServers');
+            callback(null, getIceServers(appIceServers, connectionObj.getEasyrtcid()));
+        });
+    }
+
+    // The client authenticates with a credential of the form { roomName: String, passcode: String }
+    // naming the room it is about to join. Users with a wrong passcode are turned away right here.
+    easyrtc.events.on('authenticate', function(socket, easyrtcid, appName, username, credential, easyrtcAuthMessage, next) {
+        var roomName = null;
+        var passcode = null;
+
+        if (credential !== null && typeof credential === 'object') {
+            if (typeof credential.roomName === 'string') {
+                roomName = credential.roomName;
+            }
+
+            if (typeof credential.passcode === 'string' && credential.passcode.length > 0) {
+                passcode = credential.passcode;
+            }
+        }
+
+        if (roomName !== null && !roomAccess.isPasscodeValid(roomName, passcode)) {
+            next(new easyrtc.util.ConnectionError('Wrong passcode for room ' + roomName));
+            return;
+        }
+
+        connectionCredentials[easyrtcid] = {
+            roomName: roomName,
+            passcode: passcode
+        };
+
+        next(null);
+    });
+
+    easyrtc.events.on('disconnect', function(connectionObj, next) {
+        var easyrtcid = connectionObj.getEasyrtcid();
+        easyrtc.events.defaultListeners.disconnect(connectionObj, function(err) {
+            delete connectionCredentials[easyrtcid];
+            next(err);
+        });
+    });
+
+    // Rejects room joins (done after connecting) with a distinct error code (ROOM_FULL, ROOM_LOCKED
+    // or ROOM_BAD_PASSCODE) so that the client can tell the user why they could not get in.
+    easyrtc.events.on('msgTypeRoomJoin', function(connectionObj, rooms, socketCallback, next) {
+        if (rooms !== null && typeof rooms === 'object') {
+            var roomNames = Object.keys(rooms);
+            for (var i = 0; i < roomNames.length; i++) {
+                var joinError = roomAccess.getJoinError(roomNames[i], getConnectionPasscode(connectionObj, roomNames[i]),
+                                                 getRoomOccupantCount(connectionObj.getApp(), roomNames[i]));
+                if (joinError !== null) {
+                    easyrtc.util.logInfo('[' + connectionObj.getEasyrtcid() + '] Rejected join of room ' +
+                                         roomNames[i] + ': ' + joinError.errorCode);
+                    easyrtc.util.sendSocketCallbackMsg(connectionObj.getEasyrtcid(), socketCallback, {
+                        msgType: 'error',
+                        serverTime: Date.now(),
+                        msgData: joinError
+                    }, connectionObj.getApp());
+
+                    next(null);
+                    return;
+                }
+            }
+        }
+
+        easyrtc.events.defaultListeners.msgTypeRoomJoin(connectionObj, rooms, socketCallback, next);
+    });
+
+    // Every join (including rooms requested while authenticating) ends up here, so this is the
+    // authoritative check. The listener above only exists to report a friendlier error code.
+    easyrtc.events.on('roomJoin', function(connectionObj, roomName, roomParameter, callback) {
+        var passcode = getConnectionPasscode(connectionObj, roomName);
+        var occupantCount = getRoomOccupantCount(connectionObj.getApp(), roomName);
+
+        var joinError = roomAccess.getJoinError(roomName, passcode, occupantCount);
+        if (joinError !== null) {
+            callback(new easyrtc.util.ConnectionError(joinError.errorText));
+            return;
+        }
+
+        roomAccess.claimPasscode(roomName, passcode, occupantCount);
+        easyrtc.events.defaultListeners.roomJoin(connectionObj, roomName, roomParameter, function(err, roomObj) {
+            if (!err) {
+                var easyrtcid = connectionObj.getEasyrtcid();
+                roomConnections[easyrtcid] = connectionObj;
+                roomModeration.join(roomName, easyrtcid, roomAccess.isModeratorPasscode(roomName, passcode));
+            }
+
+            callback(err, roomObj);
+        });
+    });
+
+    easyrtc.events.on('roomLeave', function(connectionObj, roomName, next) {
+        easyrtc.events.defaultListeners.roomLeave(connectionObj, roomName, function(err) {
+            delete roomConnections[connectionObj.getEasyrtcid()];
+            roomModeration.leave(connectionObj.getEasyrtcid());
+
+            // Forget the passcode of a room once the last person leaves it
+            if (getRoomOccupantCount(connectionObj.getApp(), roomName) === 0) {
+                roomAccess.forgetPasscode(roomName);
+            }
+
+            if (typeof next === 'function') {
+                next(err);
+            }
+        });
+    });
+
+    // Only moderators may send the control messages, some of which are carried out here (see lib/moderation.js)
+    easyrtc.events.on('easyrtcMsg', function(connectionObj, msg, socketCallback, next) {
+        if (msg === null || typeof msg !== 'object' || typeof socketCallback !== 'function') {
+            easyrtc.events.defaultListeners.easyrtcMsg(connectionObj, msg, socketCallback, next);
+            return;
+        }
+
+        var easyrtcid = connectionObj.getEasyrtcid();
+        var check = roomModeration.checkMessage(easyrtcid, msg.msgType, msg.msgData, msg.targetEasyrtcid);
+        if (check.relay) {
+            easyrtc.events.defaultListeners.easyrtcMsg(connectionObj, msg, socketCallback, next);
+            return;
+        }
+
+        if (check.error !== null) {
+            easyrtc.util.sendSocketCallbackMsg(easyrtcid, socketCallback, {
+                msgType: 'error',
+                serverTime: Date.now(),
+                msgData: check.error
+            }, connectionObj.getApp());
+        } else {
+            easyrtc.util.sendSocketCallbackAck(easyrtcid, socketCallback, connectionObj.getApp());
+        }
+
+        next(null);
+    });
+
+    easyrtc.listen(tubertcApp, socketServer);
+};
+
+/**
+ * Sets up the signaling server of the "native" rtcBackend (see lib/signaling.js).
+ *
+ * @returns {Object} The SignalingServer.
+ * @private
+ */
+var listenWithSignaling = function() {
+    var signalingServer = null;
+
+    /**
+     * Logs a message of the signaling server (in debug mode only).
+     *
+     * @param {String} message - The message.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var log = function(message) {
+        if (debugMode) {
+            console.log(message);
+        }
+    };
+
+    roomModeration = new moderation.RoomModeration({
+        sendToPeer: function(peerId, msgType, msgData) {
+            signalingServer.sendToPeer(peerId, msgType, msgData);
+        },
+        removePeer: function(peerId) {
+            signalingServer.removePeer(peerId);
+        },
+        log: log
+    });
+
+    signalingServer = new signaling.SignalingServer(socketServer, {
+        getIceServers: function(peerId) {
+            return getIceServers(iceServers, peerId);
+        },
+        getJoinError: function(roomName, passcode, occupantCount) {
+            return roomAccess.getJoinError(roomName, passcode, occupantCount);
+        },
+        onJoin: function(roomName, passcode, occupantCount, peerId) {
+            roomAccess.claimPasscode(roomName, passcode, occupantCount);
+            roomModeration.join(roomName, peerId, roomAccess.isModeratorPasscode(roomName, passcode));
+        },
+        onLeave: function(roomName, peerId) {
+            roomModeration.leave(peerId);
+        },
+        onRoomEmpty: function(roomName) {
+            // Forget the passcode of a room once the last person leaves it
+            roomAccess.forgetPasscode(roomName);
+        },
+        checkMessage: function(peerId, msgType, msgData, to) {
+            return roomModeration.checkMessage(peerId, msgType, msgData, to);
+        },
+        log: log
+    });
+
+    return signalingServer;
+};
+
+if (rtcBackend === 'easyrtc') {
+    listenWithEasyrtc();
+} else {
+    listenWithSignaling();
+}
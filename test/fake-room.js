@@ -0,0 +1,318 @@
+/**
+ * @file Drives the page headlessly through a call with synthetic users (see
+ * public/js/backend-fake.js): joining, muting, layout changes and leaving.
+ *
+ * The synthetic users do not follow their script on their own here: each test
+ * sets the script and takes its steps (see VTCBackend._runStep), so that what
+ * happens does not depend on timing.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var browser = require('./support/browser');
+
+describe('fake room', function() {
+    var server = null;
+    var page = null;
+    var window = null;
+    var $ = null;
+
+    this.timeout(20000);
+
+    /**
+     * Gets the text of the chat history.
+     *
+     * @returns {String} The text, with its white space collapsed.
+     * @private
+     */
+    var chatText = function() {
+        return $('.chatHistoryPane').text().replace(/\s+/g, ' ');
+    };
+
+    /**
+     * Finds the viewport of a user.
+     *
+     * @param {String} userName - The name of the user.
+     * @returns {Object} A jQuery selector of their .trtc_viewport (empty if none).
+     * @private
+     */
+    var viewportOf = function(userName) {
+        return $('.trtc_viewport').filter(function() {
+            return $(this).find('.trtc_label').text() === userName;
+        });
+    };
+
+    /**
+     * Tells whether an element is shown.
+     *
+     * @param {Object} elem - A jQuery selector.
+     * @returns {Boolean} True if it is, false if it is hidden.
+     * @private
+     */
+    var isShown = function(elem) {
+        return elem.length > 0 && elem.css('display') !== 'none';
+    };
+
+    /**
+     * Makes the synthetic users take steps of their script.
+     *
+     * @param {Array<String>} script - The steps (see VTCBackend.config.script).
+     * @param {Number} peerIndex - Index (in the room) of the user taking the first step.
+     * @returns {undefined} undefined
+     * @private
+     */
+    var runScript = function(script, peerIndex) {
+        var backend = window.VTCBackend;
+
+        for (var i = 0; i < script.length; i++) {
+            backend._step = i * backend.getRoomOccupants(backend._roomName).length + peerIndex;
+            backend.config.script = [script[i]];
+            backend._runStep();
+        }
+    };
+
+    before(function() {
+        return new Promise(function(resolve, reject) {
+            browser.startServer(function(err, startedServer) {
+                if (err !== null) {
+                    reject(err);
+                    return;
+                }
+
+                server = startedServer;
+                resolve(browser.openPage(server.baseUrl + '/?room=demo&fakePeers=2'));
+            });
+        }).then(function(openedPage) {
+            page = openedPage;
+            window = page.window;
+            $ = window.jQuery;
+
+            // Quick replies, and no script steps unless a test takes them
+            $.extend(window.VTCBackend.config, {
+                latency: 10,
+                typingTime: 10,
+                talkTime: 100,
+                talkLevelInterval: 20,
+                stepInterval: 3600 * 1000
+            });
+
+            return browser.waitFor(function() {
+                return window.Lobby._stream !== null;
+            }, 'the camera preview');
+        });
+    });
+
+    after(function() {
+        if (page !== null) {
+            page.close();
+        }
+
+        if (server !== null) {
+            server.stop();
+        }
+    });
+
+    afterEach(function() {
+        assert.deepStrictEqual(page.errors, []);
+    });
+
+    it('joins the room with the synthetic users', function() {
+        $('#userNameEntry').val('Tester');
+        $('#joinBtn').click();
+
+        return browser.waitFor(function() {
+            return $('.trtc_viewport').length === 3 && viewportOf('Grace').length === 1;
+        }, 'the viewports of the synthetic users').then(function() {
+            assert.strictEqual(viewportOf('Ada').length, 1);
+            assert.strictEqual(window.location.search, '?room=demo');
+            assert.ok(chatText().indexOf('Ada has entered demo.') !== -1);
+            assert.ok(chatText().indexOf('Grace has entered demo.') !== -1);
+            assert.ok(chatText().indexOf('You are a moderator of this room') !== -1);
+        });
+    });
+
+    it('shows when a synthetic user mutes themselves', function() {
+        var muteIcon = viewportOf('Ada').find('.trtc_muted');
+        assert.ok(!isShown(muteIcon));
+
+        runScript(['mic'], 0);
+
+        return browser.waitFor(function() {
+            return isShown(muteIcon);
+        }, 'the mute icon of Ada').then(function() {
+            runScript(['mic'], 0);
+            return browser.waitFor(function() {
+                return !isShown(muteIcon);
+            }, 'the mute icon of Ada to go away');
+        });
+    });
+
+    it('mutes a synthetic user from the moderator menu', function() {
+        var viewport = viewportOf('Grace');
+        var muteItem = viewport.find('.trtc_moderate_menu li').filter(function() {
+            return $(this).text() === 'Mute';
+        });
+
+        assert.strictEqual(muteItem.length, 1);
+        muteItem.click();
+
+        return browser.waitFor(function() {
+            return isShown(viewport.find('.trtc_muted'));
+        }, 'the mute icon of Grace').then(function() {
+            assert.strictEqual(window.VTCBackend._peers['fake-1'].mic, false);
+        });
+    });
+
+    it('ignores moderator messages from users who do not moderate', function() {
+        var backend = window.VTCBackend;
+
+        backend._sendFrom('fake-0', 'mic-control', { enabled: false });
+        backend._sendFrom('fake-0', 'spotlight', { peerId: 'fake-0' });
+
+        return new Promise(function(resolve) {
+            setTimeout(resolve, 100);
+        }).then(function() {
+            assert.strictEqual(backend.getLocalStream().getAudioTracks()[0].enabled, true);
+            assert.ok(chatText().indexOf('muted your microphone') === -1);
+            assert.ok(chatText().indexOf('put the spotlight on') === -1);
+        });
+    });
+
+    it('tells us in the chat when the server rejects a moderator message', function() {
+        var backend = window.VTCBackend;
+        var sendPeerMessage = backend.sendPeerMessage;
+
+        // As if we had lost the moderation of the room while the message was on its way
+        backend.sendPeerMessage = function(dest, msgType, msgData, successFn, failureFn) {
+            failureFn('MSG_REJECT_NOT_MODERATOR', 'Only moderators may send "' + msgType + '" messages');
+            return true;
+        };
+
+        try {
+            window.VTCCore.client.sendPeerMessage({ room: 'demo' }, 'room-lock', { locked: true });
+        } finally {
+            backend.sendPeerMessage = sendPeerMessage;
+        }
+
+        assert.ok(chatText().indexOf('Only the moderators of the room can lock the room.') !== -1);
+        assert.strictEqual($('#modalDialogTitle').text(), '');
+    });
+
+    it('mutes our microphone and camera', function() {
+        var stream = window.VTCBackend.getLocalStream();
+
+        $('#micBtn').click();
+        assert.strictEqual(stream.getAudioTracks()[0].enabled, false);
+
+        $('#cameraBtn').click();
+        assert.strictEqual(stream.getVideoTracks()[0].enabled, false);
+
+        $('#micBtn').click();
+        $('#cameraBtn').click();
+        assert.strictEqual(stream.getAudioTracks()[0].enabled, true);
+        assert.strictEqual(stream.getVideoTracks()[0].enabled, true);
+    });
+
+    it('switches between the dashboard and hangouts layouts', function() {
+        var rowSizes = function() {
+            return $('#trtc_dashboard').children().map(function() {
+                return $(this).children('.trtc_viewport').length;
+            }).get();
+        };
+
+        assert.strictEqual(window.trtcDash.hangoutsMode, false);
+
+        $('#dashBtn').click();
+        assert.strictEqual(window.trtcDash.hangoutsMode, true);
+        assert.deepStrictEqual(Array.from(rowSizes()), [1, 2]);
+
+        $('#dashBtn').click();
+        assert.strictEqual(window.trtcDash.hangoutsMode, false);
+        assert.strictEqual(rowSizes().reduce(function(sum, size) {
+            return sum + size;
+        }, 0), 3);
+    });
+
+    it('keeps the viewport controls working across layout changes', function() {
+        var localMuteIcon = viewportOf('Ada').find('.trtc_local_mute');
+
+        for (var i = 0; i < 4; i++) {
+            $('#dashBtn').click();
+        }
+
+        localMuteIcon.click();
+        assert.strictEqual(localMuteIcon.hasClass('trtc_local_mute_muted'), true);
+        localMuteIcon.click();
+        assert.strictEqual(localMuteIcon.hasClass('trtc_local_mute_muted'), false);
+
+        viewportOf('Grace').find('.trtc_pin').click();
+        assert.strictEqual(window.trtcDash.isPinned(window.trtcDash.viewportArray.filter(function(viewport) {
+            return viewport.nameLabel !== null && viewport.nameLabel.text() === 'Grace';
+        })[0]), true);
+
+        viewportOf('Grace').find('.trtc_pin').click();
+        assert.strictEqual(window.trtcDash.hasStage(), false);
+    });
+
+    it('keeps receiving the video on the stage in low bandwidth mode', function() {
+        var isPaused = function(userName) {
+            return viewportOf(userName).find('.trtc_view').hasClass('trtc_video_paused');
+        };
+
+        $('#dashBtn').click();
+        $('#lowBwBtn').click();
+        assert.strictEqual(isPaused('Ada'), false);
+        assert.strictEqual(isPaused('Grace'), true);
+
+        viewportOf('Grace').find('.trtc_pin').click();
+        assert.strictEqual(window.trtcDash.hasStage(), true);
+        assert.strictEqual(isPaused('Ada'), true);
+        assert.strictEqual(isPaused('Grace'), false);
+
+        viewportOf('Grace').find('.trtc_pin').click();
+        $('#lowBwBtn').click();
+        $('#dashBtn').click();
+        assert.strictEqual(isPaused('Ada'), false);
+        assert.strictEqual(isPaused('Grace'), false);
+    });
+
+    it('adds a viewport when a synthetic user joins', function() {
+        runScript(['join'], 0);
+
+        return browser.waitFor(function() {
+            return viewportOf('Alan').length === 1;
+        }, 'the viewport of Alan').then(function() {
+            assert.strictEqual($('.trtc_viewport').length, 4);
+            assert.ok(chatText().indexOf('Alan has entered demo.') !== -1);
+        });
+    });
+
+    it('removes the viewport of a synthetic user who leaves', function() {
+        runScript(['leave'], 0);
+
+        return browser.waitFor(function() {
+            return viewportOf('Ada').length === 0;
+        }, 'the viewport of Ada to go away').then(function() {
+            assert.strictEqual($('.trtc_viewport').length, 3);
+            assert.ok(chatText().indexOf('Ada has left demo.') !== -1);
+        });
+    });
+
+    it('hangs up and tears the room down', function() {
+        $('#hangupBtn').click();
+
+        return browser.waitFor(function() {
+            return isShown($('#postCallContent'));
+        }, 'the post-call screen').then(function() {
+            var backend = window.VTCBackend;
+
+            assert.strictEqual($('#postCallMsg').text(), 'You left demo.');
+            assert.strictEqual($('.trtc_viewport').length, 0);
+            assert.strictEqual(backend._roomName, null);
+            assert.strictEqual(backend._scriptTimer, null);
+            assert.strictEqual(backend._timeouts.length, 0);
+            assert.strictEqual(backend.getRoomOccupants('demo').length, 0);
+        });
+    });
+});
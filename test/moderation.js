@@ -0,0 +1,241 @@
+/**
+ * @file Tests for lib/moderation.js, recording what it sends to the users
+ * instead of sending it.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var moderation = require('../lib/moderation');
+
+/**
+ * Wraps the contents of a peer message in its envelope (see public/js/messages.js).
+ *
+ * @param {Object} data - The contents.
+ * @returns {Object} The envelope.
+ * @private
+ */
+var envelope = function(data) {
+    return { data: data };
+};
+
+/**
+ * Creates the moderation of the rooms, recording the messages it sends and the users it removes.
+ *
+ * @returns {Object} Object of the form { moderation, sent : Array<Object>, removed : Array<String> }.
+ * @private
+ */
+var createModeration = function() {
+    var created = {
+        sent: [],
+        removed: []
+    };
+
+    created.moderation = new moderation.RoomModeration({
+        sendToPeer: function(peerId, msgType, msgData) {
+            created.sent.push({ peerId: peerId, msgType: msgType, msgData: msgData });
+        },
+        removePeer: function(peerId) {
+            created.removed.push(peerId);
+        },
+        log: function() {}
+    });
+
+    return created;
+};
+
+/**
+ * Gets the last 'moderation' message a user got.
+ *
+ * @param {Object} created - The result of createModeration.
+ * @param {String} peerId - The peer ID of the user.
+ * @returns {Object|null} Its contents, null if there is none.
+ * @private
+ */
+var lastState = function(created, peerId) {
+    var messages = created.sent.filter(function(sent) {
+        return sent.peerId === peerId && sent.msgType === 'moderation';
+    });
+
+    return (messages.length === 0) ? null : messages[messages.length - 1].msgData;
+};
+
+/**
+ * Gets the error code of RoomModeration.checkMessage.
+ *
+ * @param {Object} check - The result of checkMessage.
+ * @returns {String|null} The code, null if the message was accepted.
+ * @private
+ */
+var errorCode = function(check) {
+    return (check.error === null) ? null : check.error.errorCode;
+};
+
+describe('moderation', function() {
+    describe('join', function() {
+        it('makes the first user a moderator', function() {
+            var created = createModeration();
+
+            created.moderation.join('demo', 'ada', false);
+            created.moderation.join('demo', 'grace', false);
+
+            assert.strictEqual(created.moderation.isModerator('ada'), true);
+            assert.strictEqual(created.moderation.isModerator('grace'), false);
+            assert.deepStrictEqual(lastState(created, 'grace'), { moderators: ['ada'], locked: false });
+            assert.deepStrictEqual(lastState(created, 'ada'), { moderators: ['ada'], locked: false });
+        });
+
+        it('makes users with the moderator passcode moderators', function() {
+            var created = createModeration();
+
+            created.moderation.join('demo', 'ada', false);
+            created.moderation.join('demo', 'grace', false);
+            created.moderation.join('demo', 'alan', true);
+
+            assert.strictEqual(created.moderation.isModerator('alan'), true);
+            assert.deepStrictEqual(lastState(created, 'grace').moderators, ['ada', 'alan']);
+        });
+
+        it('keeps rooms and users named after Object properties apart', function() {
+            var created = createModeration();
+
+            created.moderation.join('__proto__', 'constructor', false);
+            created.moderation.join('hasOwnProperty', 'toString', false);
+
+            assert.strictEqual(created.moderation.isModerator('constructor'), true);
+            assert.strictEqual(created.moderation.isModerator('toString'), true);
+            assert.strictEqual(created.moderation.isModerator('valueOf'), false);
+            assert.strictEqual(created.moderation.isLocked('toString'), false);
+
+            created.moderation.leave('valueOf');
+            created.moderation.leave('constructor');
+            assert.strictEqual(created.moderation.isModerator('constructor'), false);
+            assert.strictEqual(created.moderation.isModerator('toString'), true);
+        });
+    });
+
+    describe('leave', function() {
+        it('hands the room to the user who has been in it the longest', function() {
+            var created = createModeration();
+
+            created.moderation.join('demo', 'ada', false);
+            created.moderation.join('demo', 'grace', false);
+            created.moderation.join('demo', 'alan', false);
+            created.moderation.leave('ada');
+
+            assert.strictEqual(created.moderation.isModerator('grace'), true);
+            assert.strictEqual(created.moderation.isModerator('alan'), false);
+            assert.deepStrictEqual(lastState(created, 'alan').moderators, ['grace']);
+        });
+
+        it('does not hand the room over while a moderator remains', function() {
+            var created = createModeration();
+
+            created.moderation.join('demo', 'ada', false);
+            created.moderation.join('demo', 'grace', false);
+            created.moderation.join('demo', 'alan', true);
+            created.moderation.leave('ada');
+
+            assert.strictEqual(created.moderation.isModerator('grace'), false);
+            assert.deepStrictEqual(lastState(created, 'grace').moderators, ['alan']);
+        });
+
+        it('forgets empty rooms and unlocks them', function() {
+            var created = createModeration();
+
+            created.moderation.join('demo', 'ada', false);
+            created.moderation.checkMessage('ada', 'room-lock', envelope({ locked: true }));
+            assert.strictEqual(created.moderation.isLocked('demo'), true);
+
+            created.moderation.leave('ada');
+            assert.strictEqual(created.moderation.isLocked('demo'), false);
+            assert.strictEqual(created.moderation.isModerator('ada'), false);
+
+            created.moderation.join('demo', 'grace', false);
+            assert.strictEqual(created.moderation.isModerator('grace'), true);
+        });
+    });
+
+    describe('checkMessage', function() {
+        it('relays the messages anybody may send', function() {
+            var created = createModeration();
+
+            created.moderation.join('demo', 'ada', false);
+            created.moderation.join('demo', 'grace', false);
+
+            assert.deepStrictEqual(created.moderation.checkMessage('grace', 'chat-msg', envelope({})),
+                                   { error: null, relay: true });
+        });
+
+        it('rejects the messages of moderators sent by other users', function() {
+            var created = createModeration();
+
+            created.moderation.join('demo', 'ada', false);
+            created.moderation.join('demo', 'grace', false);
+
+            ['mic-control', 'spotlight', 'kick', 'room-lock'].forEach(function(msgType) {
+                var check = created.moderation.checkMessage('grace', msgType, envelope({ locked: true }), 'ada');
+                assert.strictEqual(errorCode(check), 'MSG_REJECT_NOT_MODERATOR', msgType);
+                assert.strictEqual(check.relay, false, msgType);
+            });
+
+            assert.strictEqual(created.moderation.isLocked('demo'), false);
+            assert.deepStrictEqual(created.removed, []);
+        });
+
+        it('relays the mute requests and spotlights of moderators', function() {
+            var created = createModeration();
+
+            created.moderation.join('demo', 'ada', false);
+            created.moderation.join('demo', 'grace', false);
+
+            var mute = created.moderation.checkMessage('ada', 'mic-control', envelope({ enabled: false }), 'grace');
+            var spotlight = created.moderation.checkMessage('ada', 'spotlight', envelope({ peerId: 'grace' }));
+
+            assert.deepStrictEqual(mute, { error: null, relay: true });
+            assert.deepStrictEqual(spotlight, { error: null, relay: true });
+        });
+
+        it('locks and unlocks the room of a moderator', function() {
+            var created = createModeration();
+
+            created.moderation.join('demo', 'ada', false);
+            created.moderation.join('demo', 'grace', false);
+
+            var check = created.moderation.checkMessage('ada', 'room-lock', envelope({ locked: true }));
+            assert.deepStrictEqual(check, { error: null, relay: false });
+            assert.strictEqual(created.moderation.isLocked('demo'), true);
+            assert.strictEqual(created.moderation.isLocked('other'), false);
+            assert.deepStrictEqual(lastState(created, 'grace'), { moderators: ['ada'], locked: true });
+
+            created.moderation.checkMessage('ada', 'room-lock', envelope({ locked: false }));
+            assert.strictEqual(created.moderation.isLocked('demo'), false);
+
+            var invalid = created.moderation.checkMessage('ada', 'room-lock', envelope({ locked: 'yes' }));
+            assert.strictEqual(errorCode(invalid), 'MSG_REJECT_BAD_STRUCTURE');
+            assert.strictEqual(created.moderation.isLocked('demo'), false);
+        });
+
+        it('removes users of the room of a moderator only', function() {
+            var created = createModeration();
+
+            created.moderation.join('demo', 'ada', false);
+            created.moderation.join('demo', 'grace', false);
+            created.moderation.join('other', 'alan', false);
+
+            var check = created.moderation.checkMessage('ada', 'kick', envelope({}), 'grace');
+            assert.deepStrictEqual(check, { error: null, relay: false });
+            assert.deepStrictEqual(created.removed, ['grace']);
+            assert.deepStrictEqual(created.sent[created.sent.length - 1],
+                                   { peerId: 'grace', msgType: 'kicked', msgData: { by: 'ada' } });
+
+            var targets = ['alan', 'ada', undefined, 'nobody'];
+            targets.forEach(function(targetPeerId) {
+                check = created.moderation.checkMessage('ada', 'kick', envelope({}), targetPeerId);
+                assert.strictEqual(errorCode(check), 'MSG_REJECT_TARGET_EASYRTCID', String(targetPeerId));
+            });
+
+            assert.deepStrictEqual(created.removed, ['grace']);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * @file Tests for lib/rooms.js.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var rooms = require('../lib/rooms');
+
+/**
+ * Creates the checks of the room joins, with a few configured rooms.
+ *
+ * @param {Array<String>} lockedRooms - The names of the locked rooms (optional).
+ * @returns {Object} The RoomAccess.
+ * @private
+ */
+var createAccess = function(lockedRooms) {
+    return new rooms.RoomAccess({
+        maxParticipantsPerRoom: 15,
+        roomParticipantLimits: { townhall: 30, huddle: 2 },
+        protectedRooms: { board: 'secret' },
+        moderatorPasscodes: { board: 'chair', lobby: 'chair' },
+        isLocked: function(roomName) {
+            return (lockedRooms || []).indexOf(roomName) !== -1;
+        }
+    });
+};
+
+/**
+ * Gets the error code of a join.
+ *
+ * @param {Object} access - The RoomAccess.
+ * @param {String} roomName - The RTC room name.
+ * @param {String|null} passcode - The passcode provided by the user.
+ * @param {Number} occupantCount - The amount of participants already in the room.
+ * @returns {String|null} The error code, null if the user may join.
+ * @private
+ */
+var joinErrorCode = function(access, roomName, passcode, occupantCount) {
+    var joinError = access.getJoinError(roomName, passcode, occupantCount);
+    return (joinError === null) ? null : joinError.errorCode;
+};
+
+describe('rooms', function() {
+    describe('passcodesMatch', function() {
+        it('matches equal passcodes only', function() {
+            assert.strictEqual(rooms.passcodesMatch('secret', 'secret'), true);
+            assert.strictEqual(rooms.passcodesMatch('secret', 'Secret'), false);
+            assert.strictEqual(rooms.passcodesMatch('secret', 'secret2'), false);
+            assert.strictEqual(rooms.passcodesMatch('secret', ''), false);
+        });
+
+        it('does not match a missing passcode', function() {
+            assert.strictEqual(rooms.passcodesMatch('', null), false);
+        });
+    });
+
+    describe('getJoinError', function() {
+        it('lets anybody into an unprotected room', function() {
+            var access = createAccess();
+
+            assert.strictEqual(joinErrorCode(access, 'demo', null, 0), null);
+            assert.strictEqual(joinErrorCode(access, 'demo', 'whatever', 3), null);
+        });
+
+        it('turns a room away once it holds maxParticipantsPerRoom participants', function() {
+            var access = createAccess();
+
+            assert.strictEqual(joinErrorCode(access, 'demo', null, 14), null);
+            assert.strictEqual(joinErrorCode(access, 'demo', null, 15), 'ROOM_FULL');
+        });
+
+        it('applies the limits of roomParticipantLimits', function() {
+            var access = createAccess();
+
+            assert.strictEqual(joinErrorCode(access, 'townhall', null, 29), null);
+            assert.strictEqual(joinErrorCode(access, 'townhall', null, 30), 'ROOM_FULL');
+            assert.strictEqual(joinErrorCode(access, 'huddle', null, 2), 'ROOM_FULL');
+        });
+
+        it('requires the passcode of protectedRooms', function() {
+            var access = createAccess();
+
+            assert.strictEqual(joinErrorCode(access, 'board', null, 0), 'ROOM_BAD_PASSCODE');
+            assert.strictEqual(joinErrorCode(access, 'board', 'wrong', 0), 'ROOM_BAD_PASSCODE');
+            assert.strictEqual(joinErrorCode(access, 'board', 'secret', 0), null);
+        });
+
+        it('lets the moderator passcode into protected and locked rooms', function() {
+            var access = createAccess(['board', 'lobby']);
+
+            assert.strictEqual(joinErrorCode(access, 'board', 'secret', 0), 'ROOM_LOCKED');
+            assert.strictEqual(joinErrorCode(access, 'board', 'chair', 0), null);
+            assert.strictEqual(joinErrorCode(access, 'lobby', null, 1), 'ROOM_LOCKED');
+            assert.strictEqual(joinErrorCode(access, 'lobby', 'chair', 1), null);
+        });
+
+        it('still applies the limit to moderators', function() {
+            var access = createAccess();
+
+            assert.strictEqual(joinErrorCode(access, 'lobby', 'chair', 15), 'ROOM_FULL');
+        });
+    });
+
+    describe('claimPasscode', function() {
+        it('protects a room with the passcode of the first joiner', function() {
+            var access = createAccess();
+
+            access.claimPasscode('demo', 'mine', 0);
+            assert.strictEqual(access.getPasscode('demo'), 'mine');
+            assert.strictEqual(joinErrorCode(access, 'demo', null, 1), 'ROOM_BAD_PASSCODE');
+            assert.strictEqual(joinErrorCode(access, 'demo', 'mine', 1), null);
+        });
+
+        it('ignores the passcodes of later joiners', function() {
+            var access = createAccess();
+
+            access.claimPasscode('demo', 'late', 1);
+            assert.strictEqual(access.getPasscode('demo'), null);
+
+            access.claimPasscode('demo', 'mine', 0);
+            access.claimPasscode('demo', 'other', 0);
+            assert.strictEqual(access.getPasscode('demo'), 'mine');
+        });
+
+        it('does not replace the passcode of protectedRooms or reveal the moderator passcode', function() {
+            var access = createAccess();
+
+            access.claimPasscode('board', 'mine', 0);
+            assert.strictEqual(access.getPasscode('board'), 'secret');
+
+            access.claimPasscode('lobby', 'chair', 0);
+            assert.strictEqual(access.getPasscode('lobby'), null);
+        });
+
+        it('forgets the passcode once the room empties', function() {
+            var access = createAccess();
+
+            access.claimPasscode('demo', 'mine', 0);
+            access.forgetPasscode('demo');
+            assert.strictEqual(access.getPasscode('demo'), null);
+            assert.strictEqual(joinErrorCode(access, 'demo', null, 0), null);
+        });
+
+        it('keeps rooms named after Object properties apart', function() {
+            var access = createAccess();
+
+            access.claimPasscode('hasOwnProperty', 'mine', 0);
+            access.claimPasscode('__proto__', 'mine', 0);
+            assert.strictEqual(access.getPasscode('hasOwnProperty'), 'mine');
+            assert.strictEqual(access.getPasscode('__proto__'), 'mine');
+            assert.strictEqual(access.getPasscode('demo'), null);
+            assert.strictEqual(joinErrorCode(access, 'constructor', null, 0), null);
+            assert.strictEqual(joinErrorCode(access, 'toString', null, 0), null);
+        });
+    });
+});
@@ -0,0 +1,383 @@
+/**
+ * @file Tests for lib/signaling.js, with stand-ins for the socket.io server
+ * and the sockets of the clients.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var signaling = require('../lib/signaling');
+
+/**
+ * A stand-in for the socket.io socket of a client: it keeps the handlers the
+ * server sets and the events the server emits.
+ *
+ * @class
+ */
+var FakeSocket = function() {
+    this.handlers = {};
+    this.emitted = [];
+    this.disconnected = false;
+};
+
+/**
+ * Sets the handler of an event of the client.
+ *
+ * @param {String} eventName - The event.
+ * @param {Function} handlerFn - The handler.
+ * @returns {undefined} undefined
+ * @public
+ */
+FakeSocket.prototype.on = function(eventName, handlerFn) {
+    this.handlers[eventName] = handlerFn;
+};
+
+/**
+ * Emits an event to the client.
+ *
+ * @param {String} eventName - The event.
+ * @param {*} data - Its contents.
+ * @returns {undefined} undefined
+ * @public
+ */
+FakeSocket.prototype.emit = function(eventName, data) {
+    this.emitted.push({ eventName: eventName, data: data });
+};
+
+/**
+ * Disconnects the client.
+ *
+ * @returns {undefined} undefined
+ * @public
+ */
+FakeSocket.prototype.disconnect = function() {
+    this.disconnected = true;
+    this.handlers.disconnect();
+};
+
+/**
+ * Sends an event of the client to the server.
+ *
+ * @param {String} eventName - The event (see the top of lib/signaling.js).
+ * @param {*} data - Its contents.
+ * @returns {Array} The arguments of the acknowledgement.
+ * @public
+ */
+FakeSocket.prototype.send = function(eventName, data) {
+    var ackArgs = null;
+    this.handlers[eventName](data, function() {
+        ackArgs = Array.prototype.slice.call(arguments);
+    });
+
+    return ackArgs;
+};
+
+/**
+ * Takes the events the server emitted to the client so far.
+ *
+ * @param {String} eventName - The event.
+ * @returns {Array} Their contents.
+ * @public
+ */
+FakeSocket.prototype.take = function(eventName) {
+    var taken = this.emitted.filter(function(event) {
+        return event.eventName === eventName;
+    }).map(function(event) {
+        return event.data;
+    });
+
+    this.emitted = this.emitted.filter(function(event) {
+        return event.eventName !== eventName;
+    });
+
+    return taken;
+};
+
+/**
+ * Creates a signaling server letting everybody in, and records what it reports.
+ *
+ * @returns {Object} Object of the form { server, connect : function() : FakeSocket, events : Array<String> }.
+ * @private
+ */
+var createServer = function() {
+    var connectionFn = null;
+    var events = [];
+
+    var socketServer = {
+        of: function() {
+            return {
+                on: function(eventName, handlerFn) {
+                    connectionFn = handlerFn;
+                }
+            };
+        }
+    };
+
+    var server = new signaling.SignalingServer(socketServer, {
+        getIceServers: function() {
+            return [{ urls: 'stun:stun.example.com' }];
+        },
+        getJoinError: function(roomName, passcode, occupantCount) {
+            return (occupantCount >= 3) ? { errorCode: 'ROOM_FULL', errorText: 'Full' } : null;
+        },
+        onJoin: function(roomName, passcode, occupantCount, peerId) {
+            events.push('join ' + roomName + ' ' + occupantCount + ' ' + peerId);
+        },
+        onLeave: function(roomName, peerId) {
+            events.push('leave ' + roomName + ' ' + peerId);
+        },
+        onRoomEmpty: function(roomName) {
+            events.push('empty ' + roomName);
+        },
+        checkMessage: function(peerId, msgType) {
+            if (msgType === 'forbidden') {
+                return { relay: false, error: { errorCode: 'MSG_REJECT_NOT_MODERATOR', errorText: 'No' } };
+            }
+
+            return { relay: true, error: null };
+        },
+        log: function() {}
+    });
+
+    return {
+        server: server,
+        connect: function() {
+            var socket = new FakeSocket();
+            connectionFn(socket);
+            return socket;
+        },
+        events: events
+    };
+};
+
+/**
+ * Connects a client and joins a room.
+ *
+ * @param {Object} created - The result of createServer.
+ * @param {String} userName - The name of the user.
+ * @param {String} roomName - The RTC room name.
+ * @returns {FakeSocket} The socket of the client (its peerId is the one the server gave it).
+ * @private
+ */
+var joinAs = function(created, userName, roomName) {
+    var socket = created.connect();
+    var ackArgs = socket.send('join', { userName: userName, roomName: roomName });
+
+    assert.strictEqual(ackArgs[0], null);
+    assert.strictEqual(socket.peerId, ackArgs[1].peerId);
+    return socket;
+};
+
+/**
+ * Gets the error code of an acknowledgement.
+ *
+ * @param {Object|null} error - The error passed to the acknowledgement.
+ * @returns {String|null} Its code, null if there is no error.
+ * @private
+ */
+var errorCode = function(error) {
+    return (error === null) ? null : error.errorCode;
+};
+
+describe('signaling', function() {
+    describe('join', function() {
+        it('tells the users of the room about each other', function() {
+            var created = createServer();
+            var ada = joinAs(created, 'Ada', 'demo');
+
+            var grace = created.connect();
+            var ackArgs = grace.send('join', { userName: 'Grace', roomName: 'demo', passcode: '' });
+            var peers = {};
+            peers[ada.peerId] = 'Ada';
+
+            assert.strictEqual(ackArgs[0], null);
+            assert.deepStrictEqual(ackArgs[1].peers, peers);
+            assert.deepStrictEqual(ackArgs[1].iceServers, [{ urls: 'stun:stun.example.com' }]);
+            assert.deepStrictEqual(ada.take('peer-joined'), [{ peerId: ackArgs[1].peerId, userName: 'Grace' }]);
+            assert.deepStrictEqual(created.events, [
+                'join demo 0 ' + ada.peerId,
+                'join demo 1 ' + ackArgs[1].peerId
+            ]);
+        });
+
+        it('refuses a second join', function() {
+            var created = createServer();
+            var ada = joinAs(created, 'Ada', 'demo');
+
+            assert.strictEqual(errorCode(ada.send('join', { userName: 'Ada', roomName: 'other' })[0]), 'ALREADY_JOINED');
+        });
+
+        it('refuses the joins getJoinError turns away', function() {
+            var created = createServer();
+            joinAs(created, 'Ada', 'demo');
+            joinAs(created, 'Grace', 'demo');
+            joinAs(created, 'Alan', 'demo');
+
+            var late = created.connect();
+            assert.strictEqual(errorCode(late.send('join', { userName: 'Late', roomName: 'demo' })[0]), 'ROOM_FULL');
+            assert.strictEqual(late.take('peer-joined').length, 0);
+        });
+
+        it('accepts the room names easyrtc accepts', function() {
+            var created = createServer();
+            var roomNames = ['demo', 'Team_Room', 'v1.2-beta', new Array(33).join('a')];
+
+            roomNames.forEach(function(roomName) {
+                var ackArgs = created.connect().send('join', { userName: 'Ada', roomName: roomName });
+                assert.strictEqual(ackArgs[0], null, roomName);
+            });
+        });
+
+        it('rejects the room names easyrtc rejects and invalid requests', function() {
+            var created = createServer();
+            var requests = [
+                null,
+                'demo',
+                { userName: 'Ada' },
+                { userName: '', roomName: 'demo' },
+                { userName: 'Ada', roomName: '' },
+                { userName: 'Ada', roomName: 'two words' },
+                { userName: 'Ada', roomName: 'café' },
+                { userName: 'Ada', roomName: 'a/b' },
+                { userName: 'Ada', roomName: new Array(34).join('a') },
+                { userName: 'Ada', roomName: 42 }
+            ];
+
+            requests.forEach(function(request) {
+                var ackArgs = created.connect().send('join', request);
+                assert.strictEqual(errorCode(ackArgs[0]), 'MSG_REJECT_BAD_STRUCTURE', JSON.stringify(request));
+            });
+
+            assert.deepStrictEqual(created.events, []);
+        });
+
+        it('keeps rooms named after Object properties apart', function() {
+            var created = createServer();
+            var proto = joinAs(created, 'Ada', '__proto__');
+            var other = joinAs(created, 'Grace', 'constructor');
+            var demo = joinAs(created, 'Alan', 'demo');
+
+            assert.deepStrictEqual(Object.keys(created.server.rooms).sort(), ['__proto__', 'constructor', 'demo']);
+            assert.strictEqual(proto.take('peer-joined').length, 0);
+            assert.strictEqual(other.take('peer-joined').length, 0);
+            assert.strictEqual(demo.take('peer-joined').length, 0);
+        });
+    });
+
+    describe('relaying', function() {
+        it('relays signals to a user of the room only', function() {
+            var created = createServer();
+            var ada = joinAs(created, 'Ada', 'demo');
+            var grace = joinAs(created, 'Grace', 'demo');
+            var alan = joinAs(created, 'Alan', 'other');
+
+            ada.send('signal', { to: grace.peerId, data: { sdp: 'offer' } });
+            ada.send('signal', { to: alan.peerId, data: { sdp: 'offer' } });
+            ada.send('signal', { to: ada.peerId, data: { sdp: 'offer' } });
+            ada.send('signal', { to: grace.peerId, data: 'offer' });
+            ada.send('signal', { to: 'hasOwnProperty', data: { sdp: 'offer' } });
+
+            assert.deepStrictEqual(grace.take('signal'), [{ from: ada.peerId, data: { sdp: 'offer' } }]);
+            assert.strictEqual(alan.take('signal').length, 0);
+            assert.strictEqual(ada.take('signal').length, 0);
+        });
+
+        it('relays messages to a user or to the rest of the room', function() {
+            var created = createServer();
+            var ada = joinAs(created, 'Ada', 'demo');
+            var grace = joinAs(created, 'Grace', 'demo');
+            var alan = joinAs(created, 'Alan', 'demo');
+
+            assert.strictEqual(ada.send('message', { to: grace.peerId, msgType: 'chat', msgData: 'hi' })[0], null);
+            assert.deepStrictEqual(grace.take('message'), [{ from: ada.peerId, msgType: 'chat', msgData: 'hi' }]);
+            assert.strictEqual(alan.take('message').length, 0);
+
+            assert.strictEqual(ada.send('message', { room: 'demo', msgType: 'chat', msgData: 'all' })[0], null);
+            assert.strictEqual(grace.take('message').length, 1);
+            assert.strictEqual(alan.take('message').length, 1);
+            assert.strictEqual(ada.take('message').length, 0);
+        });
+
+        it('rejects messages to users and rooms the sender is not in', function() {
+            var created = createServer();
+            var ada = joinAs(created, 'Ada', 'demo');
+            var alan = joinAs(created, 'Alan', 'other');
+
+            var toUser = ada.send('message', { to: alan.peerId, msgType: 'chat', msgData: 'hi' })[0];
+            var toProto = ada.send('message', { to: '__proto__', msgType: 'chat', msgData: 'hi' })[0];
+            var toRoom = ada.send('message', { room: 'other', msgType: 'chat', msgData: 'hi' })[0];
+
+            assert.strictEqual(errorCode(toUser), 'MSG_REJECT_TARGET_EASYRTCID');
+            assert.strictEqual(errorCode(toProto), 'MSG_REJECT_TARGET_EASYRTCID');
+            assert.strictEqual(errorCode(toRoom), 'MSG_REJECT_TARGET_ROOM');
+            assert.strictEqual(alan.take('message').length, 0);
+        });
+
+        it('rejects messages checkMessage refuses and invalid messages', function() {
+            var created = createServer();
+            var ada = joinAs(created, 'Ada', 'demo');
+            var grace = joinAs(created, 'Grace', 'demo');
+
+            var refused = ada.send('message', { room: 'demo', msgType: 'forbidden', msgData: null })[0];
+            var invalid = ada.send('message', { room: 'demo', msgData: null })[0];
+
+            assert.strictEqual(errorCode(refused), 'MSG_REJECT_NOT_MODERATOR');
+            assert.strictEqual(errorCode(invalid), 'MSG_REJECT_BAD_STRUCTURE');
+            assert.strictEqual(grace.take('message').length, 0);
+        });
+
+        it('rejects messages before the sender joined', function() {
+            var created = createServer();
+            joinAs(created, 'Ada', 'demo');
+
+            var socket = created.connect();
+            var error = socket.send('message', { room: 'demo', msgType: 'chat', msgData: 'hi' })[0];
+
+            assert.strictEqual(errorCode(error), 'NOT_IN_ROOM');
+        });
+    });
+
+    describe('leaving', function() {
+        it('tells the rest of the room and forgets empty rooms', function() {
+            var created = createServer();
+            var ada = joinAs(created, 'Ada', 'demo');
+            var grace = joinAs(created, 'Grace', 'demo');
+
+            ada.handlers.disconnect();
+            assert.deepStrictEqual(grace.take('peer-left'), [{ peerId: ada.peerId }]);
+            assert.ok('demo' in created.server.rooms);
+
+            created.server.removePeer(grace.peerId);
+            assert.strictEqual(grace.disconnected, true);
+            assert.ok(!('demo' in created.server.rooms));
+            assert.deepStrictEqual(created.events.slice(2), [
+                'leave demo ' + ada.peerId,
+                'leave demo ' + grace.peerId,
+                'empty demo'
+            ]);
+        });
+
+        it('lets the user join again', function() {
+            var created = createServer();
+            var ada = joinAs(created, 'Ada', 'demo');
+
+            ada.handlers.disconnect();
+            assert.strictEqual(errorCode(ada.send('message', { room: 'demo', msgType: 'chat', msgData: 'hi' })[0]),
+                               'NOT_IN_ROOM');
+            assert.strictEqual(ada.send('join', { userName: 'Ada', roomName: 'other' })[0], null);
+        });
+
+        it('sends messages of the server to users still connected only', function() {
+            var created = createServer();
+            var ada = joinAs(created, 'Ada', 'demo');
+
+            created.server.sendToPeer(ada.peerId, 'moderator', { isModerator: true });
+            created.server.sendToPeer('constructor', 'moderator', { isModerator: true });
+            assert.deepStrictEqual(ada.take('server-message'), [{ msgType: 'moderator', msgData: { isModerator: true } }]);
+
+            ada.handlers.disconnect();
+            created.server.sendToPeer(ada.peerId, 'moderator', { isModerator: false });
+            assert.strictEqual(ada.take('server-message').length, 0);
+        });
+    });
+});
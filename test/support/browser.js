@@ -0,0 +1,364 @@
+/**
+ * @file Loads the tubertc page headlessly in jsdom, with the fake backend
+ * (see public/js/backend-fake.js). jsdom has no media, so this provides the
+ * few pieces of WebRTC, Web Audio and canvas the fake backend and the page
+ * touch. They carry no media: tracks only keep their state.
+ */
+
+'use strict';
+
+var childProcess = require('child_process');
+var fs = require('fs');
+var http = require('http');
+var jsdom = require('jsdom');
+var net = require('net');
+var os = require('os');
+var path = require('path');
+
+// Time to wait for the server to answer, and for the page to do something (in milliseconds)
+var kStartTimeout = 10000;
+var kWaitTimeout = 5000;
+var kPollInterval = 20;
+
+/**
+ * Creates an object every method of which does nothing (e.g. a
+ * CanvasRenderingContext2D), while properties can be set.
+ *
+ * @returns {Object} The object.
+ * @private
+ */
+var createNoopObject = function() {
+    return new Proxy({}, {
+        get: function(target, name) {
+            if (!(name in target)) {
+                return function() {
+                    return undefined;
+                };
+            }
+
+            return target[name];
+        }
+    });
+};
+
+/**
+ * Adds the media APIs missing from jsdom to a window.
+ *
+ * @param {Object} window - The jsdom window, before any script runs.
+ * @returns {undefined} undefined
+ * @private
+ */
+var installMedia = function(window) {
+    var nextTrackId = 0;
+
+    /**
+     * A MediaStreamTrack without media.
+     *
+     * @param {String} kind - Either 'audio' or 'video'.
+     * @class
+     */
+    var MediaStreamTrack = function(kind) {
+        this.id = 'track-' + nextTrackId++;
+        this.kind = kind;
+        this.enabled = true;
+        this.readyState = 'live';
+    };
+
+    MediaStreamTrack.prototype.stop = function() {
+        this.readyState = 'ended';
+    };
+
+    /**
+     * A MediaStream holding MediaStreamTracks.
+     *
+     * @param {Array<Object>} tracks - The tracks (optional).
+     * @class
+     */
+    var MediaStream = function(tracks) {
+        this.id = 'stream-' + nextTrackId++;
+        this._tracks = (tracks === undefined) ? [] : tracks.slice();
+    };
+
+    MediaStream.prototype.getTracks = function() {
+        return this._tracks.slice();
+    };
+
+    MediaStream.prototype.getAudioTracks = function() {
+        return this._tracks.filter(function(track) {
+            return track.kind === 'audio';
+        });
+    };
+
+    MediaStream.prototype.getVideoTracks = function() {
+        return this._tracks.filter(function(track) {
+            return track.kind === 'video';
+        });
+    };
+
+    MediaStream.prototype.addTrack = function(track) {
+        this._tracks.push(track);
+    };
+
+    MediaStream.prototype.removeTrack = function(track) {
+        var index = this._tracks.indexOf(track);
+        if (index !== -1) {
+            this._tracks.splice(index, 1);
+        }
+    };
+
+    /**
+     * An AudioNode whose parameters can be set.
+     *
+     * @returns {Object} The node.
+     * @private
+     */
+    var createNode = function() {
+        return {
+            frequency: { value: 0 },
+            gain: { value: 1 },
+            connect: function() {},
+            disconnect: function() {},
+            start: function() {},
+            stop: function() {}
+        };
+    };
+
+    /**
+     * An AudioContext creating silent nodes.
+     *
+     * @class
+     */
+    var AudioContext = function() {
+        this.destination = createNode();
+    };
+
+    AudioContext.prototype.resume = function() {
+        return Promise.resolve();
+    };
+
+    AudioContext.prototype.close = function() {
+        return Promise.resolve();
+    };
+
+    AudioContext.prototype.createOscillator = createNode;
+    AudioContext.prototype.createGain = createNode;
+    AudioContext.prototype.createMediaStreamSource = createNode;
+    AudioContext.prototype.createScriptProcessor = createNode;
+
+    AudioContext.prototype.createMediaStreamDestination = function() {
+        var node = createNode();
+        node.stream = new MediaStream([new MediaStreamTrack('audio')]);
+        return node;
+    };
+
+    /**
+     * Notifications, which the user never allows.
+     *
+     * @class
+     */
+    var Notification = function() {};
+    Notification.permission = 'denied';
+    Notification.requestPermission = function(permissionFn) {
+        setTimeout(function() {
+            permissionFn('denied');
+        }, 0);
+    };
+
+    window.MediaStreamTrack = MediaStreamTrack;
+    window.MediaStream = MediaStream;
+    window.AudioContext = AudioContext;
+    window.Notification = Notification;
+
+    window.HTMLCanvasElement.prototype.getContext = function() {
+        return createNoopObject();
+    };
+
+    window.HTMLCanvasElement.prototype.captureStream = function() {
+        return new MediaStream([new MediaStreamTrack('video')]);
+    };
+
+    window.HTMLMediaElement.prototype.play = function() {
+        return Promise.resolve();
+    };
+
+    window.HTMLMediaElement.prototype.pause = function() {};
+
+    // jsdom leaves the display of inline elements empty instead of 'inline', which keeps
+    // jQuery from showing the ones hidden by a stylesheet (e.g. the mute icons)
+    var getComputedStyle = window.getComputedStyle;
+    window.getComputedStyle = function(elem, pseudoElt) {
+        var style = getComputedStyle.call(window, elem, pseudoElt);
+        if (style.display === '') {
+            style.display = 'inline';
+        }
+
+        return style;
+    };
+};
+
+/**
+ * Picks a free TCP port.
+ *
+ * @param {Function} portFn - Called with the port. It's of the form: function(port : Number)
+ * @returns {undefined} undefined
+ * @private
+ */
+var findFreePort = function(portFn) {
+    var server = net.createServer();
+    server.listen(0, function() {
+        var port = server.address().port;
+        server.close(function() {
+            portFn(port);
+        });
+    });
+};
+
+/**
+ * Waits until a URL answers.
+ *
+ * @param {String} url - The URL.
+ * @param {Number} deadline - When to give up (in milliseconds since the epoch).
+ * @param {Function} doneFn - It's of the form: function(err : Error|null)
+ * @returns {undefined} undefined
+ * @private
+ */
+var waitForUrl = function(url, deadline, doneFn) {
+    http.get(url, function(res) {
+        res.resume();
+        doneFn(null);
+    }).on('error', function() {
+        if (Date.now() > deadline) {
+            doneFn(new Error('The server did not start'));
+            return;
+        }
+
+        setTimeout(function() {
+            waitForUrl(url, deadline, doneFn);
+        }, kPollInterval * 5);
+    });
+};
+
+/**
+ * Starts server.js in debug mode, with the native backend (the fake one needs no
+ * signaling) and the telemetry written to a temporary directory.
+ *
+ * @param {Function} doneFn - Called once the server answers. It's of the form:
+ * function(err : Error|null, server : { baseUrl : String, stop : function() })
+ * @returns {undefined} undefined
+ * @public
+ */
+var startServer = function(doneFn) {
+    findFreePort(function(port) {
+        var root = path.join(__dirname, '..', '..');
+        var logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tubertc-test-'));
+
+        // NOTE: nconf reads command-line settings as strings, so telemetry.enabled=false would not turn it off
+        var child = childProcess.spawn(process.execPath, [
+            'server.js',
+            '--debug=true',
+            '--rtcBackend=native',
+            '--telemetry.logFile=' + path.join(logDir, 'telemetry.log')
+        ], {
+            cwd: root,
+            env: Object.assign({}, process.env, { PORT: String(port) }),
+            stdio: 'ignore'
+        });
+
+        var stop = function() {
+            child.kill();
+            fs.rmSync(logDir, { recursive: true, force: true });
+        };
+
+        var baseUrl = 'http://localhost:' + port;
+        waitForUrl(baseUrl + '/', Date.now() + kStartTimeout, function(err) {
+            if (err !== null) {
+                stop();
+            }
+
+            doneFn(err, {
+                baseUrl: baseUrl,
+                stop: stop
+            });
+        });
+    });
+};
+
+/**
+ * Opens the page in jsdom and waits for its scripts to load.
+ *
+ * @param {String} url - The URL of the page.
+ * @returns {Object} A Promise resolving to an object of the form:
+ *   {
+ *     window : Object (the jsdom window),
+ *     errors : Array<String> (uncaught exceptions and console errors of the page),
+ *     close  : function()
+ *   }
+ * @public
+ */
+var openPage = function(url) {
+    var errors = [];
+    var virtualConsole = new jsdom.VirtualConsole();
+
+    virtualConsole.on('jsdomError', function(err) {
+        // jsdom does not play media or navigate, the page does not depend on it
+        if (err.type !== 'not implemented') {
+            errors.push(String(err.detail || err.message));
+        }
+    });
+
+    return jsdom.JSDOM.fromURL(url, {
+        runScripts: 'dangerously',
+        resources: 'usable',
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole,
+        beforeParse: installMedia
+    }).then(function(dom) {
+        return new Promise(function(resolve) {
+            dom.window.addEventListener('load', function() {
+                // Animations would only slow the tests down
+                dom.window.jQuery.fx.off = true;
+
+                resolve({
+                    window: dom.window,
+                    errors: errors,
+                    close: function() {
+                        dom.window.close();
+                    }
+                });
+            });
+        });
+    });
+};
+
+/**
+ * Waits until a condition holds.
+ *
+ * @param {Function} conditionFn - Returns true once the condition holds.
+ * @param {String} description - What is waited for, for the error message.
+ * @returns {Object} A Promise resolved once the condition holds, rejected
+ * if it does not within a few seconds.
+ * @public
+ */
+var waitFor = function(conditionFn, description) {
+    var deadline = Date.now() + kWaitTimeout;
+
+    return new Promise(function(resolve, reject) {
+        var poll = function() {
+            if (conditionFn()) {
+                resolve();
+            } else if (Date.now() > deadline) {
+                reject(new Error('Timed out waiting for ' + description));
+            } else {
+                setTimeout(poll, kPollInterval);
+            }
+        };
+
+        poll();
+    });
+};
+
+module.exports = {
+    startServer: startServer,
+    openPage: openPage,
+    waitFor: waitFor
+};
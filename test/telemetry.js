@@ -0,0 +1,143 @@
+/**
+ * @file Tests for lib/telemetry.js.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var telemetry = require('../lib/telemetry');
+
+var kSource = {
+    ip: '127.0.0.1',
+    userAgent: 'mocha'
+};
+
+/**
+ * Creates a batch holding a single entry.
+ *
+ * @param {*} time - The time of the entry.
+ * @returns {Object} The batch (see telemetry.parseBatch).
+ * @private
+ */
+var batchAt = function(time) {
+    return {
+        sessionId: 'session',
+        peerId: null,
+        roomName: 'room',
+        dropped: 0,
+        entries: [{ time: time, severity: 'error', message: 'Oops' }]
+    };
+};
+
+describe('telemetry', function() {
+    describe('parseBatch', function() {
+        it('turns entries into records', function() {
+            var records = telemetry.parseBatch(batchAt(0), kSource);
+
+            assert.strictEqual(records.length, 1);
+            assert.strictEqual(records[0].time, '1970-01-01T00:00:00.000Z');
+            assert.strictEqual(records[0].sessionId, 'session');
+            assert.strictEqual(records[0].message, 'Oops');
+        });
+
+        it('accepts the times at the bounds of Date', function() {
+            assert.notStrictEqual(telemetry.parseBatch(batchAt(8.64e15), kSource), null);
+            assert.notStrictEqual(telemetry.parseBatch(batchAt(-8.64e15), kSource), null);
+        });
+
+        it('rejects times Date cannot represent', function() {
+            [1e20, -1e20, 8.64e15 + 1, NaN, Infinity, '0'].forEach(function(time) {
+                assert.strictEqual(telemetry.parseBatch(batchAt(time), kSource), null, String(time));
+            });
+        });
+    });
+
+    describe('RateLimiter', function() {
+        it('turns a client away once it uploaded its entries for the minute', function() {
+            var limiter = new telemetry.RateLimiter({ maxEntriesPerMinute: 60 });
+
+            assert.strictEqual(limiter.take('10.0.0.1', 50, 1000), true);
+            assert.strictEqual(limiter.isLimited('10.0.0.1', 1000), false);
+            assert.strictEqual(limiter.take('10.0.0.1', 11, 2000), false);
+            assert.strictEqual(limiter.isLimited('10.0.0.1', 2000), true);
+            assert.strictEqual(limiter.take('10.0.0.1', 1, 3000), false);
+        });
+
+        it('counts every client on its own', function() {
+            var limiter = new telemetry.RateLimiter({ maxEntriesPerMinute: 60 });
+
+            assert.strictEqual(limiter.take('10.0.0.1', 60, 1000), true);
+            assert.strictEqual(limiter.isLimited('10.0.0.1', 1000), true);
+            assert.strictEqual(limiter.isLimited('10.0.0.2', 1000), false);
+            assert.strictEqual(limiter.take('10.0.0.2', 60, 1000), true);
+            assert.strictEqual(limiter.isLimited('hasOwnProperty', 1000), false);
+        });
+
+        it('lets clients in again once the minute is over', function() {
+            var limiter = new telemetry.RateLimiter({ maxEntriesPerMinute: 60 });
+
+            assert.strictEqual(limiter.take('10.0.0.1', 61, 1000), false);
+            assert.strictEqual(limiter.isLimited('10.0.0.1', 60999), true);
+            assert.strictEqual(limiter.isLimited('10.0.0.1', 61000), false);
+            assert.strictEqual(limiter.take('10.0.0.1', 60, 61000), true);
+        });
+    });
+
+    describe('TelemetryLog', function() {
+        var dir = null;
+
+        beforeEach(function() {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tubertc-telemetry-'));
+        });
+
+        afterEach(function() {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('rotates the log once it grows too large', function(done) {
+            var logFile = path.join(dir, 'logs', 'telemetry.log');
+            var log = new telemetry.TelemetryLog({
+                logFile: logFile,
+                maxFileSize: 10,
+                maxFiles: 1
+            });
+
+            log.write([{ n: 1 }], function(err1) {
+                log.write([{ n: 2 }], function(err2) {
+                    log.write([{ n: 3 }], function(err3) {
+                        assert.deepStrictEqual([err1, err2, err3], [null, null, null]);
+                        assert.strictEqual(fs.readFileSync(logFile, 'utf8'), '{"n":3}\n');
+                        assert.strictEqual(fs.readFileSync(logFile + '.1', 'utf8'), '{"n":2}\n');
+                        assert.strictEqual(fs.existsSync(logFile + '.2'), false);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('writes the records queued during a write in order', function(done) {
+            var logFile = path.join(dir, 'telemetry.log');
+            var log = new telemetry.TelemetryLog({
+                logFile: logFile,
+                maxFileSize: 1024,
+                maxFiles: 1
+            });
+
+            var written = 0;
+            var doneFn = function(err) {
+                assert.strictEqual(err, null);
+                if (++written === 3) {
+                    assert.strictEqual(fs.readFileSync(logFile, 'utf8'), '{"n":1}\n{"n":2}\n{"n":3}\n{"n":4}\n');
+                    done();
+                }
+            };
+
+            log.write([{ n: 1 }], doneFn);
+            log.write([{ n: 2 }, { n: 3 }], doneFn);
+            log.write([{ n: 4 }], doneFn);
+        });
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * @file Tests for lib/turn.js, run against the stand-in TURN configuration
+ * of settings.turn.json with a fixed clock.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var crypto = require('crypto');
+var path = require('path');
+var turn = require('../lib/turn');
+
+var standIn = require(path.join(__dirname, '..', 'settings.turn.json')).turnServer;
+
+// 2015-06-01T00:00:00.000Z
+var kNow = 1433116800000;
+
+/**
+ * Computes the credential coturn expects for a user name.
+ *
+ * @param {String} secret - The secret shared with the TURN server.
+ * @param {String} username - The user name.
+ * @returns {String} The base64 HMAC-SHA1 of the user name.
+ * @private
+ */
+var expectedCredential = function(secret, username) {
+    return crypto.createHmac('sha1', secret).update(username).digest('base64');
+};
+
+describe('turn', function() {
+    describe('validateConfig', function() {
+        it('accepts the stand-in config', function() {
+            assert.strictEqual(turn.validateConfig(standIn), null);
+        });
+
+        it('accepts a single URL and no ttl', function() {
+            assert.strictEqual(turn.validateConfig({ urls: 'turns:turn.example.com:5349', secret: 's' }), null);
+        });
+
+        it('rejects invalid configs', function() {
+            var invalidConfigs = [
+                null,
+                'turn:localhost:3478',
+                {},
+                { urls: [], secret: 's' },
+                { urls: ['stun:stun.l.google.com:19302'], secret: 's' },
+                { urls: ['turn:localhost:3478', 42], secret: 's' },
+                { urls: standIn.urls },
+                { urls: standIn.urls, secret: '' },
+                { urls: standIn.urls, secret: 's', ttl: 0 },
+                { urls: standIn.urls, secret: 's', ttl: '3600' }
+            ];
+
+            invalidConfigs.forEach(function(config) {
+                assert.strictEqual(typeof turn.validateConfig(config), 'string', JSON.stringify(config));
+            });
+        });
+    });
+
+    describe('createCredentials', function() {
+        it('issues <expiry>:<user> names with their HMAC-SHA1 as the password', function() {
+            var credentials = turn.createCredentials('change-me', 'alice', 3600, kNow);
+
+            assert.strictEqual(credentials.username, '1433120400:alice');
+            assert.strictEqual(credentials.credential, expectedCredential('change-me', '1433120400:alice'));
+            assert.strictEqual(credentials.credential, 'm1q5acGMqpGWyoq3SAztykHVcy8=');
+        });
+
+        it('rounds the current time down to the second', function() {
+            var credentials = turn.createCredentials('change-me', 'alice', 3600, kNow + 999);
+            assert.strictEqual(credentials.username, '1433120400:alice');
+        });
+
+        it('depends on the secret', function() {
+            assert.notStrictEqual(turn.createCredentials('change-me', 'alice', 3600, kNow).credential,
+                                  turn.createCredentials('other', 'alice', 3600, kNow).credential);
+        });
+    });
+
+    describe('getIceServers', function() {
+        it('lists the stand-in URLs with credentials valid for its ttl', function() {
+            var iceServers = turn.getIceServers(standIn, 'bob', kNow);
+            var username = (Math.floor(kNow / 1000) + standIn.ttl) + ':bob';
+
+            assert.deepStrictEqual(iceServers, [{
+                urls: standIn.urls,
+                username: username,
+                credential: expectedCredential(standIn.secret, username)
+            }]);
+        });
+
+        it('defaults to a 6 hour ttl and a list of URLs', function() {
+            var iceServers = turn.getIceServers({ urls: 'turn:localhost:3478', secret: 's' }, 'bob', kNow);
+
+            assert.deepStrictEqual(iceServers[0].urls, ['turn:localhost:3478']);
+            assert.strictEqual(iceServers[0].username, '1433138400:bob');
+        });
+    });
+});